@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A product category. Products store the slug, so renaming a category
+// never touches the products filed under it.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Filled in on new products in this category when they are not given
+  defaultUnit: {
+    type: String,
+    enum: ['yards', 'meters', 'pieces'],
+    default: 'yards'
+  },
+  defaultMinStockLevel: {
+    type: Number,
+    default: 10,
+    min: 0
+  },
+  // Rolls of this category's fabric with less than this left are remnants
+  remnantThreshold: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+  // Tax on products in this category and its subcategories; when empty the
+  // parent's rate applies, then the default rate
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One line in a customer's receivables ledger. Charges raise what the
+// customer owes; repayments, refunds and voids bring it down.
+const creditTransactionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'repayment', 'refund', 'void'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  saleNumber: {
+    type: String
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'transfer']
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+creditTransactionSchema.index({ customer: 1, date: 1 });
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
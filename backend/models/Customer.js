@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { normalizePhone } = require('../utils/phone');
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalizedPhone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  storeCreditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // What the customer owes on credit sales; negative when they have overpaid
+  creditBalance: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the lookup key in step with the phone number as typed
+customerSchema.pre('validate', function() {
+  if (this.isModified('phone')) {
+    this.normalizedPhone = normalizePhone(this.phone);
+  }
+});
+
+module.exports = mongoose.model('Customer', customerSchema);
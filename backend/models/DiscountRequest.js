@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A till asking an admin, from another screen, to approve a discount above
+// the seller's limit. Once approved it can be spent on one sale.
+const discountRequestSchema = new mongoose.Schema({
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The sale total the discount was asked against, for the approver to judge
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  customerName: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'used'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  }
+}, {
+  timestamps: true
+});
+
+discountRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DiscountRequest', discountRequestSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A wrong approval PIN entered on a till, kept so admins can see who has
+// been guessing at whose PIN
+const pinAttemptSchema = new mongoose.Schema({
+  approver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attemptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when this failure locked the approver's PIN, or when the PIN was
+  // already locked and the attempt was turned away unchecked
+  lockedUntil: {
+    type: Date
+  },
+  discount: {
+    type: Number,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+pinAttemptSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PinAttempt', pinAttemptSchema);
@@ -1,21 +1,81 @@
 const mongoose = require('mongoose');
 
+// A physical roll or bolt of the fabric. Its remaining length is part of
+// currentStock, so a sale cut from a roll comes off both.
+const rollSchema = new mongoose.Schema({
+  rollId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startingLength: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remainingLength: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  dyeLot: {
+    type: String,
+    trim: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A product photo. The first one is used as the product's cover image.
+const imageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnailUrl: {
+    type: String,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // Slug of a Category, e.g. 'german_wool'
   category: {
     type: String,
     required: true,
-    enum: ['ankara', 'german_wool', 'cotton', 'silk', 'linen', 'other'],
+    trim: true,
+    lowercase: true,
     default: 'other'
   },
   description: {
     type: String,
     trim: true
   },
+  // Printed as the barcode on labels; roll labels add the roll ID after a dash
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   totalStock: {
     type: Number,
     required: true,
@@ -36,15 +96,54 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Weighted average of what the stock on hand cost to buy, per unit
+  averageCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   minStockLevel: {
     type: Number,
     default: 10,
     min: 0
   },
+  // Overrides the category's tax rate when set
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    default: null
+  },
+  rolls: [rollSchema],
+  images: [imageSchema],
+  // Set when the product is one colour or pattern of a product group. Its
+  // name, category, description, unit and price are copied from the group.
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductGroup'
+  },
+  variant: {
+    type: String,
+    trim: true
+  },
+  // A variant's own price; when empty it sells at the group price
+  priceOverride: {
+    type: Number,
+    min: 0,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set when the product is deleted; deleted products are kept as an archive
+  archivedAt: {
+    type: Date
+  },
+  // An archived product whose stock history and sales were moved onto this one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -54,6 +153,9 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+productSchema.index({ group: 1 });
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
   if (this.currentStock <= 0) return 'out_of_stock';
@@ -67,6 +169,13 @@ productSchema.virtual('stockPercentage').get(function() {
   return Math.round((this.currentStock / this.totalStock) * 100);
 });
 
+// Stock that is not on any roll, e.g. counted before rolls were tracked
+productSchema.virtual('looseStock').get(function() {
+  if (!this.rolls) return this.currentStock;
+  const onRolls = this.rolls.reduce((sum, roll) => sum + roll.remainingLength, 0);
+  return Math.max(0, Math.round((this.currentStock - onRolls) * 1000) / 1000);
+});
+
 // Ensure virtual fields are serialized
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A fabric line sold in several colours or patterns. The group holds what
+// its variants share; each variant is a Product carrying its own stock.
+const productGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  unit: {
+    type: String,
+    enum: ['yards', 'meters', 'pieces'],
+    default: 'yards'
+  },
+  pricePerUnit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ProductGroup', productGroupSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Price at or above a quantity, for bulk buyers
+const tierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pricePerUnit: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// An admin-defined price rule applied by the server when a sale is priced.
+// It covers either a category or a list of products. Quantities are in the
+// unit each product is stocked in.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'buy_x_get_y', 'tiered'],
+    required: true
+  },
+  // Slug of a Category; used when no products are listed
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // percentage
+  percentOff: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // buy_x_get_y: of every buyQuantity + freeQuantity taken, freeQuantity is free
+  buyQuantity: {
+    type: Number,
+    min: 0
+  },
+  freeQuantity: {
+    type: Number,
+    min: 0
+  },
+  // tiered
+  tiers: [tierSchema],
+  // Campaign dates; either end may be left open
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
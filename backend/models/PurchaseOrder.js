@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: 0.1
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    default: 'yards'
+  }
+});
+
+// One delivery against the order; a PO can be received in several of these
+const deliverySchema = new mongoose.Schema({
+  items: [{
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    productName: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0.1
+    }
+  }],
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: {
+    type: String,
+    required: true
+  },
+  items: [purchaseOrderItemSchema],
+  totalCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  expectedDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  deliveries: [deliverySchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderedAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
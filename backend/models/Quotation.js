@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+// A line as quoted. Prices, promotions and tax are fixed until the quotation
+// expires; the roll is only chosen when it becomes a sale.
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0.1
+  },
+  unit: {
+    type: String,
+    default: 'yards'
+  },
+  soldQuantity: {
+    type: Number
+  },
+  soldUnit: {
+    type: String,
+    enum: ['yards', 'meters', 'pieces']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionName: {
+    type: String
+  },
+  promotionDiscount: {
+    type: Number,
+    min: 0
+  },
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
+  taxName: {
+    type: String
+  },
+  taxRate: {
+    type: Number,
+    min: 0
+  },
+  taxInclusive: {
+    type: Boolean
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+// Same shapes as a sale's applied promotions and taxes, so they copy across
+const quotedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const quotedTaxSchema = new mongoose.Schema({
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  inclusive: {
+    type: Boolean,
+    required: true
+  },
+  taxableAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// An admin's approval of a discount above the author's limit, carried onto
+// the sale when the quotation is converted
+const quotedDiscountApprovalSchema = new mongoose.Schema({
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['pin', 'remote'],
+    required: true
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountRequest'
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// A priced offer (proforma) for a customer. Stock is not reserved; it is
+// checked and taken when the quotation is converted into a sale.
+const quotationSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+  items: [quotationItemSchema],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  promotions: [quotedPromotionSchema],
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discountReason: {
+    type: String,
+    trim: true
+  },
+  discountApproval: quotedDiscountApprovalSchema,
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxes: [quotedTaxSchema],
+  finalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Prices are held until the end of this day
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  // An open quotation past validUntil is reported as expired
+  status: {
+    type: String,
+    enum: ['open', 'converted', 'cancelled'],
+    default: 'open'
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale'
+  },
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  convertedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+quotationSchema.index({ status: 1, validUntil: 1 });
+
+module.exports = mongoose.model('Quotation', quotationSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { MIN_QUANTITY } = require('../utils/units');
+
+const returnItemSchema = new mongoose.Schema({
+  saleItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: MIN_QUANTITY
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    default: 'yards'
+  }
+});
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true
+  },
+  saleNumber: {
+    type: String,
+    required: true
+  },
+  customerName: {
+    type: String,
+    trim: true
+  },
+  customerPhone: {
+    type: String,
+    trim: true
+  },
+  items: [returnItemSchema],
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundMethod: {
+    type: String,
+    enum: ['cash', 'card', 'transfer', 'credit', 'store_credit'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  returnDate: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ sale: 1 });
+returnSchema.index({ returnDate: -1 });
+returnSchema.index({ shift: 1 });
+
+module.exports = mongoose.model('Return', returnSchema);
\ No newline at end of file
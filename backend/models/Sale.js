@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MIN_QUANTITY } = require('../utils/units');
 
 const saleItemSchema = new mongoose.Schema({
   product: {
@@ -13,7 +14,7 @@ const saleItemSchema = new mongoose.Schema({
   quantity: {
     type: Number,
     required: true,
-    min: 0.1
+    min: MIN_QUANTITY
   },
   unitPrice: {
     type: Number,
@@ -25,18 +26,227 @@ const saleItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Product's average cost when sold, so later deliveries don't rewrite past margins
+  unitCost: {
+    type: Number,
+    min: 0
+  },
   unit: {
     type: String,
     default: 'yards'
+  },
+  // What the customer asked for when it differs from the stock unit, e.g.
+  // 5 meters of a yard-stocked fabric; quantity above is always in `unit`
+  soldQuantity: {
+    type: Number
+  },
+  soldUnit: {
+    type: String,
+    enum: ['yards', 'meters', 'pieces']
+  },
+  // Which roll the length was cut from, for dye-lot matching on repeat orders
+  roll: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  rollId: {
+    type: String
+  },
+  dyeLot: {
+    type: String
+  },
+  // Sold off a remnant roll at the markdown price
+  isRemnant: {
+    type: Boolean
+  },
+  // Promotion that priced this line; totalPrice is already net of it
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  promotionName: {
+    type: String
+  },
+  promotionDiscount: {
+    type: Number,
+    min: 0
+  },
+  // Tax rate as it was when sold. taxAmount is on the line total after its
+  // share of the sale discount; inclusive tax is part of that total,
+  // exclusive tax is charged on top of it.
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
+  taxName: {
+    type: String
+  },
+  taxRate: {
+    type: Number,
+    min: 0
+  },
+  taxInclusive: {
+    type: Boolean
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+// A promotion applied to the sale and how much it took off in total
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'transfer', 'credit', 'store_credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Set on layaway payments, which are taken over several visits; each goes
+  // through the drawer of the shift that took it
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date
   }
 });
 
+// Tax charged at one rate across the sale
+const saleTaxSchema = new mongoose.Schema({
+  tax: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  inclusive: {
+    type: Boolean,
+    required: true
+  },
+  // What the tax was charged on, net of the tax itself
+  taxableAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Who let a discount above the seller's limit through, and how
+const discountApprovalSchema = new mongoose.Schema({
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['pin', 'remote'],
+    required: true
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountRequest'
+  },
+  // The seller's own limit on this sale, in naira
+  maxDiscount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// A reservation paid for over time. The sale stays pending, with its stock
+// off the shelf, until it is paid in full and collected; if it is not
+// collected by expiresAt, or an admin cancels it, the stock goes back and
+// the payments become the customer's store credit.
+const layawaySchema = new mongoose.Schema({
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  collectedAt: {
+    type: Date
+  },
+  collectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiredAt: {
+    type: Date
+  },
+  // Cancelled early by an admin; released like an expired layaway
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const saleSchema = new mongoose.Schema({
   saleNumber: {
     type: String,
     required: true,
     unique: true
   },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
   customerName: {
     type: String,
     required: true,
@@ -47,36 +257,69 @@ const saleSchema = new mongoose.Schema({
     trim: true
   },
   items: [saleItemSchema],
+  // Sum of the line totals, after promotions and before the discount below
   totalAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  promotions: [appliedPromotionSchema],
   discount: {
     type: Number,
     default: 0,
     min: 0
   },
+  discountReason: {
+    type: String,
+    trim: true
+  },
+  // Set when the discount was above the seller's limit
+  discountApproval: discountApprovalSchema,
+  // All tax on the sale; finalAmount includes any exclusive tax
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxes: [saleTaxSchema],
   finalAmount: {
     type: Number,
     required: true,
     min: 0
   },
-  paymentMethod: {
-    type: String,
-    enum: ['cash', 'card', 'transfer', 'credit'],
-    default: 'cash'
+  payments: [paymentSchema],
+  // Cash handed over and change given back; the cash tender above is net of change
+  cashTendered: {
+    type: Number,
+    min: 0
+  },
+  changeDue: {
+    type: Number,
+    default: 0,
+    min: 0
   },
+  // Pending while a layaway is being paid for; cancelled when voided or
+  // when a layaway expires
   status: {
     type: String,
     enum: ['completed', 'pending', 'cancelled'],
     default: 'completed'
   },
+  layaway: layawaySchema,
   soldBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift'
+  },
+  // The quotation this sale was converted from, at the quoted prices
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
   saleDate: {
     type: Date,
     default: Date.now
@@ -84,10 +327,25 @@ const saleSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidReason: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true
 });
 
+saleSchema.index({ customer: 1, saleDate: -1 });
+saleSchema.index({ shift: 1 });
+saleSchema.index({ 'payments.shift': 1 });
+saleSchema.index({ status: 1, 'layaway.expiresAt': 1 });
 
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
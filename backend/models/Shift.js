@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A cashier's session at the till. Sales, returns and repayments taken while
+// the shift is open point back to it so the drawer can be reconciled on close.
+const shiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Totals are snapshotted when the shift closes so the Z-report never changes
+  totals: {
+    salesCount: { type: Number, default: 0 },
+    totalSales: { type: Number, default: 0 },
+    discounts: { type: Number, default: 0 },
+    paymentTotals: { type: mongoose.Schema.Types.Mixed, default: {} },
+    voidedCount: { type: Number, default: 0 },
+    voidedAmount: { type: Number, default: 0 },
+    returnsCount: { type: Number, default: 0 },
+    refundTotals: { type: mongoose.Schema.Types.Mixed, default: {} },
+    repaymentTotals: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  expectedCash: {
+    type: Number
+  },
+  countedCash: {
+    type: Number,
+    min: 0
+  },
+  overShort: {
+    type: Number
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// A staff member can only have one shift open at a time
+shiftSchema.index(
+  { openedBy: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+shiftSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -12,7 +12,7 @@ const stockHistorySchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['added', 'sold', 'adjusted'],
+    enum: ['added', 'sold', 'adjusted', 'voided', 'returned', 'reserved', 'released'],
     required: true
   },
   quantity: {
@@ -33,6 +33,22 @@ const stockHistorySchema = new mongoose.Schema({
     type: String,
     default: 'yards'
   },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  // The quantity as entered at the till when it was in another unit
+  enteredQuantity: {
+    type: Number
+  },
+  enteredUnit: {
+    type: String
+  },
+  // Why stock was corrected; only set on 'adjusted' entries
+  reason: {
+    type: String,
+    enum: ['damaged', 'theft', 'measurement_error', 'found', 'sample', 'gift', 'stocktake']
+  },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -42,6 +58,25 @@ const stockHistorySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Sale'
   },
+  saleReturn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  stocktake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stocktake'
+  },
+  // The product roll the movement was cut from or put back on
+  roll: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  rollId: {
+    type: String
+  },
   notes: {
     type: String,
     trim: true
@@ -57,5 +92,6 @@ const stockHistorySchema = new mongoose.Schema({
 // Index for efficient queries
 stockHistorySchema.index({ product: 1, date: -1 });
 stockHistorySchema.index({ date: -1 });
+stockHistorySchema.index({ reason: 1, date: -1 });
 
 module.exports = mongoose.model('StockHistory', stockHistorySchema);
\ No newline at end of file
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const stocktakeSchema = new mongoose.Schema({
+  stocktakeNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'cancelled'],
+    default: 'open'
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  counts: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    productName: {
+      type: String,
+      required: true
+    },
+    unit: {
+      type: String,
+      required: true
+    },
+    countedQuantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    countedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    countedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // System stock when the count was entered. The variance is measured
+    // against this, so sales and deliveries between the count and the
+    // approval are left as they are.
+    expectedStock: {
+      type: Number
+    },
+    // Filled in on approval
+    variance: {
+      type: Number
+    },
+    pricePerUnit: {
+      type: Number
+    },
+    varianceValue: {
+      type: Number
+    }
+  }],
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Only one count can be in progress at a time
+stocktakeSchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+stocktakeSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.model('Stocktake', stocktakeSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A tax charged on sales, e.g. VAT at 7.5%. Inclusive rates are already in
+// the shelf price and only shown on the receipt; exclusive rates are added
+// on top of it. Products use their own rate, then their category's, then
+// the default.
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Percentage, e.g. 7.5
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  inclusive: {
+    type: Boolean,
+    default: true
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
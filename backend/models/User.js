@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// A discount cap as a percentage of the sale or a fixed naira amount
+const discountLimitSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percent', 'amount'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -26,6 +40,21 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: false
+  },
+  // Overrides the role's discount limit when set
+  discountLimit: discountLimitSchema,
+  // Admins enter this on a till to approve a discount above the seller's limit
+  approvalPin: {
+    type: String,
+    select: false
+  },
+  // Wrong PINs in a row; too many locks the PIN for a while
+  failedPinAttempts: {
+    type: Number,
+    default: 0
+  },
+  pinLockedUntil: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -35,10 +64,15 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function() {
   // In Mongoose 9+, async middleware should NOT use `next`.
   // Just return/throw and Mongoose will handle the promise.
-  if (!this.isModified('password')) return;
+  if (this.isModified('password')) {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+  }
 
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
+  if (this.isModified('approvalPin') && this.approvalPin) {
+    const salt = await bcrypt.genSalt(10);
+    this.approvalPin = await bcrypt.hash(this.approvalPin, salt);
+  }
 });
 
 // Compare password method
@@ -46,4 +80,10 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Compare approval PIN method (the PIN must be selected explicitly)
+userSchema.methods.compareApprovalPin = async function(candidatePin) {
+  if (!this.approvalPin) return false;
+  return await bcrypt.compare(String(candidatePin), this.approvalPin);
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
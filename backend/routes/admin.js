@@ -1,10 +1,41 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Product = require('../models/Product');
+const ProductGroup = require('../models/ProductGroup');
+const Category = require('../models/Category');
 const Sale = require('../models/Sale');
+const Return = require('../models/Return');
 const StockHistory = require('../models/StockHistory');
 const User = require('../models/User');
+const Customer = require('../models/Customer');
+const CreditTransaction = require('../models/CreditTransaction');
+const Shift = require('../models/Shift');
+const Stocktake = require('../models/Stocktake');
+const DiscountRequest = require('../models/DiscountRequest');
+const PinAttempt = require('../models/PinAttempt');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateRequest, validateRequired, validateMinLength, validateNumeric, validateBoolean } = require('../utils/validation');
+const { validateObject, validateRequest, validateRequired, validateEmail, validateMinLength, validateNumeric, validateBoolean } = require('../utils/validation');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { ADJUSTMENT_REASONS, addStock, adjustStock, receiveStock } = require('../utils/stock');
+const { recordCreditEntry, computeAging } = require('../utils/credit');
+const { PAYMENT_METHODS, roundMoney, sumPayments, refundableAmount } = require('../utils/payments');
+const { computeShiftTotals } = require('../utils/shifts');
+const { findOpenStocktake, computeVariance, splitShortage, summarizeLines, buildVarianceReport } = require('../utils/stocktakes');
+const { getAllSettings, saveSetting } = require('../utils/settings');
+const { getRemnantSettings, withRemnantFlags } = require('../utils/remnants');
+const { toSlug, findActiveCategory, getActiveCategorySlugs } = require('../utils/categories');
+const { saveProductImage, removeProductImage } = require('../utils/images');
+const { LABEL_FORMATS, SKU_PATTERN, generateSku, rollBarcode, createLabelSheet } = require('../utils/labels');
+const { sendPdf } = require('../utils/receipt');
+const { CATALOG_FORMATS, readCatalogFile, writeCatalogFile } = require('../utils/catalog');
+const { sharedFields, findGroupConflict, findVariantConflict, syncVariants } = require('../utils/variants');
+const { findActiveNameConflict, mergeProductHistory } = require('../utils/archive');
+const { saleLineAmounts, computeItemMargin, computeSaleMargin, summarizeMargins, withMarginPercent } = require('../utils/margin');
+const { DISCOUNT_LIMIT_TYPES } = require('../utils/discounts');
+const { findActiveTaxRate, formatTaxLabel } = require('../utils/tax');
+const { getAmountPaid, getBalanceDue, expireLayaways } = require('../utils/layaways');
 
 const router = express.Router();
 
@@ -12,6 +43,231 @@ const router = express.Router();
 router.use(authenticateToken);
 router.use(requireAdmin);
 
+const MAX_PRODUCT_IMAGES = 8;
+
+// A discount limit is a percentage of the sale or a fixed naira amount
+const validateDiscountLimit = (value, field) => {
+  if (!value || typeof value !== 'object' || !DISCOUNT_LIMIT_TYPES.includes(value.type)) {
+    return `${field} limit must be a percentage or an amount`;
+  }
+  const num = Number(value.value);
+  if (value.value === '' || isNaN(num) || num < 0) {
+    return `${field} limit must be a non-negative number`;
+  }
+  if (value.type === 'percent' && num > 100) {
+    return `${field} limit cannot be more than 100%`;
+  }
+  return null;
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: MAX_PRODUCT_IMAGES },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new HttpError(400, 'Only image files are allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// Multer reports oversized or too many files, and the filter non-images, as
+// errors; answer them as a 400
+const receiveImages = (req, res, next) => {
+  upload.array('images', MAX_PRODUCT_IMAGES)(req, res, (error) => {
+    if (error) {
+      if (sendHttpError(res, error)) return;
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
+
+const MAX_IMPORT_ROWS = 2000;
+
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
+
+const receiveCatalogFile = (req, res, next) => {
+  catalogUpload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Choose a CSV or XLSX file to import' });
+    }
+    next();
+  });
+};
+
+const validateSku = (value) => {
+  if (value && !SKU_PATTERN.test(String(value).trim().toUpperCase())) {
+    return 'SKU may only contain letters and digits';
+  }
+  return null;
+};
+
+// Another product already labelled with this SKU
+const findSkuConflict = (sku, excludeId = null) => {
+  const query = { sku: String(sku).trim().toUpperCase() };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Product.findOne(query);
+};
+
+// Rules for a new product, shared by POST /products and the catalogue import
+const newProductRules = {
+  name: [validateRequired, (value) => validateMinLength(value, 2, 'Product name')],
+  category: [validateRequired],
+  totalStock: [validateRequired, (value) => {
+    const num = Number(value);
+    if (isNaN(num) || num <= 0) {
+      return 'Total stock must be greater than 0';
+    }
+    return null;
+  }],
+  unit: [(value) => {
+    if (value && !['yards', 'meters', 'pieces'].includes(value)) {
+      return 'Invalid unit';
+    }
+    return null;
+  }],
+  pricePerUnit: [validateRequired, validateNumeric],
+  costPrice: [(value) => (value !== undefined && value !== '' ? validateNumeric(value, 'Cost price') : null)],
+  sku: [validateSku],
+  minStockLevel: [(value) => {
+    if (value !== undefined) {
+      const num = Number(value);
+      if (isNaN(num) || num < 0) {
+        return 'Minimum stock level must be non-negative';
+      }
+    }
+    return null;
+  }]
+};
+
+// The checks a valid new product must pass against the catalogue. Returns
+// field errors, and the category whose defaults fill in unit and reorder level.
+const checkNewProduct = async ({ name, category, sku, taxRate }) => {
+  const errors = {};
+
+  const categoryDoc = await findActiveCategory(category);
+  if (!categoryDoc) {
+    errors.category = 'Invalid category';
+  }
+
+  // Check if product already exists
+  const existingProduct = await Product.findOne({ name: name.toLowerCase(), isActive: true });
+  if (existingProduct) {
+    errors.name = 'Product with this name already exists';
+  }
+
+  if (sku && await findSkuConflict(sku)) {
+    errors.sku = 'Another product already uses this SKU';
+  }
+
+  if (taxRate && !(mongoose.isValidObjectId(taxRate) && await findActiveTaxRate(taxRate))) {
+    errors.taxRate = 'Invalid tax rate';
+  }
+
+  return { errors, categoryDoc };
+};
+
+const newProductFields = (fields, categoryDoc) => ({
+  name: fields.name,
+  category: fields.category,
+  description: fields.description,
+  sku: fields.sku,
+  totalStock: Number(fields.totalStock),
+  // Unit and reorder level fall back to the category's defaults
+  unit: fields.unit || categoryDoc.defaultUnit,
+  pricePerUnit: Number(fields.pricePerUnit),
+  averageCost: fields.costPrice !== undefined && fields.costPrice !== '' ? Number(fields.costPrice) : 0,
+  minStockLevel: fields.minStockLevel ?? categoryDoc.defaultMinStockLevel,
+  // Empty means the category's rate applies
+  taxRate: fields.taxRate || null
+});
+
+// Check the rows of an import file with the same rules as POST /products,
+// plus names and SKUs repeated within the file itself
+const checkImportRows = async (rows) => {
+  const seenNames = new Map();
+  const seenSkus = new Map();
+  const results = [];
+
+  for (const { rowNumber, values } of rows) {
+    // Category may be given by name ("German Wool") or slug
+    const fields = {
+      ...values,
+      category: values.category && toSlug(values.category),
+      unit: values.unit?.toLowerCase(),
+      sku: values.sku?.toUpperCase()
+    };
+
+    let { errors } = validateObject(fields, newProductRules);
+    let categoryDoc = null;
+    if (Object.keys(errors).length === 0) {
+      ({ errors, categoryDoc } = await checkNewProduct(fields));
+    }
+
+    const nameKey = fields.name?.toLowerCase();
+    if (nameKey && seenNames.has(nameKey)) {
+      errors.name = errors.name || `Same name as row ${seenNames.get(nameKey)}`;
+    } else if (nameKey) {
+      seenNames.set(nameKey, rowNumber);
+    }
+    if (fields.sku && seenSkus.has(fields.sku)) {
+      errors.sku = errors.sku || `Same SKU as row ${seenSkus.get(fields.sku)}`;
+    } else if (fields.sku) {
+      seenSkus.set(fields.sku, rowNumber);
+    }
+
+    results.push({ rowNumber, fields, categoryDoc, errors });
+  }
+
+  return results;
+};
+
+// Create a product with its opening stock recorded in stock history.
+// Products without a SKU are given one so they can be labelled.
+const createProductWithStock = async (
+  { totalStock, averageCost, sku, ...fields },
+  userId,
+  { session = null, notes = 'Initial stock added' } = {}
+) => {
+  const product = new Product({
+    ...fields,
+    sku: sku || await generateSku(),
+    totalStock,
+    currentStock: totalStock, // Initially current stock equals total stock
+    averageCost,
+    addedBy: userId
+  });
+
+  await product.save({ session });
+
+  // Record stock history
+  const stockHistory = new StockHistory({
+    product: product._id,
+    productName: product.name,
+    action: 'added',
+    quantity: totalStock,
+    previousStock: 0,
+    newStock: totalStock,
+    unit: product.unit,
+    unitCost: averageCost,
+    performedBy: userId,
+    notes
+  });
+
+  await stockHistory.save({ session });
+
+  return Product.findById(product._id).populate('addedBy', 'name').session(session);
+};
+
 // Get dashboard overview
 router.get('/dashboard', async (req, res) => {
   try {
@@ -49,6 +305,8 @@ router.get('/dashboard', async (req, res) => {
     const allProducts = await Product.find({ isActive: true });
     const totalStockValue = allProducts.reduce((sum, product) =>
       sum + (product.currentStock * product.pricePerUnit), 0);
+    const totalStockCost = allProducts.reduce((sum, product) =>
+      sum + (product.currentStock * (product.averageCost || 0)), 0);
 
     res.json({
       totalProducts,
@@ -56,7 +314,8 @@ router.get('/dashboard', async (req, res) => {
       totalSalesToday,
       totalTransactionsToday,
       recentStockChanges,
-      totalStockValue
+      totalStockValue,
+      totalStockCost
     });
   } catch (error) {
     console.error('Dashboard error:', error);
@@ -71,7 +330,9 @@ router.get('/products', async (req, res) => {
       .populate('addedBy', 'name')
       .sort({ createdAt: -1 });
 
-    res.json(products);
+    const remnantSettings = await getRemnantSettings();
+
+    res.json(products.map(product => withRemnantFlags(product, remnantSettings)));
   } catch (error) {
     console.error('Get products error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -80,105 +341,153 @@ router.get('/products', async (req, res) => {
 
 // Add new product/stock
 router.post('/products', [
-  validateRequest({
-    name: [validateRequired, (value) => validateMinLength(value, 2, 'Product name')],
-    category: [validateRequired, (value) => {
-      const validCategories = ['ankara', 'german_wool', 'cotton', 'silk', 'linen', 'other'];
-      if (!validCategories.includes(value)) {
-        return 'Invalid category';
-      }
-      return null;
-    }],
-    totalStock: [validateRequired, (value) => {
-      const num = Number(value);
-      if (isNaN(num) || num <= 0) {
-        return 'Total stock must be greater than 0';
-      }
-      return null;
-    }],
-    unit: [(value) => {
-      if (value && !['yards', 'meters', 'pieces'].includes(value)) {
-        return 'Invalid unit';
-      }
-      return null;
-    }],
-    pricePerUnit: [validateRequired, validateNumeric],
-    minStockLevel: [(value) => {
-      if (value !== undefined) {
-        const num = Number(value);
-        if (isNaN(num) || num < 0) {
-          return 'Minimum stock level must be non-negative';
-        }
-      }
-      return null;
-    }]
-  })
+  validateRequest(newProductRules)
 ], async (req, res) => {
   try {
-    const { name, category, description, totalStock, unit = 'yards', pricePerUnit, minStockLevel = 10 } = req.body;
-
-    // Check if product already exists
-    const existingProduct = await Product.findOne({ name: name.toLowerCase(), isActive: true });
-    if (existingProduct) {
-      return res.status(400).json({ message: 'Product with this name already exists' });
+    const { errors, categoryDoc } = await checkNewProduct(req.body);
+    if (Object.keys(errors).length > 0) {
+      // A taken name is reported as a message, as it always has been
+      if (errors.name) {
+        return res.status(400).json({ message: errors.name });
+      }
+      return res.status(400).json({ errors });
     }
 
-    const product = new Product({
-      name,
-      category,
-      description,
-      totalStock,
-      currentStock: totalStock, // Initially current stock equals total stock
-      unit,
-      pricePerUnit,
-      minStockLevel,
-      addedBy: req.user._id
+    const populatedProduct = await createProductWithStock(
+      newProductFields(req.body, categoryDoc),
+      req.user._id
+    );
+
+    res.status(201).json({
+      message: 'Product added successfully',
+      product: populatedProduct
     });
+  } catch (error) {
+    console.error('Add product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await product.save();
+// Export the catalogue as CSV or XLSX, in the layout the import expects
+router.get('/products/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!CATALOG_FORMATS.includes(format)) {
+      return res.status(400).json({ message: 'Invalid export format' });
+    }
 
-    // Record stock history
-    const stockHistory = new StockHistory({
-      product: product._id,
-      productName: product.name,
-      action: 'added',
-      quantity: totalStock,
-      previousStock: 0,
-      newStock: totalStock,
+    const products = await Product.find({ isActive: true }).sort({ name: 1 });
+    const rows = products.map(product => ({
+      name: product.name,
+      sku: product.sku,
+      category: product.category,
+      description: product.description,
       unit: product.unit,
-      performedBy: req.user._id,
-      notes: 'Initial stock added'
-    });
+      pricePerUnit: product.pricePerUnit,
+      costPrice: product.averageCost,
+      totalStock: product.currentStock,
+      minStockLevel: product.minStockLevel
+    }));
+
+    const file = await writeCatalogFile(rows, format);
+    const date = new Date().toISOString().split('T')[0];
+
+    res.setHeader('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=products-${date}.${format}`);
+    res.setHeader('Content-Length', file.length);
+    res.send(file);
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import products from a CSV or XLSX file (multipart field `file`). With
+// dryRun=true nothing is saved and every row comes back with its errors.
+// Otherwise the file is imported only if every row is valid, all or nothing.
+router.post('/products/import', receiveCatalogFile, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    const rows = await readCatalogFile(req.file);
+    if (rows.length === 0) {
+      throw new HttpError(400, 'The file has no product rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new HttpError(400, `Import at most ${MAX_IMPORT_ROWS} products at a time`);
+    }
 
-    await stockHistory.save();
+    const results = await checkImportRows(rows);
+    const invalid = results.filter(result => Object.keys(result.errors).length > 0).length;
+    const preview = {
+      total: results.length,
+      valid: results.length - invalid,
+      invalid,
+      rows: results.map(({ rowNumber, fields, categoryDoc, errors }) => ({
+        row: rowNumber,
+        name: fields.name,
+        sku: fields.sku || null,
+        category: fields.category,
+        unit: fields.unit || categoryDoc?.defaultUnit || null,
+        pricePerUnit: fields.pricePerUnit,
+        totalStock: fields.totalStock,
+        errors
+      }))
+    };
 
-    const populatedProduct = await Product.findById(product._id).populate('addedBy', 'name');
+    if (dryRun) {
+      return res.json({ dryRun: true, ...preview });
+    }
+    if (invalid > 0) {
+      throw new HttpError(400, `${invalid} row${invalid > 1 ? 's have' : ' has'} errors; nothing was imported`, preview);
+    }
+
+    const products = await mongoose.connection.transaction(async (session) => {
+      const created = [];
+      for (const { fields, categoryDoc } of results) {
+        created.push(await createProductWithStock(newProductFields(fields, categoryDoc), req.user._id, {
+          session,
+          notes: `Opening stock imported from ${req.file.originalname}`
+        }));
+      }
+      return created;
+    });
 
     res.status(201).json({
-      message: 'Product added successfully',
-      product: populatedProduct
+      message: `${products.length} product${products.length > 1 ? 's' : ''} imported successfully`,
+      imported: products.length,
+      products
     });
   } catch (error) {
-    console.error('Add product error:', error);
+    if (sendHttpError(res, error)) return;
+    console.error('Import products error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update product
+// Update product details. Stock levels are not editable here; they only
+// change through sales, deliveries and the adjustments endpoint below.
 router.put('/products/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = {};
+    ['name', 'category', 'description', 'sku', 'unit', 'pricePerUnit', 'averageCost', 'minStockLevel'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
 
     // Optional validation for updates
-    if (updates.name && updates.name.length < 2) {
+    if (updates.name !== undefined && String(updates.name).trim().length < 2) {
       return res.status(400).json({ message: 'Product name must be at least 2 characters' });
     }
-    if (updates.category && !['ankara', 'german_wool', 'cotton', 'silk', 'linen', 'other'].includes(updates.category)) {
+    if (updates.category && !(await findActiveCategory(updates.category))) {
       return res.status(400).json({ message: 'Invalid category' });
     }
-    if (updates.totalStock !== undefined && (isNaN(Number(updates.totalStock)) || Number(updates.totalStock) < 0)) {
-      return res.status(400).json({ message: 'Total stock must be non-negative' });
+    if (updates.unit && !['yards', 'meters', 'pieces'].includes(updates.unit)) {
+      return res.status(400).json({ message: 'Invalid unit' });
     }
     if (updates.pricePerUnit !== undefined && (isNaN(Number(updates.pricePerUnit)) || Number(updates.pricePerUnit) < 0)) {
       return res.status(400).json({ message: 'Price per unit must be non-negative' });
@@ -186,46 +495,65 @@ router.put('/products/:id', async (req, res) => {
     if (updates.minStockLevel !== undefined && (isNaN(Number(updates.minStockLevel)) || Number(updates.minStockLevel) < 0)) {
       return res.status(400).json({ message: 'Minimum stock level must be non-negative' });
     }
+    if (updates.averageCost !== undefined && (isNaN(Number(updates.averageCost)) || Number(updates.averageCost) < 0)) {
+      return res.status(400).json({ message: 'Average cost must be non-negative' });
+    }
+    if (req.body.taxRate !== undefined) {
+      updates.taxRate = req.body.taxRate || null;
+      if (updates.taxRate && !(mongoose.isValidObjectId(updates.taxRate) && await findActiveTaxRate(updates.taxRate))) {
+        return res.status(400).json({ message: 'Invalid tax rate' });
+      }
+    }
+    if (updates.sku !== undefined) {
+      if (!updates.sku) {
+        return res.status(400).json({ message: 'SKU cannot be removed' });
+      }
+      if (validateSku(updates.sku)) {
+        return res.status(400).json({ message: validateSku(updates.sku) });
+      }
+      if (await findSkuConflict(updates.sku, id)) {
+        return res.status(400).json({ message: 'Another product already uses this SKU' });
+      }
+    }
 
     const product = await Product.findById(id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // Track stock changes
-    let previousStock = product.currentStock;
-    let stockChange = 0;
-
-    if (updates.totalStock !== undefined && updates.totalStock !== product.totalStock) {
-      // If total stock is being updated, adjust current stock accordingly
-      const stockDifference = updates.totalStock - product.totalStock;
-      updates.currentStock = product.currentStock + stockDifference;
-      stockChange = stockDifference;
-    }
-
-    // Update product
-    Object.keys(updates).forEach(key => {
-      product[key] = updates[key];
-    });
-
-    await product.save();
+    // A variant shares its name, category, description, unit and price with
+    // its group; only its colour/pattern, price override and levels are its own
+    if (product.group) {
+      const shared = ['name', 'category', 'description', 'unit', 'pricePerUnit'].filter(field => updates[field] !== undefined);
+      if (shared.length > 0) {
+        return res.status(400).json({ message: `${shared.join(', ')} of a variant are set on its product group` });
+      }
 
-    // Record stock history if stock changed
-    if (stockChange !== 0) {
-      const stockHistory = new StockHistory({
-        product: product._id,
-        productName: product.name,
-        action: stockChange > 0 ? 'added' : 'adjusted',
-        quantity: Math.abs(stockChange),
-        previousStock,
-        newStock: product.currentStock,
-        unit: product.unit,
-        performedBy: req.user._id,
-        notes: 'Stock updated by admin'
-      });
+      if (req.body.variant !== undefined) {
+        const variant = String(req.body.variant).trim();
+        if (!variant) {
+          return res.status(400).json({ message: 'Variant name is required' });
+        }
+        if (await findVariantConflict(product.group, variant, product._id)) {
+          return res.status(400).json({ message: `Variant ${variant} already exists` });
+        }
+        updates.variant = variant;
+      }
+      if (req.body.priceOverride !== undefined) {
+        const priceOverride = req.body.priceOverride === null || req.body.priceOverride === '' ? null : Number(req.body.priceOverride);
+        if (priceOverride !== null && (isNaN(priceOverride) || priceOverride < 0)) {
+          return res.status(400).json({ message: 'Price override must be non-negative' });
+        }
+        updates.priceOverride = priceOverride;
+      }
 
-      await stockHistory.save();
+      const group = await ProductGroup.findById(product.group);
+      product.set(updates);
+      product.set(sharedFields(group, product.variant, product.priceOverride));
+    } else {
+      product.set(updates);
     }
+    await product.save();
 
     const updatedProduct = await Product.findById(id).populate('addedBy', 'name');
 
@@ -239,140 +567,1692 @@ router.put('/products/:id', async (req, res) => {
   }
 });
 
-// Delete product (soft delete)
-router.delete('/products/:id', async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+// Correct a product's stock with a signed quantity and a reason code
+router.post('/products/:id/adjustments', validateRequest({
+  quantity: [(value) => {
+    const num = Number(value);
+    if (value === undefined || value === '' || isNaN(num) || num === 0) {
+      return 'Quantity must be a non-zero number';
     }
+    return null;
+  }],
+  reason: [(value) => (ADJUSTMENT_REASONS.includes(value) ? null : 'Invalid adjustment reason')],
+  rollId: [(value) => (value && !mongoose.isValidObjectId(value) ? 'Invalid roll ID' : null)]
+}), async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity);
+    const { reason, rollId } = req.body;
+    const notes = req.body.notes ? String(req.body.notes).trim() : undefined;
 
-    product.isActive = false;
-    await product.save();
+    const { product, entry } = await mongoose.connection.transaction((session) => adjustStock({
+      productId: req.params.id,
+      quantity,
+      reason,
+      roll: rollId || undefined,
+      session,
+      history: {
+        performedBy: req.user._id,
+        notes
+      }
+    }));
 
-    res.json({ message: 'Product deleted successfully' });
+    res.status(201).json({
+      message: 'Stock adjusted successfully',
+      product,
+      adjustment: entry
+    });
   } catch (error) {
-    console.error('Delete product error:', error);
+    if (sendHttpError(res, error)) return;
+    console.error('Adjust stock error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get stock history
-router.get('/stock-history', async (req, res) => {
-  try {
-    const { page = 1, limit = 20, productId, dateFrom, dateTo } = req.query;
-
-    let query = {};
-
-    if (productId) {
-      query.product = productId;
+// Add a roll to a product. New rolls are received into stock; rolls that
+// are already counted in stock (e.g. when first breaking stock into rolls)
+// are only registered against the stock that is not on a roll yet.
+router.post('/products/:id/rolls', validateRequest({
+  length: [(value) => {
+    const num = Number(value);
+    if (value === undefined || value === '' || isNaN(num) || num <= 0) {
+      return 'Roll length must be greater than 0';
     }
+    return null;
+  }],
+  unitCost: [(value) => (value !== undefined && value !== '' ? validateNumeric(value, 'Unit cost') : null)],
+  receivedAt: [(value) => (value && isNaN(new Date(value).getTime()) ? 'Invalid received date' : null)]
+}), async (req, res) => {
+  try {
+    const length = Number(req.body.length);
+    const fromExistingStock = req.body.fromExistingStock === true || req.body.fromExistingStock === 'true';
+    const { unitCost, dyeLot, receivedAt } = req.body;
 
-    if (dateFrom || dateTo) {
-      query.date = {};
-      if (dateFrom) query.date.$gte = new Date(dateFrom);
-      if (dateTo) {
-        // Set dateTo to end of day (23:59:59.999) to include all entries from that day
-        const endOfDay = new Date(dateTo);
-        endOfDay.setHours(23, 59, 59, 999);
-        query.date.$lte = endOfDay;
+    const product = await mongoose.connection.transaction(async (session) => {
+      const current = await Product.findById(req.params.id).session(session);
+      if (!current) {
+        throw new HttpError(404, 'Product not found');
       }
-    }
 
-    const stockHistory = await StockHistory.find(query)
-      .populate('product', 'name category')
-      .populate('performedBy', 'name')
-      .populate('sale', 'saleNumber customerName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+      const takenIds = new Set(current.rolls.map(roll => roll.rollId.toLowerCase()));
+      let rollId = req.body.rollId ? String(req.body.rollId).trim() : '';
+      if (rollId && takenIds.has(rollId.toLowerCase())) {
+        throw new HttpError(409, `Roll ${rollId} already exists on ${current.name}`);
+      }
+      for (let next = current.rolls.length + 1; !rollId; next++) {
+        const candidate = `R${String(next).padStart(3, '0')}`;
+        if (!takenIds.has(candidate.toLowerCase())) rollId = candidate;
+      }
 
-    const total = await StockHistory.countDocuments(query);
+      const roll = {
+        _id: new mongoose.Types.ObjectId(),
+        rollId,
+        startingLength: length,
+        remainingLength: length,
+        dyeLot: dyeLot ? String(dyeLot).trim() : undefined,
+        receivedAt: receivedAt ? new Date(receivedAt) : new Date()
+      };
 
-    res.json({
-      stockHistory,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        itemsPerPage: parseInt(limit)
+      if (fromExistingStock) {
+        if (current.looseStock < length) {
+          throw new HttpError(400, `Only ${current.looseStock} ${current.unit} of ${current.name} is not on a roll yet`);
+        }
+      } else {
+        await receiveStock({
+          productId: current._id,
+          quantity: length,
+          unitCost: unitCost !== undefined && unitCost !== '' ? Number(unitCost) : current.averageCost,
+          session,
+          history: {
+            action: 'added',
+            performedBy: req.user._id,
+            roll: roll._id,
+            rollId,
+            notes: `Roll ${rollId} received`
+          }
+        });
       }
+
+      return Product.findByIdAndUpdate(current._id, { $push: { rolls: roll } }, { session, new: true });
+    });
+
+    res.status(201).json({
+      message: 'Roll added successfully',
+      product
     });
   } catch (error) {
-    console.error('Stock history error:', error);
+    if (sendHttpError(res, error)) return;
+    console.error('Add roll error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get sales report
-router.get('/sales-report', async (req, res) => {
+// Upload photos of a product. Each is stored with a thumbnail.
+router.post('/products/:id/images', receiveImages, async (req, res) => {
   try {
-    const { dateFrom, dateTo, staffId } = req.query;
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one image to upload' });
+    }
 
-    let query = { status: 'completed' };
+    const product = await Product.findById(req.params.id);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({ message: `A product can have at most ${MAX_PRODUCT_IMAGES} photos` });
+    }
 
-    if (dateFrom || dateTo) {
-      query.saleDate = {};
-      if (dateFrom) query.saleDate.$gte = new Date(dateFrom);
-      if (dateTo) {
-        // Set dateTo to end of day (23:59:59.999) to include all sales from that day
-        const endOfDay = new Date(dateTo);
-        endOfDay.setHours(23, 59, 59, 999);
-        query.saleDate.$lte = endOfDay;
-      }
+    const images = [];
+    for (const file of files) {
+      images.push(await saveProductImage(product._id, file));
     }
 
-    if (staffId) {
-      // Validate that the staffId is a valid ObjectId and belongs to an active staff member
-      const staffMember = await User.findOne({
-        _id: staffId,
-        role: 'staff',
-        isActive: true
-      });
-      if (staffMember) {
-        query.soldBy = staffId;
-      } else {
-        // If staff member not found, return empty results
-        return res.json({
-          sales: [],
-          summary: {
-            totalSales: 0,
-            totalTransactions: 0,
-            averageSale: 0
-          }
-        });
-      }
+    const updatedProduct = await Product.findByIdAndUpdate(
+      product._id,
+      { $push: { images: { $each: images } } },
+      { new: true }
+    ).populate('addedBy', 'name');
+
+    res.status(201).json({
+      message: 'Photos uploaded successfully',
+      product: updatedProduct
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Upload product images error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Make a photo the product's cover by moving it to the front
+router.put('/products/:id/images/:imageId/cover', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
     }
 
-    const sales = await Sale.find(query)
-      .populate('soldBy', 'name')
-      .populate('items.product', 'name category')
-      .sort({ saleDate: -1 });
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
 
-    const totalSales = sales.reduce((sum, sale) => sum + sale.finalAmount, 0);
-    const totalTransactions = sales.length;
+    product.images = [image, ...product.images.filter(other => !other._id.equals(image._id))];
+    await product.save();
 
     res.json({
-      sales,
-      summary: {
-        totalSales,
-        totalTransactions,
-        averageSale: totalTransactions > 0 ? totalSales / totalTransactions : 0
-      }
+      message: 'Cover photo updated',
+      product: await product.populate('addedBy', 'name')
     });
   } catch (error) {
-    console.error('Sales report error:', error);
+    console.error('Set cover image error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all staff/users
-router.get('/users', async (req, res) => {
+// Delete a product photo and its thumbnail
+router.delete('/products/:id/images/:imageId', async (req, res) => {
   try {
-    const users = await User.find({})
-      .select('email name role isActive createdAt updatedAt')
-      .sort({ createdAt: -1 });
-    res.json(users);
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const image = product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    product.images.pull(image._id);
+    await product.save();
+
+    // The product no longer points at the files, so a failed delete only leaves an orphan
+    try {
+      await removeProductImage(image);
+    } catch (error) {
+      console.error('Remove product image files error:', error);
+    }
+
+    res.json({
+      message: 'Photo deleted successfully',
+      product: await product.populate('addedBy', 'name')
+    });
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete product (soft delete)
+router.delete('/products/:id', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    // Deleted products are archived, never removed, so their sales and
+    // stock history keep pointing at something
+    product.isActive = false;
+    product.archivedAt = new Date();
+    await product.save();
+
+    res.json({ message: 'Product deleted successfully' });
+  } catch (error) {
+    console.error('Delete product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get deleted products, most recently archived first
+router.get('/products/archived', async (req, res) => {
+  try {
+    const products = await Product.find({ isActive: false })
+      .select('name sku category unit currentStock pricePerUnit group variant archivedAt mergedInto updatedAt')
+      .populate('group', 'name isActive')
+      .populate('mergedInto', 'name')
+      .sort({ archivedAt: -1, updatedAt: -1 });
+
+    res.json(products);
+  } catch (error) {
+    console.error('Get archived products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bring an archived product back. It can't take a name an active product
+// already uses; pass a new `name` to restore it under that name instead.
+router.post('/products/:id/restore', validateRequest({
+  name: [(value) => (value ? validateMinLength(String(value).trim(), 2, 'Product name') : null)]
+}), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product || product.isActive) {
+      return res.status(404).json({ message: 'Archived product not found' });
+    }
+    if (product.mergedInto) {
+      return res.status(400).json({ message: 'This product was merged into another product and cannot be restored' });
+    }
+
+    let conflict;
+    if (product.group) {
+      const group = await ProductGroup.findById(product.group);
+      if (!group || !group.isActive) {
+        return res.status(400).json({ message: 'This variant\'s product group was deleted, so it cannot be restored' });
+      }
+      // The group may have changed while the variant was archived
+      Object.assign(product, sharedFields(group, product.variant, product.priceOverride));
+      conflict = await findVariantConflict(group._id, product.variant, product._id);
+    } else {
+      if (req.body.name) {
+        product.name = String(req.body.name).trim();
+      }
+      if (!(await findActiveCategory(product.category))) {
+        return res.status(400).json({ message: 'This product\'s category was deleted. Add the category again first.' });
+      }
+      conflict = await findActiveNameConflict(product.name, product._id);
+    }
+
+    if (conflict) {
+      return res.status(400).json({
+        message: `An active product is already called ${conflict.name}. Restore under another name, or merge into it.`,
+        conflict: { _id: conflict._id, name: conflict.name }
+      });
+    }
+
+    // SKUs are unique across archived products too, and one may have been
+    // given to another product while this one was archived
+    const skuConflict = product.sku && await findSkuConflict(product.sku, product._id);
+    if (skuConflict) {
+      return res.status(409).json({
+        message: `SKU ${product.sku} is now used by ${skuConflict.name}. Change that product's SKU first, or merge into it.`,
+        conflict: { _id: skuConflict._id, name: skuConflict.name }
+      });
+    }
+
+    product.isActive = true;
+    product.archivedAt = undefined;
+    await product.save();
+
+    res.json({
+      message: 'Product restored successfully',
+      product
+    });
+  } catch (error) {
+    console.error('Restore product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge an archived product into an active one: its stock history, sales,
+// returns, quotations, purchase orders and stocktake counts are moved over,
+// typically after the product was deleted and then added again. Stock and
+// rolls left on the archived product move over too.
+router.post('/products/:id/merge', validateRequest({
+  targetId: [validateRequired]
+}), async (req, res) => {
+  try {
+    const { targetId } = req.body;
+
+    const { target, moved } = await mongoose.connection.transaction(async (session) => {
+      const source = await Product.findById(req.params.id).session(session);
+      if (!source || source.isActive) {
+        throw new HttpError(404, 'Archived product not found');
+      }
+      if (source.mergedInto) {
+        throw new HttpError(400, 'This product was already merged into another product');
+      }
+
+      const target = mongoose.isValidObjectId(targetId) && await Product.findById(targetId).session(session);
+      if (!target || !target.isActive) {
+        throw new HttpError(400, 'Choose an active product to merge into');
+      }
+      // Quantities in its history would otherwise read in the wrong unit
+      if (source.unit !== target.unit) {
+        throw new HttpError(400, `Cannot merge a product sold in ${source.unit} into one sold in ${target.unit}`);
+      }
+
+      const moved = await mergeProductHistory(source, target, req.user._id, session);
+      return { target, moved };
+    });
+
+    res.json({
+      message: `Merged into ${target.name}: ${moved.stockHistory} stock history entries, ${moved.sales} sales, ${moved.layaways} open layaways, ${moved.returns} returns, ${moved.quotations} quotations, ${moved.purchaseOrders} purchase orders and ${moved.stocktakes} stocktakes moved, and ${moved.stockMoved} ${target.unit} of stock`,
+      moved
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Merge product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Printable A4 sheet of barcode or QR labels. Each item is a product, or
+// one of its rolls, printed `copies` times.
+router.post('/labels', validateRequest({
+  items: [(value) => (Array.isArray(value) && value.length > 0 ? null : 'Choose at least one product to label')],
+  format: [(value) => (value && !LABEL_FORMATS.includes(value) ? 'Invalid label format' : null)]
+}), async (req, res) => {
+  try {
+    const labels = [];
+
+    for (const item of req.body.items) {
+      const product = mongoose.isValidObjectId(item.productId) && await Product.findById(item.productId);
+      if (!product || !product.isActive) {
+        throw new HttpError(400, `Product not found: ${item.productId}`);
+      }
+
+      // Products added before SKUs existed get one the first time they are labelled
+      if (!product.sku) {
+        product.sku = await generateSku();
+        await product.save();
+      }
+
+      const roll = item.rollId ? product.rolls.id(item.rollId) : null;
+      if (item.rollId && !roll) {
+        throw new HttpError(400, `Roll not found on ${product.name}`);
+      }
+
+      const label = {
+        name: product.name,
+        detail: roll
+          ? `Roll ${roll.rollId} · ${roll.remainingLength} ${product.unit}${roll.dyeLot ? ` · lot ${roll.dyeLot}` : ''}`
+          : product.sku,
+        price: `₦${product.pricePerUnit.toLocaleString()} / ${product.unit.slice(0, -1)}`,
+        code: roll ? rollBarcode(product, roll) : product.sku
+      };
+
+      const copies = Math.min(Math.max(parseInt(item.copies, 10) || 1, 1), 100);
+      for (let copy = 0; copy < copies; copy++) {
+        labels.push(label);
+      }
+    }
+
+    const doc = createLabelSheet(labels, req.body.format || 'code128');
+    sendPdf(res, doc, 'labels.pdf');
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Generate labels error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all product groups
+router.get('/product-groups', async (req, res) => {
+  try {
+    const groups = await ProductGroup.find({ isActive: true }).sort({ name: 1 });
+    res.json(groups);
+  } catch (error) {
+    console.error('Get product groups error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a product group. Its colours/patterns are added as variants below.
+router.post('/product-groups', validateRequest({
+  name: [validateRequired, (value) => validateMinLength(value, 2, 'Group name')],
+  category: [validateRequired],
+  unit: [(value) => {
+    if (value && !['yards', 'meters', 'pieces'].includes(value)) {
+      return 'Invalid unit';
+    }
+    return null;
+  }],
+  pricePerUnit: [validateRequired, validateNumeric]
+}), async (req, res) => {
+  try {
+    const { category, description, pricePerUnit } = req.body;
+    const name = String(req.body.name).trim();
+
+    const categoryDoc = await findActiveCategory(category);
+    if (!categoryDoc) {
+      return res.status(400).json({ errors: { category: 'Invalid category' } });
+    }
+    const unit = req.body.unit || categoryDoc.defaultUnit;
+
+    if (await findGroupConflict(name)) {
+      return res.status(400).json({ message: 'Product group with this name already exists' });
+    }
+
+    const group = new ProductGroup({
+      name,
+      category,
+      description,
+      unit,
+      pricePerUnit,
+      addedBy: req.user._id
+    });
+
+    await group.save();
+
+    res.status(201).json({
+      message: 'Product group added successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Add product group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a group's shared details and copy them onto its variants
+router.put('/product-groups/:id', async (req, res) => {
+  try {
+    const updates = {};
+    ['name', 'category', 'description', 'unit', 'pricePerUnit'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (updates.name !== undefined && String(updates.name).trim().length < 2) {
+      return res.status(400).json({ message: 'Group name must be at least 2 characters' });
+    }
+    if (updates.name !== undefined && await findGroupConflict(String(updates.name).trim(), req.params.id)) {
+      return res.status(400).json({ message: 'Product group with this name already exists' });
+    }
+    if (updates.category && !(await findActiveCategory(updates.category))) {
+      return res.status(400).json({ message: 'Invalid category' });
+    }
+    if (updates.unit && !['yards', 'meters', 'pieces'].includes(updates.unit)) {
+      return res.status(400).json({ message: 'Invalid unit' });
+    }
+    if (updates.pricePerUnit !== undefined && (isNaN(Number(updates.pricePerUnit)) || Number(updates.pricePerUnit) < 0)) {
+      return res.status(400).json({ message: 'Price per unit must be non-negative' });
+    }
+
+    const group = await mongoose.connection.transaction(async (session) => {
+      const current = await ProductGroup.findById(req.params.id).session(session);
+      if (!current) {
+        throw new HttpError(404, 'Product group not found');
+      }
+
+      current.set(updates);
+      await current.save({ session });
+      await syncVariants(current, session);
+      return current;
+    });
+
+    res.json({
+      message: 'Product group updated successfully',
+      group
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Update product group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a colour/pattern to a group with its opening stock
+router.post('/product-groups/:id/variants', validateRequest({
+  variant: [validateRequired],
+  totalStock: [validateRequired, (value) => {
+    const num = Number(value);
+    if (isNaN(num) || num <= 0) {
+      return 'Total stock must be greater than 0';
+    }
+    return null;
+  }],
+  priceOverride: [(value) => (value !== undefined && value !== null && value !== '' ? validateNumeric(value, 'Price override') : null)],
+  costPrice: [(value) => (value !== undefined && value !== '' ? validateNumeric(value, 'Cost price') : null)],
+  sku: [validateSku],
+  minStockLevel: [(value) => {
+    if (value !== undefined) {
+      const num = Number(value);
+      if (isNaN(num) || num < 0) {
+        return 'Minimum stock level must be non-negative';
+      }
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const { totalStock, costPrice, sku } = req.body;
+    const variant = String(req.body.variant).trim();
+    const priceOverride = req.body.priceOverride !== undefined && req.body.priceOverride !== null && req.body.priceOverride !== ''
+      ? Number(req.body.priceOverride)
+      : null;
+
+    const group = await ProductGroup.findById(req.params.id);
+    if (!group || !group.isActive) {
+      return res.status(404).json({ message: 'Product group not found' });
+    }
+
+    // New variants reorder at the category's level unless told otherwise
+    const categoryDoc = await findActiveCategory(group.category);
+    if (!categoryDoc) {
+      return res.status(400).json({ message: 'This group\'s category was deleted. Add the category again first.' });
+    }
+    const minStockLevel = req.body.minStockLevel ?? categoryDoc.defaultMinStockLevel;
+
+    if (await findVariantConflict(group._id, variant)) {
+      return res.status(400).json({ message: `Variant ${variant} already exists in ${group.name}` });
+    }
+    if (sku && await findSkuConflict(sku)) {
+      return res.status(400).json({ errors: { sku: 'Another product already uses this SKU' } });
+    }
+
+    const product = await createProductWithStock({
+      ...sharedFields(group, variant, priceOverride),
+      group: group._id,
+      variant,
+      priceOverride,
+      sku,
+      totalStock,
+      averageCost: costPrice !== undefined && costPrice !== '' ? Number(costPrice) : 0,
+      minStockLevel
+    }, req.user._id);
+
+    res.status(201).json({
+      message: 'Variant added successfully',
+      product
+    });
+  } catch (error) {
+    console.error('Add variant error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a product group and its variants (soft delete)
+router.delete('/product-groups/:id', async (req, res) => {
+  try {
+    const group = await ProductGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Product group not found' });
+    }
+
+    group.isActive = false;
+    await group.save();
+    await Product.updateMany({ group: group._id, isActive: true }, { isActive: false, archivedAt: new Date() });
+
+    res.json({ message: 'Product group deleted successfully' });
+  } catch (error) {
+    console.error('Delete product group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get stock history
+router.get('/stock-history', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, productId, action, reason, dateFrom, dateTo } = req.query;
+
+    let query = {};
+
+    if (productId) {
+      query.product = productId;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (reason) {
+      query.reason = reason;
+    }
+
+    if (dateFrom || dateTo) {
+      query.date = {};
+      if (dateFrom) query.date.$gte = new Date(dateFrom);
+      if (dateTo) {
+        // Set dateTo to end of day (23:59:59.999) to include all entries from that day
+        const endOfDay = new Date(dateTo);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.date.$lte = endOfDay;
+      }
+    }
+
+    const stockHistory = await StockHistory.find(query)
+      .populate('product', 'name category')
+      .populate('performedBy', 'name')
+      .populate('sale', 'saleNumber customerName')
+      .populate('purchaseOrder', 'poNumber supplierName')
+      .populate('stocktake', 'stocktakeNumber')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await StockHistory.countDocuments(query);
+
+    res.json({
+      stockHistory,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Stock history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get sales report
+router.get('/sales-report', async (req, res) => {
+  try {
+    const { dateFrom, dateTo, staffId } = req.query;
+
+    // Voided sales stay in the list but are totalled separately below.
+    // Expired and cancelled layaways were never sold, so they are left out.
+    let query = {
+      status: { $in: ['completed', 'cancelled'] },
+      'layaway.expiredAt': { $exists: false },
+      'layaway.cancelledAt': { $exists: false }
+    };
+
+    if (dateFrom || dateTo) {
+      query.saleDate = {};
+      if (dateFrom) query.saleDate.$gte = new Date(dateFrom);
+      if (dateTo) {
+        // Set dateTo to end of day (23:59:59.999) to include all sales from that day
+        const endOfDay = new Date(dateTo);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.saleDate.$lte = endOfDay;
+      }
+    }
+
+    if (staffId) {
+      // Validate that the staffId is a valid ObjectId and belongs to an active staff member
+      const staffMember = await User.findOne({
+        _id: staffId,
+        role: 'staff',
+        isActive: true
+      });
+      if (staffMember) {
+        query.soldBy = staffId;
+      } else {
+        // If staff member not found, return empty results
+        return res.json({
+          sales: [],
+          summary: {
+            totalSales: 0,
+            totalTransactions: 0,
+            averageSale: 0,
+            paymentTotals: {},
+            voidedSales: 0,
+            voidedTransactions: 0,
+            totalRefunds: 0,
+            totalReturns: 0,
+            netRevenue: 0,
+            costOfGoods: 0,
+            grossProfit: 0,
+            marginPercent: 0,
+            totalDiscounts: 0,
+            discountedTransactions: 0,
+            approvedDiscounts: 0
+          },
+          discountAudit: []
+        });
+      }
+    }
+
+    const sales = await Sale.find(query)
+      .populate('soldBy', 'name')
+      .populate('voidedBy', 'name')
+      .populate('discountApproval.approvedBy', 'name')
+      .populate('items.product', 'name category')
+      .sort({ saleDate: -1 });
+
+    // Refunds are reported for returns processed in the same period
+    const returnQuery = {};
+    if (query.saleDate) returnQuery.returnDate = query.saleDate;
+    if (query.soldBy) returnQuery.processedBy = query.soldBy;
+    const returns = await Return.find(returnQuery);
+
+    const completedSales = sales.filter(sale => sale.status === 'completed');
+    const voidedSales = sales.filter(sale => sale.status === 'cancelled');
+
+    const totalSales = completedSales.reduce((sum, sale) => sum + sale.finalAmount, 0);
+    const totalTransactions = completedSales.length;
+
+    const allPayments = completedSales.flatMap(sale => sale.payments);
+    const paymentTotals = PAYMENT_METHODS.reduce((totals, method) => ({
+      ...totals,
+      [method]: sumPayments(allPayments, method)
+    }), {});
+
+    // Margins are net of returns, so they use each line's kept quantity
+    const margins = summarizeMargins(completedSales);
+
+    // Every discounted sale, voided ones included, with who approved it when
+    // it was above the seller's limit
+    const discountAudit = sales
+      .filter(sale => sale.discount > 0)
+      .map(sale => ({
+        saleId: sale._id,
+        saleNumber: sale.saleNumber,
+        saleDate: sale.saleDate,
+        status: sale.status,
+        soldBy: sale.soldBy?.name,
+        customerName: sale.customerName,
+        totalAmount: sale.totalAmount,
+        discount: sale.discount,
+        discountPercent: sale.totalAmount > 0
+          ? Math.round((sale.discount / sale.totalAmount) * 1000) / 10
+          : 0,
+        reason: sale.discountReason,
+        approvedBy: sale.discountApproval?.approvedBy?.name,
+        approvalMethod: sale.discountApproval?.method,
+        maxDiscount: sale.discountApproval?.maxDiscount
+      }));
+    const completedDiscounts = discountAudit.filter(entry => entry.status === 'completed');
+
+    res.json({
+      sales: sales.map(sale => ({
+        ...sale.toObject(),
+        margin: sale.status === 'completed' ? computeSaleMargin(sale) : null
+      })),
+      summary: {
+        totalSales,
+        totalTransactions,
+        averageSale: totalTransactions > 0 ? totalSales / totalTransactions : 0,
+        paymentTotals,
+        voidedSales: voidedSales.reduce((sum, sale) => sum + sale.finalAmount, 0),
+        voidedTransactions: voidedSales.length,
+        totalRefunds: returns.reduce((sum, saleReturn) => sum + saleReturn.refundAmount, 0),
+        totalReturns: returns.length,
+        netRevenue: margins.revenue,
+        costOfGoods: margins.cost,
+        grossProfit: margins.grossProfit,
+        marginPercent: margins.marginPercent,
+        totalDiscounts: completedDiscounts.reduce((sum, entry) => sum + entry.discount, 0),
+        discountedTransactions: completedDiscounts.length,
+        approvedDiscounts: completedDiscounts.filter(entry => entry.approvedBy).length
+      },
+      discountAudit
+    });
+  } catch (error) {
+    console.error('Sales report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Gross profit per product over a period, net of returns
+router.get('/product-profitability', async (req, res) => {
+  try {
+    const { dateFrom, dateTo } = req.query;
+
+    const query = { status: 'completed' };
+    if (dateFrom || dateTo) {
+      query.saleDate = {};
+      if (dateFrom) query.saleDate.$gte = new Date(dateFrom);
+      if (dateTo) {
+        const endOfDay = new Date(dateTo);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.saleDate.$lte = endOfDay;
+      }
+    }
+
+    const sales = await Sale.find(query);
+
+    const byProduct = new Map();
+    for (const sale of sales) {
+      for (const item of sale.items) {
+        const key = item.product.toString();
+        const entry = byProduct.get(key) || {
+          product: item.product,
+          productName: item.productName,
+          unit: item.unit,
+          quantitySold: 0,
+          revenue: 0,
+          cost: 0
+        };
+        const margin = computeItemMargin(sale, item);
+        entry.quantitySold += margin.quantity;
+        entry.revenue += margin.revenue;
+        entry.cost += margin.cost;
+        byProduct.set(key, entry);
+      }
+    }
+
+    const products = await Product.find({ _id: { $in: [...byProduct.keys()] } })
+      .select('name category pricePerUnit averageCost');
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const rows = [...byProduct.entries()].map(([key, entry]) => {
+      const product = productsById.get(key);
+      return withMarginPercent({
+        ...entry,
+        quantitySold: Math.round(entry.quantitySold * 100) / 100,
+        productName: product?.name || entry.productName,
+        category: product?.category,
+        pricePerUnit: product?.pricePerUnit,
+        averageCost: product?.averageCost
+      });
+    }).sort((a, b) => b.grossProfit - a.grossProfit);
+
+    res.json({
+      products: rows,
+      summary: withMarginPercent(rows.reduce((sum, row) => ({
+        revenue: sum.revenue + row.revenue,
+        cost: sum.cost + row.cost
+      }), { revenue: 0, cost: 0 }))
+    });
+  } catch (error) {
+    console.error('Product profitability error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Tax charged over a period, per rate, net of returns. Rates are grouped as
+// they were when each sale was made, so a rate edited mid-period shows twice.
+router.get('/tax-report', async (req, res) => {
+  try {
+    const { dateFrom, dateTo } = req.query;
+
+    const query = { status: 'completed' };
+    if (dateFrom || dateTo) {
+      query.saleDate = {};
+      if (dateFrom) query.saleDate.$gte = new Date(dateFrom);
+      if (dateTo) {
+        const endOfDay = new Date(dateTo);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.saleDate.$lte = endOfDay;
+      }
+    }
+
+    const sales = await Sale.find(query);
+
+    const byRate = new Map();
+    let untaxedSales = 0;
+    for (const sale of sales) {
+      for (const item of sale.items) {
+        const quantity = item.quantity - (item.returnedQuantity || 0);
+        const amounts = saleLineAmounts(sale, item, quantity);
+
+        if (!item.tax) {
+          untaxedSales += amounts.paid;
+          continue;
+        }
+
+        const key = `${item.tax}|${item.taxRate}|${item.taxInclusive}`;
+        const entry = byRate.get(key) || {
+          tax: item.tax,
+          name: item.taxName,
+          rate: item.taxRate,
+          inclusive: item.taxInclusive,
+          sales: new Set(),
+          taxableAmount: 0,
+          taxAmount: 0
+        };
+        entry.sales.add(sale._id.toString());
+        entry.taxableAmount += amounts.net;
+        entry.taxAmount += amounts.tax;
+        byRate.set(key, entry);
+      }
+    }
+
+    const rates = [...byRate.values()].map(({ sales: rateSales, ...entry }) => ({
+      ...entry,
+      label: formatTaxLabel(entry),
+      transactions: rateSales.size,
+      taxableAmount: roundMoney(entry.taxableAmount),
+      taxAmount: roundMoney(entry.taxAmount)
+    })).sort((a, b) => b.taxAmount - a.taxAmount);
+
+    res.json({
+      rates,
+      summary: {
+        transactions: sales.length,
+        taxableAmount: roundMoney(rates.reduce((sum, rate) => sum + rate.taxableAmount, 0)),
+        taxAmount: roundMoney(rates.reduce((sum, rate) => sum + rate.taxAmount, 0)),
+        untaxedSales: roundMoney(untaxedSales)
+      }
+    });
+  } catch (error) {
+    console.error('Tax report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const LAYAWAY_STATUS_QUERIES = {
+  open: { status: 'pending' },
+  collected: { status: 'completed', 'layaway.collectedAt': { $exists: true } },
+  expired: { 'layaway.expiredAt': { $exists: true } },
+  cancelled: { 'layaway.cancelledAt': { $exists: true } }
+};
+
+// Layaways by state, open reservations by default, with what they hold
+// and what is still owed on them
+router.get('/layaways', async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+    const statusQuery = LAYAWAY_STATUS_QUERIES[status];
+    if (!statusQuery) {
+      return res.status(400).json({ message: `Status must be one of: ${Object.keys(LAYAWAY_STATUS_QUERIES).join(', ')}` });
+    }
+
+    // Anything past its date goes back on the shelf before it is listed
+    await expireLayaways();
+
+    const sales = await Sale.find({ layaway: { $exists: true }, ...statusQuery })
+      .populate('soldBy', 'name')
+      .populate('layaway.collectedBy', 'name')
+      .populate('layaway.cancelledBy', 'name')
+      .sort(status === 'open' ? { 'layaway.expiresAt': 1 } : { updatedAt: -1 })
+      .limit(200);
+
+    const layaways = sales.map(sale => ({
+      ...sale.toObject(),
+      amountPaid: getAmountPaid(sale),
+      balanceDue: getBalanceDue(sale)
+    }));
+
+    res.json({
+      layaways,
+      summary: {
+        count: layaways.length,
+        totalValue: roundMoney(layaways.reduce((sum, layaway) => sum + layaway.finalAmount, 0)),
+        amountPaid: roundMoney(layaways.reduce((sum, layaway) => sum + layaway.amountPaid, 0)),
+        balanceDue: roundMoney(layaways.reduce((sum, layaway) => sum + layaway.balanceDue, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Get layaways error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Void a completed sale and put its items back in stock
+router.post('/sales/:id/void', validateRequest({
+  reason: [validateRequired, (value) => validateMinLength(String(value).trim(), 3, 'Reason')]
+}), async (req, res) => {
+  try {
+    const reason = String(req.body.reason).trim();
+
+    const sale = await mongoose.connection.transaction(async (session) => {
+      // Only flip completed sales, so a sale can never be voided (and restocked) twice
+      const voidedSale = await Sale.findOneAndUpdate(
+        { _id: req.params.id, status: 'completed' },
+        {
+          $set: {
+            status: 'cancelled',
+            voidedBy: req.user._id,
+            voidedAt: new Date(),
+            voidReason: reason
+          }
+        },
+        { session, new: true }
+      );
+
+      if (!voidedSale) {
+        const existingSale = await Sale.findById(req.params.id).session(session);
+        if (!existingSale) {
+          throw new HttpError(404, 'Sale not found');
+        }
+        throw new HttpError(400, `Sale ${existingSale.saleNumber} is ${existingSale.status} and cannot be voided`);
+      }
+
+      // Returns refunded to the account or to store credit have already
+      // handed that part back, so only the rest is returned here
+      const returns = await Return.find({ sale: voidedSale._id }).session(session);
+      const creditAmount = refundableAmount(voidedSale.payments, returns, 'credit');
+      const storeCreditAmount = refundableAmount(voidedSale.payments, returns, 'store_credit');
+
+      if (storeCreditAmount > 0 && voidedSale.customer) {
+        await Customer.updateOne(
+          { _id: voidedSale.customer },
+          { $inc: { storeCreditBalance: storeCreditAmount } },
+          { session }
+        );
+      }
+
+      if (creditAmount > 0 && voidedSale.customer) {
+        await recordCreditEntry({
+          customerId: voidedSale.customer,
+          type: 'void',
+          amount: creditAmount,
+          session,
+          sale: voidedSale._id,
+          saleNumber: voidedSale.saleNumber,
+          recordedBy: req.user._id,
+          notes: `Sale voided: ${reason}`
+        });
+      }
+
+      for (const item of voidedSale.items) {
+        // Anything already returned went back on the shelf at the time
+        const quantity = item.quantity - item.returnedQuantity;
+        if (quantity <= 0) continue;
+
+        await addStock({
+          productId: item.product,
+          quantity,
+          roll: item.roll,
+          session,
+          history: {
+            action: 'voided',
+            performedBy: req.user._id,
+            sale: voidedSale._id,
+            notes: `Sale ${voidedSale.saleNumber} voided: ${reason}`
+          }
+        });
+      }
+
+      return voidedSale;
+    });
+
+    const populatedSale = await Sale.findById(sale._id)
+      .populate('soldBy', 'name')
+      .populate('voidedBy', 'name')
+      .populate('items.product', 'name category');
+
+    res.json({
+      message: 'Sale voided successfully',
+      sale: populatedSale
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Void sale error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List remote discount approval requests, pending first by default
+router.get('/discount-requests', async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const requests = await DiscountRequest.find(query)
+      .populate('requestedBy', 'name')
+      .populate('decidedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Get discount requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a pending discount request
+const decideDiscountRequest = (status) => async (req, res) => {
+  try {
+    const request = await DiscountRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status, decidedBy: req.user._id, decidedAt: new Date() } },
+      { new: true }
+    )
+      .populate('requestedBy', 'name')
+      .populate('decidedBy', 'name');
+
+    if (!request) {
+      const existing = await DiscountRequest.findById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: 'Approval request not found' });
+      }
+      return res.status(400).json({ message: `This request is already ${existing.status}` });
+    }
+
+    res.json({
+      message: `Discount ${status}`,
+      request
+    });
+  } catch (error) {
+    console.error('Decide discount request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.post('/discount-requests/:id/approve', decideDiscountRequest('approved'));
+router.post('/discount-requests/:id/reject', decideDiscountRequest('rejected'));
+
+// Wrong approval PINs entered on tills, newest first, including attempts
+// turned away while a PIN was locked
+router.get('/pin-attempts', async (req, res) => {
+  try {
+    const attempts = await PinAttempt.find({})
+      .populate('approver', 'name')
+      .populate('attemptedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(attempts);
+  } catch (error) {
+    console.error('Get PIN attempts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the receivables aging report for customers who owe on credit sales
+router.get('/receivables/aging', async (req, res) => {
+  try {
+    const asOf = new Date();
+    const customers = await Customer.find({ creditBalance: { $gt: 0 } }).sort({ name: 1 });
+
+    const transactions = await CreditTransaction.find({
+      customer: { $in: customers.map(customer => customer._id) }
+    }).sort({ date: 1 });
+
+    const customerRows = customers.map(customer => {
+      const aging = computeAging(
+        transactions.filter(transaction => transaction.customer.toString() === customer._id.toString()),
+        asOf
+      );
+
+      return {
+        customer: {
+          _id: customer._id,
+          name: customer.name,
+          phone: customer.phone
+        },
+        balance: customer.creditBalance,
+        ...aging
+      };
+    });
+
+    const totals = customerRows.reduce((result, row) => {
+      Object.keys(row.buckets).forEach(key => {
+        result.buckets[key] = (result.buckets[key] || 0) + row.buckets[key];
+      });
+      result.total += row.total;
+      return result;
+    }, { buckets: {}, total: 0 });
+
+    res.json({
+      asOf,
+      customers: customerRows.sort((a, b) => b.total - a.total),
+      totals
+    });
+  } catch (error) {
+    console.error('Receivables aging error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List cashier shifts, newest first. Open shifts carry running totals.
+router.get('/shifts', async (req, res) => {
+  try {
+    const { dateFrom, dateTo, staffId, status } = req.query;
+
+    const query = {};
+    if (dateFrom || dateTo) {
+      query.openedAt = {};
+      if (dateFrom) query.openedAt.$gte = new Date(dateFrom);
+      if (dateTo) {
+        const endOfDay = new Date(dateTo);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.openedAt.$lte = endOfDay;
+      }
+    }
+    if (staffId) query.openedBy = staffId;
+    if (status) query.status = status;
+
+    const shifts = await Shift.find(query)
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name')
+      .sort({ openedAt: -1 })
+      .limit(100);
+
+    const results = await Promise.all(shifts.map(async (shift) => {
+      if (shift.status === 'closed') {
+        return shift.toObject();
+      }
+      const { totals, expectedCash } = await computeShiftTotals(shift);
+      return { ...shift.toObject(), totals, expectedCash };
+    }));
+
+    res.json(results);
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one shift with the sales and returns taken during it
+router.get('/shifts/:id', async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id)
+      .populate('openedBy', 'name')
+      .populate('closedBy', 'name');
+
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+
+    const [sales, returns] = await Promise.all([
+      Sale.find({ shift: shift._id }).sort({ saleDate: 1 }),
+      Return.find({ shift: shift._id }).sort({ returnDate: 1 })
+    ]);
+
+    let shiftData = shift.toObject();
+    if (shift.status === 'open') {
+      const { totals, expectedCash } = await computeShiftTotals(shift);
+      shiftData = { ...shiftData, totals, expectedCash };
+    }
+
+    res.json({ shift: shiftData, sales, returns });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List stocktakes, newest first
+router.get('/stocktakes', async (req, res) => {
+  try {
+    const stocktakes = await Stocktake.find()
+      .select('-counts')
+      .populate('openedBy', 'name')
+      .populate('approvedBy', 'name')
+      .sort({ openedAt: -1 })
+      .limit(50);
+
+    res.json(stocktakes);
+  } catch (error) {
+    console.error('Get stocktakes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a stocktake so staff can start entering counts
+router.post('/stocktakes', async (req, res) => {
+  try {
+    const existingStocktake = await findOpenStocktake();
+    if (existingStocktake) {
+      return res.status(409).json({ message: 'A stocktake is already open', stocktake: existingStocktake });
+    }
+
+    const stocktakeNumber = await generateDocumentNumber(Stocktake, 'stocktakeNumber', 'ST');
+    if (!stocktakeNumber) {
+      return res.status(500).json({ message: 'Could not generate unique stocktake number' });
+    }
+
+    const stocktake = await Stocktake.create({
+      stocktakeNumber,
+      openedBy: req.user._id,
+      notes: req.body.notes ? String(req.body.notes).trim() : undefined
+    });
+
+    res.status(201).json({
+      message: 'Stocktake opened successfully',
+      stocktake
+    });
+  } catch (error) {
+    // The partial unique index catches two opens racing each other
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A stocktake is already open' });
+    }
+    console.error('Open stocktake error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a stocktake with its variance report
+router.get('/stocktakes/:id', async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findById(req.params.id)
+      .populate('openedBy', 'name')
+      .populate('approvedBy', 'name')
+      .populate('counts.countedBy', 'name');
+
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+
+    const { lines, summary } = await buildVarianceReport(stocktake);
+    const { counts, ...stocktakeData } = stocktake.toObject();
+
+    res.json({ stocktake: stocktakeData, lines, summary });
+  } catch (error) {
+    console.error('Get stocktake error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a stocktake: every counted product is adjusted by the difference
+// between its count and the system stock when it was counted, so anything
+// sold or received since is kept, and the variance is frozen
+router.post('/stocktakes/:id/approve', async (req, res) => {
+  try {
+    const stocktake = await mongoose.connection.transaction(async (session) => {
+      // Only flip open stocktakes, so a count can never be posted twice
+      const approved = await Stocktake.findOneAndUpdate(
+        { _id: req.params.id, status: 'open' },
+        { $set: { status: 'approved', approvedBy: req.user._id, approvedAt: new Date() } },
+        { session, new: true }
+      );
+
+      if (!approved) {
+        const existing = await Stocktake.findById(req.params.id).session(session);
+        if (!existing) {
+          throw new HttpError(404, 'Stocktake not found');
+        }
+        throw new HttpError(400, `Stocktake ${existing.stocktakeNumber} is ${existing.status} and cannot be approved`);
+      }
+
+      if (approved.counts.length === 0) {
+        throw new HttpError(400, 'Nothing has been counted yet');
+      }
+
+      for (const count of approved.counts) {
+        const product = await Product.findById(count.product).session(session);
+        if (!product) {
+          throw new HttpError(400, `Product not found: ${count.productName}`);
+        }
+
+        // Counts entered before the stock at count time was recorded are
+        // measured against the stock now
+        const expectedStock = count.expectedStock ?? product.currentStock;
+        const { variance, varianceValue } = computeVariance(count.countedQuantity, expectedStock, product.pricePerUnit);
+        count.expectedStock = expectedStock;
+        count.pricePerUnit = product.pricePerUnit;
+        count.variance = variance;
+        count.varianceValue = varianceValue;
+
+        // A surplus goes on loose stock; a shortage comes off loose stock
+        // and then the rolls, so the rolls never hold more than the product
+        const adjustments = variance > 0
+          ? [{ roll: null, quantity: variance }]
+          : variance < 0 ? splitShortage(product, -variance) : [];
+        for (const adjustment of adjustments) {
+          await adjustStock({
+            productId: product._id,
+            quantity: adjustment.quantity,
+            reason: 'stocktake',
+            roll: adjustment.roll,
+            session,
+            history: {
+              performedBy: req.user._id,
+              stocktake: approved._id,
+              notes: `Stocktake ${approved.stocktakeNumber}: counted ${count.countedQuantity} ${count.unit}`
+            }
+          });
+        }
+      }
+
+      approved.summary = {
+        ...summarizeLines(approved.counts),
+        productsTotal: await Product.countDocuments({ isActive: true }).session(session)
+      };
+      await approved.save({ session });
+
+      return approved;
+    });
+
+    res.json({
+      message: 'Stocktake approved and stock updated',
+      stocktake
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Approve stocktake error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Abandon an open stocktake without touching stock
+router.post('/stocktakes/:id/cancel', async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!stocktake) {
+      return res.status(400).json({ message: 'Only open stocktakes can be cancelled' });
+    }
+
+    res.json({
+      message: 'Stocktake cancelled',
+      stocktake
+    });
+  } catch (error) {
+    console.error('Cancel stocktake error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get shop settings, with defaults filled in for anything not yet saved
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await getAllSettings();
+    res.json({ ...settings, remnants: await getRemnantSettings() });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update remnant markdown and the per-category length thresholds
+router.put('/settings/remnants', validateRequest({
+  markdownPercent: [validateRequired, (value) => {
+    const num = Number(value);
+    if (isNaN(num) || num < 0 || num > 100) {
+      return 'Markdown must be between 0 and 100 percent';
+    }
+    return null;
+  }],
+  thresholds: [(value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'Thresholds must be given per category';
+    }
+    for (const threshold of Object.values(value)) {
+      if (isNaN(Number(threshold)) || Number(threshold) < 0) {
+        return 'Thresholds must be non-negative';
+      }
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const categories = await getActiveCategorySlugs();
+    const unknown = Object.keys(req.body.thresholds).find(category => !categories.includes(category));
+    if (unknown) {
+      return res.status(400).json({ errors: { thresholds: `Invalid category: ${unknown}` } });
+    }
+
+    // The thresholds live on the categories themselves
+    await saveSetting('remnants', { markdownPercent: Number(req.body.markdownPercent) }, req.user._id);
+    const thresholds = Object.entries(req.body.thresholds);
+    if (thresholds.length > 0) {
+      await Category.bulkWrite(thresholds.map(([slug, threshold]) => ({
+        updateOne: {
+          filter: { slug },
+          update: { $set: { remnantThreshold: Number(threshold) } }
+        }
+      })));
+    }
+    const remnants = await getRemnantSettings();
+
+    res.json({
+      message: 'Remnant settings updated successfully',
+      remnants
+    });
+  } catch (error) {
+    console.error('Update remnant settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set how much discount each role may give without an admin's approval
+router.put('/settings/discounts', validateRequest({
+  staff: [(value) => validateDiscountLimit(value, 'Staff')],
+  admin: [(value) => validateDiscountLimit(value, 'Admin')]
+}), async (req, res) => {
+  try {
+    const limitFor = (role) => ({
+      type: req.body[role].type,
+      value: Number(req.body[role].value)
+    });
+
+    const discounts = await saveSetting('discounts', {
+      staff: limitFor('staff'),
+      admin: limitFor('admin')
+    }, req.user._id);
+
+    res.json({
+      message: 'Discount limits updated successfully',
+      discounts
+    });
+  } catch (error) {
+    console.error('Update discount settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the tax registration number printed on receipts
+router.put('/settings/tax', validateRequest({
+  registrationNumber: [(value) => {
+    if (value !== undefined && String(value).trim().length > 50) {
+      return 'Registration number must be at most 50 characters';
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const tax = await saveSetting('tax', {
+      registrationNumber: String(req.body.registrationNumber || '').trim()
+    }, req.user._id);
+
+    res.json({
+      message: 'Tax settings updated successfully',
+      tax
+    });
+  } catch (error) {
+    console.error('Update tax settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Business details printed on A4 invoices and quotations
+router.put('/settings/business', validateRequest({
+  name: [validateRequired, (value) => {
+    if (String(value).trim().length > 100) {
+      return 'Business name must be at most 100 characters';
+    }
+    return null;
+  }],
+  address: [(value) => {
+    if (value !== undefined && String(value).trim().length > 300) {
+      return 'Address must be at most 300 characters';
+    }
+    return null;
+  }],
+  phone: [(value) => {
+    if (value !== undefined && String(value).trim().length > 30) {
+      return 'Phone must be at most 30 characters';
+    }
+    return null;
+  }],
+  email: [(value) => {
+    if (value && String(value).trim()) {
+      return validateEmail(String(value).trim());
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const business = await saveSetting('business', {
+      name: String(req.body.name).trim(),
+      address: String(req.body.address || '').trim(),
+      phone: String(req.body.phone || '').trim(),
+      email: String(req.body.email || '').trim()
+    }, req.user._id);
+
+    res.json({
+      message: 'Business details updated successfully',
+      business
+    });
+  } catch (error) {
+    console.error('Update business settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// How long a new quotation holds its prices unless the seller sets another
+router.put('/settings/quotations', validateRequest({
+  validDays: [validateRequired, (value) => {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return 'Validity must be a whole number of days between 1 and 365';
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const quotations = await saveSetting('quotations', {
+      validDays: Number(req.body.validDays)
+    }, req.user._id);
+
+    res.json({
+      message: 'Quotation settings updated successfully',
+      quotations
+    });
+  } catch (error) {
+    console.error('Update quotation settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// How many days a new layaway holds its stock before it expires
+router.put('/settings/layaways', validateRequest({
+  expiryDays: [validateRequired, (value) => {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return 'Expiry must be a whole number of days between 1 and 365';
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const layaways = await saveSetting('layaways', {
+      expiryDays: Number(req.body.expiryDays)
+    }, req.user._id);
+
+    res.json({
+      message: 'Layaway settings updated successfully',
+      layaways
+    });
+  } catch (error) {
+    console.error('Update layaway settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the signed-in admin's PIN for approving discounts on a till
+router.put('/approval-pin', validateRequest({
+  pin: [validateRequired, (value) => {
+    if (!/^\d{4,8}$/.test(String(value))) {
+      return 'PIN must be 4 to 8 digits';
+    }
+    return null;
+  }],
+  password: [validateRequired]
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+approvalPin');
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ errors: { password: 'Password is incorrect' } });
+    }
+
+    // A new PIN starts with a clean slate
+    user.approvalPin = String(req.body.pin);
+    user.failedPinAttempts = 0;
+    user.pinLockedUntil = undefined;
+    await user.save();
+
+    res.json({ message: 'Approval PIN saved' });
+  } catch (error) {
+    console.error('Set approval PIN error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all staff/users
+router.get('/users', async (req, res) => {
+  try {
+    const users = await User.find({})
+      .select('email name role isActive discountLimit createdAt updatedAt')
+      .sort({ createdAt: -1 });
+    res.json(users);
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -416,6 +2296,50 @@ router.put('/users/:id/status', validateRequest({
   }
 });
 
+// Give a user their own discount limit, or clear it (type null) to use their role's
+router.put('/users/:id/discount-limit', validateRequest({
+  type: [(value) => {
+    if (value !== null && !DISCOUNT_LIMIT_TYPES.includes(value)) {
+      return 'Limit must be a percentage, an amount or null';
+    }
+    return null;
+  }]
+}), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (req.body.type === null) {
+      user.discountLimit = undefined;
+    } else {
+      const error = validateDiscountLimit(req.body, 'Discount');
+      if (error) {
+        return res.status(400).json({ errors: { value: error } });
+      }
+      user.discountLimit = { type: req.body.type, value: Number(req.body.value) };
+    }
+    await user.save();
+
+    res.json({
+      message: 'Discount limit updated successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        isActive: user.isActive,
+        discountLimit: user.discountLimit
+      }
+    });
+  } catch (error) {
+    console.error('Update discount limit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update user role
 router.put('/users/:id/role', validateRequest({
   role: [validateRequired, (value) => {
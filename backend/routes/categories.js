@@ -0,0 +1,188 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const ProductGroup = require('../models/ProductGroup');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { toSlug } = require('../utils/categories');
+const { findActiveTaxRate } = require('../utils/tax');
+
+const router = express.Router();
+
+// All category routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const categoryValidators = (optional) => {
+  const name = body('name');
+  return [
+    (optional ? name.optional() : name).trim().isLength({ min: 2 }).withMessage('Category name must be at least 2 characters'),
+    body('parent').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid parent category'),
+    body('defaultUnit').optional().isIn(['yards', 'meters', 'pieces']).withMessage('Invalid unit'),
+    body('defaultMinStockLevel').optional().isFloat({ min: 0 }).withMessage('Minimum stock level must be non-negative'),
+    body('remnantThreshold').optional().isFloat({ min: 0 }).withMessage('Remnant threshold must be non-negative'),
+    body('taxRate').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid tax rate')
+  ];
+};
+
+// Empty clears the category's own rate so its parent's or the default applies
+const resolveTaxRate = async (taxRateId) => {
+  if (!taxRateId) return null;
+
+  const taxRate = await findActiveTaxRate(taxRateId);
+  if (!taxRate) {
+    throw new HttpError(400, 'Tax rate not found');
+  }
+  return taxRate._id;
+};
+
+// A parent must be an active category, and not the category itself or one
+// of its own subcategories
+const resolveParent = async (parentId, categoryId = null) => {
+  if (!parentId) return null;
+
+  const parent = await Category.findOne({ _id: parentId, isActive: true });
+  if (!parent) {
+    throw new HttpError(400, 'Parent category not found');
+  }
+
+  for (let ancestor = parent; ancestor; ancestor = ancestor.parent && await Category.findById(ancestor.parent)) {
+    if (categoryId && ancestor._id.equals(categoryId)) {
+      throw new HttpError(400, 'A category cannot be filed under itself or one of its subcategories');
+    }
+  }
+
+  return parent._id;
+};
+
+// List categories with their parent
+router.get('/', async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const categories = await Category.find(query)
+      .populate('parent', 'name slug')
+      .populate('taxRate', 'name rate inclusive')
+      .sort({ name: 1 });
+
+    res.json(categories);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a category. The slug stored on products is derived from the name.
+router.post('/', categoryValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, defaultUnit, defaultMinStockLevel, remnantThreshold } = req.body;
+    const slug = toSlug(name);
+    if (!slug) {
+      return res.status(400).json({ message: 'Category name must contain letters or numbers' });
+    }
+
+    // A deleted category with the same slug is brought back rather than duplicated
+    const existing = await Category.findOne({ slug });
+    if (existing && existing.isActive) {
+      return res.status(409).json({ message: 'Category with this name already exists' });
+    }
+
+    const parent = await resolveParent(req.body.parent, existing?._id);
+    const taxRate = await resolveTaxRate(req.body.taxRate);
+    const category = existing || new Category({ slug, createdBy: req.user._id });
+    category.set({
+      name,
+      parent,
+      defaultUnit,
+      defaultMinStockLevel,
+      remnantThreshold,
+      taxRate,
+      isActive: true
+    });
+    await category.save();
+
+    res.status(201).json({
+      message: 'Category added successfully',
+      category: await category.populate([{ path: 'parent', select: 'name slug' }, { path: 'taxRate', select: 'name rate inclusive' }])
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Add category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a category. The slug never changes, so products keep their category.
+router.put('/:id', categoryValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    ['name', 'defaultUnit', 'defaultMinStockLevel', 'remnantThreshold'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+    if (req.body.parent !== undefined) {
+      category.parent = await resolveParent(req.body.parent, category._id);
+    }
+    if (req.body.taxRate !== undefined) {
+      category.taxRate = await resolveTaxRate(req.body.taxRate);
+    }
+
+    await category.save();
+
+    res.json({
+      message: 'Category updated successfully',
+      category: await category.populate([{ path: 'parent', select: 'name slug' }, { path: 'taxRate', select: 'name rate inclusive' }])
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Update category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deactivate a category (soft delete). Only allowed once nothing is filed under it.
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [products, groups, subcategories] = await Promise.all([
+      Product.countDocuments({ category: category.slug, isActive: true }),
+      ProductGroup.countDocuments({ category: category.slug, isActive: true }),
+      Category.countDocuments({ parent: category._id, isActive: true })
+    ]);
+    if (products + groups > 0) {
+      return res.status(400).json({ message: `${category.name} still has ${products + groups} product(s); move them to another category first` });
+    }
+    if (subcategories > 0) {
+      return res.status(400).json({ message: `${category.name} still has ${subcategories} subcategory(ies)` });
+    }
+
+    category.isActive = false;
+    await category.save();
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+const CreditTransaction = require('../models/CreditTransaction');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { normalizePhone } = require('../utils/phone');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { recordCreditEntry, computeAging } = require('../utils/credit');
+const { findOpenShift, requireOpenShift } = require('../utils/shifts');
+
+const router = express.Router();
+
+// All customer routes require authentication and staff/admin role
+router.use(authenticateToken);
+router.use(requireStaff);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search customers by phone number or name
+router.get('/', async (req, res) => {
+  try {
+    const { phone, q, limit = 10 } = req.query;
+
+    let query = {};
+
+    if (phone) {
+      const digits = normalizePhone(phone);
+      if (digits.length < 3) {
+        return res.json([]);
+      }
+      // Match on the local part too, so "0803..." finds "234803..."
+      const localDigits = String(phone).replace(/\D/g, '').replace(/^0/, '');
+      query.normalizedPhone = { $regex: escapeRegex(localDigits || digits) };
+    } else if (q) {
+      query.name = { $regex: escapeRegex(q.trim()), $options: 'i' };
+    }
+
+    const customers = await Customer.find(query)
+      .sort({ updatedAt: -1 })
+      .limit(Math.min(Number(limit) || 10, 50));
+
+    res.json(customers);
+  } catch (error) {
+    console.error('Search customers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a customer
+router.post('/', [
+  body('name').trim().isLength({ min: 2 }).withMessage('Customer name must be at least 2 characters'),
+  body('phone').trim().isLength({ min: 7, max: 15 }).withMessage('Phone number must be between 7 and 15 characters'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, phone, email, address, notes } = req.body;
+
+    const existingCustomer = await Customer.findOne({ normalizedPhone: normalizePhone(phone) });
+    if (existingCustomer) {
+      return res.status(409).json({
+        message: `A customer with this phone number already exists: ${existingCustomer.name}`,
+        customer: existingCustomer
+      });
+    }
+
+    const customer = new Customer({
+      name,
+      phone,
+      email,
+      address,
+      notes,
+      createdBy: req.user._id
+    });
+
+    await customer.save();
+
+    res.status(201).json({
+      message: 'Customer created successfully',
+      customer
+    });
+  } catch (error) {
+    console.error('Create customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a customer
+router.put('/:id', [
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Customer name must be at least 2 characters'),
+  body('phone').optional().trim().isLength({ min: 7, max: 15 }).withMessage('Phone number must be between 7 and 15 characters'),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { name, phone, email, address, notes } = req.body;
+
+    if (phone !== undefined && normalizePhone(phone) !== customer.normalizedPhone) {
+      const existingCustomer = await Customer.findOne({ normalizedPhone: normalizePhone(phone) });
+      if (existingCustomer) {
+        return res.status(409).json({ message: `Phone number already belongs to ${existingCustomer.name}` });
+      }
+    }
+
+    // Only contact details can be edited here; balances are kept by the server
+    const updates = { name, phone, email, address, notes };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) {
+        customer[key] = updates[key];
+      }
+    });
+
+    await customer.save();
+
+    res.json({
+      message: 'Customer updated successfully',
+      customer
+    });
+  } catch (error) {
+    console.error('Update customer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a customer's profile with purchase history
+router.get('/:id', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const sales = await Sale.find({ customer: customer._id })
+      .populate('soldBy', 'name')
+      .sort({ saleDate: -1 });
+
+    const completedSales = sales.filter(sale => sale.status === 'completed');
+    const returns = await Return.find({ sale: { $in: completedSales.map(sale => sale._id) } });
+
+    const totalSpent = completedSales.reduce((sum, sale) => sum + sale.finalAmount, 0);
+    const totalRefunded = returns.reduce((sum, saleReturn) => sum + saleReturn.refundAmount, 0);
+
+    res.json({
+      customer,
+      sales,
+      stats: {
+        lifetimeValue: totalSpent - totalRefunded,
+        totalSpent,
+        totalRefunded,
+        totalPurchases: completedSales.length,
+        firstVisit: completedSales.length > 0 ? completedSales[completedSales.length - 1].saleDate : null,
+        lastVisit: completedSales.length > 0 ? completedSales[0].saleDate : null
+      }
+    });
+  } catch (error) {
+    console.error('Customer profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a customer's credit ledger with their balance and its aging
+router.get('/:id/ledger', async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const transactions = await CreditTransaction.find({ customer: customer._id })
+      .populate('recordedBy', 'name')
+      .sort({ date: 1 });
+
+    res.json({
+      balance: customer.creditBalance,
+      aging: computeAging(transactions),
+      transactions: transactions.reverse()
+    });
+  } catch (error) {
+    console.error('Customer ledger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take a repayment against a customer's credit balance
+router.post('/:id/repayments', [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('method').isIn(['cash', 'card', 'transfer']).withMessage('Invalid payment method'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const amount = Number(req.body.amount);
+    const { method, reference, notes } = req.body;
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      const customer = await Customer.findById(req.params.id).session(session);
+      if (!customer) {
+        throw new HttpError(404, 'Customer not found');
+      }
+
+      if (amount > customer.creditBalance + 1e-9) {
+        throw new HttpError(400, `Repayment exceeds the outstanding balance of ₦${customer.creditBalance.toLocaleString()}`);
+      }
+
+      // Cash repayments go into the drawer, so they need a shift to count against
+      const shift = method === 'cash'
+        ? await requireOpenShift(req.user._id, session, 'Open a shift before taking cash repayments')
+        : await findOpenShift(req.user._id, session);
+
+      return recordCreditEntry({
+        customerId: customer._id,
+        type: 'repayment',
+        amount,
+        session,
+        method,
+        reference,
+        recordedBy: req.user._id,
+        shift: shift?._id,
+        notes
+      });
+    });
+
+    res.status(201).json({
+      message: 'Repayment recorded successfully',
+      balance: result.customer.creditBalance,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Record repayment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const DiscountRequest = require('../models/DiscountRequest');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { getDiscountLimit, REQUEST_VALID_MINUTES } = require('../utils/discounts');
+
+const router = express.Router();
+
+// All discount routes require authentication and staff/admin role
+router.use(authenticateToken);
+router.use(requireStaff);
+
+// The signed-in user's discount limit and the admins who can approve more
+router.get('/limit', async (req, res) => {
+  try {
+    const limit = await getDiscountLimit(req.user);
+    const approvers = await User.find({
+      role: 'admin',
+      isActive: true,
+      approvalPin: { $exists: true, $ne: null }
+    })
+      .select('name')
+      .sort({ name: 1 });
+
+    res.json({ limit, approvers, requestValidMinutes: REQUEST_VALID_MINUTES });
+  } catch (error) {
+    console.error('Get discount limit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ask an admin on another screen to approve a discount above the limit
+router.post('/requests', [
+  body('discount').isFloat({ gt: 0 }).withMessage('Discount must be greater than 0'),
+  body('totalAmount').isFloat({ gt: 0 }).withMessage('Sale total must be greater than 0'),
+  body('reason').trim().isLength({ min: 3, max: 200 }).withMessage('Reason must be between 3 and 200 characters'),
+  body('customerName').optional().trim().isLength({ max: 100 }).withMessage('Customer name must be at most 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const discount = Number(req.body.discount);
+    const totalAmount = Number(req.body.totalAmount);
+    if (discount > totalAmount) {
+      return res.status(400).json({ message: 'Discount cannot exceed total amount' });
+    }
+
+    const request = await DiscountRequest.create({
+      requestedBy: req.user._id,
+      discount,
+      totalAmount,
+      customerName: req.body.customerName,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      message: 'Approval requested',
+      request
+    });
+  } catch (error) {
+    console.error('Request discount approval error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check on one of the signed-in user's requests
+router.get('/requests/:id', async (req, res) => {
+  try {
+    const request = await DiscountRequest.findOne({ _id: req.params.id, requestedBy: req.user._id })
+      .populate('decidedBy', 'name');
+
+    if (!request) {
+      return res.status(404).json({ message: 'Approval request not found' });
+    }
+
+    res.json(request);
+  } catch (error) {
+    console.error('Get discount request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
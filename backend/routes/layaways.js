@@ -0,0 +1,297 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Sale = require('../models/Sale');
+const { authenticateToken, requireAdmin, requireStaff } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { priceSaleItems, createSale } = require('../utils/sales');
+const { applyTax } = require('../utils/tax');
+const { PAYMENT_METHODS, roundMoney } = require('../utils/payments');
+const { requireOpenShift } = require('../utils/shifts');
+const {
+  getAmountPaid,
+  getBalanceDue,
+  getLayawayExpiry,
+  addLayawayPayments,
+  releaseLayaway,
+  expireLayaways
+} = require('../utils/layaways');
+
+const router = express.Router();
+
+// All layaway routes require authentication and staff/admin role
+router.use(authenticateToken);
+router.use(requireStaff);
+
+const paymentValidators = [
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('payments.*.reference').optional().trim().isLength({ max: 100 }).withMessage('Payment reference must be at most 100 characters'),
+  body('cashTendered').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Cash tendered must be non-negative')
+];
+
+const withBalance = (sale) => ({
+  ...sale.toObject(),
+  amountPaid: getAmountPaid(sale),
+  balanceDue: getBalanceDue(sale)
+});
+
+const populateLayaway = (id) => Sale.findById(id)
+  .populate('soldBy', 'name')
+  .populate('items.product', 'name category');
+
+// List open layaways, soonest to expire first
+router.get('/', async (req, res) => {
+  try {
+    // Anything past its date goes back on the shelf before it is listed
+    await expireLayaways();
+
+    const query = { status: 'pending', layaway: { $exists: true } };
+
+    if (req.query.q) {
+      const pattern = req.query.q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { saleNumber: { $regex: pattern, $options: 'i' } },
+        { customerName: { $regex: pattern, $options: 'i' } },
+        { customerPhone: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const sales = await Sale.find(query)
+      .populate('soldBy', 'name')
+      .sort({ 'layaway.expiresAt': 1 })
+      .limit(100);
+
+    res.json(sales.map(withBalance));
+  } catch (error) {
+    console.error('Get layaways error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reserve a cart for a customer against a deposit. The stock comes off the
+// shelf now and stays reserved until the layaway is collected or expires.
+router.post('/', [
+  body('customerId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid customer ID'),
+  body('customerName').trim().isLength({ min: 2 }).withMessage('Customer name must be at least 2 characters'),
+  body('customerPhone').optional().isLength({ min: 0, max: 15 }).withMessage('Phone number must be at most 15 characters'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.rollId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid roll ID'),
+  body('items.*.unit').optional({ values: 'falsy' }).isIn(['yards', 'meters', 'pieces']).withMessage('Invalid unit'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be non-negative'),
+  body('discountApproval.reason').optional().trim().isLength({ max: 200 }).withMessage('Discount reason must be at most 200 characters'),
+  body('discountApproval.approverId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid approver'),
+  body('discountApproval.requestId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid approval request'),
+  body('payments').isArray({ min: 1 }).withMessage('A deposit is required'),
+  ...paymentValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { customerId, customerName, customerPhone, items, discount = 0, discountApproval, payments, cashTendered, notes } = req.body;
+
+    // Priced and checked for stock exactly like a sale
+    const { saleItems, saleRolls, totalAmount, promotions } = await priceSaleItems(items);
+
+    if (discount > totalAmount) {
+      return res.status(400).json({ message: 'Discount cannot exceed total amount' });
+    }
+
+    const { taxAmount, exclusiveTax, taxes } = applyTax(saleItems, totalAmount, Number(discount));
+
+    const sale = await createSale({
+      user: req.user,
+      customerId,
+      customerName,
+      customerPhone,
+      saleItems,
+      saleRolls,
+      totalAmount,
+      promotions,
+      discount,
+      discountApproval,
+      taxAmount,
+      taxes,
+      finalAmount: roundMoney(totalAmount - discount + exclusiveTax),
+      payments,
+      cashTendered,
+      notes,
+      layaway: { expiresAt: await getLayawayExpiry() }
+    });
+
+    const populatedSale = await populateLayaway(sale._id);
+
+    res.status(201).json({
+      message: 'Layaway created successfully',
+      sale: withBalance(populatedSale)
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Create layaway error:', error);
+    res.status(500).json({ message: 'Server error during sale' });
+  }
+});
+
+// Take a part-payment on an open layaway
+router.post('/:id/payments', [
+  body('payments').isArray({ min: 1 }).withMessage('At least one payment is required'),
+  ...paymentValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Layaway not found' });
+    }
+
+    const changeDue = await mongoose.connection.transaction(async (session) => {
+      const sale = await Sale.findOne({ _id: req.params.id, status: 'pending', layaway: { $exists: true } }).session(session);
+      if (!sale) {
+        throw new HttpError(404, 'Open layaway not found');
+      }
+
+      if (sale.layaway.expiresAt < new Date()) {
+        throw new HttpError(409, `Layaway ${sale.saleNumber} expired on ${sale.layaway.expiresAt.toLocaleDateString()}`);
+      }
+
+      const change = await addLayawayPayments({
+        sale,
+        payments: req.body.payments,
+        cashTendered: req.body.cashTendered,
+        user: req.user,
+        session
+      });
+
+      await sale.save({ session });
+      return change;
+    });
+
+    const populatedSale = await populateLayaway(req.params.id);
+
+    res.json({
+      message: 'Payment recorded',
+      sale: withBalance(populatedSale),
+      changeDue
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Layaway payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hand a layaway over to the customer. Any balance still due can be paid in
+// the same request; the sale then completes in the collecting shift.
+router.post('/:id/collect', [
+  body('payments').optional().isArray().withMessage('Payments must be a list'),
+  ...paymentValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Layaway not found' });
+    }
+
+    const changeDue = await mongoose.connection.transaction(async (session) => {
+      const sale = await Sale.findOne({ _id: req.params.id, status: 'pending', layaway: { $exists: true } }).session(session);
+      if (!sale) {
+        throw new HttpError(404, 'Open layaway not found');
+      }
+
+      if (sale.layaway.expiresAt < new Date()) {
+        throw new HttpError(409, `Layaway ${sale.saleNumber} expired on ${sale.layaway.expiresAt.toLocaleDateString()}`);
+      }
+
+      const shift = await requireOpenShift(req.user._id, session, 'Open a shift before handing over layaways');
+
+      const payments = req.body.payments || [];
+      const change = payments.length > 0
+        ? await addLayawayPayments({ sale, payments, cashTendered: req.body.cashTendered, user: req.user, session })
+        : 0;
+
+      const balanceDue = getBalanceDue(sale);
+      if (balanceDue > 0.01) {
+        throw new HttpError(400, `₦${balanceDue.toLocaleString()} is still due on ${sale.saleNumber}`);
+      }
+
+      const now = new Date();
+      sale.status = 'completed';
+      sale.saleDate = now;
+      sale.shift = shift._id;
+      sale.layaway.collectedAt = now;
+      sale.layaway.collectedBy = req.user._id;
+      await sale.save({ session });
+
+      return change;
+    });
+
+    const populatedSale = await populateLayaway(req.params.id);
+
+    res.json({
+      message: 'Layaway collected',
+      sale: withBalance(populatedSale),
+      changeDue
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Collect layaway error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel an open layaway (admin only). The stock goes back on the shelf and
+// what was paid becomes the customer's store credit, as when one expires.
+router.post('/:id/cancel', requireAdmin, [
+  body('reason').trim().isLength({ min: 3 }).withMessage('Reason must be at least 3 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Layaway not found' });
+    }
+
+    await mongoose.connection.transaction(async (session) => {
+      const sale = await Sale.findOne({ _id: req.params.id, status: 'pending', layaway: { $exists: true } }).session(session);
+      if (!sale) {
+        throw new HttpError(404, 'Open layaway not found');
+      }
+
+      // Store credit needs an account to go on
+      const amountPaid = getAmountPaid(sale);
+      if (amountPaid > 0 && !sale.customer) {
+        throw new HttpError(400, `₦${amountPaid.toLocaleString()} was paid on ${sale.saleNumber} with no customer account to credit it to`);
+      }
+
+      await releaseLayaway({ sale, session, cancelledBy: req.user._id, reason: req.body.reason });
+    });
+
+    const populatedSale = await populateLayaway(req.params.id);
+
+    res.json({
+      message: 'Layaway cancelled',
+      sale: withBalance(populatedSale)
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Cancel layaway error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { findActiveCategory } = require('../utils/categories');
+const { PROMOTION_TYPES, describePromotion } = require('../utils/promotions');
+
+const router = express.Router();
+
+// All promotion routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const promotionValidators = (optional) => {
+  const name = body('name');
+  const type = body('type');
+  return [
+    (optional ? name.optional() : name).trim().isLength({ min: 2 }).withMessage('Promotion name must be at least 2 characters'),
+    (optional ? type.optional() : type).isIn(PROMOTION_TYPES).withMessage('Invalid promotion type'),
+    body('products').optional().isArray().withMessage('Products must be a list'),
+    body('products.*').isMongoId().withMessage('Invalid product ID'),
+    body('percentOff').optional({ values: 'null' }).isFloat({ gt: 0, max: 100 }).withMessage('Percentage must be between 0 and 100'),
+    body('buyQuantity').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Buy quantity must be greater than 0'),
+    body('freeQuantity').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('Free quantity must be greater than 0'),
+    body('tiers').optional().isArray().withMessage('Tiers must be a list'),
+    body('tiers.*.minQuantity').isFloat({ gt: 0 }).withMessage('Tier quantity must be greater than 0'),
+    body('tiers.*.pricePerUnit').isFloat({ min: 0 }).withMessage('Tier price must be non-negative'),
+    body('startsAt').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid start date'),
+    body('endsAt').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid end date')
+  ];
+};
+
+// Check the fields a promotion's type needs and return only those, so a
+// promotion switched from one type to another doesn't keep stale settings
+const buildPromotion = async (data) => {
+  const products = (data.products || []).map(String);
+  if (products.length === 0 && !data.category) {
+    throw new HttpError(400, 'Choose a category or at least one product');
+  }
+  if (products.length > 0) {
+    const found = await Product.countDocuments({ _id: { $in: products }, isActive: true });
+    if (found !== new Set(products).size) {
+      throw new HttpError(400, 'One or more products were not found');
+    }
+  } else if (!(await findActiveCategory(data.category))) {
+    throw new HttpError(400, 'Invalid category');
+  }
+
+  const startsAt = data.startsAt ? new Date(data.startsAt) : null;
+  const endsAt = data.endsAt ? new Date(data.endsAt) : null;
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw new HttpError(400, 'End date must be after the start date');
+  }
+
+  const fields = {
+    name: data.name,
+    type: data.type,
+    category: products.length > 0 ? undefined : data.category,
+    products,
+    percentOff: undefined,
+    buyQuantity: undefined,
+    freeQuantity: undefined,
+    tiers: [],
+    startsAt,
+    endsAt
+  };
+
+  if (data.type === 'percentage') {
+    if (!data.percentOff) {
+      throw new HttpError(400, 'Percentage is required');
+    }
+    fields.percentOff = Number(data.percentOff);
+  } else if (data.type === 'buy_x_get_y') {
+    if (!data.buyQuantity || !data.freeQuantity) {
+      throw new HttpError(400, 'Buy and free quantities are required');
+    }
+    fields.buyQuantity = Number(data.buyQuantity);
+    fields.freeQuantity = Number(data.freeQuantity);
+  } else {
+    const tiers = (data.tiers || []).map(tier => ({
+      minQuantity: Number(tier.minQuantity),
+      pricePerUnit: Number(tier.pricePerUnit)
+    }));
+    if (tiers.length === 0) {
+      throw new HttpError(400, 'Add at least one price tier');
+    }
+    if (new Set(tiers.map(tier => tier.minQuantity)).size !== tiers.length) {
+      throw new HttpError(400, 'Each tier needs a different quantity');
+    }
+    fields.tiers = tiers.sort((a, b) => a.minQuantity - b.minQuantity);
+  }
+
+  return fields;
+};
+
+// Whether a promotion is waiting to start, running or over
+const promotionStatus = (promotion, now = new Date()) => {
+  if (promotion.startsAt && promotion.startsAt > now) return 'scheduled';
+  if (promotion.endsAt && promotion.endsAt < now) return 'ended';
+  return 'running';
+};
+
+const withStatus = (promotion) => ({
+  ...promotion.toJSON(),
+  status: promotionStatus(promotion),
+  summary: describePromotion(promotion)
+});
+
+// List promotions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const promotions = await Promotion.find({ isActive: true })
+      .populate('products', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(promotions.map(withStatus));
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a promotion
+router.post('/', promotionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = new Promotion({
+      ...(await buildPromotion(req.body)),
+      createdBy: req.user._id
+    });
+    await promotion.save();
+
+    res.status(201).json({
+      message: 'Promotion added successfully',
+      promotion: withStatus(await promotion.populate('products', 'name'))
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Add promotion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a promotion. Sales already made keep the promotion as it was applied.
+router.put('/:id', promotionValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await Promotion.findOne({ _id: req.params.id, isActive: true });
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const current = promotion.toObject();
+    promotion.set(await buildPromotion({ ...current, ...req.body }));
+    await promotion.save();
+
+    res.json({
+      message: 'Promotion updated successfully',
+      promotion: withStatus(await promotion.populate('products', 'name'))
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Update promotion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a promotion (soft delete); past sales keep its name and amount
+router.delete('/:id', async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({ _id: req.params.id, isActive: true });
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    promotion.isActive = false;
+    await promotion.save();
+
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
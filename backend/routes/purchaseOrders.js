@@ -0,0 +1,350 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { receiveStock } = require('../utils/stock');
+const { roundMoney } = require('../utils/payments');
+
+const router = express.Router();
+
+// All purchase order routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const orderValidators = (optional) => {
+  const supplierId = body('supplierId');
+  const items = body('items');
+  return [
+    (optional ? supplierId.optional() : supplierId).isMongoId().withMessage('Invalid supplier ID'),
+    (optional ? items.optional() : items).isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+    body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be non-negative'),
+    body('expectedDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid expected date'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+  ];
+};
+
+// Turn request lines into PO items, snapshotting each product's name and unit
+const buildOrderItems = async (items) => {
+  const orderItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId);
+    if (!product || !product.isActive) {
+      throw new HttpError(400, `Product not found: ${item.productId}`);
+    }
+
+    orderItems.push({
+      product: product._id,
+      productName: product.name,
+      quantityOrdered: Number(item.quantity),
+      unitCost: Number(item.unitCost),
+      unit: product.unit
+    });
+  }
+
+  const totalCost = roundMoney(orderItems.reduce((sum, item) => sum + item.quantityOrdered * item.unitCost, 0));
+
+  return { orderItems, totalCost };
+};
+
+const findActiveSupplier = async (supplierId) => {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier || !supplier.isActive) {
+    throw new HttpError(400, 'Supplier not found');
+  }
+  return supplier;
+};
+
+// List purchase orders
+router.get('/', async (req, res) => {
+  try {
+    const { status, supplierId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (supplierId) query.supplier = supplierId;
+
+    const purchaseOrders = await PurchaseOrder.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(purchaseOrders);
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one purchase order with its deliveries
+router.get('/:id', async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier')
+      .populate('createdBy', 'name')
+      .populate('deliveries.receivedBy', 'name');
+
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a draft purchase order
+router.post('/', orderValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { supplierId, items, expectedDate, notes } = req.body;
+
+    const supplier = await findActiveSupplier(supplierId);
+    const { orderItems, totalCost } = await buildOrderItems(items);
+
+    const poNumber = await generateDocumentNumber(PurchaseOrder, 'poNumber', 'PO');
+    if (!poNumber) {
+      return res.status(500).json({ message: 'Could not generate unique purchase order number' });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      poNumber,
+      supplier: supplier._id,
+      supplierName: supplier.name,
+      items: orderItems,
+      totalCost,
+      expectedDate: expectedDate || undefined,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Purchase order created successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a draft purchase order
+router.put('/:id', orderValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be edited' });
+    }
+
+    const { supplierId, items, expectedDate, notes } = req.body;
+
+    if (supplierId) {
+      const supplier = await findActiveSupplier(supplierId);
+      purchaseOrder.supplier = supplier._id;
+      purchaseOrder.supplierName = supplier.name;
+    }
+
+    if (items) {
+      const { orderItems, totalCost } = await buildOrderItems(items);
+      purchaseOrder.items = orderItems;
+      purchaseOrder.totalCost = totalCost;
+    }
+
+    if (expectedDate !== undefined) purchaseOrder.expectedDate = expectedDate || undefined;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    await purchaseOrder.save();
+
+    res.json({
+      message: 'Purchase order updated successfully',
+      purchaseOrder
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a draft purchase order
+router.delete('/:id', async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOneAndDelete({ _id: req.params.id, status: 'draft' });
+
+    if (!purchaseOrder) {
+      return res.status(400).json({ message: 'Only draft purchase orders can be deleted' });
+    }
+
+    res.json({ message: 'Purchase order deleted successfully' });
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a draft as sent to the supplier
+router.post('/:id/order', async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: 'draft' },
+      { $set: { status: 'ordered', orderedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!purchaseOrder) {
+      return res.status(400).json({ message: 'Only draft purchase orders can be ordered' });
+    }
+
+    res.json({
+      message: 'Purchase order marked as ordered',
+      purchaseOrder
+    });
+  } catch (error) {
+    console.error('Order purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel an order that has not had any deliveries
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: 'ordered' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!purchaseOrder) {
+      return res.status(400).json({ message: 'Only ordered purchase orders with no deliveries can be cancelled' });
+    }
+
+    res.json({
+      message: 'Purchase order cancelled',
+      purchaseOrder
+    });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Receive all or part of an order into stock
+router.post('/:id/receive', [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.itemId').isMongoId().withMessage('Invalid purchase order item ID'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, notes } = req.body;
+
+    // Merge repeated lines so the outstanding check sees the full quantity per item
+    const requested = new Map();
+    for (const item of items) {
+      requested.set(item.itemId, (requested.get(item.itemId) || 0) + Number(item.quantity));
+    }
+
+    // Reading and saving the PO inside the transaction means two people
+    // receiving the same delivery conflict and retry instead of double-counting
+    const purchaseOrder = await mongoose.connection.transaction(async (session) => {
+      const order = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!order) {
+        throw new HttpError(404, 'Purchase order not found');
+      }
+
+      if (!['ordered', 'partially_received'].includes(order.status)) {
+        throw new HttpError(400, 'Only ordered purchase orders can be received');
+      }
+
+      const deliveryItems = [];
+
+      for (const [itemId, quantity] of requested) {
+        const orderItem = order.items.id(itemId);
+        if (!orderItem) {
+          throw new HttpError(400, `Item not found on this purchase order: ${itemId}`);
+        }
+
+        const outstanding = orderItem.quantityOrdered - orderItem.quantityReceived;
+        if (quantity > outstanding + 1e-9) {
+          throw new HttpError(400, `Cannot receive ${quantity} ${orderItem.unit} of ${orderItem.productName}. Outstanding: ${outstanding} ${orderItem.unit}`);
+        }
+
+        orderItem.quantityReceived += quantity;
+        deliveryItems.push({
+          item: orderItem._id,
+          product: orderItem.product,
+          productName: orderItem.productName,
+          quantity
+        });
+
+        await receiveStock({
+          productId: orderItem.product,
+          quantity,
+          unitCost: orderItem.unitCost,
+          session,
+          history: {
+            action: 'added',
+            performedBy: req.user._id,
+            purchaseOrder: order._id,
+            notes: `Received on ${order.poNumber} from ${order.supplierName}`
+          }
+        });
+      }
+
+      order.deliveries.push({
+        items: deliveryItems,
+        receivedBy: req.user._id,
+        notes
+      });
+
+      const fullyReceived = order.items.every(item => item.quantityReceived >= item.quantityOrdered - 1e-9);
+      order.status = fullyReceived ? 'received' : 'partially_received';
+      if (fullyReceived) {
+        order.receivedAt = new Date();
+      }
+
+      await order.save({ session });
+
+      return order;
+    });
+
+    res.json({
+      message: purchaseOrder.status === 'received' ? 'Purchase order fully received' : 'Delivery received',
+      purchaseOrder
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
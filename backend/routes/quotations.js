@@ -0,0 +1,356 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Quotation = require('../models/Quotation');
+const Sale = require('../models/Sale');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { sendHttpError } = require('../utils/errors');
+const { priceSaleItems, createSale } = require('../utils/sales');
+const { applyTax } = require('../utils/tax');
+const { authorizeDiscount, withPinFailureRecording } = require('../utils/discounts');
+const { findOrCreateCustomer } = require('../utils/customers');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { PAYMENT_METHODS, roundMoney } = require('../utils/payments');
+const { getSetting } = require('../utils/settings');
+const { createInvoiceDoc } = require('../utils/invoice');
+const { sendPdf } = require('../utils/receipt');
+
+const router = express.Router();
+
+// All quotation routes require authentication and staff/admin role
+router.use(authenticateToken);
+router.use(requireStaff);
+
+const QUOTATION_STATUSES = ['open', 'expired', 'converted', 'cancelled'];
+
+// An open quotation past its validity no longer holds its prices
+const withStatus = (quotation) => {
+  const expired = quotation.status === 'open' && quotation.validUntil < new Date();
+  return { ...quotation.toObject(), status: expired ? 'expired' : quotation.status };
+};
+
+// Staff only see the quotations they wrote; admins see every one
+const quotationScope = (req) => (req.user.role === 'admin' ? {} : { createdBy: req.user._id });
+
+const findQuotation = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return Quotation.findOne({ _id: req.params.id, ...quotationScope(req) })
+    .populate('customer', 'name phone email address')
+    .populate('createdBy', 'name')
+    .populate('convertedBy', 'name')
+    .populate('sale', 'saleNumber');
+};
+
+// List quotations, open ones by default
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'open', q } = req.query;
+    const now = new Date();
+    const query = quotationScope(req);
+
+    if (status === 'open') {
+      query.status = 'open';
+      query.validUntil = { $gte: now };
+    } else if (status === 'expired') {
+      query.status = 'open';
+      query.validUntil = { $lt: now };
+    } else if (QUOTATION_STATUSES.includes(status)) {
+      query.status = status;
+    }
+
+    if (q) {
+      const pattern = q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { quoteNumber: { $regex: pattern, $options: 'i' } },
+        { customerName: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const quotations = await Quotation.find(query)
+      .populate('createdBy', 'name')
+      .populate('sale', 'saleNumber')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(quotations.map(withStatus));
+  } catch (error) {
+    console.error('Get quotations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Quote a cart: priced like a sale, promotions, discount and tax included,
+// without checking or reserving stock
+router.post('/', [
+  body('customerId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid customer ID'),
+  body('customerName').trim().isLength({ min: 2 }).withMessage('Customer name must be at least 2 characters'),
+  body('customerPhone').optional().isLength({ min: 0, max: 15 }).withMessage('Phone number must be at most 15 characters'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+  body('items.*.unit').optional({ values: 'falsy' }).isIn(['yards', 'meters', 'pieces']).withMessage('Invalid unit'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be non-negative'),
+  body('discountApproval.reason').optional().trim().isLength({ max: 200 }).withMessage('Discount reason must be at most 200 characters'),
+  body('discountApproval.approverId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid approver'),
+  body('discountApproval.requestId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid approval request'),
+  body('validDays').optional({ values: 'falsy' }).isInt({ min: 1, max: 365 }).withMessage('Validity must be between 1 and 365 days'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { customerId, customerName, customerPhone, items, discountApproval, notes } = req.body;
+    const discount = Number(req.body.discount || 0);
+
+    const { saleItems, totalAmount, promotions } = await priceSaleItems(items, null, { checkStock: false });
+
+    if (discount > totalAmount) {
+      return res.status(400).json({ message: 'Discount cannot exceed total amount' });
+    }
+
+    const { taxAmount, exclusiveTax, taxes } = applyTax(saleItems, totalAmount, discount);
+
+    const quoteNumber = await generateDocumentNumber(Quotation, 'quoteNumber', 'QT');
+    if (!quoteNumber) {
+      return res.status(500).json({ message: 'Could not generate unique quotation number' });
+    }
+
+    // Prices hold to the end of the last valid day
+    const { validDays: defaultValidDays } = await getSetting('quotations');
+    const validUntil = new Date();
+    validUntil.setDate(validUntil.getDate() + Number(req.body.validDays || defaultValidDays));
+    validUntil.setHours(23, 59, 59, 999);
+
+    const quotation = await withPinFailureRecording(() => mongoose.connection.transaction(async (session) => {
+      // The discount is approved now, as for a sale, so converting needs no second approval
+      const discountFields = await authorizeDiscount({
+        user: req.user,
+        discount,
+        totalAmount,
+        approval: discountApproval,
+        session
+      });
+
+      const customer = await findOrCreateCustomer({
+        customerId,
+        customerName,
+        customerPhone,
+        userId: req.user._id,
+        session
+      });
+
+      const [createdQuotation] = await Quotation.create([{
+        quoteNumber,
+        customer: customer?._id,
+        customerName,
+        customerPhone: customerPhone || customer?.phone,
+        items: saleItems,
+        totalAmount,
+        promotions,
+        discount,
+        ...discountFields,
+        taxAmount,
+        taxes,
+        finalAmount: roundMoney(totalAmount - discount + exclusiveTax),
+        validUntil,
+        createdBy: req.user._id,
+        notes
+      }], { session });
+
+      return createdQuotation;
+    }));
+
+    res.status(201).json({
+      message: 'Quotation created successfully',
+      quotation: withStatus(quotation)
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Create quotation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a quotation
+router.get('/:id', async (req, res) => {
+  try {
+    const quotation = await findQuotation(req);
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    res.json(withStatus(quotation));
+  } catch (error) {
+    console.error('Get quotation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A4 quotation (proforma) PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const quotation = await findQuotation(req);
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    const [business, taxSettings] = await Promise.all([getSetting('business'), getSetting('tax')]);
+
+    const doc = createInvoiceDoc({
+      type: 'quotation',
+      number: quotation.quoteNumber,
+      date: quotation.createdAt,
+      validUntil: quotation.validUntil,
+      business,
+      taxRegistrationNumber: quotation.taxes.length > 0 ? taxSettings.registrationNumber : undefined,
+      customer: {
+        name: quotation.customerName,
+        phone: quotation.customerPhone,
+        email: quotation.customer?.email,
+        address: quotation.customer?.address
+      },
+      items: quotation.items,
+      totalAmount: quotation.totalAmount,
+      discount: quotation.discount,
+      taxes: quotation.taxes,
+      finalAmount: quotation.finalAmount,
+      notes: quotation.notes,
+      footer: `Prices are held until ${quotation.validUntil.toLocaleDateString()}. Stock is not reserved and is confirmed when you buy.`
+    });
+
+    sendPdf(res, doc, `quotation-${quotation.quoteNumber}.pdf`);
+  } catch (error) {
+    console.error('Generate quotation PDF error:', error);
+    res.status(500).json({ message: 'Server error generating PDF' });
+  }
+});
+
+// Cancel an open quotation
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    const ownQuotation = { _id: req.params.id, ...quotationScope(req) };
+    const quotation = await Quotation.findOneAndUpdate(
+      { ...ownQuotation, status: 'open' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!quotation) {
+      if (!(await Quotation.exists(ownQuotation))) {
+        return res.status(404).json({ message: 'Quotation not found' });
+      }
+      return res.status(409).json({ message: 'Only open quotations can be cancelled' });
+    }
+
+    res.json({
+      message: 'Quotation cancelled',
+      quotation: withStatus(quotation)
+    });
+  } catch (error) {
+    console.error('Cancel quotation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn a quotation into a sale at the quoted prices. Stock is checked and
+// rolls picked now, as for any sale; the payments must cover the quoted total.
+router.post('/:id/convert', [
+  body('payments').isArray({ min: 1 }).withMessage('At least one payment is required'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('payments.*.reference').optional().trim().isLength({ max: 100 }).withMessage('Payment reference must be at most 100 characters'),
+  body('cashTendered').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Cash tendered must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    const quotation = await Quotation.findOne({ _id: req.params.id, ...quotationScope(req) });
+    if (!quotation) {
+      return res.status(404).json({ message: 'Quotation not found' });
+    }
+
+    if (quotation.status !== 'open') {
+      return res.status(409).json({ message: `This quotation has been ${quotation.status}` });
+    }
+
+    if (quotation.validUntil < new Date()) {
+      return res.status(409).json({
+        message: `This quotation expired on ${quotation.validUntil.toLocaleDateString()}. Quote the customer again at today's prices.`
+      });
+    }
+
+    // Check stock and pick rolls for the quoted quantities, then charge the quoted prices
+    const { saleItems, saleRolls } = await priceSaleItems(quotation.items.map(item => ({
+      productId: item.product,
+      quantity: item.soldQuantity || item.quantity,
+      unit: item.soldUnit || item.unit
+    })));
+
+    const quotedItems = saleItems.map((saleItem, index) => {
+      const quoted = quotation.items[index];
+      return {
+        ...saleItem,
+        unitPrice: quoted.unitPrice,
+        totalPrice: quoted.totalPrice,
+        promotion: quoted.promotion,
+        promotionName: quoted.promotionName,
+        promotionDiscount: quoted.promotionDiscount,
+        tax: quoted.tax,
+        taxName: quoted.taxName,
+        taxRate: quoted.taxRate,
+        taxInclusive: quoted.taxInclusive,
+        taxAmount: quoted.taxAmount
+      };
+    });
+
+    const sale = await createSale({
+      user: req.user,
+      customerId: quotation.customer,
+      customerName: quotation.customerName,
+      customerPhone: quotation.customerPhone,
+      saleItems: quotedItems,
+      saleRolls,
+      totalAmount: quotation.totalAmount,
+      promotions: quotation.promotions.map(promotion => promotion.toObject()),
+      discount: quotation.discount,
+      taxAmount: quotation.taxAmount,
+      taxes: quotation.taxes.map(tax => tax.toObject()),
+      finalAmount: quotation.finalAmount,
+      payments: req.body.payments,
+      cashTendered: req.body.cashTendered,
+      notes: quotation.notes ? `Quotation ${quotation.quoteNumber}: ${quotation.notes}` : `Quotation ${quotation.quoteNumber}`,
+      quotation
+    });
+
+    const populatedSale = await Sale.findById(sale._id)
+      .populate('soldBy', 'name')
+      .populate('items.product', 'name category');
+
+    res.status(201).json({
+      message: 'Quotation converted to a sale',
+      sale: populatedSale
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Convert quotation error:', error);
+    res.status(500).json({ message: 'Server error during sale' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Shift = require('../models/Shift');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { findOpenShift, computeShiftTotals } = require('../utils/shifts');
+const { PAYMENT_METHODS, formatPaymentMethod } = require('../utils/payments');
+const { createReceiptDoc, drawReceiptFooter, sendPdf } = require('../utils/receipt');
+
+const router = express.Router();
+
+// All shift routes require authentication and staff/admin role
+router.use(authenticateToken);
+router.use(requireStaff);
+
+// Staff see their own shifts; admins can see anyone's
+const findAccessibleShift = async (req) => {
+  const shift = await Shift.findById(req.params.id)
+    .populate('openedBy', 'name')
+    .populate('closedBy', 'name');
+
+  if (!shift) {
+    throw new HttpError(404, 'Shift not found');
+  }
+
+  if (req.user.role !== 'admin' && !shift.openedBy._id.equals(req.user._id)) {
+    throw new HttpError(404, 'Shift not found');
+  }
+
+  return shift;
+};
+
+// Get the current user's open shift with running totals
+router.get('/current', async (req, res) => {
+  try {
+    const shift = await findOpenShift(req.user._id);
+
+    if (!shift) {
+      return res.json({ shift: null });
+    }
+
+    const { totals, expectedCash } = await computeShiftTotals(shift);
+
+    res.json({
+      shift: {
+        ...shift.toObject(),
+        totals,
+        expectedCash
+      }
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's recent shifts
+router.get('/', async (req, res) => {
+  try {
+    const shifts = await Shift.find({ openedBy: req.user._id })
+      .sort({ openedAt: -1 })
+      .limit(10);
+
+    res.json(shifts);
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open a shift with the cash float in the drawer
+router.post('/', [
+  body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingShift = await findOpenShift(req.user._id);
+    if (existingShift) {
+      return res.status(409).json({ message: 'You already have an open shift', shift: existingShift });
+    }
+
+    const shiftNumber = await generateDocumentNumber(Shift, 'shiftNumber', 'SH');
+    if (!shiftNumber) {
+      return res.status(500).json({ message: 'Could not generate unique shift number' });
+    }
+
+    const shift = await Shift.create({
+      shiftNumber,
+      openedBy: req.user._id,
+      openingFloat: Number(req.body.openingFloat)
+    });
+
+    res.status(201).json({
+      message: 'Shift opened successfully',
+      shift
+    });
+  } catch (error) {
+    // The partial unique index catches two opens racing each other
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You already have an open shift' });
+    }
+    console.error('Open shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close a shift against the cash counted in the drawer
+router.post('/:id/close', [
+  body('countedCash').isFloat({ min: 0 }).withMessage('Counted cash must be non-negative'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shift = await findAccessibleShift(req);
+    if (shift.status !== 'open') {
+      return res.status(400).json({ message: 'Shift is already closed' });
+    }
+
+    const countedCash = Number(req.body.countedCash);
+    const { totals, expectedCash } = await computeShiftTotals(shift);
+
+    const update = {
+      status: 'closed',
+      closedAt: new Date(),
+      closedBy: req.user._id,
+      totals,
+      expectedCash,
+      countedCash,
+      overShort: Math.round((countedCash - expectedCash) * 100) / 100
+    };
+    if (req.body.notes) {
+      update.notes = req.body.notes;
+    }
+
+    // Only the first close wins if the shift is closed from two places at once
+    const closedShift = await Shift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      { $set: update },
+      { new: true }
+    ).populate('openedBy', 'name');
+
+    if (!closedShift) {
+      return res.status(400).json({ message: 'Shift is already closed' });
+    }
+
+    res.json({
+      message: 'Shift closed successfully',
+      shift: closedShift
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Close shift error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate the Z-report PDF for a closed shift
+router.get('/:id/z-report/pdf', async (req, res) => {
+  try {
+    const shift = await findAccessibleShift(req);
+    if (shift.status !== 'closed') {
+      return res.status(400).json({ message: 'Z-report is only available once the shift is closed' });
+    }
+
+    const { doc, yPos: startY } = createReceiptDoc();
+    const { totals } = shift;
+    let yPos = startY;
+
+    // Draw a label on the left and an amount on the right
+    const line = (label, amount, x = 10) => {
+      doc.text(label, x, yPos);
+      doc.text(`₦${(amount || 0).toLocaleString()}`, 75, yPos, { align: 'right' });
+      yPos += 5;
+    };
+
+    const section = (title) => {
+      yPos += 2;
+      doc.setFont('helvetica', 'bold');
+      doc.text(title, 10, yPos);
+      doc.setFont('helvetica', 'normal');
+      yPos += 5;
+    };
+
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'bold');
+    doc.text('Z-REPORT', 40, yPos, { align: 'center' });
+    yPos += 8;
+
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`Shift #: ${shift.shiftNumber}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Cashier: ${shift.openedBy.name}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Opened: ${new Date(shift.openedAt).toLocaleString()}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Closed: ${new Date(shift.closedAt).toLocaleString()}`, 10, yPos);
+    yPos += 5;
+    if (shift.closedBy && !shift.closedBy._id.equals(shift.openedBy._id)) {
+      doc.text(`Closed by: ${shift.closedBy.name}`, 10, yPos);
+      yPos += 5;
+    }
+
+    section('SALES');
+    doc.text(`Transactions: ${totals.salesCount}`, 10, yPos);
+    yPos += 5;
+    line('Net sales', totals.totalSales);
+    line('Discounts given', totals.discounts);
+
+    section('PAYMENTS');
+    PAYMENT_METHODS.forEach(method => {
+      if (totals.paymentTotals[method] > 0) {
+        line(formatPaymentMethod(method), totals.paymentTotals[method], 12);
+      }
+    });
+
+    section('VOIDS & RETURNS');
+    doc.text(`Voided sales: ${totals.voidedCount}`, 10, yPos);
+    doc.text(`₦${totals.voidedAmount.toLocaleString()}`, 75, yPos, { align: 'right' });
+    yPos += 5;
+    doc.text(`Returns: ${totals.returnsCount}`, 10, yPos);
+    yPos += 5;
+    PAYMENT_METHODS.forEach(method => {
+      if (totals.refundTotals[method] > 0) {
+        line(`${formatPaymentMethod(method)} refunds`, totals.refundTotals[method], 12);
+      }
+    });
+
+    const repaymentMethods = Object.keys(totals.repaymentTotals).filter(method => totals.repaymentTotals[method] > 0);
+    if (repaymentMethods.length > 0) {
+      section('CREDIT REPAYMENTS');
+      repaymentMethods.forEach(method => {
+        line(formatPaymentMethod(method), totals.repaymentTotals[method], 12);
+      });
+    }
+
+    section('CASH DRAWER');
+    line('Opening float', shift.openingFloat);
+    line('+ Cash sales', totals.paymentTotals.cash);
+    line('- Cash refunds', totals.refundTotals.cash);
+    line('+ Cash repayments', totals.repaymentTotals.cash);
+    doc.setLineWidth(0.5);
+    doc.line(5, yPos - 2, 75, yPos - 2);
+    yPos += 2;
+    line('Expected cash', shift.expectedCash);
+    line('Counted cash', shift.countedCash);
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    const overShortLabel = shift.overShort > 0 ? 'OVER' : shift.overShort < 0 ? 'SHORT' : 'BALANCED';
+    doc.text(overShortLabel, 10, yPos);
+    doc.text(`₦${Math.abs(shift.overShort).toLocaleString()}`, 75, yPos, { align: 'right' });
+    yPos += 8;
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    if (shift.notes) {
+      doc.text(`Notes: ${shift.notes}`, 10, yPos);
+      yPos += 8;
+    }
+
+    drawReceiptFooter(doc, yPos, 'End of shift report');
+
+    sendPdf(res, doc, `z-report-${shift.shiftNumber}.pdf`);
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Generate Z-report error:', error);
+    res.status(500).json({ message: 'Server error generating PDF' });
+  }
+});
+
+module.exports = router;
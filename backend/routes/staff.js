@@ -1,10 +1,26 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const { jsPDF } = require('jspdf');
 const Product = require('../models/Product');
 const Sale = require('../models/Sale');
-const StockHistory = require('../models/StockHistory');
+const Return = require('../models/Return');
+const Customer = require('../models/Customer');
 const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { addStock } = require('../utils/stock');
+const { getRemnantSettings, withRemnantFlags } = require('../utils/remnants');
+const { roundLength, formatSoldQuantity } = require('../utils/units');
+const { priceSaleItems, createSale } = require('../utils/sales');
+const { saleLineAmounts } = require('../utils/margin');
+const { applyTax, formatTaxLabel } = require('../utils/tax');
+const { generateDocumentNumber } = require('../utils/numbering');
+const { recordCreditEntry } = require('../utils/credit');
+const { PAYMENT_METHODS, roundMoney, refundableAmount, formatPaymentMethod } = require('../utils/payments');
+const { createReceiptDoc, drawReceiptFooter, sendPdf } = require('../utils/receipt');
+const { createInvoiceDoc } = require('../utils/invoice');
+const { findOpenShift, requireOpenShift, computeShiftTotals } = require('../utils/shifts');
+const { getSetting } = require('../utils/settings');
+const { getAmountPaid, getBalanceDue } = require('../utils/layaways');
 
 const router = express.Router();
 
@@ -18,24 +34,32 @@ router.get('/products', async (req, res) => {
     const products = await Product.find({
       isActive: true,
       currentStock: { $gt: 0 }
-    }).select('name category currentStock unit pricePerUnit description');
+    })
+      .select('name category sku currentStock unit pricePerUnit description rolls group variant images')
+      .populate('group', 'name description');
 
-    res.json(products);
+    const remnantSettings = await getRemnantSettings();
+
+    res.json(products.map(product => withRemnantFlags(product, remnantSettings)));
   } catch (error) {
     console.error('Get products error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create a new sale
-router.post('/sales', [
-  body('customerName').trim().isLength({ min: 2 }).withMessage('Customer name must be at least 2 characters'),
-  body('customerPhone').optional().isLength({ min: 0, max: 15 }).withMessage('Phone number must be at most 15 characters'),
+const saleItemValidators = [
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.productId').isMongoId().withMessage('Invalid product ID'),
   body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
-  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be non-negative'),
-  body('paymentMethod').optional().isIn(['cash', 'card', 'transfer', 'credit']).withMessage('Invalid payment method')
+  body('items.*.rollId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid roll ID'),
+  body('items.*.unit').optional({ values: 'falsy' }).isIn(['yards', 'meters', 'pieces']).withMessage('Invalid unit')
+];
+
+// Price a cart without selling it, so the till shows the promotions and
+// tax the sale will get and the exact total the payments must cover
+router.post('/sales/quote', [
+  ...saleItemValidators,
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be non-negative')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -43,119 +67,97 @@ router.post('/sales', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { customerName, customerPhone, items, discount = 0, paymentMethod = 'cash', notes } = req.body;
+    const discount = Number(req.body.discount || 0);
+    const { saleItems, totalAmount, promotions } = await priceSaleItems(req.body.items);
 
-    // Validate items and check stock availability
-    let totalAmount = 0;
-    const saleItems = [];
-
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-
-      if (!product) {
-        return res.status(400).json({ message: `Product not found: ${item.productId}` });
-      }
-
-      if (!product.isActive) {
-        return res.status(400).json({ message: `Product is not available: ${product.name}` });
-      }
-
-      if (product.currentStock < item.quantity) {
-        return res.status(400).json({
-          message: `Insufficient stock for ${product.name}. Available: ${product.currentStock} ${product.unit}`
-        });
-      }
+    if (discount > totalAmount) {
+      return res.status(400).json({ message: 'Discount cannot exceed total amount' });
+    }
 
-      const itemTotal = item.quantity * product.pricePerUnit;
-      totalAmount += itemTotal;
+    const { taxAmount, exclusiveTax, taxes } = applyTax(saleItems, totalAmount, discount);
 
-      saleItems.push({
-        product: product._id,
-        productName: product.name,
+    res.json({
+      items: saleItems.map(item => ({
+        product: item.product,
         quantity: item.quantity,
-        unitPrice: product.pricePerUnit,
-        totalPrice: itemTotal,
-        unit: product.unit
-      });
-    }
-
-    const finalAmount = totalAmount - discount;
+        unitPrice: item.unitPrice,
+        totalPrice: item.totalPrice,
+        isRemnant: item.isRemnant,
+        promotionName: item.promotionName,
+        promotionDiscount: item.promotionDiscount,
+        taxName: item.taxName,
+        taxRate: item.taxRate,
+        taxInclusive: item.taxInclusive,
+        taxAmount: item.taxAmount
+      })),
+      totalAmount,
+      promotions,
+      discount,
+      taxAmount,
+      taxes,
+      finalAmount: roundMoney(totalAmount - discount + exclusiveTax)
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Quote sale error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (finalAmount < 0) {
-      return res.status(400).json({ message: 'Discount cannot exceed total amount' });
+// Create a new sale
+router.post('/sales', [
+  body('customerId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid customer ID'),
+  body('customerName').trim().isLength({ min: 2 }).withMessage('Customer name must be at least 2 characters'),
+  body('customerPhone').optional().isLength({ min: 0, max: 15 }).withMessage('Phone number must be at most 15 characters'),
+  ...saleItemValidators,
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be non-negative'),
+  body('discountApproval.reason').optional().trim().isLength({ max: 200 }).withMessage('Discount reason must be at most 200 characters'),
+  body('discountApproval.approverId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid approver'),
+  body('discountApproval.requestId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid approval request'),
+  body('payments').isArray().withMessage('Payments must be a list'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be greater than 0'),
+  body('payments.*.reference').optional().trim().isLength({ max: 100 }).withMessage('Payment reference must be at most 100 characters'),
+  body('cashTendered').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Cash tendered must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Generate unique sale number
-    let saleNumber;
-    let attempts = 0;
-    const maxAttempts = 10;
-
-    try {
-      do {
-        const date = new Date();
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        saleNumber = `RF${year}${month}${day}${random}`;
-        attempts++;
-
-        const existingSale = await Sale.findOne({ saleNumber });
-        if (!existingSale) {
-          break; // Found unique sale number
-        }
-      } while (attempts < maxAttempts);
-    } catch (error) {
-      console.error('Error generating sale number:', error);
-      return res.status(500).json({ message: 'Error generating sale number' });
-    }
+    const { customerId, customerName, customerPhone, items, discount = 0, discountApproval, payments, cashTendered, notes } = req.body;
 
-    if (attempts >= maxAttempts) {
-      return res.status(500).json({ message: 'Could not generate unique sale number' });
+    // Price the items, promotions included, and check stock availability
+    const { saleItems, saleRolls, totalAmount, promotions } = await priceSaleItems(items);
+
+    if (discount > totalAmount) {
+      return res.status(400).json({ message: 'Discount cannot exceed total amount' });
     }
 
+    // Tax is on what is charged after the discount; exclusive tax is added on top
+    const { taxAmount, exclusiveTax, taxes } = applyTax(saleItems, totalAmount, Number(discount));
+    const finalAmount = roundMoney(totalAmount - discount + exclusiveTax);
 
-    // Create sale
-    const sale = new Sale({
-      saleNumber,
+    const sale = await createSale({
+      user: req.user,
+      customerId,
       customerName,
       customerPhone,
-      items: saleItems,
+      saleItems,
+      saleRolls,
       totalAmount,
+      promotions,
       discount,
+      discountApproval,
+      taxAmount,
+      taxes,
       finalAmount,
-      paymentMethod,
-      soldBy: req.user._id,
+      payments,
+      cashTendered,
       notes
     });
 
-    await sale.save();
-
-    // Update product stock and create stock history
-    for (const item of saleItems) {
-      const product = await Product.findById(item.product);
-
-      const previousStock = product.currentStock;
-      product.currentStock -= item.quantity;
-      await product.save();
-
-      // Record stock history
-      const stockHistory = new StockHistory({
-        product: product._id,
-        productName: product.name,
-        action: 'sold',
-        quantity: item.quantity,
-        previousStock,
-        newStock: product.currentStock,
-        unit: product.unit,
-        performedBy: req.user._id,
-        sale: sale._id,
-        notes: `Sold to ${customerName}`
-      });
-
-      await stockHistory.save();
-    }
-
     // Populate sale data for response
     const populatedSale = await Sale.findById(sale._id)
       .populate('soldBy', 'name')
@@ -166,6 +168,7 @@ router.post('/sales', [
       sale: populatedSale
     });
   } catch (error) {
+    if (sendHttpError(res, error)) return;
     console.error('Create sale error:', error);
     res.status(500).json({ message: 'Server error during sale' });
   }
@@ -217,13 +220,20 @@ router.get('/sales', async (req, res) => {
   }
 });
 
+// Staff can reprint their own sales, and layaways they took a payment on or handed over
+const ownSaleQuery = (req) => ({
+  _id: req.params.id,
+  $or: [
+    { soldBy: req.user._id },
+    { 'payments.receivedBy': req.user._id },
+    { 'layaway.collectedBy': req.user._id }
+  ]
+});
+
 // Get sale receipt by ID
 router.get('/sales/:id/receipt', async (req, res) => {
   try {
-    const sale = await Sale.findOne({
-      _id: req.params.id,
-      soldBy: req.user._id
-    })
+    const sale = await Sale.findOne(ownSaleQuery(req))
     .populate('soldBy', 'name')
     .populate('items.product', 'name category');
 
@@ -231,6 +241,8 @@ router.get('/sales/:id/receipt', async (req, res) => {
       return res.status(404).json({ message: 'Sale not found' });
     }
 
+    const taxSettings = await getSetting('tax');
+
     // Generate receipt data
     const receipt = {
       saleNumber: sale.saleNumber,
@@ -240,12 +252,22 @@ router.get('/sales/:id/receipt', async (req, res) => {
         phone: sale.customerPhone
       },
       items: sale.items,
+      promotions: sale.promotions,
       totals: {
         subtotal: sale.totalAmount,
         discount: sale.discount,
+        tax: sale.taxAmount,
         finalAmount: sale.finalAmount
       },
-      paymentMethod: sale.paymentMethod,
+      taxes: sale.taxes,
+      taxRegistrationNumber: taxSettings.registrationNumber || undefined,
+      payments: sale.payments,
+      cashTendered: sale.cashTendered,
+      changeDue: sale.changeDue,
+      status: sale.status,
+      layaway: sale.layaway,
+      amountPaid: getAmountPaid(sale),
+      balanceDue: getBalanceDue(sale),
       soldBy: sale.soldBy.name,
       notes: sale.notes
     };
@@ -260,10 +282,7 @@ router.get('/sales/:id/receipt', async (req, res) => {
 // Get sale receipt as PDF by ID
 router.get('/sales/:id/receipt/pdf', async (req, res) => {
   try {
-    const sale = await Sale.findOne({
-      _id: req.params.id,
-      soldBy: req.user._id
-    })
+    const sale = await Sale.findOne(ownSaleQuery(req))
     .populate('soldBy', 'name')
     .populate('items.product', 'name category');
 
@@ -271,37 +290,29 @@ router.get('/sales/:id/receipt/pdf', async (req, res) => {
       return res.status(404).json({ message: 'Sale not found' });
     }
 
-    // Create PDF document - Standard 80mm thermal receipt printer width
-    const doc = new jsPDF({
-      orientation: 'portrait',
-      unit: 'mm',
-      format: [80, 297]  // 80mm width (standard receipt printer), 297mm height (A4 length)
-    });
-
-    // Set font
-    doc.setFont('helvetica');
-
-    // Header
-    doc.setFontSize(14);
-    doc.setFont('helvetica', 'bold');
-    doc.text('RONNIE\'S FABRICS', 40, 15, { align: 'center' });
-
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
-    doc.text('Fabric Inventory Management', 40, 22, { align: 'center' });
-    doc.text('Quality Fabrics for Every Need', 40, 27, { align: 'center' });
+    const taxSettings = await getSetting('tax');
+    const { doc, yPos: startY } = createReceiptDoc();
 
     // Sale details
-    let yPos = 40;
-    doc.setFontSize(8);
-    doc.setFont('helvetica', 'normal');
+    let yPos = startY;
 
     doc.text(`Sale #: ${sale.saleNumber}`, 10, yPos);
     yPos += 5;
     doc.text(`Date: ${new Date(sale.saleDate).toLocaleDateString()}`, 10, yPos);
     yPos += 5;
     doc.text(`Time: ${new Date(sale.saleDate).toLocaleTimeString()}`, 10, yPos);
-    yPos += 8;
+    yPos += 5;
+    if (sale.status === 'pending' && sale.layaway) {
+      doc.setFont('helvetica', 'bold');
+      doc.text(`LAYAWAY - reserved until ${sale.layaway.expiresAt.toLocaleDateString()}`, 10, yPos);
+      doc.setFont('helvetica', 'normal');
+      yPos += 5;
+    }
+    if (sale.taxes.length > 0 && taxSettings.registrationNumber) {
+      doc.text(`Tax Reg. No: ${taxSettings.registrationNumber}`, 10, yPos);
+      yPos += 5;
+    }
+    yPos += 3;
 
     // Customer info
     doc.text(`Customer: ${sale.customerName}`, 10, yPos);
@@ -326,11 +337,12 @@ router.get('/sales/:id/receipt/pdf', async (req, res) => {
       doc.text(productName, 10, yPos);
 
       // Quantity and unit price
-      const qtyText = `${item.quantity} ${item.unit} × ₦${item.unitPrice.toLocaleString()}`;
+      const qtyText = `${formatSoldQuantity(item)} × ₦${item.unitPrice.toLocaleString()}`;
       doc.text(qtyText, 10, yPos + 4);
 
-      // Total price
-      doc.text(`₦${item.totalPrice.toLocaleString()}`, 75, yPos, { align: 'right' });
+      // Total price, before any promotion (listed below the items)
+      const listPrice = roundMoney(item.totalPrice + (item.promotionDiscount || 0));
+      doc.text(`₦${listPrice.toLocaleString()}`, 75, yPos, { align: 'right' });
 
       yPos += 10;
 
@@ -347,6 +359,24 @@ router.get('/sales/:id/receipt/pdf', async (req, res) => {
     doc.line(5, yPos, 75, yPos);
     yPos += 5;
 
+    if (sale.promotions.length > 0) {
+      doc.text('Promotions:', 5, yPos);
+      yPos += 5;
+      sale.promotions.forEach(promotion => {
+        const label = promotion.name.length > 28 ? promotion.name.substring(0, 25) + '...' : promotion.name;
+        doc.text(label, 7, yPos);
+        doc.text(`-₦${promotion.amount.toLocaleString()}`, 75, yPos, { align: 'right' });
+        yPos += 4;
+        if (promotion.description) {
+          doc.setFontSize(7);
+          doc.text(promotion.description.substring(0, 45), 7, yPos);
+          doc.setFontSize(8);
+          yPos += 4;
+        }
+      });
+      yPos += 1;
+    }
+
     doc.text(`Subtotal: ₦${sale.totalAmount.toLocaleString()}`, 5, yPos);
     yPos += 5;
 
@@ -355,16 +385,48 @@ router.get('/sales/:id/receipt/pdf', async (req, res) => {
       yPos += 5;
     }
 
+    // Inclusive tax is already in the prices above; exclusive tax adds to the total
+    sale.taxes.forEach(tax => {
+      doc.text(`${formatTaxLabel(tax)}: ₦${tax.taxAmount.toLocaleString()}`, 5, yPos);
+      yPos += 5;
+    });
+
     doc.setFont('helvetica', 'bold');
     doc.setFontSize(9);
     doc.text(`TOTAL: ₦${sale.finalAmount.toLocaleString()}`, 5, yPos);
     yPos += 8;
 
-    // Payment method
+    // Payments - one line per tender
     doc.setFont('helvetica', 'normal');
     doc.setFontSize(8);
-    doc.text(`Payment: ${sale.paymentMethod.charAt(0).toUpperCase() + sale.paymentMethod.slice(1)}`, 10, yPos);
+    doc.text('Payment:', 10, yPos);
     yPos += 5;
+    sale.payments.forEach(payment => {
+      const label = payment.reference
+        ? `${formatPaymentMethod(payment.method)} (${payment.reference})`
+        : formatPaymentMethod(payment.method);
+      doc.text(label, 12, yPos);
+      doc.text(`₦${payment.amount.toLocaleString()}`, 75, yPos, { align: 'right' });
+      yPos += 5;
+    });
+
+    if (sale.cashTendered !== undefined && sale.cashTendered !== null) {
+      doc.text('Cash tendered', 12, yPos);
+      doc.text(`₦${sale.cashTendered.toLocaleString()}`, 75, yPos, { align: 'right' });
+      yPos += 5;
+      doc.text('Change', 12, yPos);
+      doc.text(`₦${sale.changeDue.toLocaleString()}`, 75, yPos, { align: 'right' });
+      yPos += 5;
+    }
+
+    if (sale.status === 'pending' && sale.layaway) {
+      doc.setFont('helvetica', 'bold');
+      doc.text('Balance due', 12, yPos);
+      doc.text(`₦${getBalanceDue(sale).toLocaleString()}`, 75, yPos, { align: 'right' });
+      doc.setFont('helvetica', 'normal');
+      yPos += 5;
+    }
+    yPos += 3;
 
     // Staff
     doc.text(`Served by: ${sale.soldBy.name}`, 10, yPos);
@@ -376,29 +438,342 @@ router.get('/sales/:id/receipt/pdf', async (req, res) => {
       yPos += 5;
     }
 
-    // Footer - No page break needed for continuous thermal paper
+    drawReceiptFooter(doc, yPos);
+
+    sendPdf(res, doc, `receipt-${sale.saleNumber}.pdf`);
+  } catch (error) {
+    console.error('Generate PDF receipt error:', error);
+    res.status(500).json({ message: 'Server error generating PDF' });
+  }
+});
+
+// Get a sale as an A4 invoice, for account customers who need one to pay from
+router.get('/sales/:id/invoice/pdf', async (req, res) => {
+  try {
+    const sale = await Sale.findOne(ownSaleQuery(req))
+    .populate('customer', 'email address');
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    const [business, taxSettings] = await Promise.all([getSetting('business'), getSetting('tax')]);
+
+    const doc = createInvoiceDoc({
+      type: 'invoice',
+      number: sale.saleNumber,
+      date: sale.saleDate,
+      business,
+      taxRegistrationNumber: sale.taxes.length > 0 ? taxSettings.registrationNumber : undefined,
+      customer: {
+        name: sale.customerName,
+        phone: sale.customerPhone,
+        email: sale.customer?.email,
+        address: sale.customer?.address
+      },
+      items: sale.items,
+      totalAmount: sale.totalAmount,
+      discount: sale.discount,
+      taxes: sale.taxes,
+      finalAmount: sale.finalAmount,
+      payments: sale.payments,
+      notes: sale.notes,
+      footer: 'Thank you for your business.'
+    });
+
+    sendPdf(res, doc, `invoice-${sale.saleNumber}.pdf`);
+  } catch (error) {
+    console.error('Generate invoice PDF error:', error);
+    res.status(500).json({ message: 'Server error generating PDF' });
+  }
+});
+
+// Look up a completed sale by its number so any till can process a return
+router.get('/sales/lookup/:saleNumber', async (req, res) => {
+  try {
+    const sale = await Sale.findOne({
+      saleNumber: req.params.saleNumber.trim().toUpperCase(),
+      status: 'completed'
+    })
+    .populate('soldBy', 'name');
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    res.json(sale);
+  } catch (error) {
+    console.error('Sale lookup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Return part or all of a sale, restock it and record the refund
+router.post('/returns', [
+  body('saleNumber').trim().notEmpty().withMessage('Sale number is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.itemId').isMongoId().withMessage('Invalid sale item ID'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be greater than 0'),
+  body('refundMethod').isIn(PAYMENT_METHODS).withMessage('Invalid refund method'),
+  body('reason').trim().isLength({ min: 3 }).withMessage('Reason must be at least 3 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { saleNumber, items, refundMethod, reason } = req.body;
+
+    // Merge repeated lines so the limit check sees the full quantity per item
+    const requested = new Map();
+    for (const item of items) {
+      requested.set(item.itemId, roundLength((requested.get(item.itemId) || 0) + Number(item.quantity)));
+    }
+
+    const returnNumber = await generateDocumentNumber(Return, 'returnNumber', 'RT');
+    if (!returnNumber) {
+      return res.status(500).json({ message: 'Could not generate unique return number' });
+    }
+
+    const saleReturn = await mongoose.connection.transaction(async (session) => {
+      // Reading and saving the sale inside the transaction means two returns
+      // against the same sale conflict and retry instead of both passing
+      const sale = await Sale.findOne({
+        saleNumber: saleNumber.toUpperCase(),
+        status: 'completed'
+      }).session(session);
+
+      if (!sale) {
+        throw new HttpError(404, 'Sale not found');
+      }
+
+      const paidMethods = [...new Set(sale.payments.map(payment => payment.method))];
+      if (refundMethod !== 'store_credit' && !paidMethods.includes(refundMethod)) {
+        throw new HttpError(400, `Refunds must be made by ${paidMethods.map(formatPaymentMethod).join(', ')} or as store credit`);
+      }
+
+      // Refund what was paid: the line's promotion price, less its share of
+      // any sale-level discount, plus any exclusive tax charged on it
+      const returnItems = [];
+
+      for (const [itemId, quantity] of requested) {
+        const saleItem = sale.items.id(itemId);
+        if (!saleItem) {
+          throw new HttpError(400, `Item not found on sale ${sale.saleNumber}: ${itemId}`);
+        }
+
+        const returnable = saleItem.quantity - saleItem.returnedQuantity;
+        if (quantity > returnable + 1e-9) {
+          throw new HttpError(400, `Cannot return ${quantity} ${saleItem.unit} of ${saleItem.productName}. Returnable: ${returnable} ${saleItem.unit}`);
+        }
+
+        saleItem.returnedQuantity = roundLength(saleItem.returnedQuantity + quantity);
+
+        returnItems.push({
+          saleItem: saleItem._id,
+          product: saleItem.product,
+          productName: saleItem.productName,
+          quantity,
+          unitPrice: saleItem.unitPrice,
+          refundAmount: roundMoney(saleLineAmounts(sale, saleItem, quantity).paid),
+          unit: saleItem.unit
+        });
+      }
+
+      await sale.save({ session });
+
+      const refundAmount = returnItems.reduce((sum, item) => sum + item.refundAmount, 0);
+
+      // Money goes back through a tender only up to what was paid that way.
+      // Store credit can be issued for any returned goods.
+      if (refundMethod !== 'store_credit') {
+        const earlierReturns = await Return.find({ sale: sale._id }).session(session);
+        const refundable = refundableAmount(sale.payments, earlierReturns, refundMethod);
+        if (refundAmount > refundable + 0.01) {
+          throw new HttpError(400, `Only ₦${refundable.toLocaleString()} paid by ${formatPaymentMethod(refundMethod)} is left to refund on ${sale.saleNumber}. Refund the rest another way or as store credit`);
+        }
+      }
+
+      // Cash refunds come out of the drawer, so they need a shift to count against
+      const shift = refundMethod === 'cash'
+        ? await requireOpenShift(req.user._id, session, 'Open a shift before giving cash refunds')
+        : await findOpenShift(req.user._id, session);
+
+      if (refundMethod === 'credit' && sale.customer) {
+        // Returned goods bought on credit come off what the customer owes
+        await recordCreditEntry({
+          customerId: sale.customer,
+          type: 'refund',
+          amount: refundAmount,
+          session,
+          sale: sale._id,
+          saleNumber: sale.saleNumber,
+          recordedBy: req.user._id,
+          notes: `Return ${returnNumber}`
+        });
+      }
+
+      if (refundMethod === 'store_credit') {
+        if (!sale.customer) {
+          throw new HttpError(400, 'Store credit needs a registered customer. Refund by the original payment method instead');
+        }
+        await Customer.updateOne(
+          { _id: sale.customer },
+          { $inc: { storeCreditBalance: refundAmount } },
+          { session }
+        );
+      }
+
+      const [createdReturn] = await Return.create([{
+        returnNumber,
+        sale: sale._id,
+        saleNumber: sale.saleNumber,
+        customerName: sale.customerName,
+        customerPhone: sale.customerPhone,
+        items: returnItems,
+        refundAmount,
+        refundMethod,
+        reason,
+        processedBy: req.user._id,
+        shift: shift?._id
+      }], { session });
+
+      for (const item of returnItems) {
+        // Cut lengths go back onto the roll they came off, if it is still there
+        await addStock({
+          productId: item.product,
+          quantity: item.quantity,
+          roll: sale.items.id(item.saleItem).roll,
+          session,
+          history: {
+            action: 'returned',
+            performedBy: req.user._id,
+            sale: sale._id,
+            saleReturn: createdReturn._id,
+            notes: `Returned from sale ${sale.saleNumber}: ${reason}`
+          }
+        });
+      }
+
+      return createdReturn;
+    });
+
+    res.status(201).json({
+      message: 'Return processed successfully',
+      return: saleReturn
+    });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Create return error:', error);
+    res.status(500).json({ message: 'Server error during return' });
+  }
+});
+
+// Get recent returns processed by staff member
+router.get('/returns', async (req, res) => {
+  try {
+    const returns = await Return.find({ processedBy: req.user._id })
+      .sort({ returnDate: -1 })
+      .limit(20);
+
+    res.json(returns);
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get return slip as PDF by ID
+router.get('/returns/:id/slip/pdf', async (req, res) => {
+  try {
+    const saleReturn = await Return.findById(req.params.id)
+      .populate('processedBy', 'name');
+
+    // Like receipts, staff only reprint slips for returns they processed or
+    // against sales they made
+    const isOwn = saleReturn && (
+      saleReturn.processedBy?._id.equals(req.user._id) ||
+      await Sale.exists({ _id: saleReturn.sale, soldBy: req.user._id })
+    );
+    if (!isOwn) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+
+    const { doc, yPos: startY } = createReceiptDoc();
+    let yPos = startY;
+
+    doc.setFont('helvetica', 'bold');
+    doc.text('RETURN SLIP', 40, yPos, { align: 'center' });
+    yPos += 7;
 
     doc.setFont('helvetica', 'normal');
-    doc.setFontSize(7);
-    doc.text('Thank you for shopping with us!', 40, yPos, { align: 'center' });
-    yPos += 4;
-    doc.text('Quality fabrics guaranteed', 40, yPos, { align: 'center' });
+    doc.text(`Return #: ${saleReturn.returnNumber}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Original Sale #: ${saleReturn.saleNumber}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Date: ${new Date(saleReturn.returnDate).toLocaleDateString()}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Time: ${new Date(saleReturn.returnDate).toLocaleTimeString()}`, 10, yPos);
+    yPos += 8;
+
+    if (saleReturn.customerName) {
+      doc.text(`Customer: ${saleReturn.customerName}`, 10, yPos);
+      yPos += 5;
+    }
+    if (saleReturn.customerPhone) {
+      doc.text(`Phone: ${saleReturn.customerPhone}`, 10, yPos);
+      yPos += 5;
+    }
+    yPos += 3;
+
+    doc.setFont('helvetica', 'bold');
+    doc.text('ITEMS RETURNED', 10, yPos);
     yPos += 6;
+
+    doc.setFont('helvetica', 'normal');
+    saleReturn.items.forEach(item => {
+      const productName = item.productName.length > 25 ?
+        item.productName.substring(0, 22) + '...' : item.productName;
+      doc.text(productName, 10, yPos);
+      doc.text(`${item.quantity} ${item.unit} × ₦${item.unitPrice.toLocaleString()}`, 10, yPos + 4);
+      doc.text(`₦${item.refundAmount.toLocaleString()}`, 75, yPos, { align: 'right' });
+
+      yPos += 10;
+
+      if (yPos > 150) {
+        doc.addPage();
+        yPos = 20;
+      }
+    });
+
+    yPos += 2;
+    doc.setLineWidth(0.5);
+    doc.line(5, yPos, 75, yPos);
+    yPos += 5;
+
     doc.setFont('helvetica', 'bold');
-    doc.text('RONNIE\'S FABRICS', 40, yPos, { align: 'center' });
+    doc.setFontSize(9);
+    doc.text(`REFUND: ₦${saleReturn.refundAmount.toLocaleString()}`, 5, yPos);
+    yPos += 8;
 
-    // Generate PDF buffer
-    const pdfBuffer = doc.output('arraybuffer');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    const refundLabel = saleReturn.refundMethod === 'store_credit'
+      ? 'Store credit'
+      : saleReturn.refundMethod.charAt(0).toUpperCase() + saleReturn.refundMethod.slice(1);
+    doc.text(`Refunded by: ${refundLabel}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Reason: ${saleReturn.reason}`, 10, yPos);
+    yPos += 5;
+    doc.text(`Processed by: ${saleReturn.processedBy.name}`, 10, yPos);
+    yPos += 8;
 
-    // Set response headers
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=receipt-${sale.saleNumber}.pdf`);
-    res.setHeader('Content-Length', pdfBuffer.byteLength);
+    drawReceiptFooter(doc, yPos, 'Thank you, we hope to see you again!');
 
-    // Send PDF
-    res.send(Buffer.from(pdfBuffer));
+    sendPdf(res, doc, `return-${saleReturn.returnNumber}.pdf`);
   } catch (error) {
-    console.error('Generate PDF receipt error:', error);
+    console.error('Generate return slip error:', error);
     res.status(500).json({ message: 'Server error generating PDF' });
   }
 });
@@ -411,15 +786,25 @@ router.get('/dashboard', async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    const todaySales = await Sale.find({
-      soldBy: req.user._id,
-      saleDate: { $gte: today, $lt: tomorrow },
-      status: 'completed'
-    }).populate('items.product', 'name category');
+    // With a shift open the summary covers the shift, otherwise the calendar day
+    const shift = await findOpenShift(req.user._id);
+    const salesFilter = shift
+      ? { shift: shift._id, status: 'completed' }
+      : { soldBy: req.user._id, saleDate: { $gte: today, $lt: tomorrow }, status: 'completed' };
+
+    const todaySales = await Sale.find(salesFilter)
+      .sort({ saleDate: -1 })
+      .populate('items.product', 'name category');
 
     const totalSalesToday = todaySales.reduce((sum, sale) => sum + sale.finalAmount, 0);
     const totalTransactionsToday = todaySales.length;
 
+    let currentShift = null;
+    if (shift) {
+      const { totals, expectedCash } = await computeShiftTotals(shift);
+      currentShift = { ...shift.toObject(), totals, expectedCash };
+    }
+
     // Get low stock warnings (only show if staff needs to know)
     const lowStockProducts = await Product.find({
       isActive: true,
@@ -433,7 +818,8 @@ router.get('/dashboard', async (req, res) => {
         averageSale: totalTransactionsToday > 0 ? totalSalesToday / totalTransactionsToday : 0
       },
       recentSales: todaySales.slice(0, 5), // Last 5 sales today
-      lowStockAlerts: lowStockProducts
+      lowStockAlerts: lowStockProducts,
+      currentShift
     });
   } catch (error) {
     console.error('Staff dashboard error:', error);
@@ -441,7 +827,7 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-// Search products by name or category
+// Search products by name, category or exact SKU
 router.get('/products/search', async (req, res) => {
   try {
     const { q } = req.query;
@@ -455,9 +841,10 @@ router.get('/products/search', async (req, res) => {
       currentStock: { $gt: 0 },
       $or: [
         { name: { $regex: q, $options: 'i' } },
-        { category: { $regex: q, $options: 'i' } }
+        { category: { $regex: q, $options: 'i' } },
+        { sku: q.trim().toUpperCase() }
       ]
-    }).select('name category currentStock unit pricePerUnit description');
+    }).select('name category sku currentStock unit pricePerUnit description');
 
     res.json(products);
   } catch (error) {
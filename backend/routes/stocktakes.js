@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const Stocktake = require('../models/Stocktake');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { HttpError, sendHttpError } = require('../utils/errors');
+const { findOpenStocktake } = require('../utils/stocktakes');
+
+const router = express.Router();
+
+// All stocktake count routes require authentication and staff/admin role
+router.use(authenticateToken);
+router.use(requireStaff);
+
+// Record one product's count. Counts are written one at a time with
+// positional updates, so several people counting different shelves at once
+// never overwrite each other's entries.
+const saveCount = async (stocktakeId, product, countedQuantity, userId) => {
+  const fields = {
+    countedQuantity,
+    expectedStock: product.currentStock,
+    countedBy: userId,
+    countedAt: new Date()
+  };
+
+  // A recount replaces the earlier figure
+  const updated = await Stocktake.updateOne(
+    { _id: stocktakeId, status: 'open', 'counts.product': product._id },
+    {
+      $set: {
+        'counts.$.countedQuantity': fields.countedQuantity,
+        'counts.$.expectedStock': fields.expectedStock,
+        'counts.$.countedBy': fields.countedBy,
+        'counts.$.countedAt': fields.countedAt
+      }
+    }
+  );
+  if (updated.matchedCount > 0) return;
+
+  const added = await Stocktake.updateOne(
+    { _id: stocktakeId, status: 'open', 'counts.product': { $ne: product._id } },
+    {
+      $push: {
+        counts: {
+          ...fields,
+          product: product._id,
+          productName: product.name,
+          unit: product.unit
+        }
+      }
+    }
+  );
+  if (added.matchedCount > 0) return;
+
+  const stocktake = await Stocktake.findById(stocktakeId);
+  if (!stocktake) {
+    throw new HttpError(404, 'Stocktake not found');
+  }
+  if (stocktake.status !== 'open') {
+    throw new HttpError(400, 'This stocktake is no longer open for counting');
+  }
+
+  // Someone else added this product between the two updates; overwrite theirs
+  return saveCount(stocktakeId, product, countedQuantity, userId);
+};
+
+// Get the open stocktake with the products to count. Staff count blind,
+// so system stock levels are deliberately left out.
+router.get('/current', async (req, res) => {
+  try {
+    const stocktake = await findOpenStocktake();
+
+    if (!stocktake) {
+      return res.json({ stocktake: null, products: [] });
+    }
+
+    const products = await Product.find({ isActive: true })
+      .select('name category unit')
+      .sort({ name: 1 });
+
+    res.json({
+      stocktake: {
+        _id: stocktake._id,
+        stocktakeNumber: stocktake.stocktakeNumber,
+        openedAt: stocktake.openedAt,
+        notes: stocktake.notes,
+        counts: stocktake.counts.map(count => ({
+          product: count.product,
+          countedQuantity: count.countedQuantity,
+          countedAt: count.countedAt
+        }))
+      },
+      products
+    });
+  } catch (error) {
+    console.error('Get current stocktake error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enter measured quantities for one or more products
+router.put('/:id/counts', [
+  body('counts').isArray({ min: 1 }).withMessage('At least one count is required'),
+  body('counts.*.productId').isMongoId().withMessage('Invalid product ID'),
+  body('counts.*.countedQuantity').isFloat({ min: 0 }).withMessage('Counted quantity must be non-negative')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stocktake = await Stocktake.findById(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+    if (stocktake.status !== 'open') {
+      return res.status(400).json({ message: 'This stocktake is no longer open for counting' });
+    }
+
+    for (const count of req.body.counts) {
+      const product = await Product.findById(count.productId);
+      if (!product || !product.isActive) {
+        throw new HttpError(400, `Product not found: ${count.productId}`);
+      }
+
+      await saveCount(stocktake._id, product, Number(count.countedQuantity), req.user._id);
+    }
+
+    res.json({ message: 'Counts saved successfully' });
+  } catch (error) {
+    if (sendHttpError(res, error)) return;
+    console.error('Save stocktake counts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
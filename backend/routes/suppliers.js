@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All supplier routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const supplierValidators = (optional) => {
+  const name = body('name');
+  return [
+    (optional ? name.optional() : name).trim().isLength({ min: 2 }).withMessage('Supplier name must be at least 2 characters'),
+    body('phone').optional({ values: 'falsy' }).trim().isLength({ max: 20 }).withMessage('Phone number must be at most 20 characters'),
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email format')
+  ];
+};
+
+// List suppliers, optionally filtered by name
+router.get('/', async (req, res) => {
+  try {
+    const { q, includeInactive } = req.query;
+
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.isActive = true;
+    }
+    if (q) {
+      query.name = { $regex: escapeRegex(q.trim()), $options: 'i' };
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.json(suppliers);
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a supplier
+router.post('/', supplierValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, contactName, phone, email, address, notes } = req.body;
+
+    const existingSupplier = await Supplier.findOne({
+      name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' },
+      isActive: true
+    });
+    if (existingSupplier) {
+      return res.status(409).json({ message: 'Supplier with this name already exists' });
+    }
+
+    const supplier = await Supplier.create({
+      name,
+      contactName,
+      phone,
+      email,
+      address,
+      notes,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Supplier added successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Add supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a supplier
+router.put('/:id', supplierValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    // Only contact details are editable here
+    ['name', 'contactName', 'phone', 'email', 'address', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    });
+
+    await supplier.save();
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deactivate a supplier (soft delete) so past purchase orders keep their link
+router.delete('/:id', async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    supplier.isActive = false;
+    await supplier.save();
+
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const TaxRate = require('../models/TaxRate');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All tax rate routes require authentication and admin role
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+const taxRateValidators = (optional) => {
+  const name = body('name');
+  const rate = body('rate');
+  return [
+    (optional ? name.optional() : name).trim().isLength({ min: 2 }).withMessage('Tax name must be at least 2 characters'),
+    (optional ? rate.optional() : rate).isFloat({ min: 0, max: 100 }).withMessage('Rate must be between 0 and 100'),
+    body('inclusive').optional().isBoolean().withMessage('Inclusive must be true or false'),
+    body('isDefault').optional().isBoolean().withMessage('Default must be true or false')
+  ];
+};
+
+// Only one rate can be the default
+const clearOtherDefaults = (taxRate) => {
+  return TaxRate.updateMany(
+    { _id: { $ne: taxRate._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+// List tax rates
+router.get('/', async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find({ isActive: true }).sort({ name: 1 });
+    res.json(taxRates);
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a tax rate
+router.post('/', taxRateValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, rate, inclusive = true, isDefault = false } = req.body;
+    const taxRate = await TaxRate.create({
+      name,
+      rate: Number(rate),
+      inclusive: inclusive === true || inclusive === 'true',
+      isDefault: isDefault === true || isDefault === 'true',
+      createdBy: req.user._id
+    });
+
+    if (taxRate.isDefault) {
+      await clearOtherDefaults(taxRate);
+    }
+
+    res.status(201).json({
+      message: 'Tax rate added successfully',
+      taxRate
+    });
+  } catch (error) {
+    console.error('Add tax rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a tax rate. Past sales keep the rate they were charged at.
+router.put('/:id', taxRateValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const taxRate = await TaxRate.findOne({ _id: req.params.id, isActive: true });
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    if (req.body.name !== undefined) taxRate.name = req.body.name;
+    if (req.body.rate !== undefined) taxRate.rate = Number(req.body.rate);
+    if (req.body.inclusive !== undefined) taxRate.inclusive = req.body.inclusive === true || req.body.inclusive === 'true';
+    if (req.body.isDefault !== undefined) taxRate.isDefault = req.body.isDefault === true || req.body.isDefault === 'true';
+    await taxRate.save();
+
+    if (taxRate.isDefault) {
+      await clearOtherDefaults(taxRate);
+    }
+
+    res.json({
+      message: 'Tax rate updated successfully',
+      taxRate
+    });
+  } catch (error) {
+    console.error('Update tax rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a tax rate (soft delete). Categories and products that used it
+// fall back to their parent category's rate or the default.
+router.delete('/:id', async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findOne({ _id: req.params.id, isActive: true });
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    taxRate.isActive = false;
+    taxRate.isDefault = false;
+    await taxRate.save();
+
+    await Promise.all([
+      Category.updateMany({ taxRate: taxRate._id }, { $set: { taxRate: null } }),
+      Product.updateMany({ taxRate: taxRate._id }, { $set: { taxRate: null } })
+    ]);
+
+    res.json({ message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
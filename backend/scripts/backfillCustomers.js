@@ -0,0 +1,55 @@
+// One-off backfill: create Customer records from the free-text phone numbers
+// on existing sales and link each sale to its customer.
+//
+// Usage: npm run backfill:customers
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const { normalizePhone } = require('../utils/phone');
+
+dotenv.config();
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ronniesfabrics');
+
+  // Newest first, so each customer keeps the name from their latest sale
+  const sales = await Sale.find({
+    customer: { $exists: false },
+    customerPhone: { $nin: [null, ''] }
+  }).sort({ saleDate: -1 });
+
+  let created = 0;
+  let linked = 0;
+  let skipped = 0;
+
+  for (const sale of sales) {
+    const normalizedPhone = normalizePhone(sale.customerPhone);
+    if (normalizedPhone.length < 7) {
+      skipped++;
+      continue;
+    }
+
+    let customer = await Customer.findOne({ normalizedPhone });
+    if (!customer) {
+      customer = await Customer.create({
+        name: sale.customerName,
+        phone: sale.customerPhone,
+        createdAt: sale.saleDate
+      });
+      created++;
+    }
+
+    await Sale.updateOne({ _id: sale._id }, { $set: { customer: customer._id } });
+    linked++;
+  }
+
+  console.log(`Customers created: ${created}, sales linked: ${linked}, skipped (invalid phone): ${skipped}`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('Customer backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
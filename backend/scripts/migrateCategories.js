@@ -0,0 +1,26 @@
+// One-off migration: create a Category for each of the categories that used
+// to be hard-coded, plus any other category already used by a product or
+// product group. The server does the same on startup; this runs it without
+// starting the server. Safe to run again; existing categories are left alone.
+//
+// Usage: npm run migrate:categories
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { seedCategories } = require('../utils/categories');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ronniesfabrics');
+
+  const created = await seedCategories();
+
+  console.log(`Categories created: ${created}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Category migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,43 @@
+// One-off migration: turn the single `paymentMethod` on older sales into a
+// one-line `payments` array covering the whole sale (empty for fully
+// discounted sales).
+//
+// Usage: npm run migrate:payments
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Sale = require('../models/Sale');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ronniesfabrics');
+
+  // Goes through the raw collection because `paymentMethod` is no longer in the schema
+  const result = await Sale.collection.updateMany(
+    { payments: { $exists: false } },
+    [
+      {
+        $set: {
+          payments: {
+            $cond: [
+              { $gt: ['$finalAmount', 0] },
+              [{ method: { $ifNull: ['$paymentMethod', 'cash'] }, amount: '$finalAmount' }],
+              []
+            ]
+          },
+          changeDue: 0
+        }
+      },
+      { $unset: 'paymentMethod' }
+    ]
+  );
+
+  console.log(`Sales migrated: ${result.modifiedCount}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Payment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -37,9 +37,37 @@ mongoose.connection.on('connected', async () => {
   }
 });
 
+// A fresh install needs a category list before products can be added
+const { seedCategories } = require('./utils/categories');
+mongoose.connection.on('connected', async () => {
+  try {
+    const created = await seedCategories();
+    if (created > 0) {
+      console.log(`Categories created: ${created}`);
+    }
+  } catch (error) {
+    console.error('Seed categories error:', error);
+  }
+});
+
+// Uploaded product photos when they are stored on local disk
+const { UPLOAD_DIR, UPLOAD_URL_PATH } = require('./utils/storage');
+app.use(UPLOAD_URL_PATH, express.static(UPLOAD_DIR));
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/admin/suppliers', require('./routes/suppliers'));
+app.use('/api/admin/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/admin/categories', require('./routes/categories'));
+app.use('/api/admin/promotions', require('./routes/promotions'));
+app.use('/api/admin/tax-rates', require('./routes/taxRates'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/staff/customers', require('./routes/customers'));
+app.use('/api/staff/shifts', require('./routes/shifts'));
+app.use('/api/staff/stocktakes', require('./routes/stocktakes'));
+app.use('/api/staff/discounts', require('./routes/discounts'));
+app.use('/api/staff/quotations', require('./routes/quotations'));
+app.use('/api/staff/layaways', require('./routes/layaways'));
 app.use('/api/staff', require('./routes/staff'));
 
 // Health check
@@ -47,6 +75,14 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Ronnie\'s Fabrics API is running' });
 });
 
+// Put uncollected layaways back in stock once they pass their expiry date
+const { EXPIRY_CHECK_INTERVAL_MS, expireLayaways } = require('./utils/layaways');
+
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  expireLayaways().catch(error => console.error('Expire layaways error:', error));
+}, EXPIRY_CHECK_INTERVAL_MS);
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
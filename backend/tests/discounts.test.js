@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveRoleLimit, maxDiscountFor, withPinFailureRecording } = require('../utils/discounts');
+const { HttpError } = require('../utils/errors');
+
+test('a role uses its saved limit', () => {
+  const limits = { staff: { type: 'amount', value: 5000 } };
+
+  assert.deepStrictEqual(resolveRoleLimit(limits, 'staff'), { type: 'amount', value: 5000 });
+});
+
+test('a role missing from the saved settings falls back to its default', () => {
+  assert.deepStrictEqual(resolveRoleLimit({}, 'staff'), { type: 'percent', value: 10 });
+});
+
+test('a role with no limit anywhere may give no discount without approval', () => {
+  const limit = resolveRoleLimit({}, 'cashier');
+
+  assert.deepStrictEqual(limit, { type: 'amount', value: 0 });
+  assert.strictEqual(maxDiscountFor(limit, 20000), 0);
+});
+
+test('a malformed saved limit fails closed', () => {
+  const limits = { staff: { type: 'percent' } };
+
+  assert.strictEqual(maxDiscountFor(resolveRoleLimit(limits, 'staff'), 20000), 0);
+});
+
+test('work that succeeds passes its result through the PIN failure wrapper', async () => {
+  assert.strictEqual(await withPinFailureRecording(async () => 'sale'), 'sale');
+});
+
+test('errors other than a rejected PIN are rethrown untouched', async () => {
+  const error = new HttpError(400, 'Discount cannot exceed total amount');
+
+  await assert.rejects(withPinFailureRecording(async () => { throw error; }), (thrown) => thrown === error && thrown.message === 'Discount cannot exceed total amount');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getAmountPaid, getBalanceDue } = require('../utils/layaways');
+
+test('a layaway has paid its deposit and part-payments in every tender', () => {
+  const sale = {
+    finalAmount: 25000,
+    payments: [
+      { method: 'cash', amount: 5000 },
+      { method: 'transfer', amount: 7500.5 },
+      { method: 'store_credit', amount: 1000 }
+    ]
+  };
+
+  assert.strictEqual(getAmountPaid(sale), 13500.5);
+  assert.strictEqual(getBalanceDue(sale), 11499.5);
+});
+
+test('a fully paid layaway has nothing due', () => {
+  const sale = { finalAmount: 10000, payments: [{ method: 'card', amount: 10000 }] };
+
+  assert.strictEqual(getBalanceDue(sale), 0);
+});
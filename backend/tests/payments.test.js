@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { refundableAmount } = require('../utils/payments');
+
+test('a void hands back the whole tender when nothing was returned', () => {
+  const payments = [{ method: 'cash', amount: 2000 }, { method: 'store_credit', amount: 1500 }];
+
+  assert.strictEqual(refundableAmount(payments, [], 'store_credit'), 1500);
+  assert.strictEqual(refundableAmount(payments, [], 'credit'), 0);
+});
+
+test('a return refunded to store credit is not credited again by a void', () => {
+  const payments = [{ method: 'cash', amount: 2000 }, { method: 'store_credit', amount: 1500 }];
+  const returns = [
+    { refundMethod: 'store_credit', refundAmount: 600 },
+    { refundMethod: 'cash', refundAmount: 400 }
+  ];
+
+  assert.strictEqual(refundableAmount(payments, returns, 'store_credit'), 900);
+});
+
+test('a void never hands back less than nothing', () => {
+  const payments = [{ method: 'store_credit', amount: 500 }];
+  const returns = [{ refundMethod: 'store_credit', refundAmount: 800 }];
+
+  assert.strictEqual(refundableAmount(payments, returns, 'store_credit'), 0);
+});
+
+test('returns on account come off what a void credits back', () => {
+  const payments = [{ method: 'credit', amount: 3000.5 }];
+  const returns = [{ refundMethod: 'credit', refundAmount: 1000.25 }];
+
+  assert.strictEqual(refundableAmount(payments, returns, 'credit'), 2000.25);
+});
+
+test('a split-tender sale refunds no more through a tender than was paid that way', () => {
+  const payments = [{ method: 'cash', amount: 100 }, { method: 'transfer', amount: 9900 }];
+
+  assert.strictEqual(refundableAmount(payments, [], 'cash'), 100);
+  assert.strictEqual(refundableAmount(payments, [], 'transfer'), 9900);
+  assert.strictEqual(refundableAmount(payments, [], 'credit'), 0);
+});
+
+test('earlier returns use up what is left to refund on their tender only', () => {
+  const payments = [{ method: 'cash', amount: 4000 }, { method: 'credit', amount: 6000 }];
+  const returns = [
+    { refundMethod: 'cash', refundAmount: 2500 },
+    { refundMethod: 'credit', refundAmount: 1000 },
+    { refundMethod: 'store_credit', refundAmount: 700 }
+  ];
+
+  assert.strictEqual(refundableAmount(payments, returns, 'cash'), 1500);
+  assert.strictEqual(refundableAmount(payments, returns, 'credit'), 5000);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { summarizeShift } = require('../utils/shifts');
+
+const shift = { _id: new mongoose.Types.ObjectId(), openingFloat: 5000 };
+const otherShift = new mongoose.Types.ObjectId();
+
+const layaway = (fields) => ({
+  finalAmount: 20000,
+  discount: 0,
+  shift: shift._id,
+  payments: [
+    { method: 'cash', amount: 4000, shift: shift._id },
+    { method: 'cash', amount: 6000, shift: otherShift }
+  ],
+  ...fields
+});
+
+const summarize = ({ sales = [], layawaySales = [], returns = [], repayments = [] }) => summarizeShift({
+  shift, sales, layawaySales, returns, repayments
+});
+
+test('a deposit stays in the drawer of the shift that took it', () => {
+  const sale = layaway({ status: 'pending', layaway: { expiresAt: new Date() } });
+  const { totals, expectedCash } = summarize({ sales: [sale], layawaySales: [sale] });
+
+  assert.strictEqual(totals.paymentTotals.cash, 4000);
+  assert.strictEqual(expectedCash, 9000);
+  assert.strictEqual(totals.salesCount, 0);
+});
+
+test('a cancelled layaway keeps its deposit and is not counted as a void', () => {
+  const sale = layaway({ status: 'cancelled', layaway: { expiresAt: new Date(), cancelledAt: new Date() } });
+  const { totals, expectedCash } = summarize({ sales: [sale], layawaySales: [sale] });
+
+  assert.strictEqual(expectedCash, 9000);
+  assert.strictEqual(totals.voidedCount, 0);
+  assert.strictEqual(totals.voidedAmount, 0);
+});
+
+test('an expired layaway keeps its deposit and is not counted as a void', () => {
+  const sale = layaway({ status: 'cancelled', layaway: { expiresAt: new Date(), expiredAt: new Date() } });
+  const { totals, expectedCash } = summarize({ sales: [sale], layawaySales: [sale] });
+
+  assert.strictEqual(expectedCash, 9000);
+  assert.strictEqual(totals.voidedCount, 0);
+});
+
+test('a voided sale is handed back in full and its refunds leave the drawer alone', () => {
+  const sale = { _id: new mongoose.Types.ObjectId(), status: 'cancelled', finalAmount: 3000, payments: [{ method: 'cash', amount: 3000 }] };
+  const returns = [{ refundMethod: 'cash', refundAmount: 1000, sale: { status: 'cancelled' } }];
+  const { totals, expectedCash } = summarize({ sales: [sale], returns });
+
+  assert.strictEqual(totals.voidedCount, 1);
+  assert.strictEqual(totals.voidedAmount, 3000);
+  assert.strictEqual(expectedCash, 5000);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeVariance, splitShortage } = require('../utils/stocktakes');
+
+const product = (currentStock, rolls) => ({ currentStock, rolls });
+const roll = (_id, remainingLength, receivedAt) => ({ _id, remainingLength, receivedAt: new Date(receivedAt) });
+
+test('a shortage on a product with all its stock on rolls comes off the newest roll first', () => {
+  const rolled = product(50, [
+    roll('old', 30, '2026-01-05'),
+    roll('new', 20, '2026-03-01')
+  ]);
+
+  assert.deepStrictEqual(splitShortage(rolled, 25), [
+    { roll: 'new', quantity: -20 },
+    { roll: 'old', quantity: -5 }
+  ]);
+});
+
+test('loose stock is used up before any roll is touched', () => {
+  const mixed = product(12.5, [roll('a', 10, '2026-02-01')]);
+
+  assert.deepStrictEqual(splitShortage(mixed, 2), [{ roll: null, quantity: -2 }]);
+  assert.deepStrictEqual(splitShortage(mixed, 4), [
+    { roll: null, quantity: -2.5 },
+    { roll: 'a', quantity: -1.5 }
+  ]);
+});
+
+test('empty rolls are skipped', () => {
+  const rolled = product(8, [roll('empty', 0, '2026-04-01'), roll('full', 8, '2026-01-01')]);
+
+  assert.deepStrictEqual(splitShortage(rolled, 3), [{ roll: 'full', quantity: -3 }]);
+});
+
+test('more than the product holds is left on loose stock to be refused', () => {
+  const rolled = product(5, [roll('a', 5, '2026-01-01')]);
+
+  assert.deepStrictEqual(splitShortage(rolled, 7), [
+    { roll: 'a', quantity: -5 },
+    { roll: null, quantity: -2 }
+  ]);
+});
+
+test('a counted shortage is a negative variance worth the selling price', () => {
+  assert.deepStrictEqual(computeVariance(47.5, 50, 1200), { variance: -2.5, varianceValue: -3000 });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MIN_QUANTITY, convertLength } = require('../utils/units');
+
+test('the smallest sale in yards comes out under the minimum in meters', () => {
+  const quantity = convertLength(0.1, 'yards', 'meters');
+
+  assert.strictEqual(quantity, 0.091);
+  assert.ok(quantity < MIN_QUANTITY);
+});
+
+test('the smallest sale in meters is still over the minimum in yards', () => {
+  assert.strictEqual(convertLength(0.1, 'meters', 'yards'), 0.109);
+});
+
+test('quantities are rounded to three places whether or not they are converted', () => {
+  assert.strictEqual(convertLength(2.50004, 'yards', 'yards'), 2.5);
+  assert.strictEqual(convertLength(3, 'yards', 'meters'), 2.743);
+  assert.strictEqual(convertLength(0.1 + 0.2, 'meters', 'meters'), 0.3);
+});
+
+test('lengths cannot be converted to pieces', () => {
+  assert.throws(() => convertLength(1, 'yards', 'pieces'), /Cannot convert yards to pieces/);
+});
@@ -0,0 +1,125 @@
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+const StockHistory = require('../models/StockHistory');
+const Quotation = require('../models/Quotation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Stocktake = require('../models/Stocktake');
+const { receiveStock } = require('./stock');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// An active product already using this name, ignoring case
+const findActiveNameConflict = (name, excludeId = null) => {
+  const query = {
+    name: { $regex: `^${escapeRegex(name.trim())}$`, $options: 'i' },
+    isActive: true
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Product.findOne(query);
+};
+
+// Move an archived product's stock history, sales, returns, quotations,
+// purchase orders and stocktake counts onto an active product, so reports
+// show the two as one product and open layaways, quotations, orders and
+// counts carry on against the product that replaced it. Stock still on the
+// archived product is received onto the target at its average cost, and its
+// rolls go with it, so layaway stock released later goes back onto the roll
+// it was cut from. Item names are left as they were printed. The archived
+// product stays archived and records where its history went, so it can't be
+// restored with nothing behind it.
+const mergeProductHistory = async (source, target, userId, session) => {
+  const itemFilter = { arrayFilters: [{ 'item.product': source._id }], session };
+
+  const stockHistory = await StockHistory.updateMany(
+    { product: source._id },
+    { $set: { product: target._id } },
+    { session }
+  );
+  // Open layaways first, so they can be counted apart from finished sales
+  const layaways = await Sale.updateMany(
+    { 'items.product': source._id, status: 'pending', layaway: { $exists: true } },
+    { $set: { 'items.$[item].product': target._id } },
+    itemFilter
+  );
+  const sales = await Sale.updateMany(
+    { 'items.product': source._id },
+    { $set: { 'items.$[item].product': target._id } },
+    itemFilter
+  );
+  const returns = await Return.updateMany(
+    { 'items.product': source._id },
+    { $set: { 'items.$[item].product': target._id } },
+    itemFilter
+  );
+
+  const quotations = await Quotation.updateMany(
+    { 'items.product': source._id },
+    { $set: { 'items.$[item].product': target._id } },
+    itemFilter
+  );
+  const purchaseOrders = await PurchaseOrder.updateMany(
+    { 'items.product': source._id },
+    { $set: { 'items.$[item].product': target._id } },
+    itemFilter
+  );
+  // Deliveries already received keep the order's lines and their own in step
+  await PurchaseOrder.updateMany(
+    { 'deliveries.items.product': source._id },
+    { $set: { 'deliveries.$[].items.$[item].product': target._id } },
+    itemFilter
+  );
+
+  const stocktakes = await Stocktake.updateMany(
+    { 'counts.product': source._id },
+    { $set: { 'counts.$[item].product': target._id } },
+    itemFilter
+  );
+
+  // Logged after the history moves, so the entry stays with the target
+  const stockMoved = Math.max(0, source.currentStock);
+  if (stockMoved > 0) {
+    await receiveStock({
+      productId: target._id,
+      quantity: stockMoved,
+      unitCost: source.averageCost || 0,
+      session,
+      history: {
+        action: 'added',
+        performedBy: userId,
+        notes: `Moved from ${source.name} when it was merged`
+      }
+    });
+  }
+  if (source.rolls.length > 0) {
+    await Product.updateOne(
+      { _id: target._id },
+      { $push: { rolls: { $each: source.rolls.map(roll => roll.toObject()) } } },
+      { session }
+    );
+  }
+
+  source.currentStock -= stockMoved;
+  source.totalStock = Math.max(0, source.totalStock - stockMoved);
+  source.rolls = [];
+  source.mergedInto = target._id;
+  await source.save({ session });
+
+  return {
+    stockHistory: stockHistory.modifiedCount,
+    sales: sales.modifiedCount,
+    layaways: layaways.modifiedCount,
+    returns: returns.modifiedCount,
+    quotations: quotations.modifiedCount,
+    purchaseOrders: purchaseOrders.modifiedCount,
+    stocktakes: stocktakes.modifiedCount,
+    stockMoved
+  };
+};
+
+module.exports = {
+  findActiveNameConflict,
+  mergeProductHistory
+};
@@ -0,0 +1,117 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { HttpError } = require('./errors');
+
+const CATALOG_FORMATS = ['csv', 'xlsx'];
+
+// Columns of an import/export file, named after the POST /products fields.
+// totalStock is the opening stock on import and the current stock on export.
+const CATALOG_COLUMNS = [
+  'name',
+  'sku',
+  'category',
+  'description',
+  'unit',
+  'pricePerUnit',
+  'costPrice',
+  'totalStock',
+  'minStockLevel'
+];
+
+// "Price per unit", "price_per_unit" and "pricePerUnit" all name the same column
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const COLUMNS_BY_HEADER = Object.fromEntries(
+  CATALOG_COLUMNS.map(column => [normalizeHeader(column), column])
+);
+
+const catalogFormat = (filename) => {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return CATALOG_FORMATS.includes(extension) ? extension : null;
+};
+
+// Read the first sheet of an uploaded CSV or XLSX file into one object per
+// row, keyed by column. Blank cells are left out so optional fields stay
+// optional. Row numbers match what the user sees in their spreadsheet.
+const readCatalogFile = async (file) => {
+  const format = catalogFormat(file.originalname);
+  if (!format) {
+    throw new HttpError(400, 'Upload a .csv or .xlsx file');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(file.buffer);
+    } else {
+      // Keep every value as typed; SKUs like 00123 must not turn into numbers
+      await workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+    }
+  } catch (error) {
+    throw new HttpError(400, `Could not read the ${format.toUpperCase()} file`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount === 0) {
+    throw new HttpError(400, 'The file is empty');
+  }
+
+  const columns = {};
+  sheet.getRow(1).eachCell((cell, columnNumber) => {
+    const column = COLUMNS_BY_HEADER[normalizeHeader(cell.text)];
+    if (column) {
+      columns[columnNumber] = column;
+    }
+  });
+
+  const missing = ['name', 'category', 'pricePerUnit', 'totalStock']
+    .filter(column => !Object.values(columns).includes(column));
+  if (missing.length > 0) {
+    throw new HttpError(400, `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell((cell, columnNumber) => {
+      const column = columns[columnNumber];
+      const text = cell.text.trim();
+      if (column && text !== '') {
+        values[column] = text;
+      }
+    });
+
+    if (Object.keys(values).length > 0) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+// Write rows (objects keyed by column) as a CSV or XLSX file
+const writeCatalogFile = async (rows, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.columns = CATALOG_COLUMNS.map(column => ({
+    header: column,
+    key: column,
+    width: column === 'description' ? 40 : Math.max(column.length + 4, 14)
+  }));
+  rows.forEach(row => sheet.addRow(row));
+
+  if (format === 'xlsx') {
+    sheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  return Buffer.from(await workbook.csv.writeBuffer());
+};
+
+module.exports = {
+  CATALOG_FORMATS,
+  CATALOG_COLUMNS,
+  readCatalogFile,
+  writeCatalogFile
+};
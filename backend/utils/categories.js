@@ -0,0 +1,91 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const ProductGroup = require('../models/ProductGroup');
+const Setting = require('../models/Setting');
+
+// The categories that used to be hard-coded on Product
+const DEFAULT_CATEGORIES = [
+  { slug: 'ankara', name: 'Ankara' },
+  { slug: 'german_wool', name: 'German Wool' },
+  { slug: 'cotton', name: 'Cotton' },
+  { slug: 'silk', name: 'Silk' },
+  { slug: 'linen', name: 'Linen' },
+  { slug: 'other', name: 'Other' }
+];
+
+// "Aso-Oke" -> "aso_oke", in the same style as the original category keys
+const toSlug = (name) => String(name)
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const titleCase = (slug) => slug
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Create a Category for each built-in category, plus any other category
+// already used by a product or product group, so a fresh install has a
+// category list. Existing categories, including deleted ones, are left
+// alone. Remnant thresholds used to be a settings map keyed by category;
+// categories that predate the move pick up their saved threshold.
+// Returns how many categories were created.
+const seedCategories = async () => {
+  const inUse = new Set([
+    ...await Product.distinct('category'),
+    ...await ProductGroup.distinct('category')
+  ]);
+  const categories = [
+    ...DEFAULT_CATEGORIES,
+    ...[...inUse]
+      .filter(slug => slug && !DEFAULT_CATEGORIES.some(category => category.slug === slug))
+      .map(slug => ({ slug, name: titleCase(slug) }))
+  ];
+
+  const savedRemnants = await Setting.findOne({ key: 'remnants' });
+  const savedThresholds = Object.entries(savedRemnants?.value?.thresholds || {})
+    .filter(([, threshold]) => Number.isFinite(Number(threshold)) && Number(threshold) >= 0);
+
+  if (savedThresholds.length > 0) {
+    await Category.bulkWrite(savedThresholds.map(([slug, threshold]) => ({
+      updateOne: {
+        filter: { slug, remnantThreshold: { $exists: false } },
+        update: { $set: { remnantThreshold: Number(threshold) } }
+      }
+    })));
+  }
+
+  const thresholds = Object.fromEntries(savedThresholds);
+  const result = await Category.bulkWrite(categories.map(category => ({
+    updateOne: {
+      filter: { slug: category.slug },
+      update: {
+        $setOnInsert: {
+          ...category,
+          ...(thresholds[category.slug] !== undefined && { remnantThreshold: Number(thresholds[category.slug]) })
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount;
+};
+
+const findActiveCategory = (slug, session = null) => {
+  return Category.findOne({ slug, isActive: true }).session(session);
+};
+
+const getActiveCategorySlugs = async () => {
+  const categories = await Category.find({ isActive: true }).select('slug');
+  return categories.map(category => category.slug);
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  toSlug,
+  seedCategories,
+  findActiveCategory,
+  getActiveCategorySlugs
+};
@@ -0,0 +1,92 @@
+const Customer = require('../models/Customer');
+const CreditTransaction = require('../models/CreditTransaction');
+const { HttpError } = require('./errors');
+
+// Post an entry to a customer's receivables ledger and move their balance.
+// Charges increase what is owed; every other entry type reduces it.
+const recordCreditEntry = async ({ customerId, type, amount, session, ...entry }) => {
+  const change = type === 'charge' ? amount : -amount;
+
+  const customer = await Customer.findOneAndUpdate(
+    { _id: customerId },
+    { $inc: { creditBalance: change } },
+    { session, new: true }
+  );
+
+  if (!customer) {
+    throw new HttpError(400, `Customer not found: ${customerId}`);
+  }
+
+  const [transaction] = await CreditTransaction.create([{
+    ...entry,
+    customer: customer._id,
+    type,
+    amount,
+    balanceAfter: customer.creditBalance
+  }], { session });
+
+  return { customer, transaction };
+};
+
+const AGING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
+
+// Work out how old the unpaid part of each charge is. Voids and refunds
+// settle the sale they belong to; repayments settle the oldest charges first.
+const computeAging = (transactions, asOf = new Date()) => {
+  const charges = transactions
+    .filter(transaction => transaction.type === 'charge')
+    .sort((a, b) => a.date - b.date)
+    .map(charge => ({ charge, outstanding: charge.amount }));
+
+  let unallocated = 0;
+
+  transactions
+    .filter(transaction => transaction.type !== 'charge')
+    .forEach(transaction => {
+      let remaining = transaction.amount;
+
+      if (transaction.sale && transaction.type !== 'repayment') {
+        const match = charges.find(({ charge }) => charge.sale && charge.sale.toString() === transaction.sale.toString());
+        if (match) {
+          const applied = Math.min(match.outstanding, remaining);
+          match.outstanding -= applied;
+          remaining -= applied;
+        }
+      }
+
+      unallocated += remaining;
+    });
+
+  const buckets = AGING_BUCKETS.reduce((result, bucket) => ({ ...result, [bucket.key]: 0 }), {});
+
+  charges.forEach(item => {
+    const applied = Math.min(item.outstanding, unallocated);
+    item.outstanding -= applied;
+    unallocated -= applied;
+
+    if (item.outstanding <= 0) return;
+
+    const ageDays = Math.floor((asOf - item.charge.date) / (24 * 60 * 60 * 1000));
+    const bucket = AGING_BUCKETS.find(candidate => ageDays <= candidate.maxDays);
+    buckets[bucket.key] += item.outstanding;
+  });
+
+  const oldestUnpaid = charges.find(item => item.outstanding > 0);
+
+  return {
+    buckets,
+    total: Object.values(buckets).reduce((sum, value) => sum + value, 0),
+    oldestUnpaidDate: oldestUnpaid ? oldestUnpaid.charge.date : null
+  };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  recordCreditEntry,
+  computeAging
+};
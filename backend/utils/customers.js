@@ -0,0 +1,38 @@
+const Customer = require('../models/Customer');
+const { HttpError } = require('./errors');
+const { normalizePhone } = require('./phone');
+
+// Resolve the customer record a sale belongs to: the one picked at the till,
+// or the one matching the phone number typed in, registering a new customer
+// the first time a number is seen. Walk-in sales without a phone get none.
+const findOrCreateCustomer = async ({ customerId, customerName, customerPhone, userId, session }) => {
+  if (customerId) {
+    const customer = await Customer.findById(customerId).session(session);
+    if (!customer) {
+      throw new HttpError(400, `Customer not found: ${customerId}`);
+    }
+    return customer;
+  }
+
+  const normalizedPhone = normalizePhone(customerPhone);
+  if (normalizedPhone.length < 7) {
+    return null;
+  }
+
+  return Customer.findOneAndUpdate(
+    { normalizedPhone },
+    {
+      $setOnInsert: {
+        name: customerName,
+        phone: customerPhone,
+        normalizedPhone,
+        createdBy: userId
+      }
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+module.exports = {
+  findOrCreateCustomer
+};
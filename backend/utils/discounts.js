@@ -0,0 +1,220 @@
+const User = require('../models/User');
+const DiscountRequest = require('../models/DiscountRequest');
+const PinAttempt = require('../models/PinAttempt');
+const { DEFAULT_SETTINGS, getSetting } = require('./settings');
+const { roundMoney } = require('./payments');
+const { HttpError } = require('./errors');
+
+const DISCOUNT_LIMIT_TYPES = ['percent', 'amount'];
+
+// An approved remote request has to be spent on a sale within this time
+const REQUEST_VALID_MINUTES = 30;
+
+// Wrong PINs in a row before an approver's PIN is locked, and for how long.
+// Approver IDs are listed to every till, so this is what stops a PIN being guessed.
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 15;
+
+// A role's limit from the saved discount settings, falling back to the
+// built-in default for the role. A role with no usable limit may give no
+// discount at all without approval, rather than an unchecked one.
+const resolveRoleLimit = (limits, role) => {
+  const limit = limits?.[role] || DEFAULT_SETTINGS.discounts[role];
+  const value = Number(limit?.value);
+
+  if (!DISCOUNT_LIMIT_TYPES.includes(limit?.type) || !Number.isFinite(value) || value < 0) {
+    return { type: 'amount', value: 0 };
+  }
+  return { type: limit.type, value };
+};
+
+// The limit that applies to a user: their own if an admin set one,
+// otherwise their role's
+const getDiscountLimit = async (user, session = null) => {
+  if (user.discountLimit?.type) {
+    return { type: user.discountLimit.type, value: user.discountLimit.value, source: 'user' };
+  }
+
+  const limits = await getSetting('discounts', session);
+  return { ...resolveRoleLimit(limits, user.role), source: 'role' };
+};
+
+// The largest discount a limit allows on a sale of the given total
+const maxDiscountFor = (limit, totalAmount) => {
+  const max = limit.type === 'percent'
+    ? totalAmount * limit.value / 100
+    : limit.value;
+  return roundMoney(Math.min(max, totalAmount));
+};
+
+const formatLimit = (limit) => (
+  limit.type === 'percent' ? `${limit.value}%` : `₦${limit.value.toLocaleString()}`
+);
+
+// Count a wrong PIN against the approver, locking the PIN once there have
+// been too many in a row, and keep a record of it. An attempt on a PIN that
+// was already locked is only recorded. Returns when the PIN is now locked
+// until, if it is.
+const recordPinFailure = async ({ approver, user, discount, totalAmount, lockedUntil: alreadyLockedUntil }) => {
+  if (alreadyLockedUntil) {
+    await PinAttempt.create({ approver: approver._id, attemptedBy: user._id, lockedUntil: alreadyLockedUntil, discount, totalAmount });
+    return alreadyLockedUntil;
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: approver._id },
+    { $inc: { failedPinAttempts: 1 } },
+    { new: true }
+  );
+
+  let lockedUntil;
+  if (updated.failedPinAttempts >= MAX_PIN_ATTEMPTS) {
+    lockedUntil = new Date(Date.now() + PIN_LOCK_MINUTES * 60 * 1000);
+    await User.updateOne(
+      { _id: approver._id },
+      { $set: { failedPinAttempts: 0, pinLockedUntil: lockedUntil } }
+    );
+  }
+
+  await PinAttempt.create({ approver: approver._id, attemptedBy: user._id, lockedUntil, discount, totalAmount });
+  return lockedUntil;
+};
+
+// A rejected PIN is thrown out of authorizeDiscount with the attempt
+// attached, and recorded here once the transaction it ran in has given up,
+// so a retried transaction never counts the same PIN twice. Wrap the whole
+// transaction in this.
+const withPinFailureRecording = async (work) => {
+  try {
+    return await work();
+  } catch (error) {
+    if (error.pinFailure) {
+      // Failing to record it must not hide why the sale was refused
+      try {
+        const wasLocked = Boolean(error.pinFailure.lockedUntil);
+        const lockedUntil = await recordPinFailure(error.pinFailure);
+        if (lockedUntil && !wasLocked) {
+          error.message = `Incorrect approval PIN. ${error.pinFailure.approver.name}'s PIN is now locked for ${PIN_LOCK_MINUTES} minutes.`;
+        }
+      } catch (recordError) {
+        console.error('Record PIN failure error:', recordError);
+      }
+    }
+    throw error;
+  }
+};
+
+const pinRejection = (message, maxDiscount, pinFailure) => {
+  const error = new HttpError(403, message, { approvalRequired: true, maxDiscount });
+  error.pinFailure = pinFailure;
+  return error;
+};
+
+// Check a sale's discount against the seller's limit and return the fields
+// to record on the sale. A discount above the limit needs an admin's PIN
+// entered on the till, or a remote request an admin has approved for the
+// same sale total; spending a request marks it used, so run this inside the
+// sale's transaction, wrapped in withPinFailureRecording.
+const authorizeDiscount = async ({ user, discount, totalAmount, approval = {}, session = null }) => {
+  const reason = approval.reason?.trim() || undefined;
+  if (discount <= 0) {
+    return {};
+  }
+
+  const limit = await getDiscountLimit(user, session);
+  const maxDiscount = maxDiscountFor(limit, totalAmount);
+  if (discount <= maxDiscount) {
+    return { discountReason: reason };
+  }
+
+  if (approval.requestId) {
+    const validFrom = new Date(Date.now() - REQUEST_VALID_MINUTES * 60 * 1000);
+    const request = await DiscountRequest.findOneAndUpdate(
+      {
+        _id: approval.requestId,
+        requestedBy: user._id,
+        status: 'approved',
+        discount: { $gte: discount },
+        // Approved for this basket, not just any sale
+        totalAmount: { $gte: roundMoney(totalAmount - 0.01), $lte: roundMoney(totalAmount + 0.01) },
+        decidedAt: { $gte: validFrom }
+      },
+      { $set: { status: 'used' } },
+      { session, new: true }
+    );
+
+    if (!request) {
+      throw new HttpError(403, 'The discount approval is missing, expired, for a smaller discount or for a different sale total', {
+        approvalRequired: true,
+        maxDiscount
+      });
+    }
+
+    return {
+      discountReason: request.reason,
+      discountApproval: {
+        approvedBy: request.decidedBy,
+        method: 'remote',
+        request: request._id,
+        maxDiscount
+      }
+    };
+  }
+
+  if (approval.approverId && approval.pin) {
+    if (!reason) {
+      throw new HttpError(400, 'Give a reason for the discount');
+    }
+
+    const approver = await User.findOne({ _id: approval.approverId, role: 'admin', isActive: true })
+      .select('+approvalPin')
+      .session(session);
+
+    if (!approver) {
+      throw new HttpError(403, 'Incorrect approval PIN', { approvalRequired: true, maxDiscount });
+    }
+
+    // A locked PIN is not checked at all, so guessing on gets nowhere
+    if (approver.pinLockedUntil > new Date()) {
+      throw pinRejection(
+        `${approver.name}'s PIN is locked after too many wrong attempts until ${approver.pinLockedUntil.toLocaleTimeString()}. Ask another admin or request approval remotely.`,
+        maxDiscount,
+        { approver, user, discount, totalAmount, lockedUntil: approver.pinLockedUntil }
+      );
+    }
+
+    if (!(await approver.compareApprovalPin(approval.pin))) {
+      throw pinRejection('Incorrect approval PIN', maxDiscount, { approver, user, discount, totalAmount });
+    }
+
+    if (approver.failedPinAttempts > 0) {
+      await User.updateOne({ _id: approver._id }, { $set: { failedPinAttempts: 0 } }, { session });
+    }
+
+    return {
+      discountReason: reason,
+      discountApproval: {
+        approvedBy: approver._id,
+        method: 'pin',
+        maxDiscount
+      }
+    };
+  }
+
+  throw new HttpError(403, `Discounts above ₦${maxDiscount.toLocaleString()} (${formatLimit(limit)}) need admin approval`, {
+    approvalRequired: true,
+    maxDiscount
+  });
+};
+
+module.exports = {
+  DISCOUNT_LIMIT_TYPES,
+  REQUEST_VALID_MINUTES,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCK_MINUTES,
+  resolveRoleLimit,
+  getDiscountLimit,
+  maxDiscountFor,
+  authorizeDiscount,
+  withPinFailureRecording
+};
@@ -0,0 +1,27 @@
+// Error carrying the HTTP status a route should answer with.
+// Thrown from inside transactions so the route's catch block can map it
+// to a response after the transaction has been rolled back.
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send an HttpError as JSON; returns false for anything else so the caller
+// can fall back to its usual 500 response.
+const sendHttpError = (res, error) => {
+  if (!(error instanceof HttpError)) {
+    return false;
+  }
+
+  res.status(error.status).json({ message: error.message, ...error.details });
+  return true;
+};
+
+module.exports = {
+  HttpError,
+  sendHttpError
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { HttpError } = require('./errors');
+const { getStorage } = require('./storage');
+
+// Photos are stored at display size plus a square thumbnail for the
+// product pickers, both as JPEG whatever the upload format was
+const DISPLAY_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+const saveProductImage = async (productId, file) => {
+  // .rotate() with no angle applies the phone camera's EXIF orientation
+  const image = sharp(file.buffer).rotate();
+  try {
+    await image.metadata();
+  } catch (error) {
+    throw new HttpError(400, `${file.originalname} is not a supported image`);
+  }
+
+  const [display, thumbnail] = await Promise.all([
+    image.clone()
+      .resize(DISPLAY_SIZE, DISPLAY_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer(),
+    image.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .jpeg({ quality: 80 })
+      .toBuffer()
+  ]);
+
+  const name = crypto.randomBytes(8).toString('hex');
+  const key = `products/${productId}/${name}.jpg`;
+  const thumbnailKey = `products/${productId}/${name}-thumb.jpg`;
+
+  const storage = getStorage();
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.put(key, display, 'image/jpeg'),
+    storage.put(thumbnailKey, thumbnail, 'image/jpeg')
+  ]);
+
+  return { key, thumbnailKey, url, thumbnailUrl };
+};
+
+const removeProductImage = async (image) => {
+  const storage = getStorage();
+  await Promise.all([
+    storage.remove(image.key),
+    storage.remove(image.thumbnailKey)
+  ]);
+};
+
+module.exports = {
+  saveProductImage,
+  removeProductImage
+};
@@ -0,0 +1,205 @@
+const { jsPDF } = require('jspdf');
+const { formatSoldQuantity } = require('./units');
+const { formatTaxLabel } = require('./tax');
+const { roundMoney, formatPaymentMethod } = require('./payments');
+
+// A4 portrait, in mm
+const LEFT = 15;
+const RIGHT = 195;
+const PAGE_BOTTOM = 275;
+
+// Line table columns: description on the left, figures right-aligned
+const COLUMNS = {
+  description: LEFT,
+  quantity: 95,
+  unitPrice: 140,
+  tax: 160,
+  amount: RIGHT
+};
+
+const formatMoney = (amount) => `₦${roundMoney(amount).toLocaleString()}`;
+
+const drawTableHeader = (doc, yPos) => {
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(9);
+  doc.text('Description', COLUMNS.description, yPos);
+  doc.text('Quantity', COLUMNS.quantity, yPos);
+  doc.text('Unit Price', COLUMNS.unitPrice, yPos, { align: 'right' });
+  doc.text('Tax', COLUMNS.tax, yPos, { align: 'right' });
+  doc.text('Amount', COLUMNS.amount, yPos, { align: 'right' });
+  doc.setLineWidth(0.3);
+  doc.line(LEFT, yPos + 2, RIGHT, yPos + 2);
+  doc.setFont('helvetica', 'normal');
+  return yPos + 7;
+};
+
+// Header lines, skipping blanks; an address may span several lines
+const drawLines = (doc, lines, x, yPos, options) => {
+  lines.filter(Boolean).forEach(line => {
+    String(line).split('\n').forEach(part => {
+      doc.text(part.trim(), x, yPos, options);
+      yPos += 4.5;
+    });
+  });
+  return yPos;
+};
+
+// Draw an A4 invoice or, with type 'quotation', a quotation: the business
+// and customer blocks, a line table (line amounts are after promotions, so
+// they add up to the subtotal), the totals with each tax rate, and the
+// payments for an invoice.
+// Returns the jsPDF document for sendPdf.
+const createInvoiceDoc = ({
+  type,
+  number,
+  date,
+  validUntil,
+  business,
+  taxRegistrationNumber,
+  customer,
+  items,
+  totalAmount,
+  discount,
+  taxes,
+  finalAmount,
+  payments,
+  notes,
+  footer
+}) => {
+  const isQuotation = type === 'quotation';
+  const title = isQuotation ? 'QUOTATION' : (taxes.length > 0 ? 'TAX INVOICE' : 'INVOICE');
+
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  doc.setFont('helvetica');
+
+  // Business details, with the document title opposite
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(business.name.toUpperCase(), LEFT, 20);
+  doc.setFontSize(18);
+  doc.text(title, RIGHT, 20, { align: 'right' });
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  drawLines(doc, [
+    business.address,
+    business.phone && `Tel: ${business.phone}`,
+    business.email,
+    taxRegistrationNumber && `Tax Reg. No: ${taxRegistrationNumber}`
+  ], LEFT, 27);
+
+  drawLines(doc, [
+    `${isQuotation ? 'Quote' : 'Invoice'} #: ${number}`,
+    `Date: ${new Date(date).toLocaleDateString()}`,
+    validUntil && `Valid until: ${new Date(validUntil).toLocaleDateString()}`
+  ], RIGHT, 27, { align: 'right' });
+
+  // Customer
+  let yPos = 55;
+  doc.setFont('helvetica', 'bold');
+  doc.text(isQuotation ? 'Prepared for' : 'Bill to', LEFT, yPos);
+  doc.setFont('helvetica', 'normal');
+  yPos = drawLines(doc, [
+    customer.name,
+    customer.address,
+    customer.phone && `Tel: ${customer.phone}`,
+    customer.email
+  ], LEFT, yPos + 5);
+
+  // Items
+  yPos = drawTableHeader(doc, yPos + 6);
+
+  items.forEach(item => {
+    const details = [
+      item.promotionName && `${item.promotionName} (-${formatMoney(item.promotionDiscount || 0)})`,
+      item.dyeLot && `Dye lot ${item.dyeLot}`,
+      item.isRemnant && 'Remnant'
+    ].filter(Boolean);
+    const height = 6 + details.length * 4;
+
+    if (yPos + height > PAGE_BOTTOM) {
+      doc.addPage();
+      yPos = drawTableHeader(doc, 20);
+    }
+
+    doc.setFontSize(9);
+    doc.text(doc.splitTextToSize(item.productName, COLUMNS.quantity - LEFT - 5)[0], COLUMNS.description, yPos);
+    doc.text(formatSoldQuantity(item), COLUMNS.quantity, yPos);
+    doc.text(formatMoney(item.unitPrice), COLUMNS.unitPrice, yPos, { align: 'right' });
+    doc.text(item.taxName ? `${item.taxRate}%` : '-', COLUMNS.tax, yPos, { align: 'right' });
+    doc.text(formatMoney(item.totalPrice), COLUMNS.amount, yPos, { align: 'right' });
+
+    doc.setFontSize(7.5);
+    details.forEach((detail, index) => {
+      doc.text(detail, COLUMNS.description + 2, yPos + 4 + index * 4);
+    });
+    yPos += height;
+  });
+
+  // Totals, right-aligned under the amount column
+  const totals = [
+    ['Subtotal', formatMoney(totalAmount)],
+    discount > 0 && ['Discount', `-${formatMoney(discount)}`],
+    ...taxes.map(tax => [formatTaxLabel(tax), formatMoney(tax.taxAmount)])
+  ].filter(Boolean);
+
+  if (yPos + 12 + totals.length * 6 > PAGE_BOTTOM) {
+    doc.addPage();
+    yPos = 20;
+  }
+
+  doc.setLineWidth(0.3);
+  doc.line(LEFT, yPos - 2, RIGHT, yPos - 2);
+  yPos += 4;
+  doc.setFontSize(9);
+  totals.forEach(([label, amount]) => {
+    doc.text(label, COLUMNS.unitPrice, yPos);
+    doc.text(amount, RIGHT, yPos, { align: 'right' });
+    yPos += 6;
+  });
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('TOTAL', COLUMNS.unitPrice, yPos);
+  doc.text(formatMoney(finalAmount), RIGHT, yPos, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  yPos += 10;
+
+  if (payments?.length > 0) {
+    if (yPos + 6 + payments.length * 5 > PAGE_BOTTOM) {
+      doc.addPage();
+      yPos = 20;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.text('Payments', LEFT, yPos);
+    doc.setFont('helvetica', 'normal');
+    yPos += 5;
+    payments.forEach(payment => {
+      const label = payment.reference
+        ? `${formatPaymentMethod(payment.method)} (${payment.reference})`
+        : formatPaymentMethod(payment.method);
+      doc.text(label, LEFT, yPos);
+      doc.text(formatMoney(payment.amount), COLUMNS.unitPrice, yPos, { align: 'right' });
+      yPos += 5;
+    });
+    yPos += 5;
+  }
+
+  const closing = [notes && `Notes: ${notes}`, footer].filter(Boolean);
+  closing.forEach(text => {
+    const lines = doc.splitTextToSize(text, RIGHT - LEFT);
+    if (yPos + lines.length * 4.5 > PAGE_BOTTOM) {
+      doc.addPage();
+      yPos = 20;
+    }
+    doc.text(lines, LEFT, yPos);
+    yPos += lines.length * 4.5 + 2;
+  });
+
+  return doc;
+};
+
+module.exports = {
+  createInvoiceDoc
+};
@@ -0,0 +1,133 @@
+const { jsPDF } = require('jspdf');
+const JsBarcode = require('jsbarcode');
+const QRCode = require('qrcode');
+const Product = require('../models/Product');
+
+const LABEL_FORMATS = ['code128', 'qr'];
+
+// Sheet layout: 3 x 8 labels of 70 x 37mm filling an A4 page, the size of
+// the common pre-cut label sheets
+const COLUMNS = 3;
+const ROWS = 8;
+const LABEL_WIDTH = 70;
+const LABEL_HEIGHT = 37;
+const PADDING = 3;
+
+// SKUs are letters and digits only, so a dash can separate a roll ID
+const SKU_PATTERN = /^[A-Z0-9]+$/;
+
+const generateSku = async (maxAttempts = 10) => {
+  for (let attempts = 0; attempts < maxAttempts; attempts++) {
+    const sku = `FAB${Math.floor(Math.random() * 1000000).toString().padStart(6, '0')}`;
+    if (!(await Product.exists({ sku }))) {
+      return sku;
+    }
+  }
+
+  return null;
+};
+
+const rollBarcode = (product, roll) => `${product.sku}-${roll.rollId.toUpperCase()}`;
+
+const drawCode128 = (doc, text, x, y, width, height) => {
+  const barcode = {};
+  JsBarcode(barcode, text, { format: 'CODE128' });
+  const bits = barcode.encodings.map(encoding => encoding.data).join('');
+  const moduleWidth = width / bits.length;
+
+  // Draw each run of dark modules as one bar
+  for (let start = 0; start < bits.length; start++) {
+    if (bits[start] !== '1') continue;
+    let end = start;
+    while (bits[end + 1] === '1') end++;
+    doc.rect(x + start * moduleWidth, y, (end - start + 1) * moduleWidth, height, 'F');
+    start = end;
+  }
+};
+
+const drawQrCode = (doc, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const moduleSize = size / modules.size;
+
+  // One rectangle per horizontal run keeps the PDF small
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      let end = col;
+      while (end + 1 < modules.size && modules.get(row, end + 1)) end++;
+      doc.rect(x + col * moduleSize, y + row * moduleSize, (end - col + 1) * moduleSize, moduleSize, 'F');
+      col = end;
+    }
+  }
+};
+
+const fitText = (doc, text, maxWidth) => {
+  if (doc.getTextWidth(text) <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && doc.getTextWidth(`${fitted}...`) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+// Build an A4 sheet of labels. Each label is { name, detail, price, code }.
+const createLabelSheet = (labels, format = 'code128') => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  doc.setFont('helvetica');
+  doc.setFillColor(0, 0, 0);
+
+  labels.forEach((label, index) => {
+    const position = index % (COLUMNS * ROWS);
+    if (index > 0 && position === 0) {
+      doc.addPage();
+    }
+
+    const left = (position % COLUMNS) * LABEL_WIDTH + PADDING;
+    const top = Math.floor(position / COLUMNS) * LABEL_HEIGHT + PADDING;
+    const innerWidth = LABEL_WIDTH - PADDING * 2;
+
+    if (format === 'qr') {
+      // Code on the left, text beside it
+      const size = LABEL_HEIGHT - PADDING * 2;
+      drawQrCode(doc, label.code, left, top, size);
+      const textLeft = left + size + 2;
+      const textWidth = innerWidth - size - 2;
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(9);
+      doc.text(fitText(doc, label.name, textWidth), textLeft, top + 5);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      if (label.detail) doc.text(fitText(doc, label.detail, textWidth), textLeft, top + 10);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(10);
+      doc.text(label.price, textLeft, top + 17);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(7);
+      doc.text(label.code, textLeft, top + size - 1);
+      return;
+    }
+
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.text(fitText(doc, label.name, innerWidth), left, top + 4);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(fitText(doc, label.detail || '', innerWidth - 25), left, top + 8.5);
+    doc.setFont('helvetica', 'bold');
+    doc.text(label.price, left + innerWidth, top + 8.5, { align: 'right' });
+    drawCode128(doc, label.code, left, top + 11, innerWidth, 15);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.text(label.code, left + innerWidth / 2, top + 29.5, { align: 'center' });
+  });
+
+  return doc;
+};
+
+module.exports = {
+  LABEL_FORMATS,
+  SKU_PATTERN,
+  generateSku,
+  rollBarcode,
+  createLabelSheet
+};
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const { HttpError } = require('./errors');
+const { addStock } = require('./stock');
+const { requireOpenShift } = require('./shifts');
+const { getSetting } = require('./settings');
+const { roundMoney, sumPayments } = require('./payments');
+
+// How often the server looks for layaways past their collection date
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const getAmountPaid = (sale) => sumPayments(sale.payments);
+
+const getBalanceDue = (sale) => roundMoney(Math.max(0, sale.finalAmount - getAmountPaid(sale)));
+
+// A new layaway holds its stock to the end of the last day
+const getLayawayExpiry = async (session = null) => {
+  const { expiryDays } = await getSetting('layaways', session);
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + expiryDays);
+  expiresAt.setHours(23, 59, 59, 999);
+  return expiresAt;
+};
+
+// Add part-payments to a pending layaway, through the drawer of the user's
+// open shift. The caller saves the sale. Returns the change due on cash.
+const addLayawayPayments = async ({ sale, payments, cashTendered, user, session }) => {
+  const shift = await requireOpenShift(user._id, session, 'Open a shift before taking payments');
+
+  const paidAt = new Date();
+  const newPayments = payments.map(payment => ({
+    method: payment.method,
+    amount: roundMoney(Number(payment.amount)),
+    reference: payment.reference,
+    shift: shift._id,
+    receivedBy: user._id,
+    paidAt
+  }));
+
+  if (sumPayments(newPayments, 'credit') > 0) {
+    throw new HttpError(400, 'Layaways are paid for before collection and cannot go on credit');
+  }
+
+  const balanceDue = getBalanceDue(sale);
+  const paymentsTotal = sumPayments(newPayments);
+  if (paymentsTotal > balanceDue + 0.01) {
+    throw new HttpError(400, `Payments total ₦${paymentsTotal.toLocaleString()} but only ₦${balanceDue.toLocaleString()} is due`);
+  }
+
+  const cashPaid = sumPayments(newPayments, 'cash');
+  let changeDue = 0;
+  if (cashTendered !== undefined && cashTendered !== null) {
+    if (Number(cashTendered) < cashPaid) {
+      throw new HttpError(400, 'Cash tendered cannot be less than the cash payment');
+    }
+    changeDue = roundMoney(Number(cashTendered) - cashPaid);
+  }
+
+  const storeCreditAmount = sumPayments(newPayments, 'store_credit');
+  if (storeCreditAmount > 0) {
+    const customer = await Customer.findOneAndUpdate(
+      { _id: sale.customer, storeCreditBalance: { $gte: storeCreditAmount } },
+      { $inc: { storeCreditBalance: -storeCreditAmount } },
+      { session, new: true }
+    );
+
+    if (!customer) {
+      throw new HttpError(400, 'Not enough store credit');
+    }
+  }
+
+  sale.payments.push(...newPayments);
+
+  return changeDue;
+};
+
+// Put an uncollected layaway's stock back on the shelf and give the
+// customer what they paid as store credit. The payments stay in the shifts
+// that took them, since the money was taken and is now owed as credit.
+// Without `cancelledBy` the layaway expired; with it, an admin cancelled it
+// for `reason`. Neither is a void: the payments stay in their shifts.
+const releaseLayaway = async ({ sale, session, cancelledBy = null, reason = null }) => {
+  const amountPaid = getAmountPaid(sale);
+
+  sale.status = 'cancelled';
+  if (cancelledBy) {
+    sale.layaway.cancelledAt = new Date();
+    sale.layaway.cancelledBy = cancelledBy;
+    sale.layaway.cancelReason = reason;
+  } else {
+    sale.layaway.expiredAt = new Date();
+  }
+  await sale.save({ session });
+
+  if (amountPaid > 0 && sale.customer) {
+    await Customer.updateOne(
+      { _id: sale.customer },
+      { $inc: { storeCreditBalance: amountPaid } },
+      { session }
+    );
+  }
+
+  for (const item of sale.items) {
+    await addStock({
+      productId: item.product,
+      quantity: item.quantity,
+      roll: item.roll,
+      session,
+      history: {
+        action: 'released',
+        performedBy: cancelledBy || sale.soldBy,
+        sale: sale._id,
+        notes: cancelledBy
+          ? `Layaway ${sale.saleNumber} cancelled: ${reason}`
+          : `Layaway ${sale.saleNumber} expired uncollected`
+      }
+    });
+  }
+};
+
+// Release every layaway past its expiry, one transaction each so a failure
+// leaves the others released. Returns how many were released.
+const expireLayaways = async () => {
+  const expired = await Sale.find({ status: 'pending', 'layaway.expiresAt': { $lt: new Date() } }).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    const wasReleased = await mongoose.connection.transaction(async (session) => {
+      // It may have been collected since the list was read
+      const sale = await Sale.findOne({ _id, status: 'pending', 'layaway.expiresAt': { $lt: new Date() } }).session(session);
+      if (!sale) {
+        return false;
+      }
+
+      await releaseLayaway({ sale, session });
+      return true;
+    });
+
+    if (wasReleased) released += 1;
+  }
+
+  return released;
+};
+
+module.exports = {
+  EXPIRY_CHECK_INTERVAL_MS,
+  getAmountPaid,
+  getBalanceDue,
+  getLayawayExpiry,
+  addLayawayPayments,
+  releaseLayaway,
+  expireLayaways
+};
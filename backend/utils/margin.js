@@ -0,0 +1,64 @@
+const { roundMoney } = require('./payments');
+
+// Price per unit a line actually sold at, after any promotion on it
+const paidUnitPrice = (item) => (item.quantity > 0 ? item.totalPrice / item.quantity : 0);
+
+// What some quantity of a sale line came to, with its share of the sale
+// discount taken off by value: `paid` is what the customer paid for it,
+// exclusive tax included; `net` is the revenue excluding any tax.
+const saleLineAmounts = (sale, item, quantity) => {
+  const discountRatio = sale.totalAmount > 0 ? (sale.totalAmount - sale.discount) / sale.totalAmount : 0;
+  const charged = quantity * paidUnitPrice(item) * discountRatio;
+  const tax = item.quantity > 0 ? (item.taxAmount || 0) * quantity / item.quantity : 0;
+
+  return item.taxInclusive === false
+    ? { paid: charged + tax, net: charged, tax }
+    : { paid: charged, net: charged - tax, tax };
+};
+
+// Revenue (excluding tax) and cost for one sale line, net of anything
+// already returned
+const computeItemMargin = (sale, item) => {
+  const quantity = item.quantity - (item.returnedQuantity || 0);
+  const revenue = roundMoney(saleLineAmounts(sale, item, quantity).net);
+  const cost = roundMoney(quantity * (item.unitCost || 0));
+
+  return { quantity, revenue, cost, grossProfit: roundMoney(revenue - cost) };
+};
+
+const withMarginPercent = ({ revenue, cost, ...rest }) => ({
+  ...rest,
+  revenue: roundMoney(revenue),
+  cost: roundMoney(cost),
+  grossProfit: roundMoney(revenue - cost),
+  marginPercent: revenue > 0 ? Math.round(((revenue - cost) / revenue) * 1000) / 10 : 0
+});
+
+// Gross profit for a whole sale
+const computeSaleMargin = (sale) => {
+  const totals = sale.items.reduce((sum, item) => {
+    const margin = computeItemMargin(sale, item);
+    return { revenue: sum.revenue + margin.revenue, cost: sum.cost + margin.cost };
+  }, { revenue: 0, cost: 0 });
+
+  return withMarginPercent(totals);
+};
+
+// Gross profit across many sales
+const summarizeMargins = (sales) => {
+  const totals = sales.reduce((sum, sale) => {
+    const margin = computeSaleMargin(sale);
+    return { revenue: sum.revenue + margin.revenue, cost: sum.cost + margin.cost };
+  }, { revenue: 0, cost: 0 });
+
+  return withMarginPercent(totals);
+};
+
+module.exports = {
+  paidUnitPrice,
+  saleLineAmounts,
+  computeItemMargin,
+  computeSaleMargin,
+  summarizeMargins,
+  withMarginPercent
+};
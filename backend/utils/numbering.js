@@ -0,0 +1,24 @@
+// Generate a unique document number such as RF20240315042: a prefix, today's
+// date and a random three-digit suffix. Returns null if no free number was
+// found after `maxAttempts` tries.
+const generateDocumentNumber = async (Model, field, prefix, maxAttempts = 10) => {
+  for (let attempts = 0; attempts < maxAttempts; attempts++) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+    const number = `${prefix}${year}${month}${day}${random}`;
+
+    const existing = await Model.findOne({ [field]: number });
+    if (!existing) {
+      return number;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  generateDocumentNumber
+};
\ No newline at end of file
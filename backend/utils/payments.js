@@ -0,0 +1,38 @@
+const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'credit', 'store_credit'];
+
+const PAYMENT_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  transfer: 'Transfer',
+  credit: 'Credit',
+  store_credit: 'Store credit'
+};
+
+// Round a naira amount to kobo so float sums compare cleanly
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Total of a sale's tenders, optionally only those of one method
+const sumPayments = (payments, method) => roundMoney(
+  payments
+    .filter(payment => !method || payment.method === method)
+    .reduce((sum, payment) => sum + payment.amount, 0)
+);
+
+// What is left to refund on one tender: what was paid that way, less
+// anything the sale's returns have already refunded the same way. A return
+// refunds no more than this through a tender, and a void hands back the rest.
+const refundableAmount = (payments, returns, method) => roundMoney(Math.max(0,
+  sumPayments(payments, method) - returns
+    .filter(saleReturn => saleReturn.refundMethod === method)
+    .reduce((sum, saleReturn) => sum + saleReturn.refundAmount, 0)
+));
+
+const formatPaymentMethod = (method) => PAYMENT_LABELS[method] || method;
+
+module.exports = {
+  PAYMENT_METHODS,
+  roundMoney,
+  sumPayments,
+  refundableAmount,
+  formatPaymentMethod
+};
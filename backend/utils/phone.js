@@ -0,0 +1,18 @@
+// Normalise a Nigerian phone number so the same customer is matched however
+// the number was typed: "0803 123 4567", "+234 803 123 4567" and
+// "2348031234567" all become "2348031234567".
+const normalizePhone = (phone) => {
+  if (!phone) return '';
+
+  const digits = String(phone).replace(/\D/g, '');
+
+  if (digits.startsWith('0') && digits.length === 11) {
+    return `234${digits.slice(1)}`;
+  }
+
+  return digits;
+};
+
+module.exports = {
+  normalizePhone
+};
@@ -0,0 +1,130 @@
+const Promotion = require('../models/Promotion');
+const { roundMoney } = require('./payments');
+
+const PROMOTION_TYPES = ['percentage', 'buy_x_get_y', 'tiered'];
+
+// Promotions running at `date`. A campaign with no start or end date is open
+// on that side.
+const getActivePromotions = (date = new Date(), session = null) => {
+  return Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: date } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: date } }] }
+    ]
+  }).session(session);
+};
+
+const appliesTo = (promotion, product) => {
+  if (promotion.products.length > 0) {
+    return promotion.products.some(id => id.equals(product._id));
+  }
+  return promotion.category === product.category;
+};
+
+// Highest tier the quantity reaches, if any
+const findTier = (promotion, quantity) => [...promotion.tiers]
+  .sort((a, b) => b.minQuantity - a.minQuantity)
+  .find(tier => quantity >= tier.minQuantity - 1e-9);
+
+// What a promotion takes off `quantity` of a product listed at `unitPrice`
+const promotionSaving = (promotion, quantity, unitPrice) => {
+  switch (promotion.type) {
+    case 'percentage':
+      return quantity * unitPrice * (promotion.percentOff || 0) / 100;
+    case 'buy_x_get_y': {
+      const bundle = (promotion.buyQuantity || 0) + (promotion.freeQuantity || 0);
+      if (bundle <= 0) return 0;
+      return Math.floor(quantity / bundle + 1e-9) * promotion.freeQuantity * unitPrice;
+    }
+    case 'tiered': {
+      const tier = findTier(promotion, quantity);
+      return tier ? Math.max(0, (unitPrice - tier.pricePerUnit) * quantity) : 0;
+    }
+    default:
+      return 0;
+  }
+};
+
+// Short wording for receipts, e.g. "Buy 10 get 1 free"
+const describePromotion = (promotion) => {
+  switch (promotion.type) {
+    case 'percentage':
+      return `${promotion.percentOff}% off`;
+    case 'buy_x_get_y':
+      return `Buy ${promotion.buyQuantity} get ${promotion.freeQuantity} free`;
+    case 'tiered':
+      return [...promotion.tiers]
+        .sort((a, b) => a.minQuantity - b.minQuantity)
+        .map(tier => `${tier.minQuantity}+ at ₦${tier.pricePerUnit.toLocaleString()}`)
+        .join(', ');
+    default:
+      return promotion.name;
+  }
+};
+
+// Give each product in a sale the one promotion that saves the most; they
+// never stack. Lines of the same product (cut from different rolls, say)
+// count together towards bundle and tier quantities. Remnants are already
+// marked down and never take a promotion.
+//
+// `lines` are { product, item } pairs; each item's totalPrice is reduced by
+// its share of the saving. Returns the promotions applied and what each took off.
+const applyPromotions = (lines, promotions) => {
+  const linesByProduct = new Map();
+  lines.filter(line => !line.item.isRemnant).forEach(line => {
+    const key = line.product._id.toString();
+    linesByProduct.set(key, [...(linesByProduct.get(key) || []), line]);
+  });
+
+  const applied = new Map();
+
+  for (const productLines of linesByProduct.values()) {
+    const { product, item: firstItem } = productLines[0];
+    const quantity = productLines.reduce((sum, line) => sum + line.item.quantity, 0);
+    const listTotal = quantity * firstItem.unitPrice;
+
+    let best = null;
+    for (const promotion of promotions) {
+      if (!appliesTo(promotion, product)) continue;
+      const saving = roundMoney(Math.min(promotionSaving(promotion, quantity, firstItem.unitPrice), listTotal));
+      if (saving > 0 && (!best || saving > best.saving)) {
+        best = { promotion, saving };
+      }
+    }
+    if (!best) continue;
+
+    // Split by quantity; the last line takes the rounding remainder
+    let remaining = best.saving;
+    productLines.forEach(({ item }, index) => {
+      const share = index === productLines.length - 1
+        ? remaining
+        : roundMoney(best.saving * item.quantity / quantity);
+      remaining = roundMoney(remaining - share);
+
+      item.promotion = best.promotion._id;
+      item.promotionName = best.promotion.name;
+      item.promotionDiscount = share;
+      item.totalPrice = roundMoney(item.totalPrice - share);
+    });
+
+    const key = best.promotion._id.toString();
+    const entry = applied.get(key) || {
+      promotion: best.promotion._id,
+      name: best.promotion.name,
+      description: describePromotion(best.promotion),
+      amount: 0
+    };
+    entry.amount = roundMoney(entry.amount + best.saving);
+    applied.set(key, entry);
+  }
+
+  return [...applied.values()];
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  getActivePromotions,
+  describePromotion,
+  applyPromotions
+};
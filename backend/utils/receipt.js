@@ -0,0 +1,65 @@
+const { jsPDF } = require('jspdf');
+
+// Start an 80mm thermal receipt with the shop header already drawn.
+// Returns the document and the y position the body should start at.
+const createReceiptDoc = () => {
+  // Create PDF document - Standard 80mm thermal receipt printer width
+  const doc = new jsPDF({
+    orientation: 'portrait',
+    unit: 'mm',
+    format: [80, 297]  // 80mm width (standard receipt printer), 297mm height (A4 length)
+  });
+
+  // Set font
+  doc.setFont('helvetica');
+
+  // Header
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.text('RONNIE\'S FABRICS', 40, 15, { align: 'center' });
+
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+  doc.text('Fabric Inventory Management', 40, 22, { align: 'center' });
+  doc.text('Quality Fabrics for Every Need', 40, 27, { align: 'center' });
+
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'normal');
+
+  return { doc, yPos: 40 };
+};
+
+// Draw the closing lines shared by every receipt
+const drawReceiptFooter = (doc, yPos, message = 'Thank you for shopping with us!') => {
+  // Footer - No page break needed for continuous thermal paper
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(7);
+  doc.text(message, 40, yPos, { align: 'center' });
+  yPos += 4;
+  doc.text('Quality fabrics guaranteed', 40, yPos, { align: 'center' });
+  yPos += 6;
+  doc.setFont('helvetica', 'bold');
+  doc.text('RONNIE\'S FABRICS', 40, yPos, { align: 'center' });
+
+  return yPos;
+};
+
+// Send a jsPDF document as a downloadable attachment
+const sendPdf = (res, doc, filename) => {
+  // Generate PDF buffer
+  const pdfBuffer = doc.output('arraybuffer');
+
+  // Set response headers
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  res.setHeader('Content-Length', pdfBuffer.byteLength);
+
+  // Send PDF
+  res.send(Buffer.from(pdfBuffer));
+};
+
+module.exports = {
+  createReceiptDoc,
+  drawReceiptFooter,
+  sendPdf
+};
\ No newline at end of file
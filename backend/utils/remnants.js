@@ -0,0 +1,49 @@
+const Category = require('../models/Category');
+const { getSetting } = require('./settings');
+const { roundMoney } = require('./payments');
+const { LENGTH_UNITS } = require('./units');
+
+// The markdown from settings, with each category's length threshold keyed
+// by slug. Deleted categories are included, since their products may still
+// have stock.
+const getRemnantSettings = async (session = null) => {
+  const { markdownPercent } = await getSetting('remnants', session);
+  const categories = await Category.find().select('slug remnantThreshold').session(session);
+
+  return {
+    markdownPercent,
+    thresholds: Object.fromEntries(categories.map(category => [category.slug, category.remnantThreshold]))
+  };
+};
+
+// A roll becomes a remnant once what is left on it is shorter than the
+// threshold for its product's category. Only length-sold fabric has remnants.
+const isRemnantRoll = (product, roll, settings) => {
+  if (!LENGTH_UNITS.includes(product.unit)) return false;
+  const threshold = Number(settings.thresholds[product.category]) || 0;
+  return roll.remainingLength > 0 && roll.remainingLength < threshold;
+};
+
+const getRemnantPrice = (product, settings) => {
+  return roundMoney(product.pricePerUnit * (1 - settings.markdownPercent / 100));
+};
+
+// Product JSON with each roll flagged and the marked-down price attached
+const withRemnantFlags = (product, settings) => {
+  const data = product.toJSON();
+  return {
+    ...data,
+    rolls: product.rolls.map((roll, index) => ({
+      ...data.rolls[index],
+      isRemnant: isRemnantRoll(product, roll, settings)
+    })),
+    remnantPricePerUnit: getRemnantPrice(product, settings)
+  };
+};
+
+module.exports = {
+  getRemnantSettings,
+  isRemnantRoll,
+  getRemnantPrice,
+  withRemnantFlags
+};
@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const Quotation = require('../models/Quotation');
+const DiscountRequest = require('../models/DiscountRequest');
+const { HttpError } = require('./errors');
+const { pickRoll, removeStock } = require('./stock');
+const { getRemnantSettings, isRemnantRoll, getRemnantPrice } = require('./remnants');
+const { MIN_QUANTITY, canConvert, convertLength } = require('./units');
+const { roundMoney, sumPayments } = require('./payments');
+const { getActivePromotions, applyPromotions } = require('./promotions');
+const { assignTaxRates } = require('./tax');
+const { authorizeDiscount, withPinFailureRecording } = require('./discounts');
+const { generateDocumentNumber } = require('./numbering');
+const { findOrCreateCustomer } = require('./customers');
+const { recordCreditEntry } = require('./credit');
+const { requireOpenShift } = require('./shifts');
+
+// Check requested items against stock and price them: the unit each line is
+// sold in, the roll it will be cut from, remnant markdowns and any running
+// promotions. Each line also gets the tax rate that applies to it; the tax
+// itself is worked out with applyTax once the sale discount is known.
+// Nothing is written; stock comes off when the sale is saved. Quotations
+// pass checkStock: false to price more than is on the shelf; no roll is
+// picked for them.
+//
+// Returns the sale items, the roll choice for each (for removeStock), the
+// total after promotions and the promotions applied.
+const priceSaleItems = async (items, session = null, { checkStock = true } = {}) => {
+  const saleItems = [];
+  const saleRolls = [];
+  const lines = [];
+  const remnantSettings = await getRemnantSettings(session);
+  const isRemnant = (product) => (roll) => isRemnantRoll(product, roll, remnantSettings);
+
+  for (const item of items) {
+    const product = await Product.findById(item.productId).session(session);
+
+    if (!product) {
+      throw new HttpError(400, `Product not found: ${item.productId}`);
+    }
+
+    if (!product.isActive) {
+      throw new HttpError(400, `Product is not available: ${product.name}`);
+    }
+
+    // Lengths can be sold in yards or meters; stock is always kept in the product's unit
+    const soldUnit = item.unit || product.unit;
+    if (!canConvert(soldUnit, product.unit)) {
+      throw new HttpError(400, `${product.name} is sold in ${product.unit}`);
+    }
+    const soldQuantity = Number(item.quantity);
+    const quantity = convertLength(soldQuantity, soldUnit, product.unit);
+    // The sold quantity was checked on the way in, but a length converted
+    // to a longer unit can come out under the minimum
+    if (quantity < MIN_QUANTITY) {
+      throw new HttpError(400, `${soldQuantity} ${soldUnit} of ${product.name} is under the ${MIN_QUANTITY} ${product.unit} minimum`);
+    }
+
+    if (checkStock && product.currentStock < quantity) {
+      throw new HttpError(400, `Insufficient stock for ${product.name}. Available: ${product.currentStock} ${product.unit}`);
+    }
+
+    // Remnants are only cut when picked, and sell at the markdown price
+    const roll = checkStock ? pickRoll(product, quantity, item.rollId, isRemnant(product)) : null;
+    const remnant = Boolean(roll && isRemnant(product)(roll));
+    const unitPrice = remnant ? getRemnantPrice(product, remnantSettings) : product.pricePerUnit;
+
+    const saleItem = {
+      product: product._id,
+      productName: product.name,
+      quantity,
+      soldQuantity: soldUnit !== product.unit ? soldQuantity : undefined,
+      soldUnit: soldUnit !== product.unit ? soldUnit : undefined,
+      unitPrice,
+      totalPrice: quantity * unitPrice,
+      isRemnant: remnant || undefined,
+      unitCost: product.averageCost || 0,
+      unit: product.unit
+    };
+
+    saleRolls.push({ rollId: roll?._id, excludeRoll: isRemnant(product) });
+    saleItems.push(saleItem);
+    lines.push({ product, item: saleItem });
+  }
+
+  const promotions = applyPromotions(lines, await getActivePromotions(new Date(), session));
+  await assignTaxRates(lines, session);
+  const totalAmount = roundMoney(saleItems.reduce((sum, item) => sum + item.totalPrice, 0));
+
+  return { saleItems, saleRolls, totalAmount, promotions };
+};
+
+// Record a priced sale. The tenders must cover finalAmount exactly, with
+// cash overpaid recorded as change. The sale is saved, credit charged and
+// its items taken off the shelf in one transaction, so a failed decrement
+// never leaves a sale without its stock history.
+//
+// A sale converted from a quotation keeps the quotation's discount, which
+// was authorized when the quotation was made, and closes the quotation in
+// the same transaction; any other discount goes through authorizeDiscount.
+//
+// With `layaway` ({ expiresAt }) the sale is a reservation instead: it is
+// saved as pending with a deposit of any part of the total, and its stock is
+// reserved rather than sold. See utils/layaways.js for the rest of its life.
+const createSale = async ({
+  user,
+  customerId,
+  customerName,
+  customerPhone,
+  saleItems,
+  saleRolls,
+  totalAmount,
+  promotions,
+  discount = 0,
+  discountApproval,
+  taxAmount,
+  taxes,
+  finalAmount,
+  payments,
+  cashTendered,
+  notes,
+  quotation,
+  layaway
+}) => {
+  const salePayments = payments.map(payment => ({
+    method: payment.method,
+    amount: roundMoney(Number(payment.amount)),
+    reference: payment.reference
+  }));
+
+  const paymentsTotal = sumPayments(salePayments);
+  if (layaway) {
+    if (paymentsTotal <= 0 || paymentsTotal > roundMoney(finalAmount) + 0.01) {
+      throw new HttpError(400, `The deposit must be more than ₦0 and at most the sale total of ₦${roundMoney(finalAmount).toLocaleString()}`);
+    }
+  } else if (Math.abs(paymentsTotal - roundMoney(finalAmount)) > 0.01) {
+    throw new HttpError(400, `Payments total ₦${paymentsTotal.toLocaleString()} but the sale total is ₦${roundMoney(finalAmount).toLocaleString()}`);
+  }
+
+  const cashPaid = sumPayments(salePayments, 'cash');
+  const hasCashTendered = cashTendered !== undefined && cashTendered !== null;
+  let changeDue = 0;
+
+  if (hasCashTendered) {
+    if (Number(cashTendered) < cashPaid) {
+      throw new HttpError(400, 'Cash tendered cannot be less than the cash payment');
+    }
+    changeDue = roundMoney(Number(cashTendered) - cashPaid);
+  }
+
+  const creditAmount = sumPayments(salePayments, 'credit');
+  const storeCreditAmount = sumPayments(salePayments, 'store_credit');
+
+  if (layaway && creditAmount > 0) {
+    throw new HttpError(400, 'Layaways are paid for before collection and cannot go on credit');
+  }
+
+  // Generate unique sale number
+  const saleNumber = await generateDocumentNumber(Sale, 'saleNumber', 'RF');
+  if (!saleNumber) {
+    throw new HttpError(500, 'Could not generate unique sale number');
+  }
+
+  return withPinFailureRecording(() => mongoose.connection.transaction(async (session) => {
+    const shift = await requireOpenShift(user._id, session);
+
+    // Discounts above the seller's limit need an admin's approval
+    const discountFields = quotation
+      ? { discountReason: quotation.discountReason, discountApproval: quotation.discountApproval?.toObject() }
+      : await authorizeDiscount({
+        user,
+        discount: Number(discount),
+        totalAmount,
+        approval: discountApproval,
+        session
+      });
+
+    const customer = await findOrCreateCustomer({
+      customerId,
+      customerName,
+      customerPhone,
+      userId: user._id,
+      session
+    });
+
+    if ((creditAmount > 0 || storeCreditAmount > 0) && !customer) {
+      throw new HttpError(400, 'Credit and store credit payments need the customer\'s phone number');
+    }
+
+    // The customer is contacted about collection, and an expired deposit goes onto their account
+    if (layaway && !customer) {
+      throw new HttpError(400, 'Layaways need the customer\'s phone number');
+    }
+
+    if (storeCreditAmount > 0) {
+      const updatedCustomer = await Customer.findOneAndUpdate(
+        { _id: customer._id, storeCreditBalance: { $gte: storeCreditAmount } },
+        { $inc: { storeCreditBalance: -storeCreditAmount } },
+        { session, new: true }
+      );
+
+      if (!updatedCustomer) {
+        throw new HttpError(400, `Not enough store credit. Available: ₦${customer.storeCreditBalance.toLocaleString()}`);
+      }
+    }
+
+    const [createdSale] = await Sale.create([{
+      saleNumber,
+      customer: customer?._id,
+      customerName,
+      customerPhone: customerPhone || customer?.phone,
+      items: saleItems,
+      totalAmount,
+      promotions,
+      discount,
+      ...discountFields,
+      taxAmount,
+      taxes,
+      finalAmount,
+      payments: layaway
+        ? salePayments.map(payment => ({ ...payment, shift: shift._id, receivedBy: user._id, paidAt: new Date() }))
+        : salePayments,
+      cashTendered: hasCashTendered ? Number(cashTendered) : undefined,
+      changeDue,
+      status: layaway ? 'pending' : 'completed',
+      layaway: layaway ? { expiresAt: layaway.expiresAt } : undefined,
+      soldBy: user._id,
+      shift: shift._id,
+      quotation: quotation?._id,
+      notes
+    }], { session });
+
+    if (discountFields.discountApproval?.request) {
+      await DiscountRequest.updateOne(
+        { _id: discountFields.discountApproval.request },
+        { $set: { sale: createdSale._id } },
+        { session }
+      );
+    }
+
+    // Only an open quotation still within its validity can be converted, once
+    if (quotation) {
+      const converted = await Quotation.findOneAndUpdate(
+        { _id: quotation._id, status: 'open', validUntil: { $gte: new Date() } },
+        { $set: { status: 'converted', sale: createdSale._id, convertedBy: user._id, convertedAt: new Date() } },
+        { session, new: true }
+      );
+
+      if (!converted) {
+        throw new HttpError(409, 'This quotation has already been converted, cancelled or has expired');
+      }
+    }
+
+    if (creditAmount > 0) {
+      await recordCreditEntry({
+        customerId: customer._id,
+        type: 'charge',
+        amount: creditAmount,
+        session,
+        sale: createdSale._id,
+        saleNumber,
+        recordedBy: user._id,
+        notes: 'Credit sale'
+      });
+    }
+
+    for (const [index, item] of saleItems.entries()) {
+      const { roll } = await removeStock({
+        productId: item.product,
+        quantity: item.quantity,
+        rollId: saleRolls[index].rollId,
+        excludeRoll: saleRolls[index].excludeRoll,
+        session,
+        history: {
+          action: layaway ? 'reserved' : 'sold',
+          performedBy: user._id,
+          sale: createdSale._id,
+          enteredQuantity: item.soldQuantity,
+          enteredUnit: item.soldUnit,
+          notes: layaway ? `Reserved for ${customerName}` : `Sold to ${customerName}`
+        }
+      });
+
+      if (roll) {
+        createdSale.items[index].roll = roll._id;
+        createdSale.items[index].rollId = roll.rollId;
+        createdSale.items[index].dyeLot = roll.dyeLot;
+      }
+    }
+
+    await createdSale.save({ session });
+
+    return createdSale;
+  }));
+};
+
+module.exports = {
+  priceSaleItems,
+  createSale
+};
@@ -0,0 +1,79 @@
+const Setting = require('../models/Setting');
+
+// Values used until an admin saves their own
+const DEFAULT_SETTINGS = {
+  // The length thresholds are kept on each Category
+  remnants: {
+    markdownPercent: 30
+  },
+  // Largest discount each role may give without an admin's approval
+  discounts: {
+    staff: { type: 'percent', value: 10 },
+    admin: { type: 'percent', value: 100 }
+  },
+  // Printed on receipts that carry tax, e.g. the shop's VAT or TIN number
+  tax: {
+    registrationNumber: ''
+  },
+  // Printed at the top of A4 invoices and quotations
+  business: {
+    name: 'Ronnie\'s Fabrics',
+    address: '',
+    phone: '',
+    email: ''
+  },
+  // How many days a quotation holds its prices unless the seller sets another
+  quotations: {
+    validDays: 14
+  },
+  // Days a layaway holds its stock before it expires back onto the shelf
+  layaways: {
+    expiryDays: 30
+  }
+};
+
+// Saved values are merged over the defaults one level deep, so a group
+// saved before a new field existed still gets that field's default
+const mergeWithDefaults = (key, value = {}) => {
+  const defaults = DEFAULT_SETTINGS[key] || {};
+  const merged = { ...defaults, ...value };
+
+  Object.keys(defaults).forEach(field => {
+    const isObject = defaults[field] && typeof defaults[field] === 'object' && !Array.isArray(defaults[field]);
+    if (isObject) {
+      merged[field] = { ...defaults[field], ...(value[field] || {}) };
+    }
+  });
+
+  return merged;
+};
+
+const getSetting = async (key, session = null) => {
+  const setting = await Setting.findOne({ key }).session(session);
+  return mergeWithDefaults(key, setting?.value);
+};
+
+const getAllSettings = async () => {
+  const settings = await Setting.find({ key: { $in: Object.keys(DEFAULT_SETTINGS) } });
+  const saved = Object.fromEntries(settings.map(setting => [setting.key, setting.value]));
+
+  return Object.fromEntries(
+    Object.keys(DEFAULT_SETTINGS).map(key => [key, mergeWithDefaults(key, saved[key])])
+  );
+};
+
+const saveSetting = async (key, value, userId) => {
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { new: true, upsert: true }
+  );
+  return mergeWithDefaults(key, setting.value);
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSetting,
+  getAllSettings,
+  saveSetting
+};
@@ -0,0 +1,90 @@
+const Shift = require('../models/Shift');
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+const CreditTransaction = require('../models/CreditTransaction');
+const { HttpError } = require('./errors');
+const { PAYMENT_METHODS, roundMoney, sumPayments } = require('./payments');
+
+const findOpenShift = (userId, session = null) => {
+  return Shift.findOne({ openedBy: userId, status: 'open' }).session(session);
+};
+
+// Anything that moves cash through the drawer needs an open shift
+const requireOpenShift = async (userId, session = null, message = 'Open a shift before making sales') => {
+  const shift = await findOpenShift(userId, session);
+  if (!shift) {
+    throw new HttpError(400, message);
+  }
+  return shift;
+};
+
+const totalsByMethod = (entries, methods) => methods.reduce((totals, method) => ({
+  ...totals,
+  [method]: roundMoney(
+    entries
+      .filter(entry => entry.method === method)
+      .reduce((sum, entry) => sum + entry.amount, 0)
+  )
+}), {});
+
+// Work out what went through the till during a shift and how much cash
+// should be in the drawer. Voided sales count as handed back in full, so
+// neither their takings nor refunds already made against them touch the drawer.
+// Layaway payments count in the shift that took each one, wherever the sale
+// is completed; an expired or cancelled layaway's payments stay, as they
+// became store credit, and it is not a void.
+const summarizeShift = ({ shift, sales, layawaySales, returns, repayments }) => {
+  const completedSales = sales.filter(sale => sale.status === 'completed');
+  const voidedSales = sales.filter(sale => sale.status === 'cancelled' && !sale.layaway?.expiredAt && !sale.layaway?.cancelledAt);
+  const allPayments = [
+    ...completedSales.flatMap(sale => sale.payments.filter(payment => !payment.shift)),
+    ...layawaySales.flatMap(sale => sale.payments.filter(payment => payment.shift?.equals(shift._id)))
+  ];
+  const drawerReturns = returns.filter(saleReturn => saleReturn.sale?.status !== 'cancelled');
+
+  const paymentTotals = PAYMENT_METHODS.reduce((totals, method) => ({
+    ...totals,
+    [method]: sumPayments(allPayments, method)
+  }), {});
+  const refundTotals = totalsByMethod(
+    drawerReturns.map(saleReturn => ({ method: saleReturn.refundMethod, amount: saleReturn.refundAmount })),
+    PAYMENT_METHODS
+  );
+  const repaymentTotals = totalsByMethod(repayments, ['cash', 'card', 'transfer']);
+
+  const totals = {
+    salesCount: completedSales.length,
+    totalSales: roundMoney(completedSales.reduce((sum, sale) => sum + sale.finalAmount, 0)),
+    discounts: roundMoney(completedSales.reduce((sum, sale) => sum + (sale.discount || 0), 0)),
+    paymentTotals,
+    voidedCount: voidedSales.length,
+    voidedAmount: roundMoney(voidedSales.reduce((sum, sale) => sum + sale.finalAmount, 0)),
+    returnsCount: drawerReturns.length,
+    refundTotals,
+    repaymentTotals
+  };
+
+  const expectedCash = roundMoney(
+    shift.openingFloat + paymentTotals.cash - refundTotals.cash + repaymentTotals.cash
+  );
+
+  return { totals, expectedCash };
+};
+
+const computeShiftTotals = async (shift) => {
+  const [sales, layawaySales, returns, repayments] = await Promise.all([
+    Sale.find({ shift: shift._id }),
+    Sale.find({ 'payments.shift': shift._id, voidedAt: { $exists: false } }),
+    Return.find({ shift: shift._id }).populate('sale', 'status'),
+    CreditTransaction.find({ shift: shift._id, type: 'repayment' })
+  ]);
+
+  return summarizeShift({ shift, sales, layawaySales, returns, repayments });
+};
+
+module.exports = {
+  findOpenShift,
+  requireOpenShift,
+  summarizeShift,
+  computeShiftTotals
+};
@@ -0,0 +1,262 @@
+const Product = require('../models/Product');
+const StockHistory = require('../models/StockHistory');
+const { HttpError } = require('./errors');
+
+const ADJUSTMENT_REASONS = ['damaged', 'theft', 'measurement_error', 'found', 'sample', 'gift'];
+
+// Reasons that can only ever take stock off the shelf, or only put it back
+const REMOVAL_REASONS = ['damaged', 'theft', 'sample', 'gift'];
+const ADDITION_REASONS = ['found'];
+
+// Pick the roll a length is cut from: the roll asked for, or else the oldest
+// roll long enough to cut it in one piece (FIFO). Rolls matching `excludeRoll`
+// (remnants) are only cut when asked for by ID. Returns null when the sale
+// should come off stock that is not on any roll.
+const pickRoll = (product, quantity, rollId, excludeRoll = () => false) => {
+  if (rollId) {
+    const roll = product.rolls.id(rollId);
+    if (!roll) {
+      throw new HttpError(400, `Roll not found on ${product.name}`);
+    }
+    if (roll.remainingLength < quantity) {
+      throw new HttpError(409, `Roll ${roll.rollId} of ${product.name} only has ${roll.remainingLength} ${product.unit} left`);
+    }
+    return roll;
+  }
+
+  const openRolls = product.rolls
+    .filter(roll => roll.remainingLength > 0 && !excludeRoll(roll))
+    .sort((a, b) => a.receivedAt - b.receivedAt);
+
+  const roll = openRolls.find(candidate => candidate.remainingLength >= quantity);
+  if (roll || openRolls.length === 0 || product.looseStock >= quantity) {
+    return roll || null;
+  }
+
+  const longest = Math.max(...openRolls.map(candidate => candidate.remainingLength));
+  throw new HttpError(409, `No single roll of ${product.name} has ${quantity} ${product.unit}. Longest roll: ${longest} ${product.unit}`);
+};
+
+// Take `quantity` off a product's currentStock and record the movement.
+// The update only matches while enough stock is left, so two cashiers
+// selling the last yards of the same fabric can never both succeed.
+// Products kept on rolls are cut from `rollId` or the FIFO roll.
+const removeStock = async ({ productId, quantity, rollId, excludeRoll, session, history }) => {
+  const current = await Product.findById(productId).session(session);
+
+  if (!current) {
+    throw new HttpError(400, `Product not found: ${productId}`);
+  }
+
+  if (!current.isActive) {
+    throw new HttpError(400, `Product is not available: ${current.name}`);
+  }
+
+  const roll = pickRoll(current, quantity, rollId, excludeRoll);
+
+  const conditions = { _id: productId, isActive: true, currentStock: { $gte: quantity } };
+  const update = { $inc: { currentStock: -quantity } };
+
+  if (roll) {
+    conditions.rolls = { $elemMatch: { _id: roll._id, remainingLength: { $gte: quantity } } };
+    update.$inc['rolls.$.remainingLength'] = -quantity;
+  } else if (current.rolls.length > 0) {
+    // Only the stock that is not on a roll can be sold loose
+    conditions.$expr = {
+      $gte: [{ $subtract: ['$currentStock', { $sum: '$rolls.remainingLength' }] }, quantity]
+    };
+  }
+
+  const product = await Product.findOneAndUpdate(conditions, update, { session, new: true });
+
+  if (!product) {
+    const latest = await Product.findById(productId).session(session);
+
+    throw new HttpError(409, `Insufficient stock for ${latest.name}. Available: ${latest.currentStock} ${latest.unit}`, {
+      product: {
+        _id: latest._id,
+        name: latest.name,
+        available: latest.currentStock,
+        requested: quantity,
+        unit: latest.unit
+      }
+    });
+  }
+
+  await StockHistory.create([{
+    ...history,
+    product: product._id,
+    productName: product.name,
+    quantity,
+    previousStock: product.currentStock + quantity,
+    newStock: product.currentStock,
+    unit: product.unit,
+    roll: roll?._id,
+    rollId: roll?.rollId
+  }], { session });
+
+  return { product, roll };
+};
+
+// Put `quantity` back on a product's currentStock and record the movement.
+// Used when a sale is voided or returned, so inactive products are restored as well.
+// Passing the roll it was cut from puts the length back on that roll.
+const addStock = async ({ productId, quantity, roll, session, history }) => {
+  const conditions = { _id: productId };
+  const update = { $inc: { currentStock: quantity } };
+
+  if (roll) {
+    conditions['rolls._id'] = roll;
+    update.$inc['rolls.$.remainingLength'] = quantity;
+  }
+
+  const product = await Product.findOneAndUpdate(conditions, update, { session, new: true });
+
+  // The roll may have been removed since; fall back to loose stock
+  if (!product && roll) {
+    return addStock({ productId, quantity, session, history });
+  }
+
+  if (!product) {
+    throw new HttpError(400, `Product not found: ${productId}`);
+  }
+
+  const restoredRoll = roll ? product.rolls.id(roll) : null;
+
+  await StockHistory.create([{
+    ...history,
+    product: product._id,
+    productName: product.name,
+    quantity,
+    previousStock: product.currentStock - quantity,
+    newStock: product.currentStock,
+    unit: product.unit,
+    roll: restoredRoll?._id,
+    rollId: restoredRoll?.rollId
+  }], { session });
+
+  return product;
+};
+
+// Take a delivery of new stock bought at `unitCost`. The product's average
+// cost is re-weighted against what is already on the shelf in the same
+// update, so concurrent deliveries cannot lose each other's cost.
+const receiveStock = async ({ productId, quantity, unitCost, session, history }) => {
+  const onHand = { $max: ['$currentStock', 0] };
+  const newOnHand = { $add: [onHand, quantity] };
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId },
+    [{
+      $set: {
+        averageCost: {
+          $round: [{
+            $divide: [
+              { $add: [{ $multiply: [onHand, { $ifNull: ['$averageCost', 0] }] }, quantity * unitCost] },
+              newOnHand
+            ]
+          }, 4]
+        },
+        currentStock: { $add: ['$currentStock', quantity] },
+        totalStock: { $add: ['$totalStock', quantity] }
+      }
+    }],
+    { session, new: true, updatePipeline: true }
+  );
+
+  if (!product) {
+    throw new HttpError(400, `Product not found: ${productId}`);
+  }
+
+  await StockHistory.create([{
+    ...history,
+    product: product._id,
+    productName: product.name,
+    quantity,
+    previousStock: product.currentStock - quantity,
+    newStock: product.currentStock,
+    unit: product.unit,
+    unitCost
+  }], { session });
+
+  return product;
+};
+
+// Correct a product's stock by hand. `quantity` is signed: negative takes
+// stock off (damaged, theft...), positive puts it back (found). Total stock
+// moves with it so the stock percentage stays meaningful.
+const adjustStock = async ({ productId, quantity, reason, roll, session, history }) => {
+  if (quantity < 0 && ADDITION_REASONS.includes(reason)) {
+    throw new HttpError(400, `Stock can only be added for reason: ${reason}`);
+  }
+  if (quantity > 0 && REMOVAL_REASONS.includes(reason)) {
+    throw new HttpError(400, `Stock can only be removed for reason: ${reason}`);
+  }
+
+  const conditions = { _id: productId, currentStock: { $gte: Math.max(0, -quantity) } };
+  const update = { $inc: { currentStock: quantity, totalStock: quantity } };
+
+  if (roll) {
+    conditions.rolls = { $elemMatch: { _id: roll, remainingLength: { $gte: Math.max(0, -quantity) } } };
+    update.$inc['rolls.$.remainingLength'] = quantity;
+  } else if (quantity < 0) {
+    // Without a roll only the stock that is not on a roll can be taken, so
+    // currentStock never drops below what the rolls still hold
+    conditions.$expr = {
+      $gte: [{ $subtract: ['$currentStock', { $sum: '$rolls.remainingLength' }] }, -quantity]
+    };
+  }
+
+  const product = await Product.findOneAndUpdate(conditions, update, { session, new: true });
+
+  if (!product) {
+    const current = await Product.findById(productId).session(session);
+
+    if (!current) {
+      throw new HttpError(404, 'Product not found');
+    }
+
+    const currentRoll = roll ? current.rolls.id(roll) : null;
+    if (roll && !currentRoll) {
+      throw new HttpError(400, `Roll not found on ${current.name}`);
+    }
+    if (currentRoll) {
+      throw new HttpError(400, `Cannot remove ${-quantity} ${current.unit} from roll ${currentRoll.rollId}. Remaining: ${currentRoll.remainingLength} ${current.unit}`);
+    }
+
+    const onRolls = current.rolls.reduce((sum, currentRoll) => sum + currentRoll.remainingLength, 0);
+    if (onRolls > 0 && current.currentStock >= -quantity) {
+      const loose = Math.max(0, Math.round((current.currentStock - onRolls) * 1000) / 1000);
+      throw new HttpError(400, `Cannot remove ${-quantity} ${current.unit} of ${current.name}: only ${loose} ${current.unit} is off the rolls. Adjust the rolls it came from first.`);
+    }
+
+    throw new HttpError(400, `Cannot remove ${-quantity} ${current.unit} of ${current.name}. Available: ${current.currentStock} ${current.unit}`);
+  }
+
+  const adjustedRoll = roll ? product.rolls.id(roll) : null;
+
+  const [entry] = await StockHistory.create([{
+    ...history,
+    product: product._id,
+    productName: product.name,
+    action: 'adjusted',
+    reason,
+    quantity,
+    previousStock: product.currentStock - quantity,
+    newStock: product.currentStock,
+    unit: product.unit,
+    roll: adjustedRoll?._id,
+    rollId: adjustedRoll?.rollId
+  }], { session });
+
+  return { product, entry };
+};
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  pickRoll,
+  removeStock,
+  addStock,
+  receiveStock,
+  adjustStock
+};
@@ -0,0 +1,131 @@
+const Product = require('../models/Product');
+const Stocktake = require('../models/Stocktake');
+const { roundMoney } = require('./payments');
+
+const findOpenStocktake = (session = null) => {
+  return Stocktake.findOne({ status: 'open' }).session(session);
+};
+
+// Difference between what was counted and what the system holds, and what
+// that difference is worth at the selling price
+const computeVariance = (countedQuantity, expectedStock, pricePerUnit) => {
+  const variance = Math.round((countedQuantity - expectedStock) * 1000) / 1000;
+  return {
+    variance,
+    varianceValue: roundMoney(variance * pricePerUnit)
+  };
+};
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Where a counted shortage comes off: loose stock first, then the rolls,
+// newest first, since the last roll opened is the likeliest to have been
+// cut without being recorded. Returns signed adjustments ({ roll, quantity },
+// roll null for loose stock). Anything more than the product holds is left
+// on loose stock, for adjustStock to refuse.
+const splitShortage = (product, shortage) => {
+  const onRolls = product.rolls.reduce((sum, roll) => sum + roll.remainingLength, 0);
+  let remaining = shortage;
+  const adjustments = [];
+
+  const fromLoose = Math.min(remaining, Math.max(0, roundQuantity(product.currentStock - onRolls)));
+  if (fromLoose > 0) {
+    adjustments.push({ roll: null, quantity: -fromLoose });
+    remaining = roundQuantity(remaining - fromLoose);
+  }
+
+  const newestFirst = product.rolls
+    .filter(roll => roll.remainingLength > 0)
+    .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt));
+  for (const roll of newestFirst) {
+    if (remaining <= 0) break;
+    const fromRoll = Math.min(remaining, roll.remainingLength);
+    adjustments.push({ roll: roll._id, quantity: -fromRoll });
+    remaining = roundQuantity(remaining - fromRoll);
+  }
+
+  if (remaining > 0) {
+    adjustments.push({ roll: null, quantity: -remaining });
+  }
+
+  return adjustments;
+};
+
+const summarizeLines = (lines) => lines.reduce((summary, line) => {
+  if (line.countedQuantity === null || line.countedQuantity === undefined) {
+    return summary;
+  }
+  summary.productsCounted += 1;
+  if (line.varianceValue < 0) {
+    summary.shortageValue = roundMoney(summary.shortageValue + line.varianceValue);
+  } else {
+    summary.surplusValue = roundMoney(summary.surplusValue + line.varianceValue);
+  }
+  summary.netVarianceValue = roundMoney(summary.netVarianceValue + line.varianceValue);
+  return summary;
+}, { productsCounted: 0, shortageValue: 0, surplusValue: 0, netVarianceValue: 0 });
+
+// Variance report for a stocktake. While the count is open every active
+// product is listed, so uncounted products stand out; counted ones are
+// measured against the stock when they were counted, as approval will, and
+// the rest against live stock. Once approved the frozen figures are returned.
+const buildVarianceReport = async (stocktake) => {
+  if (stocktake.status !== 'open') {
+    const lines = stocktake.counts.map(count => ({
+      product: count.product,
+      productName: count.productName,
+      unit: count.unit,
+      countedQuantity: count.countedQuantity,
+      countedBy: count.countedBy,
+      countedAt: count.countedAt,
+      expectedStock: count.expectedStock,
+      pricePerUnit: count.pricePerUnit,
+      variance: count.variance,
+      varianceValue: count.varianceValue
+    }));
+
+    return {
+      lines,
+      summary: stocktake.summary || { ...summarizeLines(lines), productsTotal: lines.length }
+    };
+  }
+
+  const products = await Product.find({ isActive: true }).sort({ name: 1 });
+  const countsByProduct = new Map(stocktake.counts.map(count => [count.product.toString(), count]));
+
+  const lines = products.map(product => {
+    const count = countsByProduct.get(product._id.toString());
+    const line = {
+      product: product._id,
+      productName: product.name,
+      category: product.category,
+      unit: product.unit,
+      expectedStock: count?.expectedStock ?? product.currentStock,
+      pricePerUnit: product.pricePerUnit,
+      countedQuantity: count ? count.countedQuantity : null,
+      countedBy: count ? count.countedBy : null,
+      countedAt: count ? count.countedAt : null,
+      variance: null,
+      varianceValue: null
+    };
+
+    if (count) {
+      Object.assign(line, computeVariance(count.countedQuantity, line.expectedStock, product.pricePerUnit));
+    }
+
+    return line;
+  });
+
+  return {
+    lines,
+    summary: { ...summarizeLines(lines), productsTotal: lines.length }
+  };
+};
+
+module.exports = {
+  findOpenStocktake,
+  computeVariance,
+  splitShortage,
+  summarizeLines,
+  buildVarianceReport
+};
@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Where uploaded files live. Every driver has the same three methods:
+//   put(key, buffer, contentType) -> public URL of the stored file
+//   remove(key)
+// so the rest of the app never needs to know which one is configured.
+// STORAGE_DRIVER=local (default) keeps files on disk and serves them from
+// /uploads; STORAGE_DRIVER=s3 works with AWS S3 or any S3-compatible store
+// (MinIO, DigitalOcean Spaces, Cloudflare R2...).
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+const UPLOAD_URL_PATH = '/uploads';
+
+const createLocalStorage = () => ({
+  async put(key, buffer) {
+    const filePath = path.join(UPLOAD_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${UPLOAD_URL_PATH}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+  }
+});
+
+const createS3Storage = () => {
+  // Only needed when S3 is configured, so local installs never load the SDK
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3');
+  }
+
+  const endpoint = process.env.S3_ENDPOINT;
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    // Most S3-compatible stores only support path-style bucket URLs
+    forcePathStyle: Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  const publicBase = (process.env.S3_PUBLIC_URL || (endpoint
+    ? `${endpoint}/${bucket}`
+    : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`)).replace(/\/+$/, '');
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return `${publicBase}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 's3' ? createS3Storage() : createLocalStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL_PATH,
+  getStorage
+};
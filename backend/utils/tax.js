@@ -0,0 +1,100 @@
+const Category = require('../models/Category');
+const TaxRate = require('../models/TaxRate');
+const { roundMoney } = require('./payments');
+
+const findActiveTaxRate = (id, session = null) => {
+  return TaxRate.findOne({ _id: id, isActive: true }).session(session);
+};
+
+// Copy the tax rate that applies to each priced line onto its sale item:
+// the product's own rate, then its category's (or the nearest parent
+// category's), then the default. Lines with no rate carry no tax.
+const assignTaxRates = async (lines, session = null) => {
+  const rates = await TaxRate.find({ isActive: true }).session(session);
+  if (rates.length === 0) return;
+
+  const ratesById = new Map(rates.map(rate => [String(rate._id), rate]));
+  const defaultRate = rates.find(rate => rate.isDefault) || null;
+  const findRate = (id) => (id ? ratesById.get(String(id)) : null);
+
+  const categories = await Category.find({}).select('slug parent taxRate').session(session);
+  const categoriesBySlug = new Map(categories.map(category => [category.slug, category]));
+  const categoriesById = new Map(categories.map(category => [String(category._id), category]));
+
+  const categoryRate = (slug) => {
+    const seen = new Set();
+    let category = categoriesBySlug.get(slug);
+    while (category && !seen.has(String(category._id))) {
+      seen.add(String(category._id));
+      const rate = findRate(category.taxRate);
+      if (rate) return rate;
+      category = category.parent && categoriesById.get(String(category.parent));
+    }
+    return null;
+  };
+
+  lines.forEach(({ product, item }) => {
+    const rate = findRate(product.taxRate) || categoryRate(product.category) || defaultRate;
+    if (!rate) return;
+
+    item.tax = rate._id;
+    item.taxName = rate.name;
+    item.taxRate = rate.rate;
+    item.taxInclusive = rate.inclusive;
+  });
+};
+
+// Work out the tax on each line once the sale discount is known. The
+// discount is spread across lines by value, the same way refunds are.
+//
+// Returns all tax on the sale, the part of it added on top of the prices
+// (exclusive rates) and one summary line per rate.
+const applyTax = (saleItems, totalAmount, discount = 0) => {
+  const discountRatio = totalAmount > 0 ? (totalAmount - discount) / totalAmount : 0;
+  const byRate = new Map();
+
+  saleItems.forEach(item => {
+    if (!item.tax) return;
+
+    const charged = item.totalPrice * discountRatio;
+    const taxAmount = roundMoney(item.taxInclusive
+      ? charged * item.taxRate / (100 + item.taxRate)
+      : charged * item.taxRate / 100);
+    item.taxAmount = taxAmount;
+
+    const key = String(item.tax);
+    const line = byRate.get(key) || {
+      tax: item.tax,
+      name: item.taxName,
+      rate: item.taxRate,
+      inclusive: item.taxInclusive,
+      taxableAmount: 0,
+      taxAmount: 0
+    };
+    line.taxableAmount += item.taxInclusive ? charged - taxAmount : charged;
+    line.taxAmount += taxAmount;
+    byRate.set(key, line);
+  });
+
+  const taxes = [...byRate.values()].map(line => ({
+    ...line,
+    taxableAmount: roundMoney(line.taxableAmount),
+    taxAmount: roundMoney(line.taxAmount)
+  }));
+
+  return {
+    taxAmount: roundMoney(taxes.reduce((sum, line) => sum + line.taxAmount, 0)),
+    exclusiveTax: roundMoney(taxes.filter(line => !line.inclusive).reduce((sum, line) => sum + line.taxAmount, 0)),
+    taxes
+  };
+};
+
+// "VAT 7.5% (incl.)" for receipts and reports
+const formatTaxLabel = (tax) => `${tax.name} ${tax.rate}%${tax.inclusive ? ' (incl.)' : ''}`;
+
+module.exports = {
+  findActiveTaxRate,
+  assignTaxRates,
+  applyTax,
+  formatTaxLabel
+};
@@ -0,0 +1,44 @@
+// A yard is defined as exactly 0.9144 metres
+const METERS_PER_YARD = 0.9144;
+
+const LENGTH_UNITS = ['yards', 'meters'];
+
+// The smallest quantity a sale or return line can hold, in the stock unit
+const MIN_QUANTITY = 0.1;
+
+// Conversions are rounded to 3 places (a millimetre), as loose stock is, so
+// stock levels don't pick up float noise
+const roundLength = (value) => Math.round(value * 1000) / 1000;
+
+const canConvert = (fromUnit, toUnit) => {
+  return fromUnit === toUnit || (LENGTH_UNITS.includes(fromUnit) && LENGTH_UNITS.includes(toUnit));
+};
+
+// Rounded even when no conversion is needed, so every quantity that comes
+// off stock is a whole number of millimetres (or thousandths of a piece)
+const convertLength = (quantity, fromUnit, toUnit) => {
+  if (fromUnit === toUnit) return roundLength(quantity);
+  if (!canConvert(fromUnit, toUnit)) {
+    throw new Error(`Cannot convert ${fromUnit} to ${toUnit}`);
+  }
+  return roundLength(fromUnit === 'yards' ? quantity * METERS_PER_YARD : quantity / METERS_PER_YARD);
+};
+
+// "5 meters (5.4681 yards)" when a line was sold in a different unit to the
+// one it is stocked in, otherwise just "5 yards"
+const formatSoldQuantity = (item) => {
+  if (item.soldUnit && item.soldUnit !== item.unit) {
+    return `${item.soldQuantity} ${item.soldUnit} (${item.quantity} ${item.unit})`;
+  }
+  return `${item.quantity} ${item.unit}`;
+};
+
+module.exports = {
+  METERS_PER_YARD,
+  LENGTH_UNITS,
+  MIN_QUANTITY,
+  roundLength,
+  canConvert,
+  convertLength,
+  formatSoldQuantity
+};
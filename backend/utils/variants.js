@@ -0,0 +1,63 @@
+const Product = require('../models/Product');
+const ProductGroup = require('../models/ProductGroup');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const variantName = (groupName, variant) => `${groupName} - ${variant}`;
+
+// What a variant takes from its group. The name keeps receipts and stock
+// history readable, e.g. "Super Wax Ankara - Blue 3".
+const sharedFields = (group, variant, priceOverride = null) => ({
+  name: variantName(group.name, variant),
+  category: group.category,
+  description: group.description,
+  unit: group.unit,
+  pricePerUnit: priceOverride ?? group.pricePerUnit
+});
+
+const nameMatch = (value) => ({ $regex: `^${escapeRegex(value)}$`, $options: 'i' });
+
+// Another active group with the same name
+const findGroupConflict = (name, excludeId = null) => {
+  const query = { name: nameMatch(name), isActive: true };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return ProductGroup.findOne(query);
+};
+
+// Another active variant of the group with the same colour/pattern name
+const findVariantConflict = (groupId, variant, excludeId = null) => {
+  const query = {
+    group: groupId,
+    isActive: true,
+    variant: nameMatch(variant)
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return Product.findOne(query);
+};
+
+// Copy a group's shared fields onto every variant after the group changes.
+// Variants with a price override keep their own price.
+const syncVariants = (group, session = null) => Product.updateMany(
+  { group: group._id },
+  [{
+    $set: {
+      name: { $concat: [{ $literal: variantName(group.name, '') }, '$variant'] },
+      category: { $literal: group.category },
+      description: { $literal: group.description || '' },
+      unit: { $literal: group.unit },
+      pricePerUnit: { $ifNull: ['$priceOverride', group.pricePerUnit] }
+    }
+  }],
+  { session, updatePipeline: true }
+);
+
+module.exports = {
+  sharedFields,
+  findGroupConflict,
+  findVariantConflict,
+  syncVariants
+};
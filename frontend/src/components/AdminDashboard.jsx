@@ -3,9 +3,23 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import AdminLayout from './admin/AdminLayout';
 import Dashboard from './admin/Dashboard';
 import ProductManagement from './admin/ProductManagement';
+import Categories from './admin/Categories';
+import ArchivedProducts from './admin/ArchivedProducts';
+import Promotions from './admin/Promotions';
+import TaxRates from './admin/TaxRates';
 import StockHistory from './admin/StockHistory';
+import Stocktakes from './admin/Stocktakes';
 import SalesReport from './admin/SalesReport';
+import DiscountApprovals from './admin/DiscountApprovals';
+import Profitability from './admin/Profitability';
+import TaxReport from './admin/TaxReport';
+import Receivables from './admin/Receivables';
+import Layaways from './admin/Layaways';
+import Shifts from './admin/Shifts';
+import Suppliers from './admin/Suppliers';
+import PurchaseOrders from './admin/PurchaseOrders';
 import UserManagement from './admin/UserManagement';
+import Settings from './admin/Settings';
 
 const AdminDashboard = () => {
   return (
@@ -14,9 +28,23 @@ const AdminDashboard = () => {
         <Route path="/" element={<Navigate to="dashboard" replace />} />
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="products" element={<ProductManagement />} />
+        <Route path="categories" element={<Categories />} />
+        <Route path="archived-products" element={<ArchivedProducts />} />
+        <Route path="promotions" element={<Promotions />} />
+        <Route path="tax-rates" element={<TaxRates />} />
         <Route path="stock-history" element={<StockHistory />} />
+        <Route path="stocktakes" element={<Stocktakes />} />
+        <Route path="suppliers" element={<Suppliers />} />
+        <Route path="purchase-orders" element={<PurchaseOrders />} />
         <Route path="sales-report" element={<SalesReport />} />
+        <Route path="discount-approvals" element={<DiscountApprovals />} />
+        <Route path="profitability" element={<Profitability />} />
+        <Route path="tax-report" element={<TaxReport />} />
+        <Route path="receivables" element={<Receivables />} />
+        <Route path="layaways" element={<Layaways />} />
+        <Route path="shifts" element={<Shifts />} />
         <Route path="users" element={<UserManagement />} />
+        <Route path="settings" element={<Settings />} />
       </Routes>
     </AdminLayout>
   );
@@ -4,6 +4,12 @@ import StaffLayout from './staff/StaffLayout';
 import Dashboard from './staff/Dashboard';
 import Sales from './staff/Sales';
 import Receipt from './staff/Receipt';
+import Quotations from './staff/Quotations';
+import Layaways from './staff/Layaways';
+import Returns from './staff/Returns';
+import Customers from './staff/Customers';
+import CustomerProfile from './staff/CustomerProfile';
+import Stocktake from './staff/Stocktake';
 
 const StaffDashboard = () => {
   return (
@@ -13,6 +19,12 @@ const StaffDashboard = () => {
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="sales" element={<Sales />} />
         <Route path="receipt/:saleId" element={<Receipt />} />
+        <Route path="quotations" element={<Quotations />} />
+        <Route path="layaways" element={<Layaways />} />
+        <Route path="returns" element={<Returns />} />
+        <Route path="customers" element={<Customers />} />
+        <Route path="customers/:customerId" element={<CustomerProfile />} />
+        <Route path="stocktake" element={<Stocktake />} />
       </Routes>
     </StaffLayout>
   );
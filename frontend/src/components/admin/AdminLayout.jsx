@@ -4,9 +4,23 @@ import { useAuth } from '../../context/AuthContext';
 import {
   LayoutDashboard,
   Package,
+  Tags,
+  Archive,
+  BadgePercent,
+  Receipt,
   History,
+  ClipboardCheck,
+  Truck,
+  ClipboardList,
   BarChart3,
+  ShieldCheck,
+  TrendingUp,
+  Landmark,
+  Wallet,
+  Hourglass,
+  Clock,
   Users,
+  Settings,
   LogOut,
   Menu,
   X,
@@ -28,9 +42,23 @@ const AdminLayout = ({ children }) => {
   const navigation = [
     { name: 'Dashboard', href: '/admin/dashboard', icon: LayoutDashboard },
     { name: 'Products', href: '/admin/products', icon: Package },
+    { name: 'Categories', href: '/admin/categories', icon: Tags },
+    { name: 'Archived Products', href: '/admin/archived-products', icon: Archive },
+    { name: 'Promotions', href: '/admin/promotions', icon: BadgePercent },
+    { name: 'Tax Rates', href: '/admin/tax-rates', icon: Receipt },
     { name: 'Stock History', href: '/admin/stock-history', icon: History },
+    { name: 'Stocktakes', href: '/admin/stocktakes', icon: ClipboardCheck },
+    { name: 'Suppliers', href: '/admin/suppliers', icon: Truck },
+    { name: 'Purchase Orders', href: '/admin/purchase-orders', icon: ClipboardList },
     { name: 'Sales Report', href: '/admin/sales-report', icon: BarChart3 },
+    { name: 'Discount Approvals', href: '/admin/discount-approvals', icon: ShieldCheck },
+    { name: 'Profitability', href: '/admin/profitability', icon: TrendingUp },
+    { name: 'Tax Report', href: '/admin/tax-report', icon: Landmark },
+    { name: 'Receivables', href: '/admin/receivables', icon: Wallet },
+    { name: 'Layaways', href: '/admin/layaways', icon: Hourglass },
+    { name: 'Shifts', href: '/admin/shifts', icon: Clock },
     { name: 'Users', href: '/admin/users', icon: Users },
+    { name: 'Settings', href: '/admin/settings', icon: Settings },
   ];
 
   return (
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RotateCcw, GitMerge } from 'lucide-react';
+
+const ArchivedProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [activeProducts, setActiveProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [mergingProduct, setMergingProduct] = useState(null);
+  const [targetId, setTargetId] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  const fetchProducts = async () => {
+    try {
+      setLoading(true);
+      const [archivedResponse, activeResponse] = await Promise.all([
+        axios.get('/api/admin/products/archived'),
+        axios.get('/api/admin/products')
+      ]);
+      setProducts(archivedResponse.data);
+      setActiveProducts(activeResponse.data);
+    } catch (error) {
+      console.error('Error fetching archived products:', error);
+      setError('Failed to load archived products');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreProduct = async (product, name) => {
+    try {
+      setError('');
+      setMessage('');
+      await axios.post(`/api/admin/products/${product._id}/restore`, name ? { name } : {});
+      setMessage(`${name || product.name} restored`);
+      fetchProducts();
+    } catch (error) {
+      const data = error.response?.data;
+      // A plain product can come back under another name; variants can only
+      // be merged. A SKU clash (409) is not fixed by renaming.
+      if (error.response?.status === 400 && data?.conflict && !product.group) {
+        const newName = window.prompt(`${data.message}\n\nNew name:`, `${product.name} (restored)`);
+        if (newName && newName.trim()) {
+          restoreProduct(product, newName.trim());
+        }
+        return;
+      }
+      if (data?.errors) {
+        setError(Object.values(data.errors).join(', '));
+      } else {
+        setError(data?.message || 'Failed to restore product');
+      }
+    }
+  };
+
+  const openMerge = (product) => {
+    // Suggest the active product that took over this one's name
+    const sameName = activeProducts.find(active =>
+      active.name.toLowerCase() === product.name.toLowerCase() && active.unit === product.unit
+    );
+    setTargetId(sameName?._id || '');
+    setError('');
+    setMessage('');
+    setMergingProduct(product);
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+
+    const target = activeProducts.find(active => active._id === targetId);
+    if (!window.confirm(`Move all stock history and sales of ${mergingProduct.name} onto ${target.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/api/admin/products/${mergingProduct._id}/merge`, { targetId });
+      setMessage(response.data.message);
+      setMergingProduct(null);
+      fetchProducts();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to merge product');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const mergeTargets = mergingProduct
+    ? activeProducts.filter(active => active.unit === mergingProduct.unit)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Archived Products</h1>
+        <p className="text-sm text-gray-600">
+          Deleted products are kept here with their sales and stock history. Restore one, or merge its history into the active product that replaced it.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded text-sm">
+          {message}
+        </div>
+      )}
+
+      {mergingProduct && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Merge {mergingProduct.name}</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Its stock history, sales and returns move onto the product you choose. Stock left on the archived product is not carried over.
+          </p>
+          <form onSubmit={handleMerge} className="flex flex-col sm:flex-row gap-3">
+            <select
+              value={targetId}
+              onChange={(e) => setTargetId(e.target.value)}
+              className="input-field flex-1"
+              required
+            >
+              <option value="">Choose an active product sold in {mergingProduct.unit}</option>
+              {mergeTargets.map(active => (
+                <option key={active._id} value={active._id}>
+                  {active.name}{active.sku ? ` (${active.sku})` : ''}
+                </option>
+              ))}
+            </select>
+            <button type="button" onClick={() => setMergingProduct(null)} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={submitting || !targetId} className="btn-primary disabled:opacity-50">
+              {submitting ? 'Merging...' : 'Merge'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : products.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No archived products</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Category</th>
+                  <th>Stock Left</th>
+                  <th>Archived</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {products.map((product) => (
+                  <tr key={product._id}>
+                    <td>
+                      <p className="font-medium text-gray-900">{product.name}</p>
+                      {product.sku && <p className="text-xs text-gray-500">{product.sku}</p>}
+                    </td>
+                    <td className="capitalize">{product.category.replace('_', ' ')}</td>
+                    <td>{product.currentStock} {product.unit}</td>
+                    <td>{new Date(product.archivedAt || product.updatedAt).toLocaleDateString()}</td>
+                    <td>
+                      {product.mergedInto ? (
+                        <span className="text-sm text-gray-500">Merged into {product.mergedInto.name}</span>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => restoreProduct(product)}
+                            disabled={product.group && !product.group.isActive}
+                            className="text-blue-600 hover:text-blue-900 mr-4 p-1 disabled:opacity-30 disabled:cursor-not-allowed"
+                            title={product.group && !product.group.isActive ? 'Its product group was deleted' : 'Restore'}
+                          >
+                            <RotateCcw className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => openMerge(product)}
+                            className="text-gray-600 hover:text-gray-900 p-1"
+                            title="Merge into an active product"
+                          >
+                            <GitMerge className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArchivedProducts;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus } from 'lucide-react';
+
+const emptyForm = {
+  name: '',
+  parent: '',
+  defaultUnit: 'yards',
+  defaultMinStockLevel: '10',
+  taxRate: ''
+};
+
+const units = [
+  { value: 'yards', label: 'Yards' },
+  { value: 'meters', label: 'Meters' },
+  { value: 'pieces', label: 'Pieces' }
+];
+
+const Categories = () => {
+  const [categories, setCategories] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      setLoading(true);
+      const [categoriesResponse, taxRatesResponse] = await Promise.all([
+        axios.get('/api/admin/categories'),
+        axios.get('/api/admin/tax-rates')
+      ]);
+      setCategories(categoriesResponse.data);
+      setTaxRates(taxRatesResponse.data);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      setError('Failed to load categories');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAddForm = () => {
+    setFormData(emptyForm);
+    setEditingCategory(null);
+    setError('');
+    setShowForm(true);
+  };
+
+  const openEditForm = (category) => {
+    setFormData({
+      name: category.name,
+      parent: category.parent?._id || '',
+      defaultUnit: category.defaultUnit,
+      defaultMinStockLevel: category.defaultMinStockLevel.toString(),
+      taxRate: category.taxRate?._id || ''
+    });
+    setEditingCategory(category);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const submitData = {
+        ...formData,
+        parent: formData.parent || null,
+        taxRate: formData.taxRate || null,
+        defaultMinStockLevel: parseFloat(formData.defaultMinStockLevel) || 0
+      };
+      if (editingCategory) {
+        await axios.put(`/api/admin/categories/${editingCategory._id}`, submitData);
+      } else {
+        await axios.post('/api/admin/categories', submitData);
+      }
+      setShowForm(false);
+      fetchCategories();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save category');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the ${category.name} category?`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await axios.delete(`/api/admin/categories/${category._id}`);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      setError(error.response?.data?.message || 'Failed to delete category');
+    }
+  };
+
+  // A category can't be filed under itself
+  const parentOptions = categories.filter(category => category._id !== editingCategory?._id);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Categories</h1>
+        <button
+          onClick={openAddForm}
+          className="btn-primary flex items-center"
+        >
+          <Plus className="mr-2 h-5 w-5" />
+          Add Category
+        </button>
+      </div>
+
+      {error && !showForm && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingCategory ? 'Edit Category' : 'New Category'}
+          </h2>
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input type="text" name="name" value={formData.name} onChange={handleInputChange} className="input-field" placeholder="e.g. Lace" required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Parent Category</label>
+              <select name="parent" value={formData.parent} onChange={handleInputChange} className="input-field">
+                <option value="">None</option>
+                {parentOptions.map(category => (
+                  <option key={category._id} value={category._id}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default Unit</label>
+              <select name="defaultUnit" value={formData.defaultUnit} onChange={handleInputChange} className="input-field">
+                {units.map(unit => (
+                  <option key={unit.value} value={unit.value}>{unit.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default Minimum Stock</label>
+              <input type="number" name="defaultMinStockLevel" value={formData.defaultMinStockLevel} onChange={handleInputChange} min="0" step="1" className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Tax Rate</label>
+              <select name="taxRate" value={formData.taxRate} onChange={handleInputChange} className="input-field">
+                <option value="">{formData.parent ? 'Same as parent category' : 'Default rate'}</option>
+                {taxRates.map(taxRate => (
+                  <option key={taxRate._id} value={taxRate._id}>
+                    {taxRate.name} {taxRate.rate}%{taxRate.inclusive ? ' (incl.)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="md:col-span-2 flex justify-end space-x-3">
+              <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+                {submitting ? 'Saving...' : (editingCategory ? 'Update Category' : 'Save Category')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : categories.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No categories yet. Run the category migration or add one.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Parent</th>
+                  <th>Default Unit</th>
+                  <th>Default Minimum Stock</th>
+                  <th>Tax Rate</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {categories.map((category) => (
+                  <tr key={category._id}>
+                    <td>
+                      <p className="font-medium text-gray-900">{category.name}</p>
+                      <p className="text-xs text-gray-500">{category.slug}</p>
+                    </td>
+                    <td>{category.parent?.name || '-'}</td>
+                    <td className="capitalize">{category.defaultUnit}</td>
+                    <td>{category.defaultMinStockLevel}</td>
+                    <td>{category.taxRate ? `${category.taxRate.name} ${category.taxRate.rate}%` : '-'}</td>
+                    <td>
+                      <button
+                        onClick={() => openEditForm(category)}
+                        className="text-blue-600 hover:text-blue-900 mr-4 p-1"
+                        title="Edit category"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(category)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete category"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
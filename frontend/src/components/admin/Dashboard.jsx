@@ -73,6 +73,7 @@ const Dashboard = () => {
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Stock Value</p>
               <p className="text-2xl font-bold text-gray-900">₦{data.totalStockValue.toLocaleString()}</p>
+              <p className="text-xs text-gray-500">at cost ₦{Math.round(data.totalStockCost || 0).toLocaleString()}</p>
             </div>
           </div>
         </div>
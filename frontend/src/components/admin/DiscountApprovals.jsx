@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Check, X } from 'lucide-react';
+
+// Pending requests are re-checked this often so a till isn't kept waiting
+const REFRESH_INTERVAL_MS = 10000;
+
+const statusStyles = {
+  pending: 'text-yellow-700 bg-yellow-100',
+  approved: 'text-green-700 bg-green-100',
+  rejected: 'text-red-700 bg-red-100',
+  used: 'text-gray-700 bg-gray-100'
+};
+
+const DiscountApprovals = () => {
+  const [requests, setRequests] = useState([]);
+  const [pinAttempts, setPinAttempts] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [deciding, setDeciding] = useState(null);
+
+  useEffect(() => {
+    fetchRequests();
+    const timer = setInterval(() => fetchRequests(false), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  const fetchRequests = async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true);
+      const [response, attemptsResponse] = await Promise.all([
+        axios.get('/api/admin/discount-requests', { params: { status } }),
+        axios.get('/api/admin/pin-attempts')
+      ]);
+      setRequests(response.data);
+      setPinAttempts(attemptsResponse.data);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching discount requests:', error);
+      setError('Failed to load discount requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const decide = async (request, decision) => {
+    try {
+      setDeciding(request._id);
+      await axios.post(`/api/admin/discount-requests/${request._id}/${decision}`);
+      fetchRequests(false);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update request');
+      fetchRequests(false);
+    } finally {
+      setDeciding(null);
+    }
+  };
+
+  const formatCurrency = (amount) => `₦${amount.toLocaleString()}`;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Discount Approvals</h1>
+          <p className="text-sm text-gray-600">
+            Requests from tills for discounts above the seller's limit. An approval can be used on one sale.
+          </p>
+        </div>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="input-field w-40"
+        >
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="used">Used</option>
+          <option value="rejected">Rejected</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : requests.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No {status === 'all' ? '' : status} requests</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Requested</th>
+                  <th>Staff Member</th>
+                  <th>Customer</th>
+                  <th>Discount</th>
+                  <th>Reason</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {requests.map((request) => (
+                  <tr key={request._id}>
+                    <td>{new Date(request.createdAt).toLocaleString()}</td>
+                    <td>{request.requestedBy?.name || 'Unknown Staff'}</td>
+                    <td>{request.customerName || '-'}</td>
+                    <td>
+                      <p className="font-semibold">{formatCurrency(request.discount)}</p>
+                      <p className="text-xs text-gray-500">
+                        of {formatCurrency(request.totalAmount)} ({Math.round((request.discount / request.totalAmount) * 1000) / 10}%)
+                      </p>
+                    </td>
+                    <td className="max-w-xs">{request.reason}</td>
+                    <td>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[request.status]}`}>
+                        {request.status}
+                      </span>
+                      {request.decidedBy?.name && (
+                        <p className="text-xs text-gray-400 mt-1">by {request.decidedBy.name}</p>
+                      )}
+                    </td>
+                    <td>
+                      {request.status === 'pending' && (
+                        <>
+                          <button
+                            onClick={() => decide(request, 'approve')}
+                            disabled={deciding === request._id}
+                            className="text-green-600 hover:text-green-900 mr-4 p-1 disabled:opacity-50"
+                            title="Approve"
+                          >
+                            <Check className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => decide(request, 'reject')}
+                            disabled={deciding === request._id}
+                            className="text-red-600 hover:text-red-900 p-1 disabled:opacity-50"
+                            title="Reject"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Wrong PINs entered on tills; five in a row lock that admin's PIN for a while */}
+      {pinAttempts.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Wrong PIN Attempts</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Repeated wrong PINs lock that admin's PIN for a while. Change your PIN in Settings if you think someone has been guessing it.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Staff Member</th>
+                  <th>Admin's PIN</th>
+                  <th>Discount</th>
+                  <th>Lock</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pinAttempts.map((attempt) => (
+                  <tr key={attempt._id}>
+                    <td>{new Date(attempt.createdAt).toLocaleString()}</td>
+                    <td>{attempt.attemptedBy?.name || 'Unknown Staff'}</td>
+                    <td>{attempt.approver?.name || 'Unknown Admin'}</td>
+                    <td>{attempt.discount != null ? formatCurrency(attempt.discount) : '-'}</td>
+                    <td className={attempt.lockedUntil ? 'text-red-600' : 'text-gray-400'}>
+                      {attempt.lockedUntil ? `Locked until ${new Date(attempt.lockedUntil).toLocaleTimeString()}` : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiscountApprovals;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RefreshCw, Hourglass, DollarSign, Wallet, AlertCircle, XCircle } from 'lucide-react';
+
+const Layaways = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState('open');
+  const [message, setMessage] = useState('');
+  const [actionError, setActionError] = useState('');
+
+  useEffect(() => {
+    fetchLayaways();
+  }, [status]);
+
+  const fetchLayaways = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get('/api/admin/layaways', { params: { status } });
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching layaways:', error);
+      setError('Failed to load layaways');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The stock goes back on the shelf and what was paid becomes store credit
+  const cancelLayaway = async (layaway) => {
+    const reason = window.prompt(
+      `Cancel ${layaway.saleNumber} for ${layaway.customerName}? The stock goes back on the shelf and ${formatCurrency(layaway.amountPaid)} paid becomes their store credit.\n\nReason:`
+    );
+    if (reason === null) return;
+
+    try {
+      setMessage('');
+      setActionError('');
+      await axios.post(`/api/staff/layaways/${layaway._id}/cancel`, { reason: reason.trim() });
+      setMessage(`${layaway.saleNumber} cancelled`);
+      fetchLayaways();
+    } catch (error) {
+      const data = error.response?.data;
+      setActionError(data?.errors ? data.errors.map(err => err.msg).join(', ') : data?.message || 'Failed to cancel layaway');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Layaways</h1>
+        <button
+          onClick={fetchLayaways}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Status
+        </label>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          className="input-field md:w-60"
+        >
+          <option value="open">Open reservations</option>
+          <option value="collected">Collected</option>
+          <option value="expired">Expired</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+      </div>
+
+      {message && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded text-sm">
+          {message}
+        </div>
+      )}
+
+      {actionError && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {actionError}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="card">
+          <div className="text-center text-red-600">
+            <p>{error}</p>
+            <button
+              onClick={fetchLayaways}
+              className="btn-primary mt-4"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="card">
+              <div className="flex items-center">
+                <Hourglass className="h-8 w-8 text-blue-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">
+                    {status === 'open' ? 'Stock Reserved' : 'Layaway Value'}
+                  </p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.totalValue)}</p>
+                  <p className="text-xs text-gray-500">{data.summary.count} layaways</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="flex items-center">
+                <DollarSign className="h-8 w-8 text-green-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Paid</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.amountPaid)}</p>
+                  <p className="text-xs text-gray-500">
+                    {status === 'expired' || status === 'cancelled' ? 'returned as store credit' : 'deposits and part-payments'}
+                  </p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="flex items-center">
+                <Wallet className="h-8 w-8 text-red-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Balance Due</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.balanceDue)}</p>
+                  <p className="text-xs text-gray-500">
+                    {status === 'open'
+                      ? 'still to pay before collection'
+                      : status === 'collected'
+                        ? 'paid in full on collection'
+                        : `unpaid when they ${status === 'cancelled' ? 'were cancelled' : 'expired'}`}
+                  </p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Layaways table */}
+          <div className="card">
+            {data.layaways.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">No {status} layaways</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Sale #</th>
+                      <th>Customer</th>
+                      <th>Items</th>
+                      <th>Total</th>
+                      <th>Paid</th>
+                      <th>Balance</th>
+                      <th>Reserved</th>
+                      <th>{{ open: 'Expires', collected: 'Collected', expired: 'Expired', cancelled: 'Cancelled' }[status]}</th>
+                      {status === 'open' && <th>Actions</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.layaways.map((layaway) => {
+                      const expiringSoon = status === 'open' && new Date(layaway.layaway.expiresAt) - new Date() < 3 * 24 * 60 * 60 * 1000;
+                      return (
+                        <tr key={layaway._id}>
+                          <td>
+                            <p className="font-medium text-gray-900">{layaway.saleNumber}</p>
+                            <p className="text-xs text-gray-500">{layaway.soldBy?.name}</p>
+                          </td>
+                          <td>
+                            <p>{layaway.customerName}</p>
+                            {layaway.customerPhone && (
+                              <p className="text-xs text-gray-500">{layaway.customerPhone}</p>
+                            )}
+                          </td>
+                          <td className="text-sm">
+                            {layaway.items.map(item => `${item.productName} (${item.quantity} ${item.unit})`).join(', ')}
+                          </td>
+                          <td>{formatCurrency(layaway.finalAmount)}</td>
+                          <td>{formatCurrency(layaway.amountPaid)}</td>
+                          <td className={layaway.balanceDue > 0 ? 'font-semibold text-red-600' : 'text-green-600'}>
+                            {layaway.balanceDue > 0 ? formatCurrency(layaway.balanceDue) : 'Paid'}
+                          </td>
+                          <td>{formatDate(layaway.createdAt)}</td>
+                          <td>
+                            {status === 'open' ? (
+                              <span className={`flex items-center gap-1 ${expiringSoon ? 'text-yellow-700 font-medium' : ''}`}>
+                                {expiringSoon && <AlertCircle className="h-4 w-4" />}
+                                {formatDate(layaway.layaway.expiresAt)}
+                              </span>
+                            ) : status === 'collected' ? (
+                              <>
+                                <p>{formatDate(layaway.layaway.collectedAt)}</p>
+                                <p className="text-xs text-gray-500">{layaway.layaway.collectedBy?.name}</p>
+                              </>
+                            ) : status === 'cancelled' ? (
+                              <>
+                                <p>{formatDate(layaway.layaway.cancelledAt)}</p>
+                                <p className="text-xs text-gray-500">{layaway.layaway.cancelledBy?.name}: {layaway.layaway.cancelReason}</p>
+                              </>
+                            ) : (
+                              formatDate(layaway.layaway.expiredAt)
+                            )}
+                          </td>
+                          {status === 'open' && (
+                            <td>
+                              <button
+                                onClick={() => cancelLayaway(layaway)}
+                                className="text-red-600 hover:text-red-900 p-1"
+                                title="Cancel layaway"
+                              >
+                                <XCircle className="h-4 w-4" />
+                              </button>
+                            </td>
+                          )}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Layaways;
@@ -1,7 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { useAuth } from '../../context/AuthContext';
-import { Edit, Trash2 } from 'lucide-react';
+import { Edit, Trash2, SlidersHorizontal, Layers, Plus, Image as ImageIcon, Star, Tag, Download, Upload } from 'lucide-react';
+
+const emptyGroupForm = { name: '', category: '', description: '', unit: 'yards', pricePerUnit: '' };
+const emptyVariantForm = { variant: '', sku: '', totalStock: '', priceOverride: '', costPrice: '', minStockLevel: '' };
+
+// Photos on local storage come back as paths on the API server
+const imageUrl = (url) => (url.startsWith('/') ? `${axios.defaults.baseURL || ''}${url}` : url);
 
 const ProductManagement = () => {
   const { token } = useAuth();
@@ -12,23 +18,54 @@ const ProductManagement = () => {
   const [editingProduct, setEditingProduct] = useState(null);
   const [formData, setFormData] = useState({
     name: '',
-    category: 'other',
+    category: '',
     description: '',
+    sku: '',
     totalStock: '',
     unit: 'yards',
     pricePerUnit: '',
-    minStockLevel: '10'
+    costPrice: '',
+    minStockLevel: '10',
+    taxRate: ''
   });
   const [formErrors, setFormErrors] = useState({});
   const [submitting, setSubmitting] = useState(false);
+  const [adjustingProduct, setAdjustingProduct] = useState(null);
+  const [adjustment, setAdjustment] = useState({ direction: 'remove', quantity: '', reason: 'damaged', rollId: '', notes: '' });
+  const [adjustmentError, setAdjustmentError] = useState('');
+  const [rollsProduct, setRollsProduct] = useState(null);
+  const [rollForm, setRollForm] = useState({ rollId: '', length: '', dyeLot: '', receivedAt: '', unitCost: '', fromExistingStock: false });
+  const [rollError, setRollError] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [showGroupModal, setShowGroupModal] = useState(false);
+  const [editingGroup, setEditingGroup] = useState(null);
+  const [groupForm, setGroupForm] = useState(emptyGroupForm);
+  const [groupError, setGroupError] = useState('');
+  const [variantGroup, setVariantGroup] = useState(null);
+  const [editingVariant, setEditingVariant] = useState(null);
+  const [variantForm, setVariantForm] = useState(emptyVariantForm);
+  const [variantError, setVariantError] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [photosProduct, setPhotosProduct] = useState(null);
+  const [photoFiles, setPhotoFiles] = useState([]);
+  const [photoError, setPhotoError] = useState('');
+  const [labelsProduct, setLabelsProduct] = useState(null);
+  const [labelForm, setLabelForm] = useState({ format: 'code128', copies: '1', rolls: {} });
+  const [labelError, setLabelError] = useState('');
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importError, setImportError] = useState('');
+  const [importMessage, setImportMessage] = useState('');
 
-  const categories = [
-    { value: 'ankara', label: 'Ankara' },
-    { value: 'german_wool', label: 'German Wool' },
-    { value: 'cotton', label: 'Cotton' },
-    { value: 'silk', label: 'Silk' },
-    { value: 'linen', label: 'Linen' },
-    { value: 'other', label: 'Other' }
+  const adjustmentReasons = [
+    { value: 'damaged', label: 'Damaged', direction: 'remove' },
+    { value: 'theft', label: 'Theft', direction: 'remove' },
+    { value: 'measurement_error', label: 'Measurement error' },
+    { value: 'found', label: 'Found', direction: 'add' },
+    { value: 'sample', label: 'Sample', direction: 'remove' },
+    { value: 'gift', label: 'Gift', direction: 'remove' }
   ];
 
   const units = [
@@ -44,10 +81,29 @@ const ProductManagement = () => {
   const fetchProducts = async () => {
     try {
       setLoading(true);
-      const response = await axios.get('/api/admin/products', {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      setProducts(response.data);
+      const [productsResponse, groupsResponse, categoriesResponse, taxRatesResponse] = await Promise.all([
+        axios.get('/api/admin/products', {
+          headers: { Authorization: `Bearer ${token}` }
+        }),
+        axios.get('/api/admin/product-groups', {
+          headers: { Authorization: `Bearer ${token}` }
+        }),
+        axios.get('/api/admin/categories', {
+          headers: { Authorization: `Bearer ${token}` }
+        }),
+        axios.get('/api/admin/tax-rates', {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+      ]);
+      setProducts(productsResponse.data);
+      setGroups(groupsResponse.data);
+      setCategories(categoriesResponse.data.map(category => ({
+        value: category.slug,
+        label: category.parent ? `${category.parent.name} › ${category.name}` : category.name,
+        defaultUnit: category.defaultUnit,
+        defaultMinStockLevel: category.defaultMinStockLevel
+      })));
+      setTaxRates(taxRatesResponse.data);
       setError('');
     } catch (err) {
       setError('Failed to load products');
@@ -60,12 +116,15 @@ const ProductManagement = () => {
   const resetForm = () => {
     setFormData({
       name: '',
-      category: 'other',
+      category: '',
       description: '',
+      sku: '',
       totalStock: '',
       unit: 'yards',
       pricePerUnit: '',
-      minStockLevel: '10'
+      costPrice: '',
+      minStockLevel: '10',
+      taxRate: ''
     });
     setFormErrors({});
     setEditingProduct(null);
@@ -81,10 +140,13 @@ const ProductManagement = () => {
       name: product.name,
       category: product.category,
       description: product.description || '',
+      sku: product.sku || '',
       totalStock: product.totalStock.toString(),
       unit: product.unit,
       pricePerUnit: product.pricePerUnit.toString(),
-      minStockLevel: product.minStockLevel.toString()
+      costPrice: (product.averageCost || 0).toString(),
+      minStockLevel: product.minStockLevel.toString(),
+      taxRate: product.taxRate || ''
     });
     setEditingProduct(product);
     setShowAddModal(true);
@@ -108,8 +170,9 @@ const ProductManagement = () => {
       errors.category = 'Category is required';
     }
 
+    // Stock is only entered when adding; later changes go through adjustments
     const totalStock = parseFloat(formData.totalStock);
-    if (!formData.totalStock || isNaN(totalStock) || totalStock <= 0) {
+    if (!editingProduct && (!formData.totalStock || isNaN(totalStock) || totalStock <= 0)) {
       errors.totalStock = 'Total stock must be a positive number';
     }
 
@@ -118,6 +181,11 @@ const ProductManagement = () => {
       errors.pricePerUnit = 'Price per unit must be a non-negative number';
     }
 
+    const costPrice = parseFloat(formData.costPrice);
+    if (formData.costPrice !== '' && (isNaN(costPrice) || costPrice < 0)) {
+      errors.costPrice = 'Cost price must be a non-negative number';
+    }
+
     const minStockLevel = parseFloat(formData.minStockLevel);
     if (formData.minStockLevel !== '' && (isNaN(minStockLevel) || minStockLevel < 0)) {
       errors.minStockLevel = 'Minimum stock level must be a non-negative number';
@@ -136,12 +204,24 @@ const ProductManagement = () => {
 
     try {
       setSubmitting(true);
+      const { costPrice, totalStock, ...fields } = formData;
       const submitData = {
-        ...formData,
-        totalStock: parseFloat(formData.totalStock),
+        ...fields,
         pricePerUnit: parseFloat(formData.pricePerUnit),
-        minStockLevel: parseFloat(formData.minStockLevel) || 10
+        minStockLevel: parseFloat(formData.minStockLevel) || 10,
+        taxRate: formData.taxRate || null
       };
+      // Left blank, the server generates a SKU for a new product
+      if (!submitData.sku.trim()) {
+        delete submitData.sku;
+      }
+      if (!editingProduct) {
+        submitData.totalStock = parseFloat(totalStock);
+      }
+      // New stock comes in at the cost price; editing corrects the running average
+      if (costPrice !== '') {
+        submitData[editingProduct ? 'averageCost' : 'costPrice'] = parseFloat(costPrice);
+      }
 
       if (editingProduct) {
         // Update existing product
@@ -158,7 +238,9 @@ const ProductManagement = () => {
       await fetchProducts();
       closeModal();
     } catch (err) {
-      if (err.response?.data?.message) {
+      if (err.response?.data?.errors) {
+        setFormErrors(err.response.data.errors);
+      } else if (err.response?.data?.message) {
         setError(err.response.data.message);
       } else {
         setError(editingProduct ? 'Failed to update product' : 'Failed to add product');
@@ -170,7 +252,7 @@ const ProductManagement = () => {
   };
 
   const handleDelete = async (productId) => {
-    if (!window.confirm('Are you sure you want to delete this product? This action cannot be undone.')) {
+    if (!window.confirm('Are you sure you want to delete this product? It will be moved to Archived Products, where it can be restored.')) {
       return;
     }
 
@@ -185,12 +267,458 @@ const ProductManagement = () => {
     }
   };
 
-  const handleInputChange = (e) => {
+  const openGroupModal = (group = null) => {
+    setGroupForm(group ? {
+      name: group.name,
+      category: group.category,
+      description: group.description || '',
+      unit: group.unit,
+      pricePerUnit: group.pricePerUnit.toString()
+    } : emptyGroupForm);
+    setGroupError('');
+    setEditingGroup(group);
+    setShowGroupModal(true);
+  };
+
+  const handleGroupFormChange = (e) => {
+    const { name, value } = e.target;
+    setGroupForm(prev => {
+      const next = { ...prev, [name]: value };
+      const category = name === 'category' && !editingGroup && categories.find(c => c.value === value);
+      if (category) {
+        next.unit = category.defaultUnit;
+      }
+      return next;
+    });
+  };
+
+  const handleGroupSubmit = async (e) => {
+    e.preventDefault();
+
+    if (groupForm.name.trim().length < 2) {
+      setGroupError('Group name must be at least 2 characters');
+      return;
+    }
+    const pricePerUnit = parseFloat(groupForm.pricePerUnit);
+    if (isNaN(pricePerUnit) || pricePerUnit < 0) {
+      setGroupError('Price per unit must be a non-negative number');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setGroupError('');
+      const submitData = { ...groupForm, pricePerUnit };
+      if (editingGroup) {
+        await axios.put(`/api/admin/product-groups/${editingGroup._id}`, submitData, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } else {
+        await axios.post('/api/admin/product-groups', submitData, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      }
+      await fetchProducts();
+      setShowGroupModal(false);
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setGroupError(Object.values(err.response.data.errors).join(', '));
+      } else {
+        setGroupError(err.response?.data?.message || 'Failed to save product group');
+      }
+      console.error('Error saving product group:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDeleteGroup = async (group) => {
+    if (!window.confirm(`Delete ${group.name} and all of its variants?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/product-groups/${group._id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      await fetchProducts();
+    } catch (err) {
+      setError('Failed to delete product group');
+      console.error('Error deleting product group:', err);
+    }
+  };
+
+  const openVariantModal = (group, variant = null) => {
+    setVariantForm(variant ? {
+      ...emptyVariantForm,
+      variant: variant.variant,
+      sku: variant.sku || '',
+      priceOverride: variant.priceOverride != null ? variant.priceOverride.toString() : '',
+      minStockLevel: variant.minStockLevel.toString()
+    } : {
+      ...emptyVariantForm,
+      // A new variant starts at its category's reorder level
+      minStockLevel: categories.find(c => c.value === group.category)?.defaultMinStockLevel.toString() ?? ''
+    });
+    setVariantError('');
+    setEditingVariant(variant);
+    setVariantGroup(group);
+  };
+
+  const handleVariantFormChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({
+    setVariantForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleVariantSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!variantForm.variant.trim()) {
+      setVariantError('Colour or pattern is required');
+      return;
+    }
+    const totalStock = parseFloat(variantForm.totalStock);
+    if (!editingVariant && (isNaN(totalStock) || totalStock <= 0)) {
+      setVariantError('Total stock must be a positive number');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setVariantError('');
+      const submitData = {
+        variant: variantForm.variant.trim(),
+        sku: variantForm.sku.trim() || undefined,
+        // Leaving the override empty sells the variant at the group price
+        priceOverride: variantForm.priceOverride === '' ? null : parseFloat(variantForm.priceOverride),
+        minStockLevel: variantForm.minStockLevel === '' ? undefined : parseFloat(variantForm.minStockLevel)
+      };
+      if (editingVariant) {
+        await axios.put(`/api/admin/products/${editingVariant._id}`, submitData, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } else {
+        await axios.post(`/api/admin/product-groups/${variantGroup._id}/variants`, {
+          ...submitData,
+          totalStock,
+          costPrice: variantForm.costPrice
+        }, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      }
+      await fetchProducts();
+      setVariantGroup(null);
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setVariantError(Object.values(err.response.data.errors).join(', '));
+      } else {
+        setVariantError(err.response?.data?.message || 'Failed to save variant');
+      }
+      console.error('Error saving variant:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getOpenRolls = (product) => (product.rolls || [])
+    .filter(roll => roll.remainingLength > 0)
+    .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+
+  const openRollsModal = (product) => {
+    setRollForm({ rollId: '', length: '', dyeLot: '', receivedAt: '', unitCost: '', fromExistingStock: false });
+    setRollError('');
+    setRollsProduct(product);
+  };
+
+  const handleRollFormChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRollForm(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
+  };
+
+  const handleRollSubmit = async (e) => {
+    e.preventDefault();
+
+    const length = parseFloat(rollForm.length);
+    if (isNaN(length) || length <= 0) {
+      setRollError('Roll length must be a positive number');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setRollError('');
+      const response = await axios.post(`/api/admin/products/${rollsProduct._id}/rolls`, {
+        ...rollForm,
+        length
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setRollsProduct(response.data.product);
+      setRollForm({ rollId: '', length: '', dyeLot: '', receivedAt: '', unitCost: '', fromExistingStock: false });
+      await fetchProducts();
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setRollError(Object.values(err.response.data.errors).join(', '));
+      } else {
+        setRollError(err.response?.data?.message || 'Failed to add roll');
+      }
+      console.error('Error adding roll:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openPhotosModal = (product) => {
+    setPhotoFiles([]);
+    setPhotoError('');
+    setPhotosProduct(product);
+  };
+
+  const handlePhotoUpload = async (e) => {
+    e.preventDefault();
+
+    if (photoFiles.length === 0) {
+      setPhotoError('Choose one or more photos to upload');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setPhotoError('');
+      const data = new FormData();
+      photoFiles.forEach(file => data.append('images', file));
+      const response = await axios.post(`/api/admin/products/${photosProduct._id}/images`, data, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPhotosProduct(response.data.product);
+      setPhotoFiles([]);
+      e.target.reset();
+      await fetchProducts();
+    } catch (err) {
+      setPhotoError(err.response?.data?.message || 'Failed to upload photos');
+      console.error('Error uploading photos:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handlePhotoAction = async (image, action) => {
+    if (action === 'delete' && !window.confirm('Delete this photo?')) {
+      return;
+    }
+
+    try {
+      setPhotoError('');
+      const url = `/api/admin/products/${photosProduct._id}/images/${image._id}`;
+      const response = action === 'delete'
+        ? await axios.delete(url, { headers: { Authorization: `Bearer ${token}` } })
+        : await axios.put(`${url}/cover`, {}, { headers: { Authorization: `Bearer ${token}` } });
+      setPhotosProduct(response.data.product);
+      await fetchProducts();
+    } catch (err) {
+      setPhotoError(err.response?.data?.message || 'Failed to update photo');
+      console.error('Error updating photo:', err);
+    }
+  };
+
+  const openLabelsModal = (product) => {
+    setLabelForm({ format: 'code128', copies: '1', rolls: {} });
+    setLabelError('');
+    setLabelsProduct(product);
+  };
+
+  const handleLabelSubmit = async (e) => {
+    e.preventDefault();
+
+    // One entry for the product's own label, then one per roll with copies
+    const items = [];
+    if (parseInt(labelForm.copies, 10) > 0) {
+      items.push({ productId: labelsProduct._id, copies: parseInt(labelForm.copies, 10) });
+    }
+    Object.entries(labelForm.rolls).forEach(([rollId, copies]) => {
+      if (parseInt(copies, 10) > 0) {
+        items.push({ productId: labelsProduct._id, rollId, copies: parseInt(copies, 10) });
+      }
+    });
+    if (items.length === 0) {
+      setLabelError('Enter how many labels to print');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setLabelError('');
+      const response = await axios.post('/api/admin/labels', {
+        items,
+        format: labelForm.format
+      }, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob'
+      });
+
+      // Create blob link to download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `labels-${labelsProduct.sku || labelsProduct._id}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      setLabelsProduct(null);
+      // Legacy products get a SKU assigned the first time they are labelled
+      if (!labelsProduct.sku) {
+        fetchProducts();
+      }
+    } catch (err) {
+      setLabelError('Failed to generate labels');
+      console.error('Error generating labels:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openImportModal = () => {
+    setImportFile(null);
+    setImportPreview(null);
+    setImportError('');
+    setImportMessage('');
+    setShowImportModal(true);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await axios.get('/api/admin/products/export', {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format },
+        responseType: 'blob'
+      });
+
+      // Create blob link to download
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `products-${new Date().toISOString().split('T')[0]}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setImportError('Failed to export products');
+      console.error('Error exporting products:', err);
+    }
+  };
+
+  // Without dryRun the server imports everything or nothing, and answers a
+  // rejected file with the same per-row preview
+  const submitImport = async (dryRun) => {
+    if (!importFile) {
+      setImportError('Choose a CSV or XLSX file');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setImportError('');
+      setImportMessage('');
+      const data = new FormData();
+      data.append('file', importFile);
+      data.append('dryRun', dryRun ? 'true' : 'false');
+      const response = await axios.post('/api/admin/products/import', data, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (dryRun) {
+        setImportPreview(response.data);
+      } else {
+        setImportPreview(null);
+        setImportFile(null);
+        setImportMessage(response.data.message);
+        await fetchProducts();
+      }
+    } catch (err) {
+      if (err.response?.data?.rows) {
+        setImportPreview(err.response.data);
+      }
+      setImportError(err.response?.data?.message || 'Failed to import products');
+      console.error('Error importing products:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const openAdjustModal = (product) => {
+    setAdjustment({ direction: 'remove', quantity: '', reason: 'damaged', rollId: '', notes: '' });
+    setAdjustmentError('');
+    setAdjustingProduct(product);
+  };
+
+  const handleAdjustmentChange = (e) => {
+    const { name, value } = e.target;
+    setAdjustment(prev => {
+      const next = { ...prev, [name]: value };
+      // Most reasons only go one way, so keep the direction in step
+      if (name === 'reason') {
+        const reason = adjustmentReasons.find(r => r.value === value);
+        if (reason?.direction) next.direction = reason.direction;
+      }
+      return next;
+    });
+  };
+
+  const handleAdjustSubmit = async (e) => {
+    e.preventDefault();
+
+    const quantity = parseFloat(adjustment.quantity);
+    if (isNaN(quantity) || quantity <= 0) {
+      setAdjustmentError('Quantity must be a positive number');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setAdjustmentError('');
+      await axios.post(`/api/admin/products/${adjustingProduct._id}/adjustments`, {
+        quantity: adjustment.direction === 'remove' ? -quantity : quantity,
+        reason: adjustment.reason,
+        rollId: adjustment.rollId || undefined,
+        notes: adjustment.notes
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      await fetchProducts();
+      setAdjustingProduct(null);
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setAdjustmentError(Object.values(err.response.data.errors).join(', '));
+      } else {
+        setAdjustmentError(err.response?.data?.message || 'Failed to adjust stock');
+      }
+      console.error('Error adjusting stock:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => {
+      const next = { ...prev, [name]: value };
+      // A new product starts with its category's unit and reorder level
+      const category = name === 'category' && !editingProduct && categories.find(c => c.value === value);
+      if (category) {
+        next.unit = category.defaultUnit;
+        next.minStockLevel = category.defaultMinStockLevel.toString();
+      }
+      return next;
+    });
     // Clear error for this field when user starts typing
     if (formErrors[name]) {
       setFormErrors(prev => ({
@@ -200,6 +728,8 @@ const ProductManagement = () => {
     }
   };
 
+  const getCategoryName = (slug) => categories.find(category => category.value === slug)?.label || slug.replace('_', ' ');
+
   const getStockStatusColor = (status) => {
     switch (status) {
       case 'out_of_stock': return 'text-red-600 bg-red-100';
@@ -216,6 +746,118 @@ const ProductManagement = () => {
     }
   };
 
+  const renderProductRow = (product) => (
+    <tr key={product._id} className="hover:bg-gray-50">
+      <td className="px-6 py-4 whitespace-nowrap">
+        <div className={`flex items-center ${product.group ? 'pl-6' : ''}`}>
+          {product.images?.length > 0 && (
+            <img
+              src={imageUrl(product.images[0].thumbnailUrl)}
+              alt=""
+              className="h-10 w-10 rounded object-cover mr-3"
+            />
+          )}
+          {product.group ? (
+            <div>
+              <div className="text-sm font-medium text-gray-900">{product.variant}</div>
+              {product.sku && <div className="text-xs text-gray-500">{product.sku}</div>}
+            </div>
+          ) : (
+            <div>
+              <div className="text-sm font-medium text-gray-900">{product.name}</div>
+              {product.sku && <div className="text-xs text-gray-500">{product.sku}</div>}
+              {product.description && (
+                <div className="text-sm text-gray-500">{product.description}</div>
+              )}
+            </div>
+          )}
+        </div>
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap">
+        <span className="text-sm text-gray-900 capitalize">
+          {getCategoryName(product.category)}
+        </span>
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap">
+        <div className="text-sm text-gray-900">
+          {product.currentStock} / {product.totalStock} {product.unit}
+        </div>
+        <div className="text-xs text-gray-500">
+          {product.stockPercentage}% remaining
+        </div>
+        {getOpenRolls(product).length > 0 && (
+          <div className="text-xs text-gray-500">
+            {getOpenRolls(product).length} roll{getOpenRolls(product).length === 1 ? '' : 's'}
+          </div>
+        )}
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap">
+        <span className="text-sm text-gray-900">
+          ₦{product.pricePerUnit.toFixed(2)} per {product.unit.slice(0, -1)}
+        </span>
+        <div className="text-xs text-gray-500">
+          Cost ₦{(product.averageCost || 0).toFixed(2)}
+        </div>
+        {product.priceOverride != null && (
+          <div className="text-xs text-gray-500">Own price</div>
+        )}
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap">
+        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStockStatusColor(product.stockStatus)}`}>
+          {getStockStatusText(product.stockStatus)}
+        </span>
+      </td>
+      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+        <button
+          onClick={() => (product.group
+            ? openVariantModal(groups.find(group => group._id === product.group), product)
+            : openEditModal(product))}
+          className="text-blue-600 hover:text-blue-900 mr-4 p-1"
+          title={product.group ? 'Edit variant' : 'Edit product'}
+        >
+          <Edit className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => openPhotosModal(product)}
+          className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+          title="Photos"
+        >
+          <ImageIcon className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => openLabelsModal(product)}
+          className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+          title="Print labels"
+        >
+          <Tag className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => openRollsModal(product)}
+          className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+          title="Rolls"
+        >
+          <Layers className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => openAdjustModal(product)}
+          className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+          title="Adjust stock"
+        >
+          <SlidersHorizontal className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => handleDelete(product._id)}
+          className="text-red-600 hover:text-red-900 p-1"
+          title="Delete product"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </td>
+    </tr>
+  );
+
+  const standaloneProducts = products.filter(product => !product.group);
+
   if (loading) {
     return (
       <div className="card">
@@ -230,12 +872,26 @@ const ProductManagement = () => {
     <div className="card">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold text-gray-900">Product Management</h1>
-        <button
-          onClick={openAddModal}
-          className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
-        >
-          Add New Product
-        </button>
+        <div className="flex space-x-3">
+          <button
+            onClick={openImportModal}
+            className="bg-gray-100 text-gray-700 border border-gray-300 px-4 py-2 rounded-md hover:bg-gray-200 transition-colors"
+          >
+            Import / Export
+          </button>
+          <button
+            onClick={() => openGroupModal()}
+            className="bg-gray-100 text-gray-700 border border-gray-300 px-4 py-2 rounded-md hover:bg-gray-200 transition-colors"
+          >
+            New Product Group
+          </button>
+          <button
+            onClick={openAddModal}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Add New Product
+          </button>
+        </div>
       </div>
 
       {error && (
@@ -269,61 +925,62 @@ const ProductManagement = () => {
             </tr>
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
-            {products.map((product) => (
-              <tr key={product._id} className="hover:bg-gray-50">
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <div>
-                    <div className="text-sm font-medium text-gray-900">{product.name}</div>
-                    {product.description && (
-                      <div className="text-sm text-gray-500">{product.description}</div>
-                    )}
-                  </div>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <span className="text-sm text-gray-900 capitalize">
-                    {product.category.replace('_', ' ')}
-                  </span>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <div className="text-sm text-gray-900">
-                    {product.currentStock} / {product.totalStock} {product.unit}
-                  </div>
-                  <div className="text-xs text-gray-500">
-                    {product.stockPercentage}% remaining
-                  </div>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <span className="text-sm text-gray-900">
-                    ₦{product.pricePerUnit.toFixed(2)} per {product.unit.slice(0, -1)}
-                  </span>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap">
-                  <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStockStatusColor(product.stockStatus)}`}>
-                    {getStockStatusText(product.stockStatus)}
-                  </span>
-                </td>
-                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                  <button
-                    onClick={() => openEditModal(product)}
-                    className="text-blue-600 hover:text-blue-900 mr-4 p-1"
-                    title="Edit product"
-                  >
-                    <Edit className="h-4 w-4" />
-                  </button>
-                  <button
-                    onClick={() => handleDelete(product._id)}
-                    className="text-red-600 hover:text-red-900 p-1"
-                    title="Delete product"
-                  >
-                    <Trash2 className="h-4 w-4" />
-                  </button>
-                </td>
-              </tr>
-            ))}
+            {standaloneProducts.map(renderProductRow)}
+            {groups.map(group => {
+              const variants = products.filter(product => product.group === group._id);
+              return (
+                <React.Fragment key={group._id}>
+                  <tr className="bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-semibold text-gray-900">{group.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {variants.length} variant{variants.length === 1 ? '' : 's'}{group.description ? ` · ${group.description}` : ''}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className="text-sm text-gray-900 capitalize">
+                        {getCategoryName(group.category)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {Math.round(variants.reduce((sum, variant) => sum + variant.currentStock, 0) * 1000) / 1000} {group.unit}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      ₦{group.pricePerUnit.toFixed(2)} per {group.unit.slice(0, -1)}
+                    </td>
+                    <td className="px-6 py-4"></td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => openGroupModal(group)}
+                        className="text-blue-600 hover:text-blue-900 mr-4 p-1"
+                        title="Edit group"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => openVariantModal(group)}
+                        className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+                        title="Add variant"
+                      >
+                        <Plus className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDeleteGroup(group)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete group"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                  {variants.map(renderProductRow)}
+                </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
 
-        {products.length === 0 && (
+        {products.length === 0 && groups.length === 0 && (
           <div className="text-center py-12">
             <p className="text-gray-500">No products found. Add your first product to get started.</p>
           </div>
@@ -371,6 +1028,7 @@ const ProductManagement = () => {
                       formErrors.category ? 'border-red-500' : 'border-gray-300'
                     }`}
                   >
+                    <option value="">Select a category</option>
                     {categories.map(cat => (
                       <option key={cat.value} value={cat.value}>{cat.label}</option>
                     ))}
@@ -396,25 +1054,46 @@ const ProductManagement = () => {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Total Stock *
+                    SKU / Barcode
                   </label>
                   <input
-                    type="number"
-                    name="totalStock"
-                    value={formData.totalStock}
+                    type="text"
+                    name="sku"
+                    value={formData.sku}
                     onChange={handleInputChange}
-                    min="0"
-                    step="0.1"
                     className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                      formErrors.totalStock ? 'border-red-500' : 'border-gray-300'
+                      formErrors.sku ? 'border-red-500' : 'border-gray-300'
                     }`}
-                    placeholder="Enter total stock quantity"
+                    placeholder={editingProduct ? 'Letters and digits' : 'Generated if left blank'}
                   />
-                  {formErrors.totalStock && (
-                    <p className="mt-1 text-sm text-red-600">{formErrors.totalStock}</p>
+                  {formErrors.sku && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.sku}</p>
                   )}
                 </div>
 
+                {!editingProduct && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Total Stock *
+                    </label>
+                    <input
+                      type="number"
+                      name="totalStock"
+                      value={formData.totalStock}
+                      onChange={handleInputChange}
+                      min="0"
+                      step="0.1"
+                      className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                        formErrors.totalStock ? 'border-red-500' : 'border-gray-300'
+                      }`}
+                      placeholder="Enter total stock quantity"
+                    />
+                    {formErrors.totalStock && (
+                      <p className="mt-1 text-sm text-red-600">{formErrors.totalStock}</p>
+                    )}
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Unit *
@@ -452,6 +1131,27 @@ const ProductManagement = () => {
                   )}
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {editingProduct ? 'Average Cost per Unit' : 'Cost Price per Unit'}
+                  </label>
+                  <input
+                    type="number"
+                    name="costPrice"
+                    value={formData.costPrice}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="0.01"
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      formErrors.costPrice ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder="What you paid per unit"
+                  />
+                  {formErrors.costPrice && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.costPrice}</p>
+                  )}
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Minimum Stock Level
@@ -473,6 +1173,30 @@ const ProductManagement = () => {
                   )}
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Tax Rate
+                  </label>
+                  <select
+                    name="taxRate"
+                    value={formData.taxRate}
+                    onChange={handleInputChange}
+                    className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      formErrors.taxRate ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                  >
+                    <option value="">Category's rate</option>
+                    {taxRates.map(taxRate => (
+                      <option key={taxRate._id} value={taxRate._id}>
+                        {taxRate.name} {taxRate.rate}%{taxRate.inclusive ? ' (incl.)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  {formErrors.taxRate && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.taxRate}</p>
+                  )}
+                </div>
+
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
                     type="button"
@@ -494,6 +1218,818 @@ const ProductManagement = () => {
           </div>
         </div>
       )}
+
+      {/* Product Group Modal */}
+      {showGroupModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">
+                {editingGroup ? 'Edit Product Group' : 'New Product Group'}
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Variants share these details. Changes here apply to every variant.
+              </p>
+
+              {groupError && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {groupError}
+                </div>
+              )}
+
+              <form onSubmit={handleGroupSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Group Name *
+                  </label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={groupForm.name}
+                    onChange={handleGroupFormChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="e.g. Super Wax Ankara"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Category *
+                  </label>
+                  <select
+                    name="category"
+                    value={groupForm.category}
+                    onChange={handleGroupFormChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Select a category</option>
+                    {categories.map(cat => (
+                      <option key={cat.value} value={cat.value}>{cat.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Description
+                  </label>
+                  <textarea
+                    name="description"
+                    value={groupForm.description}
+                    onChange={handleGroupFormChange}
+                    rows="2"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Unit *
+                    </label>
+                    <select
+                      name="unit"
+                      value={groupForm.unit}
+                      onChange={handleGroupFormChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {units.map(unit => (
+                        <option key={unit.value} value={unit.value}>{unit.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Price per Unit *
+                    </label>
+                    <input
+                      type="number"
+                      name="pricePerUnit"
+                      value={groupForm.pricePerUnit}
+                      onChange={handleGroupFormChange}
+                      min="0"
+                      step="0.01"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowGroupModal(false)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Saving...' : (editingGroup ? 'Update Group' : 'Add Group')}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Variant Modal */}
+      {variantGroup && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">
+                {editingVariant ? 'Edit Variant' : 'Add Variant'}
+              </h3>
+              <p className="text-sm text-gray-500 mb-4">
+                {variantGroup.name} · ₦{variantGroup.pricePerUnit.toFixed(2)} per {variantGroup.unit.slice(0, -1)}
+              </p>
+
+              {variantError && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {variantError}
+                </div>
+              )}
+
+              <form onSubmit={handleVariantSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Colour / Pattern *
+                  </label>
+                  <input
+                    type="text"
+                    name="variant"
+                    value={variantForm.variant}
+                    onChange={handleVariantFormChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="e.g. Blue 3"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    SKU / Barcode
+                  </label>
+                  <input
+                    type="text"
+                    name="sku"
+                    value={variantForm.sku}
+                    onChange={handleVariantFormChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder={editingVariant ? 'Letters and digits' : 'Generated if left blank'}
+                  />
+                </div>
+
+                {!editingVariant && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Total Stock *
+                      </label>
+                      <input
+                        type="number"
+                        name="totalStock"
+                        value={variantForm.totalStock}
+                        onChange={handleVariantFormChange}
+                        min="0"
+                        step="0.1"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Cost per Unit
+                      </label>
+                      <input
+                        type="number"
+                        name="costPrice"
+                        value={variantForm.costPrice}
+                        onChange={handleVariantFormChange}
+                        min="0"
+                        step="0.01"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Price Override
+                    </label>
+                    <input
+                      type="number"
+                      name="priceOverride"
+                      value={variantForm.priceOverride}
+                      onChange={handleVariantFormChange}
+                      min="0"
+                      step="0.01"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      placeholder="Group price"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Minimum Stock
+                    </label>
+                    <input
+                      type="number"
+                      name="minStockLevel"
+                      value={variantForm.minStockLevel}
+                      onChange={handleVariantFormChange}
+                      min="0"
+                      step="1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setVariantGroup(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Saving...' : (editingVariant ? 'Update Variant' : 'Add Variant')}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Photos Modal */}
+      {photosProduct && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-2/3 lg:w-1/2 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Photos · {photosProduct.name}</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                The first photo is the cover staff see when picking fabrics in Sales.
+              </p>
+
+              {photoError && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {photoError}
+                </div>
+              )}
+
+              {photosProduct.images.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No photos yet</p>
+              ) : (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                  {photosProduct.images.map((image, index) => (
+                    <div key={image._id} className="relative group">
+                      <a href={imageUrl(image.url)} target="_blank" rel="noreferrer">
+                        <img
+                          src={imageUrl(image.thumbnailUrl)}
+                          alt={photosProduct.name}
+                          className="w-full aspect-square rounded object-cover border border-gray-200"
+                        />
+                      </a>
+                      {index === 0 && (
+                        <span className="absolute top-1 left-1 px-2 py-0.5 rounded text-xs font-medium bg-blue-600 text-white">Cover</span>
+                      )}
+                      <div className="absolute top-1 right-1 flex space-x-1">
+                        {index > 0 && (
+                          <button
+                            type="button"
+                            onClick={() => handlePhotoAction(image, 'cover')}
+                            className="p-1 rounded bg-white bg-opacity-90 text-gray-700 hover:text-blue-600"
+                            title="Make cover"
+                          >
+                            <Star className="h-4 w-4" />
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => handlePhotoAction(image, 'delete')}
+                          className="p-1 rounded bg-white bg-opacity-90 text-red-600 hover:text-red-800"
+                          title="Delete photo"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <form onSubmit={handlePhotoUpload} className="space-y-3">
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={(e) => setPhotoFiles(Array.from(e.target.files))}
+                  className="block w-full text-sm text-gray-700"
+                />
+                <div className="flex justify-end space-x-3 pt-2">
+                  <button
+                    type="button"
+                    onClick={() => setPhotosProduct(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    Close
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting || photoFiles.length === 0}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Uploading...' : 'Upload Photos'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import / Export Modal */}
+      {showImportModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 lg:w-3/4 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Import / Export Products</h3>
+
+              {importError && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {importError}
+                </div>
+              )}
+              {importMessage && (
+                <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded text-sm">
+                  {importMessage}
+                </div>
+              )}
+
+              <div className="mb-6">
+                <p className="text-sm font-medium text-gray-700 mb-2">Export the catalogue</p>
+                <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => handleExport('csv')}
+                    className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    <Download className="h-4 w-4 mr-2" />
+                    CSV
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleExport('xlsx')}
+                    className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    <Download className="h-4 w-4 mr-2" />
+                    Excel (XLSX)
+                  </button>
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">Import products</p>
+                <p className="text-sm text-gray-500 mb-2">
+                  Use the export's columns: name, sku, category, description, unit, pricePerUnit, costPrice, totalStock (opening stock) and minStockLevel. Preview first to check every row; the import only goes ahead when all rows are valid.
+                </p>
+                <input
+                  type="file"
+                  accept=".csv,.xlsx"
+                  onChange={(e) => {
+                    setImportFile(e.target.files[0] || null);
+                    setImportPreview(null);
+                  }}
+                  className="block w-full text-sm text-gray-700"
+                />
+              </div>
+
+              {importPreview && (
+                <div className="mt-4">
+                  <p className="text-sm text-gray-700 mb-2">
+                    {importPreview.total} rows: <span className="text-green-700">{importPreview.valid} ready</span>
+                    {importPreview.invalid > 0 && <>, <span className="text-red-700">{importPreview.invalid} with errors</span></>}
+                  </p>
+                  <div className="max-h-80 overflow-y-auto border border-gray-200 rounded">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Opening Stock</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Problems</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {importPreview.rows.map(row => (
+                          <tr key={row.row} className={Object.keys(row.errors).length > 0 ? 'bg-red-50' : ''}>
+                            <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                            <td className="px-3 py-2 text-gray-900">
+                              {row.name || '-'}
+                              {row.sku && <div className="text-xs text-gray-500">{row.sku}</div>}
+                            </td>
+                            <td className="px-3 py-2 text-gray-700">{row.category ? getCategoryName(row.category) : '-'}</td>
+                            <td className="px-3 py-2 text-gray-700">{row.pricePerUnit ? `₦${row.pricePerUnit}` : '-'}</td>
+                            <td className="px-3 py-2 text-gray-700">{row.totalStock ? `${row.totalStock} ${row.unit || ''}` : '-'}</td>
+                            <td className="px-3 py-2 text-red-700">
+                              {Object.values(row.errors).join(', ') || <span className="text-green-700">OK</span>}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setShowImportModal(false)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                >
+                  Close
+                </button>
+                <button
+                  type="button"
+                  onClick={() => submitImport(true)}
+                  disabled={submitting || !importFile}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Preview
+                </button>
+                <button
+                  type="button"
+                  onClick={() => submitImport(false)}
+                  disabled={submitting || !importPreview || importPreview.invalid > 0}
+                  className="flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Upload className="h-4 w-4 mr-2" />
+                  {submitting ? 'Importing...' : `Import ${importPreview?.valid || ''} Products`}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Labels Modal */}
+      {labelsProduct && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Labels · {labelsProduct.name}</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Prints on an A4 sheet of 24 labels (3 × 8). Roll labels scan straight to that roll in Sales.
+              </p>
+
+              {labelError && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {labelError}
+                </div>
+              )}
+
+              <form onSubmit={handleLabelSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Code Type
+                  </label>
+                  <select
+                    value={labelForm.format}
+                    onChange={(e) => setLabelForm(prev => ({ ...prev, format: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="code128">Barcode (Code 128)</option>
+                    <option value="qr">QR code</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Product labels {labelsProduct.sku ? `(${labelsProduct.sku})` : ''}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={labelForm.copies}
+                    onChange={(e) => setLabelForm(prev => ({ ...prev, copies: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                {getOpenRolls(labelsProduct).length > 0 && (
+                  <div>
+                    <p className="block text-sm font-medium text-gray-700 mb-1">Roll labels</p>
+                    <div className="space-y-2">
+                      {getOpenRolls(labelsProduct).map(roll => (
+                        <div key={roll._id} className="flex items-center justify-between text-sm">
+                          <span className="text-gray-700">
+                            {roll.rollId} · {roll.remainingLength} {labelsProduct.unit}
+                          </span>
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={labelForm.rolls[roll._id] ?? ''}
+                            onChange={(e) => setLabelForm(prev => ({
+                              ...prev,
+                              rolls: { ...prev.rolls, [roll._id]: e.target.value }
+                            }))}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            placeholder="0"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setLabelsProduct(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Generating...' : 'Download Labels'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Rolls Modal */}
+      {rollsProduct && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-2/3 lg:w-1/2 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Rolls · {rollsProduct.name}</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                {rollsProduct.currentStock} {rollsProduct.unit} in stock, {rollsProduct.looseStock} {rollsProduct.unit} not on a roll
+              </p>
+
+              {getOpenRolls(rollsProduct).length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No open rolls</p>
+              ) : (
+                <div className="overflow-x-auto mb-4">
+                  <table className="min-w-full table-auto text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Roll</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dye Lot</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Received</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Remaining</th>
+                        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {getOpenRolls(rollsProduct).map(roll => (
+                        <tr key={roll._id}>
+                          <td className="px-3 py-2 font-medium text-gray-900">{roll.rollId}</td>
+                          <td className="px-3 py-2">{roll.dyeLot || '-'}</td>
+                          <td className="px-3 py-2">{new Date(roll.receivedAt).toLocaleDateString()}</td>
+                          <td className="px-3 py-2">{roll.remainingLength} / {roll.startingLength} {rollsProduct.unit}</td>
+                          <td className="px-3 py-2">
+                            {roll.isRemnant ? (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium text-red-600 bg-red-100">Remnant</span>
+                            ) : roll.remainingLength < roll.startingLength ? (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium text-orange-600 bg-orange-100">Offcut</span>
+                            ) : (
+                              <span className="px-2 py-1 rounded-full text-xs font-medium text-green-600 bg-green-100">Full roll</span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Add Roll</h4>
+              {rollError && (
+                <div className="mb-3 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {rollError}
+                </div>
+              )}
+              <form onSubmit={handleRollSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <input
+                  type="text"
+                  name="rollId"
+                  value={rollForm.rollId}
+                  onChange={handleRollFormChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Roll ID (auto if blank)"
+                />
+                <input
+                  type="number"
+                  name="length"
+                  value={rollForm.length}
+                  onChange={handleRollFormChange}
+                  min="0"
+                  step="0.1"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder={`Length (${rollsProduct.unit}) *`}
+                />
+                <input
+                  type="text"
+                  name="dyeLot"
+                  value={rollForm.dyeLot}
+                  onChange={handleRollFormChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="Dye lot"
+                />
+                <input
+                  type="date"
+                  name="receivedAt"
+                  value={rollForm.receivedAt}
+                  onChange={handleRollFormChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <label className="flex items-center text-sm text-gray-700 md:col-span-2">
+                  <input
+                    type="checkbox"
+                    name="fromExistingStock"
+                    checked={rollForm.fromExistingStock}
+                    onChange={handleRollFormChange}
+                    className="mr-2"
+                  />
+                  Already counted in stock (only record the roll)
+                </label>
+                {!rollForm.fromExistingStock && (
+                  <input
+                    type="number"
+                    name="unitCost"
+                    value={rollForm.unitCost}
+                    onChange={handleRollFormChange}
+                    min="0"
+                    step="0.01"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Cost per unit (defaults to average)"
+                  />
+                )}
+                <div className="md:col-span-2 flex justify-end space-x-3 pt-2">
+                  <button
+                    type="button"
+                    onClick={() => setRollsProduct(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    Close
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Saving...' : 'Add Roll'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Stock Adjustment Modal */}
+      {adjustingProduct && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+          <div className="relative top-20 mx-auto p-5 border w-11/12 md:w-96 shadow-lg rounded-md bg-white">
+            <div className="mt-3">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Adjust Stock</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                {adjustingProduct.name} · {adjustingProduct.currentStock} {adjustingProduct.unit} in stock
+              </p>
+
+              {adjustmentError && (
+                <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                  {adjustmentError}
+                </div>
+              )}
+
+              <form onSubmit={handleAdjustSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reason *
+                  </label>
+                  <select
+                    name="reason"
+                    value={adjustment.reason}
+                    onChange={handleAdjustmentChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {adjustmentReasons.map(reason => (
+                      <option key={reason.value} value={reason.value}>{reason.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {getOpenRolls(adjustingProduct).length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Roll
+                    </label>
+                    <select
+                      name="rollId"
+                      value={adjustment.rollId}
+                      onChange={handleAdjustmentChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Stock not on a roll ({adjustingProduct.looseStock} {adjustingProduct.unit})</option>
+                      {getOpenRolls(adjustingProduct).map(roll => (
+                        <option key={roll._id} value={roll._id}>
+                          {roll.rollId} · {roll.remainingLength} {adjustingProduct.unit}{roll.dyeLot ? ` · lot ${roll.dyeLot}` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Direction
+                    </label>
+                    <select
+                      name="direction"
+                      value={adjustment.direction}
+                      onChange={handleAdjustmentChange}
+                      disabled={Boolean(adjustmentReasons.find(r => r.value === adjustment.reason)?.direction)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                    >
+                      <option value="remove">Remove</option>
+                      <option value="add">Add</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Quantity ({adjustingProduct.unit}) *
+                    </label>
+                    <input
+                      type="number"
+                      name="quantity"
+                      value={adjustment.quantity}
+                      onChange={handleAdjustmentChange}
+                      min="0"
+                      step="0.1"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Notes
+                  </label>
+                  <textarea
+                    name="notes"
+                    value={adjustment.notes}
+                    onChange={handleAdjustmentChange}
+                    rows="2"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="What happened (optional)"
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setAdjustingProduct(null)}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 border border-gray-300 rounded-md hover:bg-gray-200"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? 'Saving...' : 'Save Adjustment'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
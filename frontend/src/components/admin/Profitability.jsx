@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RefreshCw, TrendingUp, DollarSign, Package } from 'lucide-react';
+
+const monthStart = () => {
+  const date = new Date();
+  date.setDate(1);
+  return date.toISOString().split('T')[0];
+};
+
+const Profitability = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({
+    dateFrom: monthStart(),
+    dateTo: new Date().toISOString().split('T')[0]
+  });
+
+  useEffect(() => {
+    fetchProfitability();
+  }, [filters]);
+
+  const fetchProfitability = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get('/api/admin/product-profitability', { params: filters });
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching profitability:', error);
+      setError('Failed to load profitability');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Product Profitability</h1>
+        <button
+          onClick={fetchProfitability}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              From Date
+            </label>
+            <input
+              type="date"
+              value={filters.dateFrom}
+              onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              To Date
+            </label>
+            <input
+              type="date"
+              value={filters.dateTo}
+              onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+              className="input-field"
+            />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="card">
+          <div className="text-center text-red-600">
+            <p>{error}</p>
+            <button
+              onClick={fetchProfitability}
+              className="btn-primary mt-4"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="card">
+              <div className="flex items-center">
+                <DollarSign className="h-8 w-8 text-blue-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Net Revenue</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.revenue)}</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="flex items-center">
+                <Package className="h-8 w-8 text-gray-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Cost of Goods</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.cost)}</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="flex items-center">
+                <TrendingUp className="h-8 w-8 text-green-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Gross Profit</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.grossProfit)}</p>
+                  <p className="text-xs text-gray-500">{data.summary.marginPercent}% margin</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Per-product table */}
+          <div className="card">
+            {data.products.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">No sales found for the selected period</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>Sold</th>
+                      <th>Revenue</th>
+                      <th>Cost</th>
+                      <th>Gross Profit</th>
+                      <th>Margin</th>
+                      <th>Price / Avg Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.products.map((row) => (
+                      <tr key={row.product}>
+                        <td>
+                          <p className="font-medium text-gray-900">{row.productName}</p>
+                          {row.category && (
+                            <p className="text-sm text-gray-500 capitalize">{row.category.replace('_', ' ')}</p>
+                          )}
+                        </td>
+                        <td>{row.quantitySold} {row.unit}</td>
+                        <td>{formatCurrency(row.revenue)}</td>
+                        <td>{formatCurrency(row.cost)}</td>
+                        <td className={`font-semibold ${row.grossProfit < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {formatCurrency(row.grossProfit)}
+                        </td>
+                        <td>{row.marginPercent}%</td>
+                        <td className="text-sm text-gray-600">
+                          {row.pricePerUnit !== undefined ? formatCurrency(row.pricePerUnit) : '-'}
+                          {' / '}
+                          {row.averageCost !== undefined ? formatCurrency(row.averageCost) : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Profitability;
@@ -0,0 +1,430 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus, X } from 'lucide-react';
+
+const emptyForm = {
+  name: '',
+  type: 'percentage',
+  scope: 'category',
+  category: '',
+  products: [],
+  percentOff: '',
+  buyQuantity: '',
+  freeQuantity: '',
+  tiers: [{ minQuantity: '', pricePerUnit: '' }],
+  startsAt: '',
+  endsAt: ''
+};
+
+const promotionTypes = [
+  { value: 'percentage', label: 'Percentage off' },
+  { value: 'buy_x_get_y', label: 'Buy X get Y free' },
+  { value: 'tiered', label: 'Tiered bulk price' }
+];
+
+// Dates are edited as plain days; the campaign runs to the end of its last day
+const toDateInput = (date) => {
+  if (!date) return '';
+  const day = new Date(date);
+  return [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, '0'),
+    String(day.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+const Promotions = () => {
+  const [promotions, setPromotions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [promotionsResponse, categoriesResponse, productsResponse] = await Promise.all([
+        axios.get('/api/admin/promotions'),
+        axios.get('/api/admin/categories'),
+        axios.get('/api/admin/products')
+      ]);
+      setPromotions(promotionsResponse.data);
+      setCategories(categoriesResponse.data);
+      setProducts(productsResponse.data);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+      setError('Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPromotions = async () => {
+    try {
+      const response = await axios.get('/api/admin/promotions');
+      setPromotions(response.data);
+    } catch (error) {
+      console.error('Error fetching promotions:', error);
+    }
+  };
+
+  const openAddForm = () => {
+    setFormData(emptyForm);
+    setEditingPromotion(null);
+    setError('');
+    setShowForm(true);
+  };
+
+  const openEditForm = (promotion) => {
+    setFormData({
+      name: promotion.name,
+      type: promotion.type,
+      scope: promotion.products.length > 0 ? 'products' : 'category',
+      category: promotion.category || '',
+      products: promotion.products.map(product => product._id),
+      percentOff: promotion.percentOff?.toString() || '',
+      buyQuantity: promotion.buyQuantity?.toString() || '',
+      freeQuantity: promotion.freeQuantity?.toString() || '',
+      tiers: promotion.tiers.length > 0
+        ? promotion.tiers.map(tier => ({ minQuantity: tier.minQuantity.toString(), pricePerUnit: tier.pricePerUnit.toString() }))
+        : [{ minQuantity: '', pricePerUnit: '' }],
+      startsAt: toDateInput(promotion.startsAt),
+      endsAt: toDateInput(promotion.endsAt)
+    });
+    setEditingPromotion(promotion);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const toggleProduct = (productId) => {
+    setFormData(prev => ({
+      ...prev,
+      products: prev.products.includes(productId)
+        ? prev.products.filter(id => id !== productId)
+        : [...prev.products, productId]
+    }));
+  };
+
+  const updateTier = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const submitData = {
+        name: formData.name,
+        type: formData.type,
+        category: formData.scope === 'category' ? formData.category : undefined,
+        products: formData.scope === 'products' ? formData.products : [],
+        percentOff: formData.type === 'percentage' ? parseFloat(formData.percentOff) : null,
+        buyQuantity: formData.type === 'buy_x_get_y' ? parseFloat(formData.buyQuantity) : null,
+        freeQuantity: formData.type === 'buy_x_get_y' ? parseFloat(formData.freeQuantity) : null,
+        tiers: formData.type === 'tiered'
+          ? formData.tiers
+            .filter(tier => tier.minQuantity !== '' || tier.pricePerUnit !== '')
+            .map(tier => ({ minQuantity: parseFloat(tier.minQuantity), pricePerUnit: parseFloat(tier.pricePerUnit) }))
+          : [],
+        startsAt: formData.startsAt ? new Date(`${formData.startsAt}T00:00:00`).toISOString() : null,
+        endsAt: formData.endsAt ? new Date(`${formData.endsAt}T23:59:59`).toISOString() : null
+      };
+      if (editingPromotion) {
+        await axios.put(`/api/admin/promotions/${editingPromotion._id}`, submitData);
+      } else {
+        await axios.post('/api/admin/promotions', submitData);
+      }
+      setShowForm(false);
+      fetchPromotions();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save promotion');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete the ${promotion.name} promotion? Past sales keep what it took off.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await axios.delete(`/api/admin/promotions/${promotion._id}`);
+      fetchPromotions();
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      setError(error.response?.data?.message || 'Failed to delete promotion');
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'running': return 'text-green-600 bg-green-100';
+      case 'scheduled': return 'text-blue-600 bg-blue-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const describeScope = (promotion) => {
+    if (promotion.products.length > 0) {
+      return promotion.products.map(product => product.name).join(', ');
+    }
+    return categories.find(category => category.slug === promotion.category)?.name || promotion.category;
+  };
+
+  const describeDates = (promotion) => {
+    if (!promotion.startsAt && !promotion.endsAt) return 'Always on';
+    const from = promotion.startsAt ? new Date(promotion.startsAt).toLocaleDateString() : 'now';
+    const to = promotion.endsAt ? new Date(promotion.endsAt).toLocaleDateString() : 'no end date';
+    return `${from} – ${to}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Promotions</h1>
+          <p className="text-sm text-gray-600">
+            Applied automatically at the till. Each product gets the one running promotion that saves the customer most; remnants are never promoted.
+          </p>
+        </div>
+        <button
+          onClick={openAddForm}
+          className="btn-primary flex items-center"
+        >
+          <Plus className="mr-2 h-5 w-5" />
+          Add Promotion
+        </button>
+      </div>
+
+      {error && !showForm && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingPromotion ? 'Edit Promotion' : 'New Promotion'}
+          </h2>
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input type="text" name="name" value={formData.name} onChange={handleInputChange} className="input-field" placeholder="e.g. Ankara Week" required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+              <select name="type" value={formData.type} onChange={handleInputChange} className="input-field">
+                {promotionTypes.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {formData.type === 'percentage' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Percentage Off *</label>
+                <input type="number" name="percentOff" value={formData.percentOff} onChange={handleInputChange} min="0.1" max="100" step="0.1" className="input-field" required />
+              </div>
+            )}
+
+            {formData.type === 'buy_x_get_y' && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Buy *</label>
+                  <input type="number" name="buyQuantity" value={formData.buyQuantity} onChange={handleInputChange} min="0.1" step="0.1" className="input-field" placeholder="e.g. 10" required />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Get Free *</label>
+                  <input type="number" name="freeQuantity" value={formData.freeQuantity} onChange={handleInputChange} min="0.1" step="0.1" className="input-field" placeholder="e.g. 1" required />
+                </div>
+                <p className="col-span-2 text-xs text-gray-500">
+                  In the unit each product is stocked in. A customer taking buy + free gets the free part at no charge.
+                </p>
+              </div>
+            )}
+
+            {formData.type === 'tiered' && (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Price Tiers *</label>
+                <p className="text-xs text-gray-500 mb-2">
+                  From this quantity (in the product's unit) every unit sells at the tier price.
+                </p>
+                <div className="space-y-2">
+                  {formData.tiers.map((tier, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                      <input type="number" value={tier.minQuantity} onChange={(e) => updateTier(index, 'minQuantity', e.target.value)} min="0.1" step="0.1" className="input-field w-32" placeholder="From qty" />
+                      <input type="number" value={tier.pricePerUnit} onChange={(e) => updateTier(index, 'pricePerUnit', e.target.value)} min="0" step="0.01" className="input-field w-40" placeholder="Price per unit (₦)" />
+                      {formData.tiers.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => setFormData(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))}
+                          className="text-red-600 hover:text-red-900 p-1"
+                          title="Remove tier"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setFormData(prev => ({ ...prev, tiers: [...prev.tiers, { minQuantity: '', pricePerUnit: '' }] }))}
+                  className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  + Add tier
+                </button>
+              </div>
+            )}
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Applies To</label>
+              <div className="flex gap-4 mb-2 text-sm">
+                <label className="flex items-center">
+                  <input type="radio" name="scope" value="category" checked={formData.scope === 'category'} onChange={handleInputChange} className="mr-2" />
+                  A category
+                </label>
+                <label className="flex items-center">
+                  <input type="radio" name="scope" value="products" checked={formData.scope === 'products'} onChange={handleInputChange} className="mr-2" />
+                  Chosen products
+                </label>
+              </div>
+              {formData.scope === 'category' ? (
+                <select name="category" value={formData.category} onChange={handleInputChange} className="input-field" required>
+                  <option value="">Choose a category</option>
+                  {categories.map(category => (
+                    <option key={category.slug} value={category.slug}>{category.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <div className="max-h-48 overflow-y-auto border border-gray-200 rounded p-2 grid grid-cols-1 md:grid-cols-2 gap-1">
+                  {products.map(product => (
+                    <label key={product._id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.products.includes(product._id)}
+                        onChange={() => toggleProduct(product._id)}
+                        className="mr-2"
+                      />
+                      {product.name}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+              <input type="date" name="startsAt" value={formData.startsAt} onChange={handleInputChange} className="input-field" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+              <input type="date" name="endsAt" value={formData.endsAt} onChange={handleInputChange} className="input-field" />
+            </div>
+
+            <div className="md:col-span-2 flex justify-end space-x-3">
+              <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+                {submitting ? 'Saving...' : (editingPromotion ? 'Update Promotion' : 'Save Promotion')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : promotions.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No promotions yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Promotion</th>
+                  <th>Applies To</th>
+                  <th>Dates</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map((promotion) => (
+                  <tr key={promotion._id}>
+                    <td>
+                      <p className="font-medium text-gray-900">{promotion.name}</p>
+                      <p className="text-xs text-gray-500">{promotion.summary}</p>
+                    </td>
+                    <td className="text-sm">{describeScope(promotion)}</td>
+                    <td className="text-sm">{describeDates(promotion)}</td>
+                    <td>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(promotion.status)}`}>
+                        {promotion.status}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => openEditForm(promotion)}
+                        className="text-blue-600 hover:text-blue-900 mr-4 p-1"
+                        title="Edit promotion"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(promotion)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete promotion"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Promotions;
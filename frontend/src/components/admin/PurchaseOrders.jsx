@@ -0,0 +1,472 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Send, PackageCheck, XCircle } from 'lucide-react';
+
+const statusStyles = {
+  draft: 'bg-gray-100 text-gray-800',
+  ordered: 'bg-blue-100 text-blue-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const emptyLine = { productId: '', quantity: '', unitCost: '' };
+
+const PurchaseOrders = () => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState({ supplierId: '', expectedDate: '', notes: '' });
+  const [lines, setLines] = useState([emptyLine]);
+  const [receiving, setReceiving] = useState(null);
+  const [receiveQuantities, setReceiveQuantities] = useState({});
+  const [receiveNotes, setReceiveNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSuppliers();
+    fetchProducts();
+  }, []);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [statusFilter]);
+
+  const fetchPurchaseOrders = async () => {
+    try {
+      setLoading(true);
+      const params = statusFilter ? { status: statusFilter } : {};
+      const response = await axios.get('/api/admin/purchase-orders', { params });
+      setPurchaseOrders(response.data);
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+      setError('Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await axios.get('/api/admin/suppliers');
+      setSuppliers(response.data);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+    }
+  };
+
+  const fetchProducts = async () => {
+    try {
+      const response = await axios.get('/api/admin/products');
+      setProducts(response.data);
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  const showError = (error, fallback) => {
+    if (error.response?.data?.errors) {
+      setError(error.response.data.errors.map(err => err.msg).join(', '));
+    } else {
+      setError(error.response?.data?.message || fallback);
+    }
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const getOrderTotal = () => {
+    return lines.reduce((sum, line) => sum + (Number(line.quantity) || 0) * (Number(line.unitCost) || 0), 0);
+  };
+
+  const openForm = () => {
+    setFormData({ supplierId: '', expectedDate: '', notes: '' });
+    setLines([emptyLine]);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const items = lines
+      .filter(line => line.productId)
+      .map(line => ({
+        productId: line.productId,
+        quantity: Number(line.quantity),
+        unitCost: Number(line.unitCost)
+      }));
+
+    if (!formData.supplierId) {
+      setError('Please choose a supplier');
+      return;
+    }
+
+    if (items.length === 0) {
+      setError('Please add at least one product');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await axios.post('/api/admin/purchase-orders', { ...formData, items });
+      setShowForm(false);
+      fetchPurchaseOrders();
+    } catch (error) {
+      showError(error, 'Failed to create purchase order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (purchaseOrder, action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) {
+      return;
+    }
+
+    try {
+      setError('');
+      if (action === 'delete') {
+        await axios.delete(`/api/admin/purchase-orders/${purchaseOrder._id}`);
+      } else {
+        await axios.post(`/api/admin/purchase-orders/${purchaseOrder._id}/${action}`);
+      }
+      fetchPurchaseOrders();
+    } catch (error) {
+      showError(error, 'Failed to update purchase order');
+    }
+  };
+
+  const getOutstanding = (item) => Math.max(0, item.quantityOrdered - item.quantityReceived);
+
+  const startReceiving = (purchaseOrder) => {
+    // Default to the full outstanding quantity; staff trim it to what arrived
+    const quantities = {};
+    purchaseOrder.items.forEach(item => {
+      quantities[item._id] = getOutstanding(item);
+    });
+    setReceiveQuantities(quantities);
+    setReceiveNotes('');
+    setError('');
+    setReceiving(purchaseOrder._id);
+  };
+
+  const handleReceive = async (purchaseOrder) => {
+    const items = Object.entries(receiveQuantities)
+      .filter(([, quantity]) => Number(quantity) > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity: Number(quantity) }));
+
+    if (items.length === 0) {
+      setError('Please enter the quantities delivered');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await axios.post(`/api/admin/purchase-orders/${purchaseOrder._id}/receive`, {
+        items,
+        notes: receiveNotes.trim()
+      });
+      setReceiving(null);
+      fetchPurchaseOrders();
+    } catch (error) {
+      showError(error, 'Failed to receive delivery');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Purchase Orders</h1>
+        <div className="flex items-center gap-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="input-field"
+          >
+            <option value="">All statuses</option>
+            <option value="draft">Draft</option>
+            <option value="ordered">Ordered</option>
+            <option value="partially_received">Partially received</option>
+            <option value="received">Received</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <button
+            onClick={openForm}
+            className="btn-primary flex items-center whitespace-nowrap"
+          >
+            <Plus className="mr-2 h-5 w-5" />
+            New Order
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">New Purchase Order</h2>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <select
+                value={formData.supplierId}
+                onChange={(e) => setFormData(prev => ({ ...prev, supplierId: e.target.value }))}
+                className="input-field"
+              >
+                <option value="">Select supplier *</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={formData.expectedDate}
+                onChange={(e) => setFormData(prev => ({ ...prev, expectedDate: e.target.value }))}
+                className="input-field"
+                title="Expected delivery date"
+              />
+              <input
+                type="text"
+                value={formData.notes}
+                onChange={(e) => setFormData(prev => ({ ...prev, notes: e.target.value }))}
+                className="input-field"
+                placeholder="Notes (optional)"
+              />
+            </div>
+
+            <div className="space-y-2">
+              {lines.map((line, index) => {
+                const product = products.find(p => p._id === line.productId);
+                return (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                    <select
+                      value={line.productId}
+                      onChange={(e) => updateLine(index, 'productId', e.target.value)}
+                      className="input-field col-span-6"
+                    >
+                      <option value="">Select product</option>
+                      {products.map(p => (
+                        <option key={p._id} value={p._id}>{p.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      value={line.quantity}
+                      onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                      className="input-field col-span-2"
+                      placeholder={product ? product.unit : 'Qty'}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={line.unitCost}
+                      onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                      className="input-field col-span-3"
+                      placeholder="Unit cost"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                      disabled={lines.length === 1}
+                      className="col-span-1 text-red-600 hover:text-red-900 p-1 disabled:opacity-30"
+                      title="Remove line"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                onClick={() => setLines([...lines, emptyLine])}
+                className="text-sm text-blue-600 hover:underline"
+              >
+                + Add product
+              </button>
+            </div>
+
+            <div className="flex justify-between items-center">
+              <span className="font-semibold">Total cost: {formatCurrency(getOrderTotal())}</span>
+              <div className="flex space-x-3">
+                <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+                  {submitting ? 'Saving...' : 'Save Draft'}
+                </button>
+              </div>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : purchaseOrders.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No purchase orders found</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>PO #</th>
+                  <th>Supplier</th>
+                  <th>Items</th>
+                  <th>Total Cost</th>
+                  <th>Status</th>
+                  <th>Created</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {purchaseOrders.map((purchaseOrder) => (
+                  <React.Fragment key={purchaseOrder._id}>
+                    <tr>
+                      <td className="font-mono text-sm">{purchaseOrder.poNumber}</td>
+                      <td>{purchaseOrder.supplierName}</td>
+                      <td>
+                        <div className="space-y-1">
+                          {purchaseOrder.items.map((item) => (
+                            <div key={item._id} className="text-sm">
+                              <span className="font-medium">{item.productName}</span>
+                              <span className="text-gray-500 ml-2">
+                                {item.quantityReceived}/{item.quantityOrdered} {item.unit} @ {formatCurrency(item.unitCost)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="font-semibold">{formatCurrency(purchaseOrder.totalCost)}</td>
+                      <td>
+                        <span className={`text-xs px-2 py-1 rounded capitalize ${statusStyles[purchaseOrder.status]}`}>
+                          {purchaseOrder.status.replace('_', ' ')}
+                        </span>
+                      </td>
+                      <td>
+                        {new Date(purchaseOrder.createdAt).toLocaleDateString()}
+                        {purchaseOrder.expectedDate && (
+                          <p className="text-xs text-gray-500">
+                            Due {new Date(purchaseOrder.expectedDate).toLocaleDateString()}
+                          </p>
+                        )}
+                      </td>
+                      <td className="whitespace-nowrap">
+                        {purchaseOrder.status === 'draft' && (
+                          <>
+                            <button
+                              onClick={() => runAction(purchaseOrder, 'order')}
+                              className="text-blue-600 hover:text-blue-900 mr-3 p-1"
+                              title="Mark as ordered"
+                            >
+                              <Send className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => runAction(purchaseOrder, 'delete', `Delete draft ${purchaseOrder.poNumber}?`)}
+                              className="text-red-600 hover:text-red-900 p-1"
+                              title="Delete draft"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </>
+                        )}
+                        {['ordered', 'partially_received'].includes(purchaseOrder.status) && (
+                          <button
+                            onClick={() => startReceiving(purchaseOrder)}
+                            className="text-green-600 hover:text-green-900 mr-3 p-1"
+                            title="Receive delivery"
+                          >
+                            <PackageCheck className="h-4 w-4" />
+                          </button>
+                        )}
+                        {purchaseOrder.status === 'ordered' && (
+                          <button
+                            onClick={() => runAction(purchaseOrder, 'cancel', `Cancel ${purchaseOrder.poNumber}?`)}
+                            className="text-red-600 hover:text-red-900 p-1"
+                            title="Cancel order"
+                          >
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {receiving === purchaseOrder._id && (
+                      <tr>
+                        <td colSpan="7" className="bg-gray-50">
+                          <div className="space-y-3">
+                            <p className="text-sm font-medium text-gray-700">Quantities delivered</p>
+                            {purchaseOrder.items.map((item) => (
+                              <div key={item._id} className="flex items-center gap-3">
+                                <span className="w-64 text-sm">{item.productName}</span>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.1"
+                                  max={getOutstanding(item)}
+                                  value={receiveQuantities[item._id] ?? ''}
+                                  onChange={(e) => setReceiveQuantities(prev => ({ ...prev, [item._id]: e.target.value }))}
+                                  disabled={getOutstanding(item) <= 0}
+                                  className="input-field w-32"
+                                />
+                                <span className="text-sm text-gray-500">
+                                  of {getOutstanding(item)} {item.unit} outstanding
+                                </span>
+                              </div>
+                            ))}
+                            <input
+                              type="text"
+                              value={receiveNotes}
+                              onChange={(e) => setReceiveNotes(e.target.value)}
+                              className="input-field"
+                              placeholder="Delivery notes, e.g. waybill number"
+                            />
+                            <div className="flex justify-end space-x-3">
+                              <button onClick={() => setReceiving(null)} className="btn-secondary">
+                                Cancel
+                              </button>
+                              <button
+                                onClick={() => handleReceive(purchaseOrder)}
+                                disabled={submitting}
+                                className="btn-primary disabled:opacity-50"
+                              >
+                                {submitting ? 'Receiving...' : 'Receive into Stock'}
+                              </button>
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrders;
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Wallet, RefreshCw, AlertTriangle } from 'lucide-react';
+
+const buckets = [
+  { key: 'current', label: '0–30 days' },
+  { key: 'days31to60', label: '31–60 days' },
+  { key: 'days61to90', label: '61–90 days' },
+  { key: 'over90', label: '90+ days' }
+];
+
+const Receivables = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAging();
+  }, []);
+
+  const fetchAging = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get('/api/admin/receivables/aging');
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching receivables aging:', error);
+      setError('Failed to load receivables');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="card">
+        <div className="text-center text-red-600">
+          <p>{error}</p>
+          <button
+            onClick={fetchAging}
+            className="btn-primary mt-4"
+          >
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Receivables Aging</h1>
+          <p className="text-sm text-gray-500">As of {new Date(data.asOf).toLocaleString()}</p>
+        </div>
+        <button
+          onClick={fetchAging}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+        <div className="card">
+          <div className="flex items-center">
+            <Wallet className="h-8 w-8 text-orange-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Total Owed</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.totals.total)}</p>
+            </div>
+          </div>
+        </div>
+        {buckets.map(bucket => (
+          <div key={bucket.key} className="card">
+            <p className="text-sm font-medium text-gray-600">{bucket.label}</p>
+            <p className={`text-2xl font-bold ${bucket.key === 'over90' && data.totals.buckets[bucket.key] > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatCurrency(data.totals.buckets[bucket.key])}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Per-customer aging */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Customers with Outstanding Balances</h2>
+        {data.customers.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No outstanding credit balances</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Customer</th>
+                  {buckets.map(bucket => (
+                    <th key={bucket.key}>{bucket.label}</th>
+                  ))}
+                  <th>Total</th>
+                  <th>Oldest Unpaid</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.customers.map((row) => (
+                  <tr key={row.customer._id}>
+                    <td>
+                      <Link to={`/staff/customers/${row.customer._id}`} className="font-medium text-blue-600 hover:underline">
+                        {row.customer.name}
+                      </Link>
+                      <p className="text-sm text-gray-500">{row.customer.phone}</p>
+                    </td>
+                    {buckets.map(bucket => (
+                      <td key={bucket.key} className={bucket.key === 'over90' && row.buckets[bucket.key] > 0 ? 'text-red-600 font-medium' : ''}>
+                        {row.buckets[bucket.key] > 0 ? formatCurrency(row.buckets[bucket.key]) : '-'}
+                      </td>
+                    ))}
+                    <td className="font-semibold">{formatCurrency(row.total)}</td>
+                    <td>
+                      {row.oldestUnpaidDate ? (
+                        <div className="flex items-center">
+                          {row.buckets.over90 > 0 && <AlertTriangle className="h-4 w-4 text-red-500 mr-1" />}
+                          {new Date(row.oldestUnpaidDate).toLocaleDateString()}
+                        </div>
+                      ) : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Receivables;
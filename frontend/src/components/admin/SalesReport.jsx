@@ -1,12 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { Calendar, Users, DollarSign, ShoppingCart, RefreshCw } from 'lucide-react';
+import { Calendar, Users, DollarSign, ShoppingCart, RefreshCw, Ban, RotateCcw, TrendingUp, Package, Percent } from 'lucide-react';
 
 const SalesReport = () => {
   const [data, setData] = useState(null);
   const [staffMembers, setStaffMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [voidingSale, setVoidingSale] = useState(null);
   const [filters, setFilters] = useState({
     dateFrom: new Date().toISOString().split('T')[0],
     dateTo: new Date().toISOString().split('T')[0],
@@ -60,10 +61,33 @@ const SalesReport = () => {
     }));
   };
 
+  const handleVoidSale = async (sale) => {
+    const reason = window.prompt(`Reason for voiding sale ${sale.saleNumber}:`);
+    if (reason === null) {
+      return;
+    }
+
+    if (reason.trim().length < 3) {
+      alert('Please enter a reason of at least 3 characters');
+      return;
+    }
+
+    try {
+      setVoidingSale(sale._id);
+      await axios.post(`/api/admin/sales/${sale._id}/void`, { reason: reason.trim() });
+      await fetchSalesReport();
+    } catch (error) {
+      console.error('Error voiding sale:', error);
+      alert(error.response?.data?.message || 'Failed to void sale');
+    } finally {
+      setVoidingSale(null);
+    }
+  };
+
   const groupSalesByStaff = (sales) => {
     const staffSales = {};
 
-    sales.forEach(sale => {
+    sales.filter(sale => sale.status === 'completed').forEach(sale => {
       const staffId = sale.soldBy?._id || 'unknown';
       const staffName = sale.soldBy?.name || 'Unknown Staff';
 
@@ -188,7 +212,7 @@ const SalesReport = () => {
       </div>
 
       {/* Summary Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <div className="card">
           <div className="flex items-center">
             <DollarSign className="h-8 w-8 text-green-600" />
@@ -237,6 +261,86 @@ const SalesReport = () => {
             </div>
           </div>
         </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <Ban className="h-8 w-8 text-red-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Voided</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatCurrency(data.summary.voidedSales)}
+              </p>
+              <p className="text-xs text-gray-500">{data.summary.voidedTransactions} sales</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <RotateCcw className="h-8 w-8 text-orange-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Refunds</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatCurrency(data.summary.totalRefunds)}
+              </p>
+              <p className="text-xs text-gray-500">{data.summary.totalReturns} returns</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <Package className="h-8 w-8 text-gray-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Cost of Goods</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatCurrency(data.summary.costOfGoods)}
+              </p>
+              <p className="text-xs text-gray-500">net of returns</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <TrendingUp className="h-8 w-8 text-green-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Gross Profit</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatCurrency(data.summary.grossProfit)}
+              </p>
+              <p className="text-xs text-gray-500">{data.summary.marginPercent}% margin</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <Percent className="h-8 w-8 text-yellow-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Discounts</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {formatCurrency(data.summary.totalDiscounts)}
+              </p>
+              <p className="text-xs text-gray-500">
+                {data.summary.discountedTransactions} sales, {data.summary.approvedDiscounts} approved over limit
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Payment Method Totals */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Takings by Payment Method</h2>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {Object.entries(data.summary.paymentTotals).map(([method, amount]) => (
+            <div key={method}>
+              <p className="text-sm font-medium text-gray-600 capitalize">{method.replace('_', ' ')}</p>
+              <p className="text-xl font-bold text-gray-900">{formatCurrency(amount)}</p>
+            </div>
+          ))}
+        </div>
       </div>
 
       {/* Staff Performance Summary */}
@@ -274,6 +378,64 @@ const SalesReport = () => {
         )}
       </div>
 
+      {/* Discount Audit */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Discount Audit</h2>
+        {data.discountAudit.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No discounts given in the selected period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Sale #</th>
+                  <th>Date</th>
+                  <th>Staff Member</th>
+                  <th>Customer</th>
+                  <th>Discount</th>
+                  <th>Reason</th>
+                  <th>Approved By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.discountAudit.map((entry) => (
+                  <tr key={entry.saleId} className={entry.status === 'cancelled' ? 'bg-red-50' : ''}>
+                    <td className="font-medium">
+                      {entry.saleNumber}
+                      {entry.status === 'cancelled' && (
+                        <span className="ml-2 text-xs text-red-600">Voided</span>
+                      )}
+                    </td>
+                    <td>{new Date(entry.saleDate).toLocaleDateString()}</td>
+                    <td>{entry.soldBy || 'Unknown Staff'}</td>
+                    <td>{entry.customerName}</td>
+                    <td>
+                      <p className="font-semibold">{formatCurrency(entry.discount)}</p>
+                      <p className="text-xs text-gray-500">
+                        {entry.discountPercent}% of {formatCurrency(entry.totalAmount)}
+                      </p>
+                    </td>
+                    <td className="max-w-xs">{entry.reason || <span className="text-gray-400">-</span>}</td>
+                    <td>
+                      {entry.approvedBy ? (
+                        <div>
+                          <p>{entry.approvedBy}</p>
+                          <p className="text-xs text-gray-500">
+                            {entry.approvalMethod === 'pin' ? 'PIN at till' : 'Remote'}, limit {formatCurrency(entry.maxDiscount)}
+                          </p>
+                        </div>
+                      ) : (
+                        <span className="text-gray-400">Within limit</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
       {/* Detailed Sales Transactions */}
       <div className="card">
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Sales Transactions</h2>
@@ -290,12 +452,15 @@ const SalesReport = () => {
                   <th>Customer</th>
                   <th>Items</th>
                   <th>Total Amount</th>
+                  <th>Profit</th>
                   <th>Payment</th>
+                  <th>Status</th>
+                  <th>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {data.sales.map((sale, index) => (
-                  <tr key={index}>
+                  <tr key={index} className={sale.status === 'cancelled' ? 'bg-red-50' : ''}>
                     <td className="font-medium">{sale.saleNumber}</td>
                     <td>{new Date(sale.saleDate).toLocaleDateString()}</td>
                     <td>{sale.soldBy?.name || 'Unknown Staff'}</td>
@@ -319,10 +484,59 @@ const SalesReport = () => {
                         ))}
                       </div>
                     </td>
-                    <td className="font-semibold text-green-600">
+                    <td className={`font-semibold ${sale.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-green-600'}`}>
                       {formatCurrency(sale.finalAmount)}
                     </td>
-                    <td className="capitalize">{sale.paymentMethod}</td>
+                    <td>
+                      {sale.margin ? (
+                        <div>
+                          <p className={sale.margin.grossProfit < 0 ? 'text-red-600' : ''}>
+                            {formatCurrency(sale.margin.grossProfit)}
+                          </p>
+                          <p className="text-xs text-gray-500">{sale.margin.marginPercent}%</p>
+                        </div>
+                      ) : (
+                        <span className="text-gray-400">-</span>
+                      )}
+                    </td>
+                    <td>
+                      {sale.payments.map((payment) => (
+                        <div key={payment._id} className="text-sm capitalize">
+                          {payment.method.replace('_', ' ')}
+                          {sale.payments.length > 1 && (
+                            <span className="text-gray-500 ml-1">{formatCurrency(payment.amount)}</span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td>
+                      {sale.status === 'cancelled' ? (
+                        <div>
+                          <span className="px-2 py-1 rounded-full text-xs font-medium text-red-600 bg-red-100">
+                            Voided
+                          </span>
+                          <p className="text-xs text-gray-500 mt-1">{sale.voidReason}</p>
+                          {sale.voidedBy?.name && (
+                            <p className="text-xs text-gray-400">by {sale.voidedBy.name}</p>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="px-2 py-1 rounded-full text-xs font-medium text-green-600 bg-green-100">
+                          Completed
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      {sale.status === 'completed' && (
+                        <button
+                          onClick={() => handleVoidSale(sale)}
+                          disabled={voidingSale === sale._id}
+                          className="text-red-600 hover:text-red-900 text-sm font-medium disabled:opacity-50"
+                        >
+                          {voidingSale === sale._id ? 'Voiding...' : 'Void'}
+                        </button>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
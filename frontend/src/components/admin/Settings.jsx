@@ -0,0 +1,529 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const Settings = () => {
+  const [remnants, setRemnants] = useState(null);
+  const [discounts, setDiscounts] = useState(null);
+  const [tax, setTax] = useState(null);
+  const [business, setBusiness] = useState(null);
+  const [quotations, setQuotations] = useState(null);
+  const [layaways, setLayaways] = useState(null);
+  const [pinForm, setPinForm] = useState({ pin: '', password: '' });
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      const [settingsResponse, categoriesResponse] = await Promise.all([
+        axios.get('/api/admin/settings'),
+        axios.get('/api/admin/categories')
+      ]);
+      setRemnants(settingsResponse.data.remnants);
+      setDiscounts(settingsResponse.data.discounts);
+      setTax(settingsResponse.data.tax);
+      setBusiness(settingsResponse.data.business);
+      setQuotations(settingsResponse.data.quotations);
+      setLayaways(settingsResponse.data.layaways);
+      setCategories(categoriesResponse.data);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      setError('Failed to load settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleThresholdChange = (category, value) => {
+    setRemnants(prev => ({
+      ...prev,
+      thresholds: {
+        ...prev.thresholds,
+        [category]: value
+      }
+    }));
+  };
+
+  const saveRemnants = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      // Only send thresholds for categories that are still in use
+      const response = await axios.put('/api/admin/settings/remnants', {
+        markdownPercent: remnants.markdownPercent,
+        thresholds: Object.fromEntries(
+          categories.map(category => [category.slug, remnants.thresholds[category.slug] ?? 0])
+        )
+      });
+      setRemnants(response.data.remnants);
+      setMessage('Remnant settings saved');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDiscountChange = (role, field, value) => {
+    setDiscounts(prev => ({
+      ...prev,
+      [role]: {
+        ...prev[role],
+        [field]: value
+      }
+    }));
+  };
+
+  const saveDiscounts = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await axios.put('/api/admin/settings/discounts', {
+        staff: discounts.staff,
+        admin: discounts.admin
+      });
+      setDiscounts(response.data.discounts);
+      setMessage('Discount limits saved');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveTax = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await axios.put('/api/admin/settings/tax', {
+        registrationNumber: tax.registrationNumber
+      });
+      setTax(response.data.tax);
+      setMessage('Tax settings saved');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveBusiness = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await axios.put('/api/admin/settings/business', business);
+      setBusiness(response.data.business);
+      setMessage('Business details saved');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveQuotations = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await axios.put('/api/admin/settings/quotations', {
+        validDays: quotations.validDays
+      });
+      setQuotations(response.data.quotations);
+      setMessage('Quotation settings saved');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveLayaways = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await axios.put('/api/admin/settings/layaways', {
+        expiryDays: layaways.expiryDays
+      });
+      setLayaways(response.data.layaways);
+      setMessage('Layaway settings saved');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save settings');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const savePin = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      const response = await axios.put('/api/admin/approval-pin', pinForm);
+      setPinForm({ pin: '', password: '' });
+      setMessage(response.data.message);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save PIN');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded text-sm">
+          {message}
+        </div>
+      )}
+
+      {remnants && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Remnants</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            A roll becomes a remnant once less than its category's threshold is left on it. Remnants sell from their own section at the markdown price.
+          </p>
+          <form onSubmit={saveRemnants} className="space-y-4">
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Markdown (%)
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="1"
+                value={remnants.markdownPercent}
+                onChange={(e) => setRemnants(prev => ({ ...prev, markdownPercent: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {categories.map(category => (
+                <div key={category.slug}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {category.name} threshold
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={remnants.thresholds[category.slug] ?? ''}
+                    onChange={(e) => handleThresholdChange(category.slug, e.target.value)}
+                    className="input-field"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Remnant Settings'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {discounts && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Discount Limits</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            The largest discount each role can give on a sale without an admin approving it. A limit set on a user in Users overrides their role's.
+          </p>
+          <form onSubmit={saveDiscounts} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {['staff', 'admin'].map(role => (
+                <div key={role}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">
+                    {role}
+                  </label>
+                  <div className="flex space-x-2">
+                    <select
+                      value={discounts[role].type}
+                      onChange={(e) => handleDiscountChange(role, 'type', e.target.value)}
+                      className="input-field w-40"
+                    >
+                      <option value="percent">Percent (%)</option>
+                      <option value="amount">Amount (₦)</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      max={discounts[role].type === 'percent' ? 100 : undefined}
+                      step="any"
+                      value={discounts[role].value}
+                      onChange={(e) => handleDiscountChange(role, 'value', e.target.value)}
+                      className="input-field flex-1"
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Discount Limits'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {tax && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Tax</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Printed on receipts that include tax. Rates are managed under Tax Rates.
+          </p>
+          <form onSubmit={saveTax} className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Tax registration number
+              </label>
+              <input
+                type="text"
+                maxLength={50}
+                value={tax.registrationNumber}
+                onChange={(e) => setTax(prev => ({ ...prev, registrationNumber: e.target.value }))}
+                className="input-field"
+                placeholder="e.g. TIN or VAT number"
+              />
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Tax Settings'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {business && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Business Details</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Printed at the top of A4 invoices and quotations.
+          </p>
+          <form onSubmit={saveBusiness} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Business name *</label>
+              <input
+                type="text"
+                maxLength={100}
+                value={business.name}
+                onChange={(e) => setBusiness(prev => ({ ...prev, name: e.target.value }))}
+                className="input-field"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+              <input
+                type="text"
+                maxLength={30}
+                value={business.phone}
+                onChange={(e) => setBusiness(prev => ({ ...prev, phone: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+              <textarea
+                rows={2}
+                maxLength={300}
+                value={business.address}
+                onChange={(e) => setBusiness(prev => ({ ...prev, address: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                value={business.email}
+                onChange={(e) => setBusiness(prev => ({ ...prev, email: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div className="md:col-span-2 flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Business Details'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {quotations && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Quotations</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            How many days a new quotation holds its prices. Stock is not reserved for quotations.
+          </p>
+          <form onSubmit={saveQuotations} className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Valid for (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="365"
+                step="1"
+                value={quotations.validDays}
+                onChange={(e) => setQuotations(prev => ({ ...prev, validDays: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Quotation Settings'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {layaways && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Layaways</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            How many days a new layaway holds its stock. If it is not collected by then, the stock goes back on the shelf and what the customer paid becomes store credit.
+          </p>
+          <form onSubmit={saveLayaways} className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Expires after (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="365"
+                step="1"
+                value={layaways.expiryDays}
+                onChange={(e) => setLayaways(prev => ({ ...prev, expiryDays: e.target.value }))}
+                className="input-field"
+              />
+            </div>
+            <div className="flex justify-end">
+              <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+                {saving ? 'Saving...' : 'Save Layaway Settings'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-1">Your Approval PIN</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Enter this PIN on a till to approve a discount above the seller's limit. Only admins with a PIN are offered as approvers.
+        </p>
+        <form onSubmit={savePin} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              New PIN (4-8 digits)
+            </label>
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="off"
+              value={pinForm.pin}
+              onChange={(e) => setPinForm(prev => ({ ...prev, pin: e.target.value }))}
+              className="input-field"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Your password
+            </label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={pinForm.password}
+              onChange={(e) => setPinForm(prev => ({ ...prev, password: e.target.value }))}
+              className="input-field"
+              required
+            />
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save PIN'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
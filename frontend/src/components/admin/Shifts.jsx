@@ -0,0 +1,342 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RefreshCw, Printer, ChevronDown, ChevronRight } from 'lucide-react';
+
+const weekAgo = () => {
+  const date = new Date();
+  date.setDate(date.getDate() - 7);
+  return date.toISOString().split('T')[0];
+};
+
+const Shifts = () => {
+  const [shifts, setShifts] = useState([]);
+  const [staffMembers, setStaffMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedShift, setExpandedShift] = useState(null);
+  const [shiftDetail, setShiftDetail] = useState(null);
+  const [filters, setFilters] = useState({
+    dateFrom: weekAgo(),
+    dateTo: new Date().toISOString().split('T')[0],
+    staffId: '',
+    status: ''
+  });
+
+  useEffect(() => {
+    fetchStaffMembers();
+  }, []);
+
+  useEffect(() => {
+    fetchShifts();
+  }, [filters]);
+
+  const fetchStaffMembers = async () => {
+    try {
+      const response = await axios.get('/api/admin/users');
+      setStaffMembers(response.data.filter(user => user.isActive));
+    } catch (error) {
+      console.error('Error fetching staff members:', error);
+    }
+  };
+
+  const fetchShifts = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+
+      const response = await axios.get(`/api/admin/shifts?${params}`);
+      setShifts(response.data);
+    } catch (error) {
+      console.error('Error fetching shifts:', error);
+      setError('Failed to load shifts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleShift = async (shift) => {
+    if (expandedShift === shift._id) {
+      setExpandedShift(null);
+      return;
+    }
+
+    setExpandedShift(shift._id);
+    setShiftDetail(null);
+    try {
+      const response = await axios.get(`/api/admin/shifts/${shift._id}`);
+      setShiftDetail(response.data);
+    } catch (error) {
+      console.error('Error fetching shift:', error);
+    }
+  };
+
+  const downloadZReport = async (shift) => {
+    try {
+      const pdfResponse = await axios.get(`/api/staff/shifts/${shift._id}/z-report/pdf`, {
+        responseType: 'blob'
+      });
+
+      // Create blob link to download
+      const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `z-report-${shift.shiftNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (pdfError) {
+      console.error('Error downloading Z-report:', pdfError);
+      alert('Z-report could not be downloaded.');
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  const renderOverShort = (shift) => {
+    if (shift.status !== 'closed') {
+      return <span className="text-gray-400">-</span>;
+    }
+    if (shift.overShort === 0) {
+      return <span className="text-green-600">Balanced</span>;
+    }
+    return (
+      <span className={shift.overShort > 0 ? 'text-blue-600' : 'text-red-600 font-medium'}>
+        {shift.overShort > 0 ? 'Over ' : 'Short '}{formatCurrency(Math.abs(shift.overShort))}
+      </span>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Shifts</h1>
+        <button
+          onClick={fetchShifts}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              From Date
+            </label>
+            <input
+              type="date"
+              value={filters.dateFrom}
+              onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              To Date
+            </label>
+            <input
+              type="date"
+              value={filters.dateTo}
+              onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Cashier
+            </label>
+            <select
+              value={filters.staffId}
+              onChange={(e) => handleFilterChange('staffId', e.target.value)}
+              className="input-field"
+            >
+              <option value="">All Cashiers</option>
+              {staffMembers.map(staff => (
+                <option key={staff._id} value={staff._id}>
+                  {staff.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Status
+            </label>
+            <select
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+              className="input-field"
+            >
+              <option value="">All</option>
+              <option value="open">Open</option>
+              <option value="closed">Closed</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Shift List */}
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : error ? (
+          <div className="text-center text-red-600">
+            <p>{error}</p>
+            <button
+              onClick={fetchShifts}
+              className="btn-primary mt-4"
+            >
+              Try Again
+            </button>
+          </div>
+        ) : shifts.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No shifts found for the selected period</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Shift #</th>
+                  <th>Cashier</th>
+                  <th>Opened</th>
+                  <th>Closed</th>
+                  <th>Sales</th>
+                  <th>Expected Cash</th>
+                  <th>Counted</th>
+                  <th>Over/Short</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {shifts.map((shift) => (
+                  <React.Fragment key={shift._id}>
+                    <tr>
+                      <td>
+                        <button
+                          onClick={() => toggleShift(shift)}
+                          className="text-gray-600 hover:text-gray-900 p-1"
+                          title="Show sales"
+                        >
+                          {expandedShift === shift._id ? (
+                            <ChevronDown className="h-4 w-4" />
+                          ) : (
+                            <ChevronRight className="h-4 w-4" />
+                          )}
+                        </button>
+                      </td>
+                      <td className="font-mono text-sm">{shift.shiftNumber}</td>
+                      <td>{shift.openedBy?.name || '-'}</td>
+                      <td>{new Date(shift.openedAt).toLocaleString()}</td>
+                      <td>
+                        {shift.status === 'open' ? (
+                          <span className="text-xs px-2 py-1 rounded bg-green-100 text-green-800">Open</span>
+                        ) : (
+                          new Date(shift.closedAt).toLocaleString()
+                        )}
+                      </td>
+                      <td>
+                        {formatCurrency(shift.totals.totalSales)}
+                        <p className="text-xs text-gray-500">{shift.totals.salesCount} sales</p>
+                      </td>
+                      <td>{formatCurrency(shift.expectedCash)}</td>
+                      <td>{shift.status === 'closed' ? formatCurrency(shift.countedCash) : '-'}</td>
+                      <td>{renderOverShort(shift)}</td>
+                      <td>
+                        {shift.status === 'closed' && (
+                          <button
+                            onClick={() => downloadZReport(shift)}
+                            className="text-gray-600 hover:text-gray-900 p-1"
+                            title="Download Z-report"
+                          >
+                            <Printer className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedShift === shift._id && (
+                      <tr>
+                        <td colSpan="10" className="bg-gray-50">
+                          {!shiftDetail ? (
+                            <p className="text-sm text-gray-500">Loading...</p>
+                          ) : (
+                            <div className="space-y-3">
+                              <div className="flex flex-wrap gap-6 text-sm">
+                                <span>Float: {formatCurrency(shift.openingFloat)}</span>
+                                <span>Discounts: {formatCurrency(shift.totals.discounts)}</span>
+                                <span>Voids: {shift.totals.voidedCount} ({formatCurrency(shift.totals.voidedAmount)})</span>
+                                <span>Returns: {shift.totals.returnsCount}</span>
+                                {Object.entries(shift.totals.paymentTotals)
+                                  .filter(([, amount]) => amount > 0)
+                                  .map(([method, amount]) => (
+                                    <span key={method} className="capitalize">
+                                      {method.replace('_', ' ')}: {formatCurrency(amount)}
+                                    </span>
+                                  ))}
+                              </div>
+                              {shift.notes && (
+                                <p className="text-sm text-gray-600">Notes: {shift.notes}</p>
+                              )}
+                              {shiftDetail.sales.length === 0 ? (
+                                <p className="text-sm text-gray-500">No sales in this shift</p>
+                              ) : (
+                                <div className="space-y-1">
+                                  {shiftDetail.sales.map((sale) => (
+                                    <div key={sale._id} className="flex justify-between text-sm">
+                                      <span className="font-mono">
+                                        {sale.saleNumber}
+                                        {sale.status === 'cancelled' && (
+                                          <span className="ml-2 text-xs text-red-600">Voided</span>
+                                        )}
+                                      </span>
+                                      <span>{sale.customerName}</span>
+                                      <span className="capitalize">
+                                        {sale.payments.map(payment => payment.method.replace('_', ' ')).join(', ')}
+                                      </span>
+                                      <span className={sale.status === 'cancelled' ? 'text-gray-400 line-through' : ''}>
+                                        {formatCurrency(sale.finalAmount)}
+                                      </span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Shifts;
@@ -9,6 +9,7 @@ const StockHistory = () => {
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     productId: '',
+    reason: '',
     dateFrom: '',
     dateTo: '',
     page: 1,
@@ -40,6 +41,7 @@ const StockHistory = () => {
 
       const params = new URLSearchParams();
       if (filters.productId) params.append('productId', filters.productId);
+      if (filters.reason) params.append('reason', filters.reason);
       if (filters.dateFrom) params.append('dateFrom', filters.dateFrom);
       if (filters.dateTo) params.append('dateTo', filters.dateTo);
       params.append('page', filters.page);
@@ -75,10 +77,26 @@ const StockHistory = () => {
       case 'added': return 'text-green-600 bg-green-100';
       case 'sold': return 'text-blue-600 bg-blue-100';
       case 'adjusted': return 'text-orange-600 bg-orange-100';
+      case 'voided': return 'text-red-600 bg-red-100';
+      case 'returned': return 'text-purple-600 bg-purple-100';
+      case 'reserved': return 'text-yellow-700 bg-yellow-100';
+      case 'released': return 'text-teal-600 bg-teal-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
 
+  const adjustmentReasons = [
+    { value: 'damaged', label: 'Damaged' },
+    { value: 'theft', label: 'Theft' },
+    { value: 'measurement_error', label: 'Measurement error' },
+    { value: 'found', label: 'Found' },
+    { value: 'sample', label: 'Sample' },
+    { value: 'gift', label: 'Gift' },
+    { value: 'stocktake', label: 'Stocktake' }
+  ];
+
+  const formatReason = (reason) => adjustmentReasons.find(r => r.value === reason)?.label || reason;
+
   const formatCurrency = (amount) => {
     return `₦${amount.toLocaleString()}`;
   };
@@ -132,7 +150,7 @@ const StockHistory = () => {
       {/* Filters */}
       <div className="card">
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Filters</h2>
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Product
@@ -151,6 +169,24 @@ const StockHistory = () => {
             </select>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Adjustment Reason
+            </label>
+            <select
+              value={filters.reason}
+              onChange={(e) => handleFilterChange('reason', e.target.value)}
+              className="input-field"
+            >
+              <option value="">All Movements</option>
+              {adjustmentReasons.map(reason => (
+                <option key={reason.value} value={reason.value}>
+                  {reason.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               From Date
@@ -229,7 +265,7 @@ const StockHistory = () => {
                     <th>Quantity</th>
                     <th>Stock Change</th>
                     <th>Performed By</th>
-                    <th>Related Sale</th>
+                    <th>Reference</th>
                     <th>Notes</th>
                   </tr>
                 </thead>
@@ -258,9 +294,20 @@ const StockHistory = () => {
                         <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getActionColor(entry.action)}`}>
                           {entry.action}
                         </span>
+                        {entry.reason && (
+                          <p className="text-xs text-gray-500 mt-1">{formatReason(entry.reason)}</p>
+                        )}
                       </td>
                       <td className="font-medium">
                         {entry.quantity} {entry.unit}
+                        {entry.rollId && (
+                          <p className="text-xs text-gray-500 font-normal">Roll {entry.rollId}</p>
+                        )}
+                        {entry.enteredUnit && (
+                          <p className="text-xs text-gray-500 font-normal">
+                            Entered as {entry.enteredQuantity} {entry.enteredUnit}
+                          </p>
+                        )}
                       </td>
                       <td>
                         <div className="text-sm">
@@ -288,6 +335,19 @@ const StockHistory = () => {
                               {entry.sale.customerName}
                             </p>
                           </div>
+                        ) : entry.stocktake ? (
+                          <p className="font-medium text-blue-600">
+                            {entry.stocktake.stocktakeNumber}
+                          </p>
+                        ) : entry.purchaseOrder ? (
+                          <div>
+                            <p className="font-medium text-blue-600">
+                              {entry.purchaseOrder.poNumber}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {entry.purchaseOrder.supplierName}
+                            </p>
+                          </div>
                         ) : (
                           <span className="text-gray-400">-</span>
                         )}
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Plus, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
+
+const Stocktakes = () => {
+  const [stocktakes, setStocktakes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchStocktakes();
+  }, []);
+
+  const fetchStocktakes = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/stocktakes');
+      setStocktakes(response.data);
+    } catch (error) {
+      console.error('Error fetching stocktakes:', error);
+      setError('Failed to load stocktakes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDetail = async (stocktakeId) => {
+    setDetail(null);
+    try {
+      const response = await axios.get(`/api/admin/stocktakes/${stocktakeId}`);
+      setDetail(response.data);
+    } catch (error) {
+      console.error('Error fetching stocktake:', error);
+      setError('Failed to load stocktake');
+    }
+  };
+
+  const toggleStocktake = (stocktake) => {
+    if (expandedId === stocktake._id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(stocktake._id);
+    fetchDetail(stocktake._id);
+  };
+
+  const openStocktake = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await axios.post('/api/admin/stocktakes', { notes });
+      setNotes('');
+      await fetchStocktakes();
+      setExpandedId(response.data.stocktake._id);
+      fetchDetail(response.data.stocktake._id);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to open stocktake');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (stocktake, action) => {
+    const prompt = action === 'approve'
+      ? `Approve ${stocktake.stocktakeNumber}? Every counted product will be set to its counted quantity.`
+      : `Cancel ${stocktake.stocktakeNumber}? Counts entered so far will not be posted.`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await axios.post(`/api/admin/stocktakes/${stocktake._id}/${action}`);
+      await fetchStocktakes();
+      fetchDetail(stocktake._id);
+    } catch (error) {
+      setError(error.response?.data?.message || `Failed to ${action} stocktake`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'open': return 'text-blue-600 bg-blue-100';
+      case 'approved': return 'text-green-600 bg-green-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  const varianceClass = (value) => {
+    if (value === null || value === undefined || value === 0) return 'text-gray-600';
+    return value < 0 ? 'text-red-600' : 'text-green-600';
+  };
+
+  const hasOpenStocktake = stocktakes.some(stocktake => stocktake.status === 'open');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Stocktakes</h1>
+        <button
+          onClick={fetchStocktakes}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {!hasOpenStocktake && !loading && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Start a Count</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Staff enter measured quantities from the Stocktake page. Stock is only changed when you approve.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className="input-field flex-1"
+              placeholder="Notes, e.g. month-end count"
+            />
+            <button
+              onClick={openStocktake}
+              disabled={submitting}
+              className="btn-primary flex items-center justify-center disabled:opacity-50"
+            >
+              <Plus className="mr-2 h-5 w-5" />
+              Open Stocktake
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : stocktakes.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No stocktakes yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Stocktake</th>
+                  <th>Opened</th>
+                  <th>Status</th>
+                  <th>Net Variance</th>
+                  <th>Approved By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stocktakes.map((stocktake) => (
+                  <React.Fragment key={stocktake._id}>
+                    <tr className="cursor-pointer hover:bg-gray-50" onClick={() => toggleStocktake(stocktake)}>
+                      <td>
+                        {expandedId === stocktake._id
+                          ? <ChevronDown className="h-4 w-4 text-gray-500" />
+                          : <ChevronRight className="h-4 w-4 text-gray-500" />}
+                      </td>
+                      <td>
+                        <p className="font-medium text-gray-900">{stocktake.stocktakeNumber}</p>
+                        {stocktake.notes && <p className="text-xs text-gray-500">{stocktake.notes}</p>}
+                      </td>
+                      <td>
+                        <p>{new Date(stocktake.openedAt).toLocaleDateString()}</p>
+                        <p className="text-xs text-gray-500">{stocktake.openedBy?.name}</p>
+                      </td>
+                      <td>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${getStatusColor(stocktake.status)}`}>
+                          {stocktake.status}
+                        </span>
+                      </td>
+                      <td className={varianceClass(stocktake.summary?.netVarianceValue)}>
+                        {stocktake.summary ? formatCurrency(stocktake.summary.netVarianceValue) : '-'}
+                      </td>
+                      <td>{stocktake.approvedBy?.name || '-'}</td>
+                    </tr>
+                    {expandedId === stocktake._id && (
+                      <tr>
+                        <td colSpan="6" className="bg-gray-50">
+                          {!detail ? (
+                            <p className="text-sm text-gray-500 py-4">Loading...</p>
+                          ) : (
+                            <div className="space-y-4 py-2">
+                              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                                <div>
+                                  <p className="text-gray-500">Counted</p>
+                                  <p className="font-semibold">{detail.summary.productsCounted} of {detail.summary.productsTotal} products</p>
+                                </div>
+                                <div>
+                                  <p className="text-gray-500">Shortage</p>
+                                  <p className="font-semibold text-red-600">{formatCurrency(detail.summary.shortageValue)}</p>
+                                </div>
+                                <div>
+                                  <p className="text-gray-500">Surplus</p>
+                                  <p className="font-semibold text-green-600">{formatCurrency(detail.summary.surplusValue)}</p>
+                                </div>
+                                <div>
+                                  <p className="text-gray-500">Net Variance</p>
+                                  <p className={`font-semibold ${varianceClass(detail.summary.netVarianceValue)}`}>
+                                    {formatCurrency(detail.summary.netVarianceValue)}
+                                  </p>
+                                </div>
+                              </div>
+
+                              <table className="table">
+                                <thead>
+                                  <tr>
+                                    <th>Product</th>
+                                    <th>System Stock</th>
+                                    <th>Counted</th>
+                                    <th>Variance</th>
+                                    <th>Value</th>
+                                    <th>Counted By</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {detail.lines.map(line => (
+                                    <tr key={line.product}>
+                                      <td>{line.productName}</td>
+                                      <td>{line.expectedStock} {line.unit}</td>
+                                      <td>
+                                        {line.countedQuantity !== null
+                                          ? `${line.countedQuantity} ${line.unit}`
+                                          : <span className="text-gray-400">Not counted</span>}
+                                      </td>
+                                      <td className={varianceClass(line.variance)}>
+                                        {line.variance !== null ? `${line.variance > 0 ? '+' : ''}${line.variance} ${line.unit}` : '-'}
+                                      </td>
+                                      <td className={varianceClass(line.varianceValue)}>
+                                        {line.varianceValue !== null ? formatCurrency(line.varianceValue) : '-'}
+                                      </td>
+                                      <td className="text-sm text-gray-600">{line.countedBy?.name || '-'}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+
+                              {stocktake.status === 'open' && (
+                                <div className="flex justify-end space-x-3">
+                                  <button
+                                    onClick={() => runAction(stocktake, 'cancel')}
+                                    disabled={submitting}
+                                    className="btn-secondary disabled:opacity-50"
+                                  >
+                                    Cancel Stocktake
+                                  </button>
+                                  <button
+                                    onClick={() => runAction(stocktake, 'approve')}
+                                    disabled={submitting || detail.summary.productsCounted === 0}
+                                    className="btn-primary disabled:opacity-50"
+                                  >
+                                    Approve & Update Stock
+                                  </button>
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Stocktakes;
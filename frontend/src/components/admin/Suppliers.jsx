@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus } from 'lucide-react';
+
+const emptyForm = {
+  name: '',
+  contactName: '',
+  phone: '',
+  email: '',
+  address: '',
+  notes: ''
+};
+
+const Suppliers = () => {
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, []);
+
+  const fetchSuppliers = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/suppliers');
+      setSuppliers(response.data);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+      setError('Failed to load suppliers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAddForm = () => {
+    setFormData(emptyForm);
+    setEditingSupplier(null);
+    setError('');
+    setShowForm(true);
+  };
+
+  const openEditForm = (supplier) => {
+    setFormData({
+      name: supplier.name,
+      contactName: supplier.contactName || '',
+      phone: supplier.phone || '',
+      email: supplier.email || '',
+      address: supplier.address || '',
+      notes: supplier.notes || ''
+    });
+    setEditingSupplier(supplier);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      if (editingSupplier) {
+        await axios.put(`/api/admin/suppliers/${editingSupplier._id}`, formData);
+      } else {
+        await axios.post('/api/admin/suppliers', formData);
+      }
+      setShowForm(false);
+      fetchSuppliers();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save supplier');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Remove ${supplier.name} from the supplier list? Past purchase orders are kept.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/suppliers/${supplier._id}`);
+      fetchSuppliers();
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      setError('Failed to delete supplier');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Suppliers</h1>
+        <button
+          onClick={openAddForm}
+          className="btn-primary flex items-center"
+        >
+          <Plus className="mr-2 h-5 w-5" />
+          Add Supplier
+        </button>
+      </div>
+
+      {error && !showForm && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingSupplier ? 'Edit Supplier' : 'New Supplier'}
+          </h2>
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input type="text" name="name" value={formData.name} onChange={handleInputChange} className="input-field" placeholder="Supplier name *" required />
+            <input type="text" name="contactName" value={formData.contactName} onChange={handleInputChange} className="input-field" placeholder="Contact person" />
+            <input type="tel" name="phone" value={formData.phone} onChange={handleInputChange} className="input-field" placeholder="Phone number" />
+            <input type="email" name="email" value={formData.email} onChange={handleInputChange} className="input-field" placeholder="Email" />
+            <input type="text" name="address" value={formData.address} onChange={handleInputChange} className="input-field md:col-span-2" placeholder="Address" />
+            <textarea name="notes" value={formData.notes} onChange={handleInputChange} rows="2" className="input-field md:col-span-2" placeholder="Notes, e.g. lead times or payment terms" />
+            <div className="md:col-span-2 flex justify-end space-x-3">
+              <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+                {submitting ? 'Saving...' : (editingSupplier ? 'Update Supplier' : 'Save Supplier')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : suppliers.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No suppliers yet. Add one to start raising purchase orders.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Contact</th>
+                  <th>Phone</th>
+                  <th>Email</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.map((supplier) => (
+                  <tr key={supplier._id}>
+                    <td>
+                      <p className="font-medium text-gray-900">{supplier.name}</p>
+                      {supplier.address && <p className="text-sm text-gray-500">{supplier.address}</p>}
+                    </td>
+                    <td>{supplier.contactName || '-'}</td>
+                    <td>{supplier.phone || '-'}</td>
+                    <td>{supplier.email || '-'}</td>
+                    <td>
+                      <button
+                        onClick={() => openEditForm(supplier)}
+                        className="text-blue-600 hover:text-blue-900 mr-4 p-1"
+                        title="Edit supplier"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(supplier)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete supplier"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Suppliers;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Edit, Trash2, Plus } from 'lucide-react';
+
+const emptyForm = {
+  name: '',
+  rate: '',
+  inclusive: true,
+  isDefault: false
+};
+
+const TaxRates = () => {
+  const [taxRates, setTaxRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingRate, setEditingRate] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTaxRates();
+  }, []);
+
+  const fetchTaxRates = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/tax-rates');
+      setTaxRates(response.data);
+    } catch (error) {
+      console.error('Error fetching tax rates:', error);
+      setError('Failed to load tax rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAddForm = () => {
+    setFormData({ ...emptyForm, isDefault: taxRates.length === 0 });
+    setEditingRate(null);
+    setError('');
+    setShowForm(true);
+  };
+
+  const openEditForm = (taxRate) => {
+    setFormData({
+      name: taxRate.name,
+      rate: taxRate.rate.toString(),
+      inclusive: taxRate.inclusive,
+      isDefault: taxRate.isDefault
+    });
+    setEditingRate(taxRate);
+    setError('');
+    setShowForm(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const submitData = {
+        ...formData,
+        rate: parseFloat(formData.rate)
+      };
+      if (editingRate) {
+        await axios.put(`/api/admin/tax-rates/${editingRate._id}`, submitData);
+      } else {
+        await axios.post('/api/admin/tax-rates', submitData);
+      }
+      setShowForm(false);
+      fetchTaxRates();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save tax rate');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (taxRate) => {
+    if (!window.confirm(`Delete ${taxRate.name}? Categories and products using it will fall back to the default rate.`)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await axios.delete(`/api/admin/tax-rates/${taxRate._id}`);
+      fetchTaxRates();
+    } catch (error) {
+      console.error('Error deleting tax rate:', error);
+      setError(error.response?.data?.message || 'Failed to delete tax rate');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tax Rates</h1>
+          <p className="text-sm text-gray-600">
+            Products use their own rate, then their category's, then the default. Inclusive rates are already in the price; exclusive rates are added at the till.
+          </p>
+        </div>
+        <button
+          onClick={openAddForm}
+          className="btn-primary flex items-center"
+        >
+          <Plus className="mr-2 h-5 w-5" />
+          Add Tax Rate
+        </button>
+      </div>
+
+      {error && !showForm && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingRate ? 'Edit Tax Rate' : 'New Tax Rate'}
+          </h2>
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+              <input type="text" name="name" value={formData.name} onChange={handleInputChange} className="input-field" placeholder="e.g. VAT" required />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rate (%) *</label>
+              <input type="number" name="rate" value={formData.rate} onChange={handleInputChange} min="0" max="100" step="0.01" className="input-field" placeholder="e.g. 7.5" required />
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input type="checkbox" name="inclusive" checked={formData.inclusive} onChange={handleInputChange} />
+              <span>Prices already include this tax</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input type="checkbox" name="isDefault" checked={formData.isDefault} onChange={handleInputChange} />
+              <span>Default for products and categories without their own rate</span>
+            </label>
+            <div className="md:col-span-2 flex justify-end space-x-3">
+              <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+                {submitting ? 'Saving...' : (editingRate ? 'Update Tax Rate' : 'Save Tax Rate')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          </div>
+        ) : taxRates.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No tax rates. Sales are not taxed until one is added.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Rate</th>
+                  <th>Pricing</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {taxRates.map((taxRate) => (
+                  <tr key={taxRate._id}>
+                    <td>
+                      <span className="font-medium text-gray-900">{taxRate.name}</span>
+                      {taxRate.isDefault && (
+                        <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium text-blue-700 bg-blue-100">Default</span>
+                      )}
+                    </td>
+                    <td>{taxRate.rate}%</td>
+                    <td>{taxRate.inclusive ? 'Included in price' : 'Added at the till'}</td>
+                    <td>
+                      <button
+                        onClick={() => openEditForm(taxRate)}
+                        className="text-blue-600 hover:text-blue-900 mr-4 p-1"
+                        title="Edit tax rate"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(taxRate)}
+                        className="text-red-600 hover:text-red-900 p-1"
+                        title="Delete tax rate"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxRates;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { RefreshCw, Landmark, DollarSign, ShoppingCart } from 'lucide-react';
+
+const monthStart = () => {
+  const date = new Date();
+  date.setDate(1);
+  return date.toISOString().split('T')[0];
+};
+
+const TaxReport = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({
+    dateFrom: monthStart(),
+    dateTo: new Date().toISOString().split('T')[0]
+  });
+
+  useEffect(() => {
+    fetchTaxReport();
+  }, [filters]);
+
+  const fetchTaxReport = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axios.get('/api/admin/tax-report', { params: filters });
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching tax report:', error);
+      setError('Failed to load tax report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Tax Report</h1>
+        <button
+          onClick={fetchTaxReport}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              From Date
+            </label>
+            <input
+              type="date"
+              value={filters.dateFrom}
+              onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              To Date
+            </label>
+            <input
+              type="date"
+              value={filters.dateTo}
+              onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+              className="input-field"
+            />
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="card">
+          <div className="text-center text-red-600">
+            <p>{error}</p>
+            <button
+              onClick={fetchTaxReport}
+              className="btn-primary mt-4"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Summary Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="card">
+              <div className="flex items-center">
+                <Landmark className="h-8 w-8 text-blue-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Tax Collected</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.taxAmount)}</p>
+                  <p className="text-xs text-gray-500">net of returns</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="flex items-center">
+                <DollarSign className="h-8 w-8 text-green-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Taxable Sales</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.taxableAmount)}</p>
+                  <p className="text-xs text-gray-500">excluding tax</p>
+                </div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="flex items-center">
+                <ShoppingCart className="h-8 w-8 text-gray-600" />
+                <div className="ml-4">
+                  <p className="text-sm font-medium text-gray-600">Untaxed Sales</p>
+                  <p className="text-2xl font-bold text-gray-900">{formatCurrency(data.summary.untaxedSales)}</p>
+                  <p className="text-xs text-gray-500">{data.summary.transactions} sales in period</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Per-rate table */}
+          <div className="card">
+            {data.rates.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">No taxed sales found for the selected period</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Tax</th>
+                      <th>Pricing</th>
+                      <th>Sales</th>
+                      <th>Taxable Amount</th>
+                      <th>Tax</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.rates.map((row) => (
+                      <tr key={`${row.tax}-${row.rate}-${row.inclusive}`}>
+                        <td className="font-medium text-gray-900">{row.name} {row.rate}%</td>
+                        <td>{row.inclusive ? 'Inclusive' : 'Exclusive'}</td>
+                        <td>{row.transactions}</td>
+                        <td>{formatCurrency(row.taxableAmount)}</td>
+                        <td className="font-semibold">{formatCurrency(row.taxAmount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaxReport;
@@ -59,6 +59,46 @@ const UserManagement = () => {
     }
   };
 
+  const formatLimit = (limit) => {
+    if (!limit) return 'Role default';
+    return limit.type === 'percent' ? `${limit.value}%` : `₦${limit.value.toLocaleString()}`;
+  };
+
+  // "10%" is a percentage of the sale, "5000" a fixed amount, blank the role's limit
+  const handleDiscountLimitChange = async (user) => {
+    const current = user.discountLimit ? formatLimit(user.discountLimit).replace('₦', '').replace(/,/g, '') : '';
+    const input = window.prompt(
+      `Discount limit for ${user.name}.\nEnter a percentage (e.g. 10%), an amount in naira (e.g. 5000), or leave blank to use the ${user.role} limit from Settings.`,
+      current
+    );
+    if (input === null) {
+      return;
+    }
+
+    const text = input.trim();
+    const limit = text === ''
+      ? { type: null }
+      : { type: text.endsWith('%') ? 'percent' : 'amount', value: text.replace('%', '').trim() };
+
+    try {
+      setUpdatingUser(user._id);
+      const response = await axios.put(`/api/admin/users/${user._id}/discount-limit`, limit);
+      setUsers(users.map(existing =>
+        existing._id === user._id ? { ...existing, discountLimit: response.data.user.discountLimit } : existing
+      ));
+      setError(null);
+    } catch (error) {
+      console.error('Error updating discount limit:', error);
+      if (error.response?.data?.errors) {
+        setError(Object.values(error.response.data.errors).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to update discount limit');
+      }
+    } finally {
+      setUpdatingUser(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -114,6 +154,9 @@ const UserManagement = () => {
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Status
               </th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Discount Limit
+              </th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                 Created
               </th>
@@ -149,6 +192,16 @@ const UserManagement = () => {
                     {user.isActive ? 'Active' : 'Inactive'}
                   </span>
                 </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                  <button
+                    onClick={() => handleDiscountLimitChange(user)}
+                    disabled={updatingUser === user._id}
+                    className={`hover:underline disabled:opacity-50 ${user.discountLimit ? 'text-gray-900' : 'text-gray-500'}`}
+                    title="Change discount limit"
+                  >
+                    {formatLimit(user.discountLimit)}
+                  </button>
+                </td>
                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                   {formatDate(user.createdAt)}
                 </td>
@@ -0,0 +1,373 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { ArrowLeft, DollarSign, ShoppingCart, Calendar, Edit, Wallet } from 'lucide-react';
+
+const CustomerProfile = () => {
+  const { customerId } = useParams();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [formData, setFormData] = useState({});
+  const [error, setError] = useState('');
+  const [ledger, setLedger] = useState(null);
+  const [repayment, setRepayment] = useState({ amount: '', method: 'cash', reference: '' });
+  const [recordingRepayment, setRecordingRepayment] = useState(false);
+
+  useEffect(() => {
+    fetchProfile();
+    fetchLedger();
+  }, [customerId]);
+
+  const fetchLedger = async () => {
+    try {
+      const response = await axios.get(`/api/staff/customers/${customerId}/ledger`);
+      setLedger(response.data);
+    } catch (error) {
+      console.error('Error fetching credit ledger:', error);
+    }
+  };
+
+  const handleRepayment = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(repayment.amount);
+    if (isNaN(amount) || amount <= 0) {
+      alert('Please enter a valid amount');
+      return;
+    }
+
+    try {
+      setRecordingRepayment(true);
+      await axios.post(`/api/staff/customers/${customerId}/repayments`, {
+        amount,
+        method: repayment.method,
+        reference: repayment.reference.trim()
+      });
+      setRepayment({ amount: '', method: 'cash', reference: '' });
+      fetchLedger();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        alert(error.response.data.errors.map(err => err.msg).join('\n'));
+      } else {
+        alert(error.response?.data?.message || 'Failed to record repayment');
+      }
+    } finally {
+      setRecordingRepayment(false);
+    }
+  };
+
+  const fetchProfile = async () => {
+    try {
+      const response = await axios.get(`/api/staff/customers/${customerId}`);
+      setData(response.data);
+    } catch (error) {
+      console.error('Error fetching customer profile:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = () => {
+    const { customer } = data;
+    setFormData({
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email || '',
+      address: customer.address || '',
+      notes: customer.notes || ''
+    });
+    setError('');
+    setEditing(true);
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      await axios.put(`/api/staff/customers/${customerId}`, formData);
+      setEditing(false);
+      fetchProfile();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to update customer');
+      }
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return `₦${amount.toLocaleString()}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return <div className="text-center text-gray-500">Customer not found</div>;
+  }
+
+  const { customer, sales, stats } = data;
+
+  return (
+    <div className="space-y-6">
+      <Link to="/staff/customers" className="flex items-center text-gray-600 hover:text-gray-900">
+        <ArrowLeft className="h-5 w-5 mr-2" />
+        Customers
+      </Link>
+
+      {/* Customer Details */}
+      <div className="card">
+        {editing ? (
+          <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {error && (
+              <div className="md:col-span-2 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+                {error}
+              </div>
+            )}
+            <input type="text" name="name" value={formData.name} onChange={handleInputChange} className="input-field" placeholder="Name" />
+            <input type="tel" name="phone" value={formData.phone} onChange={handleInputChange} className="input-field" placeholder="Phone Number" />
+            <input type="email" name="email" value={formData.email} onChange={handleInputChange} className="input-field" placeholder="Email" />
+            <input type="text" name="address" value={formData.address} onChange={handleInputChange} className="input-field" placeholder="Address" />
+            <textarea name="notes" value={formData.notes} onChange={handleInputChange} rows="2" className="input-field md:col-span-2" placeholder="Notes, e.g. measurements or preferred fabrics" />
+            <div className="md:col-span-2 flex justify-end space-x-3">
+              <button type="button" onClick={() => setEditing(false)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary">
+                Save
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex justify-between items-start">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{customer.name}</h1>
+              <p className="text-gray-600">{customer.phone}</p>
+              {customer.email && <p className="text-sm text-gray-500">{customer.email}</p>}
+              {customer.address && <p className="text-sm text-gray-500">{customer.address}</p>}
+              {customer.notes && <p className="text-sm text-gray-500 mt-2">{customer.notes}</p>}
+              {customer.storeCreditBalance > 0 && (
+                <p className="text-sm text-green-700 mt-2">
+                  Store credit: {formatCurrency(customer.storeCreditBalance)}
+                </p>
+              )}
+            </div>
+            <button
+              onClick={startEditing}
+              className="text-gray-600 hover:text-gray-900 p-1"
+              title="Edit customer"
+            >
+              <Edit className="h-5 w-5" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Stats Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="card">
+          <div className="flex items-center">
+            <DollarSign className="h-8 w-8 text-green-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Lifetime Value</p>
+              <p className="text-2xl font-bold text-gray-900">{formatCurrency(stats.lifetimeValue)}</p>
+              {stats.totalRefunded > 0 && (
+                <p className="text-xs text-gray-500">after {formatCurrency(stats.totalRefunded)} refunded</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <ShoppingCart className="h-8 w-8 text-blue-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Purchases</p>
+              <p className="text-2xl font-bold text-gray-900">{stats.totalPurchases}</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="flex items-center">
+            <Calendar className="h-8 w-8 text-purple-600" />
+            <div className="ml-4">
+              <p className="text-sm font-medium text-gray-600">Last Visit</p>
+              <p className="text-2xl font-bold text-gray-900">
+                {stats.lastVisit ? new Date(stats.lastVisit).toLocaleDateString() : '-'}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Credit Account */}
+      {ledger && (ledger.transactions.length > 0 || ledger.balance !== 0) && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">Credit Account</h2>
+            <div className="flex items-center">
+              <Wallet className="h-5 w-5 text-orange-600 mr-2" />
+              <span className={`text-lg font-bold ${ledger.balance > 0 ? 'text-orange-600' : 'text-gray-900'}`}>
+                Owes {formatCurrency(Math.max(0, ledger.balance))}
+              </span>
+            </div>
+          </div>
+
+          {ledger.balance > 0 && (
+            <form onSubmit={handleRepayment} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                max={ledger.balance}
+                placeholder="Amount"
+                value={repayment.amount}
+                onChange={(e) => setRepayment(prev => ({ ...prev, amount: e.target.value }))}
+                className="input-field"
+              />
+              <select
+                value={repayment.method}
+                onChange={(e) => setRepayment(prev => ({ ...prev, method: e.target.value }))}
+                className="input-field"
+              >
+                <option value="cash">Cash</option>
+                <option value="card">Card</option>
+                <option value="transfer">Transfer</option>
+              </select>
+              <input
+                type="text"
+                placeholder="Reference (optional)"
+                value={repayment.reference}
+                onChange={(e) => setRepayment(prev => ({ ...prev, reference: e.target.value }))}
+                className="input-field"
+              />
+              <button
+                type="submit"
+                disabled={recordingRepayment}
+                className="btn-primary disabled:opacity-50"
+              >
+                {recordingRepayment ? 'Saving...' : 'Record Repayment'}
+              </button>
+            </form>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Type</th>
+                  <th>Sale #</th>
+                  <th>Amount</th>
+                  <th>Method</th>
+                  <th>Recorded By</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ledger.transactions.map((transaction) => (
+                  <tr key={transaction._id}>
+                    <td>{new Date(transaction.date).toLocaleDateString()}</td>
+                    <td className="capitalize">{transaction.type}</td>
+                    <td className="font-mono text-sm">{transaction.saleNumber || '-'}</td>
+                    <td className={transaction.type === 'charge' ? 'text-orange-600' : 'text-green-600'}>
+                      {transaction.type === 'charge' ? '+' : '-'}{formatCurrency(transaction.amount)}
+                    </td>
+                    <td className="capitalize">
+                      {transaction.method || '-'}
+                      {transaction.reference && (
+                        <span className="text-xs text-gray-500 ml-1">({transaction.reference})</span>
+                      )}
+                    </td>
+                    <td>{transaction.recordedBy?.name || '-'}</td>
+                    <td>{formatCurrency(transaction.balanceAfter)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Purchase History */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Purchase History</h2>
+        {sales.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No purchases yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Sale #</th>
+                  <th>Date</th>
+                  <th>Items</th>
+                  <th>Amount</th>
+                  <th>Payment</th>
+                  <th>Served By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sales.map((sale) => (
+                  <tr key={sale._id} className={sale.status === 'cancelled' ? 'bg-red-50' : ''}>
+                    <td className="font-mono text-sm">
+                      {sale.saleNumber}
+                      {sale.status === 'cancelled' && (
+                        <span className="ml-2 text-xs text-red-600">Voided</span>
+                      )}
+                    </td>
+                    <td>{new Date(sale.saleDate).toLocaleDateString()}</td>
+                    <td>
+                      <div className="space-y-1">
+                        {sale.items.map((item) => (
+                          <div key={item._id} className="text-sm">
+                            <span className="font-medium">{item.productName}</span>
+                            <span className="text-gray-500 ml-2">
+                              ({item.quantity} {item.unit})
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </td>
+                    <td className={sale.status === 'cancelled' ? 'text-gray-400 line-through' : 'font-semibold'}>
+                      {formatCurrency(sale.finalAmount)}
+                    </td>
+                    <td>
+                      {sale.payments.map((payment) => (
+                        <div key={payment._id} className="text-sm capitalize">
+                          {payment.method.replace('_', ' ')}
+                          {sale.payments.length > 1 && (
+                            <span className="text-gray-500 ml-1">{formatCurrency(payment.amount)}</span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td>{sale.soldBy?.name || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerProfile;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { Search, UserPlus } from 'lucide-react';
+
+const emptyForm = {
+  name: '',
+  phone: '',
+  email: '',
+  address: ''
+};
+
+const Customers = () => {
+  const [customers, setCustomers] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Search by phone when the term looks like a number, otherwise by name
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchCustomers(searchTerm.trim());
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const fetchCustomers = async (term) => {
+    try {
+      setLoading(true);
+      const params = { limit: 50 };
+      if (term) {
+        if (/^[\d\s+()-]+$/.test(term)) {
+          params.phone = term;
+        } else {
+          params.q = term;
+        }
+      }
+      const response = await axios.get('/api/staff/customers', { params });
+      setCustomers(response.data);
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await axios.post('/api/staff/customers', formData);
+      setFormData(emptyForm);
+      setShowAddForm(false);
+      fetchCustomers(searchTerm.trim());
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to add customer');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-2xl font-bold text-gray-900">Customers</h1>
+        <button
+          onClick={() => setShowAddForm(!showAddForm)}
+          className="btn-primary flex items-center"
+        >
+          <UserPlus className="mr-2 h-5 w-5" />
+          Add Customer
+        </button>
+      </div>
+
+      {showAddForm && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">New Customer</h2>
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+              {error}
+            </div>
+          )}
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="text"
+              name="name"
+              placeholder="Name *"
+              value={formData.name}
+              onChange={handleInputChange}
+              className="input-field"
+              required
+            />
+            <input
+              type="tel"
+              name="phone"
+              placeholder="Phone Number *"
+              value={formData.phone}
+              onChange={handleInputChange}
+              className="input-field"
+              required
+            />
+            <input
+              type="email"
+              name="email"
+              placeholder="Email"
+              value={formData.email}
+              onChange={handleInputChange}
+              className="input-field"
+            />
+            <input
+              type="text"
+              name="address"
+              placeholder="Address"
+              value={formData.address}
+              onChange={handleInputChange}
+              className="input-field"
+            />
+            <div className="md:col-span-2 flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setShowAddForm(false)}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="btn-primary disabled:opacity-50"
+              >
+                {submitting ? 'Saving...' : 'Save Customer'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="relative mb-4">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by phone number or name..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="input-field input-has-icon-left"
+          />
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+          </div>
+        ) : customers.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No customers found</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Phone</th>
+                  <th>Email</th>
+                  <th>Customer Since</th>
+                </tr>
+              </thead>
+              <tbody>
+                {customers.map((customer) => (
+                  <tr key={customer._id}>
+                    <td>
+                      <Link to={`/staff/customers/${customer._id}`} className="font-medium text-green-700 hover:underline">
+                        {customer.name}
+                      </Link>
+                    </td>
+                    <td>{customer.phone}</td>
+                    <td>{customer.email || '-'}</td>
+                    <td>{new Date(customer.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Customers;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { ShoppingCart, DollarSign, AlertTriangle, TrendingUp } from 'lucide-react';
+import ShiftPanel from './ShiftPanel';
 
 const Dashboard = () => {
   const [data, setData] = useState(null);
@@ -45,13 +46,15 @@ const Dashboard = () => {
         </button>
       </div>
 
+      <ShiftPanel shift={data.currentShift} onChange={fetchDashboardData} />
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <div className="card">
           <div className="flex items-center">
             <DollarSign className="h-8 w-8 text-green-600" />
             <div className="ml-4">
-              <p className="text-sm font-medium text-gray-600">Today's Sales</p>
+              <p className="text-sm font-medium text-gray-600">{data.currentShift ? 'Shift Sales' : 'Today\'s Sales'}</p>
               <p className="text-2xl font-bold text-gray-900">₦{data.todaySummary.totalSales.toLocaleString()}</p>
             </div>
           </div>
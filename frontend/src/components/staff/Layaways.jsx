@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Search, Wallet, PackageCheck, Receipt, X } from 'lucide-react';
+
+const emptyPayment = { method: 'cash', amount: '', reference: '', cashTendered: '' };
+
+const Layaways = () => {
+  const [layaways, setLayaways] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [active, setActive] = useState(null);
+  const [mode, setMode] = useState('payment');
+  const [payment, setPayment] = useState(emptyPayment);
+  const [submitting, setSubmitting] = useState(false);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchLayaways();
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const fetchLayaways = async () => {
+    try {
+      setLoading(true);
+      const params = {};
+      if (searchTerm.trim()) {
+        params.q = searchTerm.trim();
+      }
+      const response = await axios.get('/api/staff/layaways', { params });
+      setLayaways(response.data);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching layaways:', error);
+      setError('Failed to load layaways');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (layaway, formMode) => {
+    setActive(layaway);
+    setMode(formMode);
+    // Collecting pays off whatever is left in one tender
+    setPayment({ ...emptyPayment, amount: formMode === 'collect' ? String(layaway.balanceDue) : '' });
+    setError('');
+    setSuccess('');
+  };
+
+  const formatCurrency = (amount) => `₦${(amount || 0).toLocaleString()}`;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const amount = Number(payment.amount) || 0;
+    if (mode === 'payment' && amount <= 0) {
+      alert('Please enter the amount being paid');
+      return;
+    }
+    if (amount > active.balanceDue) {
+      alert(`Only ${formatCurrency(active.balanceDue)} is due`);
+      return;
+    }
+
+    const cashTendered = payment.method === 'cash' && payment.cashTendered !== ''
+      ? Number(payment.cashTendered)
+      : null;
+    if (cashTendered !== null && cashTendered < amount) {
+      alert('Cash tendered cannot be less than the payment');
+      return;
+    }
+
+    const payments = amount > 0
+      ? [{ method: payment.method, amount, reference: payment.reference.trim() || undefined }]
+      : [];
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/api/staff/layaways/${active._id}/${mode === 'collect' ? 'collect' : 'payments'}`, {
+        payments,
+        cashTendered
+      });
+      const { sale, changeDue } = response.data;
+
+      if (mode === 'collect') {
+        navigate(`/staff/receipt/${sale._id}`);
+        return;
+      }
+
+      setActive(null);
+      setSuccess(`${formatCurrency(amount)} paid on ${sale.saleNumber}. Balance due: ${formatCurrency(sale.balanceDue)}${changeDue > 0 ? `. Change due: ${formatCurrency(changeDue)}` : ''}`);
+      fetchLayaways();
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || (mode === 'collect' ? 'Failed to collect layaway' : 'Failed to record payment'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const daysLeft = (layaway) => Math.ceil((new Date(layaway.layaway.expiresAt) - new Date()) / (24 * 60 * 60 * 1000));
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Layaways</h1>
+        <p className="text-sm text-gray-600">
+          Reserved stock is held until the customer has paid in full and collected it. Uncollected layaways go back on the shelf when they expire, and what was paid becomes store credit.
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Search by sale number, customer or phone..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="input-field pl-10"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="p-3 bg-green-100 border border-green-400 text-green-700 rounded text-sm">
+          {success}
+        </div>
+      )}
+
+      {active && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              {mode === 'collect' ? 'Hand over' : 'Take a payment on'} {active.saleNumber} for {active.customerName}
+            </h2>
+            <button onClick={() => setActive(null)} className="text-gray-500 hover:text-gray-700">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Balance due</label>
+              <p className="text-xl font-bold text-gray-900">{formatCurrency(active.balanceDue)}</p>
+            </div>
+            {active.balanceDue > 0 && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Payment</label>
+                  <select
+                    value={payment.method}
+                    onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                    className="input-field"
+                  >
+                    <option value="cash">Cash</option>
+                    <option value="card">Card</option>
+                    <option value="transfer">Transfer</option>
+                    <option value="store_credit">Store credit</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    max={active.balanceDue}
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    readOnly={mode === 'collect'}
+                    className="input-field"
+                  />
+                </div>
+                {payment.method === 'cash' ? (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Cash tendered</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      placeholder={payment.amount}
+                      value={payment.cashTendered}
+                      onChange={(e) => setPayment({ ...payment, cashTendered: e.target.value })}
+                      className="input-field"
+                    />
+                  </div>
+                ) : (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                    <input
+                      type="text"
+                      maxLength={100}
+                      value={payment.reference}
+                      onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                      className="input-field"
+                    />
+                  </div>
+                )}
+              </>
+            )}
+            <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+              {submitting
+                ? 'Saving...'
+                : mode === 'collect'
+                  ? (active.balanceDue > 0 ? 'Pay & Hand Over' : 'Hand Over')
+                  : 'Record Payment'}
+            </button>
+          </form>
+          {payment.method === 'cash' && Number(payment.cashTendered) > Number(payment.amount) && (
+            <p className="mt-2 text-sm font-semibold text-green-700">
+              Change due: {formatCurrency(Math.round((Number(payment.cashTendered) - Number(payment.amount)) * 100) / 100)}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+          </div>
+        ) : layaways.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No open layaways</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Sale #</th>
+                  <th>Customer</th>
+                  <th>Items</th>
+                  <th>Total</th>
+                  <th>Paid</th>
+                  <th>Balance</th>
+                  <th>Reserved Until</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {layaways.map((layaway) => (
+                  <tr key={layaway._id}>
+                    <td>
+                      <p className="font-medium text-gray-900">{layaway.saleNumber}</p>
+                      <p className="text-xs text-gray-500">{layaway.soldBy?.name}</p>
+                    </td>
+                    <td>
+                      <p>{layaway.customerName}</p>
+                      {layaway.customerPhone && (
+                        <p className="text-xs text-gray-500">{layaway.customerPhone}</p>
+                      )}
+                    </td>
+                    <td className="text-sm">
+                      {layaway.items.map(item => item.productName).join(', ')}
+                    </td>
+                    <td>{formatCurrency(layaway.finalAmount)}</td>
+                    <td>{formatCurrency(layaway.amountPaid)}</td>
+                    <td className={`font-semibold ${layaway.balanceDue > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {layaway.balanceDue > 0 ? formatCurrency(layaway.balanceDue) : 'Paid'}
+                    </td>
+                    <td>
+                      <p>{new Date(layaway.layaway.expiresAt).toLocaleDateString()}</p>
+                      <p className={`text-xs ${daysLeft(layaway) <= 3 ? 'text-yellow-700' : 'text-gray-500'}`}>
+                        {daysLeft(layaway) <= 1 ? 'Last day' : `${daysLeft(layaway)} days left`}
+                      </p>
+                    </td>
+                    <td className="whitespace-nowrap">
+                      <button
+                        onClick={() => navigate(`/staff/receipt/${layaway._id}`)}
+                        className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+                        title="View receipt"
+                      >
+                        <Receipt className="h-4 w-4" />
+                      </button>
+                      {layaway.balanceDue > 0 && (
+                        <button
+                          onClick={() => openForm(layaway, 'payment')}
+                          className="text-green-600 hover:text-green-900 mr-4 p-1"
+                          title="Take a payment"
+                        >
+                          <Wallet className="h-4 w-4" />
+                        </button>
+                      )}
+                      <button
+                        onClick={() => openForm(layaway, 'collect')}
+                        className="text-blue-600 hover:text-blue-900 p-1"
+                        title="Hand over to the customer"
+                      >
+                        <PackageCheck className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Layaways;
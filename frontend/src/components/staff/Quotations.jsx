@@ -0,0 +1,321 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import { Search, Download, ShoppingCart, X } from 'lucide-react';
+
+const statusStyles = {
+  open: 'text-green-700 bg-green-100',
+  expired: 'text-yellow-700 bg-yellow-100',
+  converted: 'text-blue-700 bg-blue-100',
+  cancelled: 'text-gray-700 bg-gray-100'
+};
+
+const emptyPayment = { method: 'cash', reference: '', cashTendered: '' };
+
+const Quotations = () => {
+  const [quotations, setQuotations] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [converting, setConverting] = useState(null);
+  const [payment, setPayment] = useState(emptyPayment);
+  const [submitting, setSubmitting] = useState(false);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      fetchQuotations();
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [status, searchTerm]);
+
+  const fetchQuotations = async () => {
+    try {
+      setLoading(true);
+      const params = { status };
+      if (searchTerm.trim()) {
+        params.q = searchTerm.trim();
+      }
+      const response = await axios.get('/api/staff/quotations', { params });
+      setQuotations(response.data);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching quotations:', error);
+      setError('Failed to load quotations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadPdf = async (quotation) => {
+    try {
+      const pdfResponse = await axios.get(`/api/staff/quotations/${quotation._id}/pdf`, {
+        responseType: 'blob'
+      });
+
+      // Create blob link to download
+      const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `quotation-${quotation.quoteNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (pdfError) {
+      console.error('Error downloading quotation:', pdfError);
+      alert('Quotation PDF could not be downloaded.');
+    }
+  };
+
+  const handleCancel = async (quotation) => {
+    if (!window.confirm(`Cancel quotation ${quotation.quoteNumber}?`)) {
+      return;
+    }
+
+    try {
+      await axios.post(`/api/staff/quotations/${quotation._id}/cancel`);
+      fetchQuotations();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to cancel quotation');
+    }
+  };
+
+  const openConvert = (quotation) => {
+    setConverting(quotation);
+    setPayment(emptyPayment);
+    setError('');
+  };
+
+  // The customer pays the quoted total in one tender; the stock comes off now
+  const handleConvert = async (e) => {
+    e.preventDefault();
+
+    const cashTendered = payment.method === 'cash' && payment.cashTendered !== ''
+      ? Number(payment.cashTendered)
+      : null;
+    if (cashTendered !== null && cashTendered < converting.finalAmount) {
+      alert('Cash tendered cannot be less than the total');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/api/staff/quotations/${converting._id}/convert`, {
+        payments: [{
+          method: payment.method,
+          amount: converting.finalAmount,
+          reference: payment.reference.trim() || undefined
+        }],
+        cashTendered
+      });
+      navigate(`/staff/receipt/${response.data.sale._id}`);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to convert quotation');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatCurrency = (amount) => `₦${amount.toLocaleString()}`;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Quotations</h1>
+        <p className="text-sm text-gray-600">
+          Quotations hold their prices until they expire. Stock is only checked and taken when one is turned into a sale.
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by quote number or customer..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="input-field pl-10"
+            />
+          </div>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="input-field md:w-40"
+          >
+            <option value="open">Open</option>
+            <option value="expired">Expired</option>
+            <option value="converted">Converted</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {converting && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900">
+              Sell {converting.quoteNumber} to {converting.customerName}
+            </h2>
+            <button onClick={() => setConverting(null)} className="text-gray-500 hover:text-gray-700">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <form onSubmit={handleConvert} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Total</label>
+              <p className="text-xl font-bold text-gray-900">{formatCurrency(converting.finalAmount)}</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Payment</label>
+              <select
+                value={payment.method}
+                onChange={(e) => setPayment({ ...payment, method: e.target.value })}
+                className="input-field"
+              >
+                <option value="cash">Cash</option>
+                <option value="card">Card</option>
+                <option value="transfer">Transfer</option>
+                <option value="credit">Credit (pay later)</option>
+                <option value="store_credit">Store credit</option>
+              </select>
+            </div>
+            {payment.method === 'cash' ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Cash tendered</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder={converting.finalAmount.toString()}
+                  value={payment.cashTendered}
+                  onChange={(e) => setPayment({ ...payment, cashTendered: e.target.value })}
+                  className="input-field"
+                />
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                <input
+                  type="text"
+                  maxLength={100}
+                  value={payment.reference}
+                  onChange={(e) => setPayment({ ...payment, reference: e.target.value })}
+                  className="input-field"
+                />
+              </div>
+            )}
+            <button type="submit" disabled={submitting} className="btn-primary disabled:opacity-50">
+              {submitting ? 'Completing...' : 'Complete Sale'}
+            </button>
+          </form>
+          {payment.method === 'cash' && Number(payment.cashTendered) > converting.finalAmount && (
+            <p className="mt-2 text-sm font-semibold text-green-700">
+              Change due: {formatCurrency(Math.round((Number(payment.cashTendered) - converting.finalAmount) * 100) / 100)}
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="card">
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+          </div>
+        ) : quotations.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No {status === 'all' ? '' : status} quotations</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Quote #</th>
+                  <th>Date</th>
+                  <th>Customer</th>
+                  <th>Total</th>
+                  <th>Valid Until</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quotations.map((quotation) => (
+                  <tr key={quotation._id}>
+                    <td className="font-medium text-gray-900">{quotation.quoteNumber}</td>
+                    <td>
+                      <p>{new Date(quotation.createdAt).toLocaleDateString()}</p>
+                      <p className="text-xs text-gray-500">{quotation.createdBy?.name}</p>
+                    </td>
+                    <td>
+                      <p>{quotation.customerName}</p>
+                      {quotation.customerPhone && (
+                        <p className="text-xs text-gray-500">{quotation.customerPhone}</p>
+                      )}
+                    </td>
+                    <td className="font-semibold">{formatCurrency(quotation.finalAmount)}</td>
+                    <td>{new Date(quotation.validUntil).toLocaleDateString()}</td>
+                    <td>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[quotation.status]}`}>
+                        {quotation.status}
+                      </span>
+                      {quotation.sale?.saleNumber && (
+                        <p className="text-xs text-gray-400 mt-1">Sale {quotation.sale.saleNumber}</p>
+                      )}
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => downloadPdf(quotation)}
+                        className="text-gray-600 hover:text-gray-900 mr-4 p-1"
+                        title="Download quotation"
+                      >
+                        <Download className="h-4 w-4" />
+                      </button>
+                      {quotation.status === 'open' && (
+                        <button
+                          onClick={() => openConvert(quotation)}
+                          className="text-green-600 hover:text-green-900 mr-4 p-1"
+                          title="Turn into a sale"
+                        >
+                          <ShoppingCart className="h-4 w-4" />
+                        </button>
+                      )}
+                      {(quotation.status === 'open' || quotation.status === 'expired') && (
+                        <button
+                          onClick={() => handleCancel(quotation)}
+                          className="text-red-600 hover:text-red-900 p-1"
+                          title="Cancel quotation"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Quotations;
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import axios from 'axios';
-import { Printer, ArrowLeft } from 'lucide-react';
+import { Printer, ArrowLeft, FileText } from 'lucide-react';
 
 const Receipt = () => {
   const { saleId } = useParams();
@@ -25,9 +25,10 @@ const Receipt = () => {
     }
   };
 
-  const handlePrint = async () => {
+  // The 80mm thermal receipt, or an A4 invoice for account customers
+  const downloadPdf = async (type) => {
     try {
-      const response = await axios.get(`/api/staff/sales/${saleId}/receipt/pdf`, {
+      const response = await axios.get(`/api/staff/sales/${saleId}/${type}/pdf`, {
         responseType: 'blob'
       });
 
@@ -35,7 +36,7 @@ const Receipt = () => {
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `receipt-${receipt?.saleNumber || saleId}.pdf`);
+      link.setAttribute('download', `${type}-${receipt?.saleNumber || saleId}.pdf`);
       document.body.appendChild(link);
       link.click();
 
@@ -44,7 +45,7 @@ const Receipt = () => {
       window.URL.revokeObjectURL(url);
     } catch (error) {
       console.error('Error downloading PDF:', error);
-      alert('Error downloading receipt PDF');
+      alert(`Error downloading ${type} PDF`);
     }
   };
 
@@ -71,13 +72,22 @@ const Receipt = () => {
           <ArrowLeft className="h-5 w-5 mr-2" />
           Back
         </button>
-        <button
-          onClick={handlePrint}
-          className="btn-primary flex items-center"
-        >
-          <Printer className="h-5 w-5 mr-2" />
-          Download PDF Receipt
-        </button>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => downloadPdf('invoice')}
+            className="btn-secondary flex items-center"
+          >
+            <FileText className="h-5 w-5 mr-2" />
+            A4 Invoice
+          </button>
+          <button
+            onClick={() => downloadPdf('receipt')}
+            className="btn-primary flex items-center"
+          >
+            <Printer className="h-5 w-5 mr-2" />
+            Download PDF Receipt
+          </button>
+        </div>
       </div>
 
       {/* Receipt */}
@@ -103,6 +113,18 @@ const Receipt = () => {
             <span>Time:</span>
             <span>{new Date(receipt.date).toLocaleTimeString()}</span>
           </div>
+          {receipt.status === 'pending' && receipt.layaway && (
+            <div className="flex justify-between mb-1 font-bold">
+              <span>Layaway until:</span>
+              <span>{new Date(receipt.layaway.expiresAt).toLocaleDateString()}</span>
+            </div>
+          )}
+          {receipt.taxes?.length > 0 && receipt.taxRegistrationNumber && (
+            <div className="flex justify-between mb-1">
+              <span>Tax Reg. No:</span>
+              <span>{receipt.taxRegistrationNumber}</span>
+            </div>
+          )}
         </div>
 
         {/* Customer Info */}
@@ -126,17 +148,41 @@ const Receipt = () => {
             <div key={index} className="mb-2">
               <div className="flex justify-between">
                 <span className="font-medium">{item.productName}</span>
-                <span>₦{item.totalPrice.toLocaleString()}</span>
+                <span>₦{(item.totalPrice + (item.promotionDiscount || 0)).toLocaleString()}</span>
               </div>
               <div className="text-xs text-gray-600 ml-4">
-                {item.quantity} {item.unit} × ₦{item.unitPrice.toLocaleString()}
+                {item.soldUnit
+                  ? `${item.soldQuantity} ${item.soldUnit} (${item.quantity} ${item.unit})`
+                  : `${item.quantity} ${item.unit}`} × ₦{item.unitPrice.toLocaleString()}
               </div>
+              {item.dyeLot && (
+                <div className="text-xs text-gray-600 ml-4">Dye lot {item.dyeLot}</div>
+              )}
+              {item.isRemnant && (
+                <div className="text-xs text-gray-600 ml-4">Remnant</div>
+              )}
             </div>
           ))}
         </div>
 
         {/* Totals */}
         <div className="mb-4">
+          {receipt.promotions?.length > 0 && (
+            <div className="mb-2">
+              <div className="font-bold mb-1">PROMOTIONS</div>
+              {receipt.promotions.map((promotion, index) => (
+                <div key={index} className="mb-1">
+                  <div className="flex justify-between">
+                    <span>{promotion.name}</span>
+                    <span>-₦{promotion.amount.toLocaleString()}</span>
+                  </div>
+                  {promotion.description && (
+                    <div className="text-xs text-gray-600 ml-4">{promotion.description}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
           <div className="flex justify-between mb-1">
             <span>Subtotal:</span>
             <span>₦{receipt.totals.subtotal.toLocaleString()}</span>
@@ -147,18 +193,44 @@ const Receipt = () => {
               <span>-₦{receipt.totals.discount.toLocaleString()}</span>
             </div>
           )}
+          {receipt.taxes?.map((tax, index) => (
+            <div key={index} className="flex justify-between mb-1">
+              <span>{tax.name} {tax.rate}%{tax.inclusive ? ' (incl.)' : ''}:</span>
+              <span>{tax.inclusive ? '' : '+'}₦{tax.taxAmount.toLocaleString()}</span>
+            </div>
+          ))}
           <div className="flex justify-between font-bold text-lg border-t border-gray-400 pt-1">
             <span>TOTAL:</span>
             <span>₦{receipt.totals.finalAmount.toLocaleString()}</span>
           </div>
         </div>
 
-        {/* Payment Method */}
+        {/* Payments */}
         <div className="mb-4">
-          <div className="flex justify-between">
-            <span>Payment:</span>
-            <span className="capitalize">{receipt.paymentMethod}</span>
-          </div>
+          {receipt.payments.map((payment) => (
+            <div key={payment._id} className="flex justify-between">
+              <span className="capitalize">{payment.method.replace('_', ' ')}:</span>
+              <span>₦{payment.amount.toLocaleString()}</span>
+            </div>
+          ))}
+          {receipt.cashTendered != null && (
+            <>
+              <div className="flex justify-between">
+                <span>Cash tendered:</span>
+                <span>₦{receipt.cashTendered.toLocaleString()}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Change:</span>
+                <span>₦{receipt.changeDue.toLocaleString()}</span>
+              </div>
+            </>
+          )}
+          {receipt.status === 'pending' && receipt.layaway && (
+            <div className="flex justify-between font-bold">
+              <span>Balance due:</span>
+              <span>₦{receipt.balanceDue.toLocaleString()}</span>
+            </div>
+          )}
         </div>
 
         {/* Staff */}
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Search, RotateCcw, Printer } from 'lucide-react';
+
+const Returns = () => {
+  const [saleNumber, setSaleNumber] = useState('');
+  const [sale, setSale] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [refundMethod, setRefundMethod] = useState('');
+  const [reason, setReason] = useState('');
+  const [recentReturns, setRecentReturns] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchRecentReturns();
+  }, []);
+
+  const fetchRecentReturns = async () => {
+    try {
+      const response = await axios.get('/api/staff/returns');
+      setRecentReturns(response.data);
+    } catch (error) {
+      console.error('Error fetching returns:', error);
+    }
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+
+    if (!saleNumber.trim()) {
+      return;
+    }
+
+    try {
+      setSearching(true);
+      setError('');
+      const response = await axios.get(`/api/staff/sales/lookup/${encodeURIComponent(saleNumber.trim())}`);
+      setSale(response.data);
+      setQuantities({});
+      setRefundMethod(response.data.payments?.[0]?.method || 'cash');
+      setReason('');
+    } catch (error) {
+      setSale(null);
+      setError(error.response?.data?.message || 'Sale not found');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const formatMethod = (method) => method.replace('_', ' ');
+
+  // Refunds go back the way the customer paid, or onto their store credit
+  const getRefundMethods = () => {
+    const methods = [...new Set((sale?.payments || []).map(payment => payment.method))];
+    if (sale?.customer && !methods.includes('store_credit')) {
+      methods.push('store_credit');
+    }
+    return methods;
+  };
+
+  const getReturnable = (item) => item.quantity - (item.returnedQuantity || 0);
+
+  const handleQuantityChange = (item, value) => {
+    const quantity = Math.min(Math.max(0, Number(value)), getReturnable(item));
+    setQuantities(prev => ({
+      ...prev,
+      [item._id]: quantity
+    }));
+  };
+
+  // Mirror the server: sale-level discounts are shared across returned lines
+  const getRefundTotal = () => {
+    if (!sale) return 0;
+    const paidRatio = sale.totalAmount > 0 ? sale.finalAmount / sale.totalAmount : 0;
+    return sale.items.reduce((sum, item) => {
+      const quantity = quantities[item._id] || 0;
+      return sum + Math.round(quantity * item.unitPrice * paidRatio * 100) / 100;
+    }, 0);
+  };
+
+  const downloadSlip = async (saleReturn) => {
+    try {
+      const pdfResponse = await axios.get(`/api/staff/returns/${saleReturn._id}/slip/pdf`, {
+        responseType: 'blob'
+      });
+
+      // Create blob link to download
+      const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `return-${saleReturn.returnNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (pdfError) {
+      console.error('Error downloading return slip:', pdfError);
+      alert('Return slip could not be downloaded.');
+    }
+  };
+
+  const handleReturn = async () => {
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity }));
+
+    if (items.length === 0) {
+      alert('Please enter a quantity to return');
+      return;
+    }
+
+    if (reason.trim().length < 3) {
+      alert('Please enter a reason for the return');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/api/staff/returns', {
+        saleNumber: sale.saleNumber,
+        items,
+        refundMethod,
+        reason: reason.trim()
+      });
+
+      await downloadSlip(response.data.return);
+
+      setSale(null);
+      setSaleNumber('');
+      setQuantities({});
+      setReason('');
+      fetchRecentReturns();
+
+      alert('Return processed successfully! Return slip downloaded.');
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        const errorMessages = error.response.data.errors.map(err => err.msg).join('\n');
+        alert(`Return failed:\n${errorMessages}`);
+      } else {
+        alert(error.response?.data?.message || 'Return failed');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Returns</h1>
+
+      {/* Sale Lookup */}
+      <div className="card">
+        <form onSubmit={handleLookup} className="flex gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Enter sale number, e.g. RF20240315042"
+              value={saleNumber}
+              onChange={(e) => setSaleNumber(e.target.value)}
+              className="input-field input-has-icon-left"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={searching}
+            className="btn-primary disabled:opacity-50"
+          >
+            {searching ? 'Searching...' : 'Find Sale'}
+          </button>
+        </form>
+        {error && (
+          <p className="mt-3 text-sm text-red-600">{error}</p>
+        )}
+      </div>
+
+      {sale && (
+        <div className="card">
+          <div className="flex justify-between items-start mb-4">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Sale #{sale.saleNumber}</h2>
+              <p className="text-sm text-gray-500">
+                {sale.customerName} · {new Date(sale.saleDate).toLocaleDateString()} · Paid by <span className="capitalize">{sale.payments.map(payment => formatMethod(payment.method)).join(', ') || '-'}</span>
+              </p>
+            </div>
+            <span className="font-semibold text-gray-900">₦{sale.finalAmount.toLocaleString()}</span>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>Sold</th>
+                  <th>Already Returned</th>
+                  <th>Unit Price</th>
+                  <th>Return Quantity</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sale.items.map((item) => (
+                  <tr key={item._id}>
+                    <td className="font-medium">{item.productName}</td>
+                    <td>{item.quantity} {item.unit}</td>
+                    <td>{item.returnedQuantity || 0} {item.unit}</td>
+                    <td>₦{item.unitPrice.toLocaleString()}</td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        max={getReturnable(item)}
+                        value={quantities[item._id] || ''}
+                        onChange={(e) => handleQuantityChange(item, e.target.value)}
+                        disabled={getReturnable(item) <= 0}
+                        className="input-field w-28"
+                        placeholder={`max ${getReturnable(item)}`}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Refund Method
+              </label>
+              <select
+                value={refundMethod}
+                onChange={(e) => setRefundMethod(e.target.value)}
+                className="input-field capitalize"
+              >
+                {getRefundMethods().map(method => (
+                  <option key={method} value={method}>
+                    {formatMethod(method)}{sale.payments.some(payment => payment.method === method) ? ' (original payment)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reason *
+              </label>
+              <input
+                type="text"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="input-field"
+                placeholder="e.g. Customer bought too much"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-between items-center mt-6">
+            <span className="text-lg font-semibold">
+              Refund: ₦{getRefundTotal().toLocaleString()}
+            </span>
+            <button
+              onClick={handleReturn}
+              disabled={loading}
+              className="btn-primary flex items-center disabled:opacity-50"
+            >
+              {loading ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+              ) : (
+                <>
+                  <RotateCcw className="mr-2 h-5 w-5" />
+                  Process Return & Print Slip
+                </>
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Recent Returns */}
+      <div className="card">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Recent Returns</h2>
+        {recentReturns.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">No returns processed yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Return #</th>
+                  <th>Sale #</th>
+                  <th>Customer</th>
+                  <th>Refund</th>
+                  <th>Method</th>
+                  <th>Date</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {recentReturns.map((saleReturn) => (
+                  <tr key={saleReturn._id}>
+                    <td className="font-mono text-sm">{saleReturn.returnNumber}</td>
+                    <td className="font-mono text-sm">{saleReturn.saleNumber}</td>
+                    <td>{saleReturn.customerName}</td>
+                    <td>₦{saleReturn.refundAmount.toLocaleString()}</td>
+                    <td className="capitalize">{formatMethod(saleReturn.refundMethod)}</td>
+                    <td>{new Date(saleReturn.returnDate).toLocaleDateString()}</td>
+                    <td>
+                      <button
+                        onClick={() => downloadSlip(saleReturn)}
+                        className="text-gray-600 hover:text-gray-900 p-1"
+                        title="Download return slip"
+                      >
+                        <Printer className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Returns;
\ No newline at end of file
@@ -1,25 +1,198 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
 import axios from 'axios';
-import { Plus, Minus, Search, Printer } from 'lucide-react';
+import { Plus, Minus, Search, Printer, X, FileText, Clock, Image as ImageIcon } from 'lucide-react';
+
+const emptyPayment = { method: 'cash', amount: '', reference: '' };
+
+// A yard is exactly 0.9144 metres; conversions round to 3 places like the server
+const METERS_PER_YARD = 0.9144;
+const lengthUnits = ['yards', 'meters'];
+
+// A keyboard-wedge scanner types the whole code faster than anyone can, then
+// presses Enter. Slower keystrokes are treated as someone typing.
+const SCAN_KEY_INTERVAL_MS = 50;
+const SCAN_MIN_LENGTH = 4;
+
+// Photos on local storage come back as paths on the API server
+const imageUrl = (url) => (url.startsWith('/') ? `${axios.defaults.baseURL || ''}${url}` : url);
 
 const Sales = () => {
   const [products, setProducts] = useState([]);
   const [cart, setCart] = useState([]);
   const [customerName, setCustomerName] = useState('');
   const [customerPhone, setCustomerPhone] = useState('');
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [customerMatches, setCustomerMatches] = useState([]);
   const [discount, setDiscount] = useState(0);
-  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [payments, setPayments] = useState([emptyPayment]);
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(false);
   const [saleCompleted, setSaleCompleted] = useState(null);
+  const [shiftOpen, setShiftOpen] = useState(true);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [discountLimit, setDiscountLimit] = useState(null);
+  const [discountReason, setDiscountReason] = useState('');
+  const [approvalMode, setApprovalMode] = useState('pin');
+  const [approval, setApproval] = useState({ approverId: '', pin: '' });
+  const [discountRequest, setDiscountRequest] = useState(null);
 
   const navigate = useNavigate();
+  const scanHandlerRef = useRef(null);
 
   useEffect(() => {
     fetchProducts();
+    checkShift();
+    fetchDiscountLimit();
   }, []);
 
+  // Pick up scans made while no input has focus
+  useEffect(() => {
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const handleKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+        return;
+      }
+
+      const now = Date.now();
+      if (now - lastKeyAt > SCAN_KEY_INTERVAL_MS) {
+        buffer = '';
+      }
+      lastKeyAt = now;
+
+      if (e.key === 'Enter') {
+        if (buffer.length >= SCAN_MIN_LENGTH) {
+          e.preventDefault();
+          scanHandlerRef.current(buffer);
+        }
+        buffer = '';
+      } else if (e.key.length === 1) {
+        buffer += e.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const checkShift = async () => {
+    try {
+      const response = await axios.get('/api/staff/shifts/current');
+      setShiftOpen(!!response.data.shift);
+    } catch (error) {
+      console.error('Error checking shift:', error);
+    }
+  };
+
+  const fetchDiscountLimit = async () => {
+    try {
+      const response = await axios.get('/api/staff/discounts/limit');
+      setDiscountLimit(response.data);
+      if (response.data.approvers.length === 0) {
+        setApprovalMode('remote');
+      }
+    } catch (error) {
+      console.error('Error fetching discount limit:', error);
+    }
+  };
+
+  // Wait for an admin to answer a remote approval request
+  useEffect(() => {
+    if (discountRequest?.status !== 'pending') {
+      return;
+    }
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await axios.get(`/api/staff/discounts/requests/${discountRequest._id}`);
+        setDiscountRequest(response.data);
+      } catch (error) {
+        console.error('Error checking approval request:', error);
+      }
+    }, 5000);
+
+    return () => clearInterval(timer);
+  }, [discountRequest?._id, discountRequest?.status]);
+
+  // Look up registered customers as the phone number is typed
+  useEffect(() => {
+    if (selectedCustomer || customerPhone.replace(/\D/g, '').length < 4) {
+      setCustomerMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/api/staff/customers', {
+          params: { phone: customerPhone }
+        });
+        setCustomerMatches(response.data);
+      } catch (error) {
+        console.error('Error searching customers:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [customerPhone, selectedCustomer]);
+
+  // What the server will charge for the cart, promotions and tax included.
+  // Re-priced shortly after the cart or discount stops changing.
+  const cartKey = JSON.stringify([
+    cart.map(item => [item.productId, item.quantity, item.unit, item.rollId]),
+    discount
+  ]);
+
+  useEffect(() => {
+    if (cart.length === 0) {
+      setQuote(null);
+      setQuoteError('');
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post('/api/staff/sales/quote', {
+          items: cart.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            unit: item.unit,
+            rollId: item.rollId || undefined
+          })),
+          discount
+        });
+        setQuote({ ...response.data, cartKey });
+        setQuoteError('');
+      } catch (error) {
+        console.error('Error pricing cart:', error);
+        setQuote(null);
+        setQuoteError(error.response?.data?.message || '');
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [cartKey]);
+
+  const currentQuote = quote?.cartKey === cartKey ? quote : null;
+
+  const selectCustomer = (customer) => {
+    setSelectedCustomer(customer);
+    setCustomerName(customer.name);
+    setCustomerPhone(customer.phone);
+    setCustomerMatches([]);
+  };
+
+  const clearCustomer = () => {
+    setSelectedCustomer(null);
+    setCustomerName('');
+    setCustomerPhone('');
+    setPayments(payments.map(payment => (
+      payment.method === 'store_credit' ? { ...payment, method: 'cash' } : payment
+    )));
+  };
+
   const fetchProducts = async () => {
     try {
       const response = await axios.get('/api/staff/products');
@@ -29,20 +202,58 @@ const Sales = () => {
     }
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find(item => item.productId === product._id);
+  // Rolls still holding fabric, oldest first (the order the server cuts from).
+  // Remnants are sold from their own section, never from a regular line.
+  const getOpenRolls = (product) => (product.rolls || [])
+    .filter(roll => roll.remainingLength > 0 && !roll.isRemnant)
+    .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+
+  // How much a cart line can take, in the product's stock unit: the chosen
+  // roll, or anything in stock
+  const getAvailable = (item) => {
+    const roll = item.rollId && item.product.rolls.find(r => r._id === item.rollId);
+    return roll ? roll.remainingLength : item.product.currentStock;
+  };
+
+  // A line's quantity converted to the unit the product is stocked in
+  const toStockQuantity = (item, quantity = item.quantity, unit = item.unit) => {
+    if (unit === item.product.unit) return quantity;
+    const converted = unit === 'meters' ? quantity / METERS_PER_YARD : quantity * METERS_PER_YARD;
+    return Math.round(converted * 1000) / 1000;
+  };
+
+  const withQuantity = (item, quantity, unit = item.unit) => ({
+    ...item,
+    quantity,
+    unit,
+    quantityText: undefined,
+    totalPrice: toStockQuantity(item, quantity, unit) * item.unitPrice
+  });
+
+  // A scanned roll label adds to the line cut from that roll, or sets the
+  // roll on the product's line if it has none yet; otherwise the roll gets
+  // a line of its own
+  const addToCart = (product, rollId = '') => {
+    const existingItem = rollId
+      ? cart.find(item => item.productId === product._id && !item.isRemnant && item.rollId === rollId)
+        || cart.find(item => item.lineId === product._id && !item.rollId)
+      : cart.find(item => item.lineId === product._id);
 
     if (existingItem) {
-      if (existingItem.quantity >= product.currentStock) {
+      const item = rollId ? { ...existingItem, rollId } : existingItem;
+      if (toStockQuantity(item, item.quantity + 1) > getAvailable(item)) {
         alert('Insufficient stock!');
         return;
       }
-      updateCartItem(product._id, existingItem.quantity + 1);
+      setCart(cart.map(line => (line.lineId === item.lineId ? withQuantity(item, item.quantity + 1) : line)));
     } else {
       const cartItem = {
+        lineId: cart.some(item => item.lineId === product._id) ? `${product._id}-${rollId}` : product._id,
         productId: product._id,
         product,
         quantity: 1,
+        unit: product.unit,
+        rollId,
         unitPrice: product.pricePerUnit,
         totalPrice: product.pricePerUnit
       };
@@ -50,88 +261,494 @@ const Sales = () => {
     }
   };
 
-  const updateCartItem = (productId, quantity) => {
+  // A remnant goes in as its own line for the whole piece at the markdown price
+  const addRemnantToCart = (product, roll) => {
+    if (cart.some(item => item.lineId === roll._id)) {
+      return;
+    }
+
+    setCart([...cart, {
+      lineId: roll._id,
+      productId: product._id,
+      product,
+      quantity: roll.remainingLength,
+      unit: product.unit,
+      rollId: roll._id,
+      isRemnant: true,
+      unitPrice: product.remnantPricePerUnit,
+      totalPrice: roll.remainingLength * product.remnantPricePerUnit
+    }]);
+  };
+
+  // A scanned code is a product SKU, or SKU-ROLLID from a roll label
+  const findByBarcode = (code) => {
+    const scanned = code.trim().toUpperCase();
+    for (const product of products) {
+      if (!product.sku) continue;
+      if (product.sku === scanned) {
+        return { product };
+      }
+      if (scanned.startsWith(`${product.sku}-`)) {
+        const rollId = scanned.slice(product.sku.length + 1);
+        const roll = (product.rolls || []).find(r =>
+          r.rollId.toUpperCase() === rollId && r.remainingLength > 0
+        );
+        if (roll) {
+          return { product, roll };
+        }
+      }
+    }
+    return null;
+  };
+
+  const handleScan = (code) => {
+    const match = findByBarcode(code);
+    if (!match) {
+      return false;
+    }
+
+    if (match.roll?.isRemnant) {
+      addRemnantToCart(match.product, match.roll);
+    } else {
+      addToCart(match.product, match.roll?._id);
+    }
+    return true;
+  };
+
+  scanHandlerRef.current = (code) => {
+    if (!handleScan(code)) {
+      alert(`No product found for barcode ${code}`);
+    }
+  };
+
+  const updateCartItem = (lineId, quantity) => {
     if (quantity <= 0) {
-      removeFromCart(productId);
+      removeFromCart(lineId);
       return;
     }
 
     setCart(cart.map(item => {
-      if (item.productId === productId) {
-        const product = item.product;
-        if (quantity > product.currentStock) {
+      if (item.lineId === lineId) {
+        if (toStockQuantity(item, quantity) > getAvailable(item)) {
           alert('Insufficient stock!');
           return item;
         }
-        return {
-          ...item,
-          quantity,
-          totalPrice: quantity * item.unitPrice
-        };
+        return withQuantity(item, quantity);
       }
       return item;
     }));
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter(item => item.productId !== productId));
+  // Typed quantities only take effect once they are a valid, available amount
+  const updateCartQuantityText = (lineId, text) => {
+    setCart(cart.map(item => {
+      if (item.lineId !== lineId) return item;
+      const quantity = parseFloat(text);
+      if (!(quantity > 0) || toStockQuantity(item, quantity) > getAvailable(item)) {
+        return { ...item, quantityText: text };
+      }
+      return { ...withQuantity(item, quantity), quantityText: text };
+    }));
+  };
+
+  // Switching between yards and meters keeps the number the customer asked for
+  const updateCartUnit = (lineId, unit) => {
+    setCart(cart.map(item => {
+      if (item.lineId !== lineId) return item;
+      if (toStockQuantity(item, item.quantity, unit) > getAvailable(item)) {
+        alert('Insufficient stock!');
+        return item;
+      }
+      return withQuantity(item, item.quantity, unit);
+    }));
+  };
+
+  const updateCartRoll = (lineId, rollId) => {
+    setCart(cart.map(item => (item.lineId === lineId ? { ...item, rollId } : item)));
+  };
+
+  const removeFromCart = (lineId) => {
+    setCart(cart.filter(item => item.lineId !== lineId));
   };
 
   const getTotalAmount = () => {
+    if (currentQuote) {
+      return currentQuote.totalAmount;
+    }
     return cart.reduce((sum, item) => sum + item.totalPrice, 0);
   };
 
   const getFinalAmount = () => {
+    if (currentQuote) {
+      return currentQuote.finalAmount;
+    }
     return Math.max(0, getTotalAmount() - discount);
   };
 
-  const handleSale = async () => {
+  const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+  // Largest discount the signed-in user may give without an admin; the
+  // server checks the same limit when the sale is made
+  const getMaxDiscount = () => {
+    if (!discountLimit) {
+      return Infinity;
+    }
+    const { type, value } = discountLimit.limit;
+    const max = type === 'percent' ? getTotalAmount() * value / 100 : value;
+    return roundMoney(Math.min(max, getTotalAmount()));
+  };
+
+  const needsApproval = discount > getMaxDiscount();
+  const requestApproved = discountRequest?.status === 'approved' && discountRequest.discount >= discount;
+
+  const requestApproval = async () => {
+    if (discountReason.trim().length < 3) {
+      alert('Please enter a reason for the discount');
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/staff/discounts/requests', {
+        discount,
+        totalAmount: getTotalAmount(),
+        reason: discountReason.trim(),
+        customerName: customerName.trim()
+      });
+      setDiscountRequest(response.data.request);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        alert(error.response.data.errors.map(err => err.msg).join('\n'));
+      } else {
+        alert(error.response?.data?.message || 'Could not request approval');
+      }
+    }
+  };
+
+  const getDiscountApproval = () => {
+    if (!needsApproval) {
+      return { reason: discountReason.trim() };
+    }
+    if (approvalMode === 'remote') {
+      return { requestId: discountRequest?._id };
+    }
+    return { reason: discountReason.trim(), approverId: approval.approverId, pin: approval.pin };
+  };
+
+  const updatePayment = (index, field, value) => {
+    setPayments(payments.map((payment, i) => (i === index ? { ...payment, [field]: value } : payment)));
+  };
+
+  const addPayment = () => {
+    const remaining = Math.max(0, getFinalAmount() - getAmountPaid());
+    setPayments([...payments, { ...emptyPayment, method: 'card', amount: remaining > 0 ? String(remaining) : '' }]);
+  };
+
+  const removePayment = (index) => {
+    setPayments(payments.filter((_, i) => i !== index));
+  };
+
+  // A single tender left blank covers the whole total
+  const getPaymentAmount = (payment) => {
+    if (payment.amount === '' && payments.length === 1) {
+      return getFinalAmount();
+    }
+    return Number(payment.amount) || 0;
+  };
+
+  const getCashTendered = () => {
+    return payments
+      .filter(payment => payment.method === 'cash')
+      .reduce((sum, payment) => sum + getPaymentAmount(payment), 0);
+  };
+
+  const getNonCashTotal = () => {
+    return payments
+      .filter(payment => payment.method !== 'cash')
+      .reduce((sum, payment) => sum + getPaymentAmount(payment), 0);
+  };
+
+  const getAmountPaid = () => {
+    return getCashTendered() + getNonCashTotal();
+  };
+
+  // Only cash can be overpaid; the excess comes back as change
+  const getChangeDue = () => {
+    return Math.min(getCashTendered(), Math.max(0, getAmountPaid() - getFinalAmount()));
+  };
+
+  // Checks shared by a sale and a quotation; alerts and returns false if the cart can't go through
+  const checkCart = () => {
     if (cart.length === 0) {
       alert('Please add items to cart');
-      return;
+      return false;
     }
 
     if (!customerName.trim()) {
       alert('Please enter customer name');
+      return false;
+    }
+
+    if (!currentQuote) {
+      alert(quoteError || 'Prices are still updating. Please try again in a moment.');
+      return false;
+    }
+
+    if (needsApproval) {
+      if (approvalMode === 'remote' && !requestApproved) {
+        alert('This discount is waiting for an admin to approve it');
+        return false;
+      }
+      if (approvalMode === 'pin' && (!approval.approverId || !approval.pin || !discountReason.trim())) {
+        alert('Please choose an admin, enter their PIN and give a reason for the discount');
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  const resetSale = () => {
+    setCart([]);
+    setCustomerName('');
+    setCustomerPhone('');
+    setSelectedCustomer(null);
+    setDiscount(0);
+    setDiscountReason('');
+    setApproval({ approverId: '', pin: '' });
+    setDiscountRequest(null);
+    setPayments([emptyPayment]);
+  };
+
+  // Save the cart as a quotation: the prices are held for the customer and
+  // no stock is taken. It becomes a sale from the Quotations page.
+  const handleQuotation = async () => {
+    if (!checkCart()) {
       return;
     }
 
     setLoading(true);
 
     try {
-      const saleData = {
+      const response = await axios.post('/api/staff/quotations', {
+        customerId: selectedCustomer?._id,
         customerName: customerName.trim(),
         customerPhone: customerPhone.trim(),
         items: cart.map(item => ({
           productId: item.productId,
-          quantity: item.quantity
+          quantity: item.quantity,
+          unit: item.unit
         })),
         discount,
-        paymentMethod
-      };
-
-      const response = await axios.post('/api/staff/sales', saleData);
-      const { sale } = response.data;
-
-      setSaleCompleted(sale._id);
+        discountApproval: discount > 0 ? getDiscountApproval() : undefined
+      });
+      const { quotation } = response.data;
 
-      // Download PDF receipt
       try {
-        const pdfResponse = await axios.get(`/api/staff/sales/${sale._id}/receipt/pdf`, {
+        const pdfResponse = await axios.get(`/api/staff/quotations/${quotation._id}/pdf`, {
           responseType: 'blob'
         });
 
-        // Create blob link to download
         const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
         const link = document.createElement('a');
         link.href = url;
-        link.setAttribute('download', `receipt-${sale.saleNumber}.pdf`);
+        link.setAttribute('download', `quotation-${quotation.quoteNumber}.pdf`);
         document.body.appendChild(link);
         link.click();
 
-        // Clean up
         link.remove();
         window.URL.revokeObjectURL(url);
+      } catch (pdfError) {
+        console.error('Error downloading quotation PDF:', pdfError);
+      }
+
+      resetSale();
+      alert(`Quotation ${quotation.quoteNumber} saved. Prices are held until ${new Date(quotation.validUntil).toLocaleDateString()}.`);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        const errorMessages = error.response.data.errors.map(err => err.msg).join('\n');
+        alert(`Quotation failed:\n${errorMessages}`);
+      } else {
+        alert(error.response?.data?.message || 'Quotation failed');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadReceipt = async (sale) => {
+    const pdfResponse = await axios.get(`/api/staff/sales/${sale._id}/receipt/pdf`, {
+      responseType: 'blob'
+    });
+
+    // Create blob link to download
+    const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
+    const link = document.createElement('a');
+    link.href = url;
+    link.setAttribute('download', `receipt-${sale.saleNumber}.pdf`);
+    document.body.appendChild(link);
+    link.click();
+
+    // Clean up
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  // Reserve the cart against a deposit of any part of the total. The stock is
+  // held for the customer; the balance is paid and the goods collected from
+  // the Layaways page.
+  const handleLayaway = async () => {
+    if (!checkCart()) {
+      return;
+    }
+
+    if (!customerPhone.trim()) {
+      alert('Please enter the customer\'s phone number for a layaway');
+      return;
+    }
+
+    if (payments.some(payment => payment.method === 'credit')) {
+      alert('A layaway deposit cannot go on credit');
+      return;
+    }
+
+    const finalAmount = getFinalAmount();
+    const nonCashTotal = getNonCashTotal();
+    const cashTendered = getCashTendered();
+    const hasCash = payments.some(payment => payment.method === 'cash');
+
+    if (nonCashTotal > finalAmount + 0.001) {
+      alert('Card, transfer and store credit payments cannot be more than the total');
+      return;
+    }
+
+    // Cash over the total comes back as change, as for a sale
+    const deposit = roundMoney(Math.min(getAmountPaid(), finalAmount));
+    if (deposit <= 0) {
+      alert('Please enter the deposit the customer is paying');
+      return;
+    }
+
+    const depositPayments = payments
+      .filter(payment => payment.method !== 'cash' && getPaymentAmount(payment) > 0)
+      .map(payment => ({
+        method: payment.method,
+        amount: roundMoney(getPaymentAmount(payment)),
+        reference: payment.reference.trim()
+      }));
+    const cashKept = roundMoney(deposit - nonCashTotal);
+    if (cashKept > 0) {
+      depositPayments.push({ method: 'cash', amount: cashKept });
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/api/staff/layaways', {
+        customerId: selectedCustomer?._id,
+        customerName: customerName.trim(),
+        customerPhone: customerPhone.trim(),
+        items: cart.map(item => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          unit: item.unit,
+          rollId: item.rollId || undefined
+        })),
+        discount,
+        discountApproval: discount > 0 ? getDiscountApproval() : undefined,
+        payments: depositPayments,
+        cashTendered: hasCash ? roundMoney(cashTendered) : null
+      });
+      const { sale } = response.data;
+
+      try {
+        await downloadReceipt(sale);
+      } catch (pdfError) {
+        console.error('Error downloading PDF:', pdfError);
+      }
+
+      resetSale();
+      alert(`Layaway ${sale.saleNumber} reserved until ${new Date(sale.layaway.expiresAt).toLocaleDateString()}. Balance due: ₦${sale.balanceDue.toLocaleString()}`);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        const errorMessages = error.response.data.errors.map(err => err.msg).join('\n');
+        alert(`Layaway failed:\n${errorMessages}`);
+      } else {
+        alert(error.response?.data?.message || 'Layaway failed');
+      }
+
+      if (error.response?.status === 409) {
+        fetchProducts();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSale = async () => {
+    if (!checkCart()) {
+      return;
+    }
+
+    const finalAmount = getFinalAmount();
+    const nonCashTotal = getNonCashTotal();
+    const cashTendered = getCashTendered();
+    const hasCash = payments.some(payment => payment.method === 'cash');
+
+    if (nonCashTotal > finalAmount + 0.001) {
+      alert('Card, transfer and credit payments cannot be more than the total');
+      return;
+    }
+
+    if (getAmountPaid() < finalAmount - 0.001) {
+      alert(`Payments are short by ₦${roundMoney(finalAmount - getAmountPaid()).toLocaleString()}`);
+      return;
+    }
+
+    if (payments.some(payment => payment.method === 'credit') && !customerPhone.trim()) {
+      alert('Please enter the customer\'s phone number for a credit sale');
+      return;
+    }
+
+    // Cash rows collapse into the amount actually kept; the rest is change
+    const salePayments = payments
+      .filter(payment => payment.method !== 'cash' && getPaymentAmount(payment) > 0)
+      .map(payment => ({
+        method: payment.method,
+        amount: roundMoney(getPaymentAmount(payment)),
+        reference: payment.reference.trim()
+      }));
+    const cashKept = roundMoney(finalAmount - nonCashTotal);
+    if (cashKept > 0) {
+      salePayments.push({ method: 'cash', amount: cashKept });
+    }
+
+    setLoading(true);
+
+    try {
+      const saleData = {
+        customerId: selectedCustomer?._id,
+        customerName: customerName.trim(),
+        customerPhone: customerPhone.trim(),
+        items: cart.map(item => ({
+          productId: item.productId,
+          quantity: item.quantity,
+          unit: item.unit,
+          rollId: item.rollId || undefined
+        })),
+        discount,
+        discountApproval: discount > 0 ? getDiscountApproval() : undefined,
+        payments: salePayments,
+        cashTendered: hasCash ? roundMoney(cashTendered) : null
+      };
+
+      const response = await axios.post('/api/staff/sales', saleData);
+      const { sale } = response.data;
+
+      setSaleCompleted(sale._id);
+
+      // Download PDF receipt
+      try {
+        await downloadReceipt(sale);
       } catch (pdfError) {
         console.error('Error downloading PDF:', pdfError);
         // Still show success message even if PDF download fails
@@ -139,10 +756,7 @@ const Sales = () => {
       }
 
       // Reset form
-      setCart([]);
-      setCustomerName('');
-      setCustomerPhone('');
-      setDiscount(0);
+      resetSale();
 
       alert('Sale completed successfully! PDF receipt downloaded.');
     } catch (error) {
@@ -153,6 +767,11 @@ const Sales = () => {
       } else {
         alert(error.response?.data?.message || 'Sale failed');
       }
+
+      // Another till sold the stock first; refresh so the grid shows what is left
+      if (error.response?.status === 409) {
+        fetchProducts();
+      }
     } finally {
       setLoading(false);
     }
@@ -160,166 +779,548 @@ const Sales = () => {
 
   const filteredProducts = products.filter(product =>
     product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    product.category.toLowerCase().includes(searchTerm.toLowerCase())
+    product.category.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (product.sku || '').toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  // Variants of a product group are listed together under the group
+  const productListings = filteredProducts.reduce((listings, product) => {
+    const listing = product.group && listings.find(entry => entry.group?._id === product.group._id);
+    if (listing) {
+      listing.products.push(product);
+    } else {
+      listings.push({ key: product.group?._id || product._id, group: product.group, products: [product] });
+    }
+    return listings;
+  }, []);
+
+  const remnants = filteredProducts.flatMap(product =>
+    (product.rolls || [])
+      .filter(roll => roll.isRemnant)
+      .map(roll => ({ product, roll }))
   );
 
   return (
-    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-      {/* Products Section */}
-      <div className="lg:col-span-2">
-        <div className="card">
-          <div className="flex items-center justify-between mb-4">
-            <h2 className="text-lg font-semibold text-gray-900">Products</h2>
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-              <input
-                type="text"
-                placeholder="Search products..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="input-field input-has-icon-left w-64"
-              />
+    <div className="space-y-6">
+      {!shiftOpen && (
+        <div className="p-3 bg-yellow-50 border border-yellow-300 text-yellow-800 rounded text-sm">
+          You don't have an open shift. <Link to="/staff/dashboard" className="font-medium underline">Open one from the dashboard</Link> before making sales.
+        </div>
+      )}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Products Section */}
+        <div className="lg:col-span-2">
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">Products</h2>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Search or scan..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onKeyDown={(e) => {
+                    // A scan into the search box adds the item straight to the cart
+                    if (e.key === 'Enter' && handleScan(searchTerm)) {
+                      setSearchTerm('');
+                    }
+                  }}
+                  className="input-field input-has-icon-left w-64"
+                />
+              </div>
             </div>
-          </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-h-96 overflow-y-auto">
-            {filteredProducts.map((product) => (
-              <div key={product._id} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
-                <div className="flex justify-between items-start mb-2">
-                  <div>
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 max-h-[32rem] overflow-y-auto">
+              {productListings.map(({ key, group, products: listed }) => group ? (
+                <div key={key} className="col-span-2 md:col-span-3 border border-gray-200 rounded-lg p-4">
+                  <div className="mb-2">
+                    <h3 className="font-medium text-gray-900">{group.name}</h3>
+                    <p className="text-sm text-gray-500 capitalize">
+                      {listed[0].category} · {listed.length} variant{listed.length === 1 ? '' : 's'}
+                    </p>
+                  </div>
+                  <div className="divide-y divide-gray-100">
+                    {listed.map(product => (
+                      <div key={product._id} className="flex items-center justify-between py-2 gap-3">
+                        {product.images?.length > 0 ? (
+                          <img
+                            src={imageUrl(product.images[0].thumbnailUrl)}
+                            alt={product.name}
+                            className="h-12 w-12 rounded object-cover"
+                          />
+                        ) : (
+                          <div className="h-12 w-12 rounded bg-gray-100 flex items-center justify-center">
+                            <ImageIcon className="h-5 w-5 text-gray-300" />
+                          </div>
+                        )}
+                        <div className="flex-1">
+                          <p className="text-sm font-medium text-gray-900">{product.variant}</p>
+                          <p className="text-xs text-gray-500">
+                            {product.currentStock} {product.unit}
+                            {getOpenRolls(product).length > 0 && ` · ${getOpenRolls(product).length} roll${getOpenRolls(product).length === 1 ? '' : 's'}`}
+                          </p>
+                        </div>
+                        <span className="font-semibold text-gray-900">₦{product.pricePerUnit.toLocaleString()}</span>
+                        <button
+                          onClick={() => addToCart(product)}
+                          disabled={product.currentStock <= 0}
+                          className="btn-primary text-sm px-3 py-1 disabled:opacity-50"
+                        >
+                          Add
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ) : listed.map((product) => (
+                <div key={product._id} className="border border-gray-200 rounded-lg p-3 hover:shadow-md transition-shadow">
+                  <div className="relative mb-2">
+                    {product.images?.length > 0 ? (
+                      <img
+                        src={imageUrl(product.images[0].thumbnailUrl)}
+                        alt={product.name}
+                        className="w-full aspect-square rounded object-cover"
+                      />
+                    ) : (
+                      <div className="w-full aspect-square rounded bg-gray-100 flex items-center justify-center">
+                        <ImageIcon className="h-10 w-10 text-gray-300" />
+                      </div>
+                    )}
+                    <span className={`absolute top-2 right-2 text-xs px-2 py-1 rounded ${
+                      product.currentStock > 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {product.currentStock} {product.unit}
+                    </span>
+                  </div>
+                  <div className="mb-2">
                     <h3 className="font-medium text-gray-900">{product.name}</h3>
                     <p className="text-sm text-gray-500 capitalize">{product.category}</p>
                   </div>
-                  <span className={`text-xs px-2 py-1 rounded ${
-                    product.currentStock > 0 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
-                  }`}>
-                    {product.currentStock} {product.unit}
-                  </span>
+                  {getOpenRolls(product).length > 0 && (
+                    <p className="text-xs text-gray-500 mb-2">
+                      {getOpenRolls(product).length} roll{getOpenRolls(product).length === 1 ? '' : 's'} · longest {Math.max(...getOpenRolls(product).map(roll => roll.remainingLength))} {product.unit}
+                    </p>
+                  )}
+                  <div className="flex justify-between items-center">
+                    <span className="font-semibold text-gray-900">₦{product.pricePerUnit.toLocaleString()}</span>
+                    <button
+                      onClick={() => addToCart(product)}
+                      disabled={product.currentStock <= 0}
+                      className="btn-primary text-sm px-3 py-1 disabled:opacity-50"
+                    >
+                      Add to Cart
+                    </button>
+                  </div>
                 </div>
-                <div className="flex justify-between items-center">
-                  <span className="font-semibold text-gray-900">₦{product.pricePerUnit.toLocaleString()}</span>
+              )))}
+            </div>
+          </div>
+
+          {remnants.length > 0 && (
+            <div className="card mt-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Remnants</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 max-h-72 overflow-y-auto">
+                {remnants.map(({ product, roll }) => (
+                  <div key={roll._id} className="border border-orange-200 bg-orange-50 rounded-lg p-4">
+                    <div className="flex justify-between items-start mb-2">
+                      <div>
+                        <h3 className="font-medium text-gray-900">{product.name}</h3>
+                        <p className="text-xs text-gray-500">
+                          Roll {roll.rollId}{roll.dyeLot ? ` · lot ${roll.dyeLot}` : ''}
+                        </p>
+                      </div>
+                      <span className="text-xs px-2 py-1 rounded bg-orange-100 text-orange-800">
+                        {roll.remainingLength} {product.unit}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <div>
+                        <span className="font-semibold text-gray-900">₦{product.remnantPricePerUnit.toLocaleString()}</span>
+                        <span className="text-xs text-gray-500 line-through ml-2">₦{product.pricePerUnit.toLocaleString()}</span>
+                      </div>
+                      <button
+                        onClick={() => addRemnantToCart(product, roll)}
+                        disabled={cart.some(item => item.lineId === roll._id)}
+                        className="btn-primary text-sm px-3 py-1 disabled:opacity-50"
+                      >
+                        {cart.some(item => item.lineId === roll._id) ? 'In Cart' : 'Add to Cart'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Cart Section */}
+        <div className="space-y-6">
+          <div className="card">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Cart</h2>
+
+            {cart.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No items in cart</p>
+            ) : (
+              <div className="space-y-3 max-h-64 overflow-y-auto">
+                {cart.map((item, index) => (
+                  <div key={item.lineId} className="flex items-center justify-between border-b pb-2">
+                    <div className="flex-1">
+                      <p className="font-medium text-sm">{item.product.name}</p>
+                      <p className="text-xs text-gray-500">
+                        ₦{item.unitPrice.toLocaleString()} × {item.quantity} {item.unit}
+                        {item.unit !== item.product.unit && ` (${toStockQuantity(item)} ${item.product.unit})`}
+                      </p>
+                      {lengthUnits.includes(item.product.unit) && (
+                        <select
+                          value={item.unit}
+                          onChange={(e) => updateCartUnit(item.lineId, e.target.value)}
+                          className="mt-1 mr-1 text-xs border border-gray-300 rounded px-1 py-0.5"
+                        >
+                          {lengthUnits.map(unit => (
+                            <option key={unit} value={unit}>{unit}</option>
+                          ))}
+                        </select>
+                      )}
+                      {currentQuote?.items[index]?.promotionName && (
+                        <p className="text-xs text-green-700">
+                          {currentQuote.items[index].promotionName} · -₦{currentQuote.items[index].promotionDiscount.toLocaleString()}
+                        </p>
+                      )}
+                      {item.isRemnant && (
+                        <p className="text-xs text-orange-600">
+                          Remnant · roll {item.product.rolls.find(roll => roll._id === item.rollId)?.rollId}
+                        </p>
+                      )}
+                      {!item.isRemnant && getOpenRolls(item.product).length > 0 && (
+                        <select
+                          value={item.rollId}
+                          onChange={(e) => updateCartRoll(item.lineId, e.target.value)}
+                          className="mt-1 text-xs border border-gray-300 rounded px-1 py-0.5"
+                        >
+                          <option value="">Oldest roll that fits</option>
+                          {getOpenRolls(item.product).map(roll => (
+                            <option key={roll._id} value={roll._id} disabled={roll.remainingLength < toStockQuantity(item)}>
+                              {roll.rollId} · {roll.remainingLength} {item.product.unit}{roll.dyeLot ? ` · lot ${roll.dyeLot}` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => updateCartItem(item.lineId, item.quantity - 1)}
+                        className="p-1 hover:bg-gray-100 rounded"
+                      >
+                        <Minus className="h-4 w-4" />
+                      </button>
+                      <input
+                        type="number"
+                        min="0.1"
+                        step="0.1"
+                        value={item.quantityText ?? item.quantity}
+                        onChange={(e) => updateCartQuantityText(item.lineId, e.target.value)}
+                        onBlur={() => updateCartItem(item.lineId, item.quantity)}
+                        className="w-16 text-center border border-gray-300 rounded px-1 py-0.5"
+                      />
+                      <button
+                        onClick={() => updateCartItem(item.lineId, item.quantity + 1)}
+                        className="p-1 hover:bg-gray-100 rounded"
+                      >
+                        <Plus className="h-4 w-4" />
+                      </button>
+                    </div>
+                    <span className="font-semibold ml-2">₦{item.totalPrice.toLocaleString()}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Customer Details */}
+          <div className="card">
+            <h3 className="text-md font-semibold text-gray-900 mb-3">Customer Details</h3>
+            <div className="space-y-3">
+              <div className="relative">
+                <input
+                  type="tel"
+                  placeholder="Phone Number"
+                  value={customerPhone}
+                  onChange={(e) => setCustomerPhone(e.target.value)}
+                  disabled={!!selectedCustomer}
+                  className="input-field disabled:bg-gray-100"
+                />
+                {customerMatches.length > 0 && (
+                  <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-48 overflow-y-auto">
+                    {customerMatches.map((customer) => (
+                      <button
+                        key={customer._id}
+                        type="button"
+                        onClick={() => selectCustomer(customer)}
+                        className="w-full text-left px-3 py-2 hover:bg-gray-100"
+                      >
+                        <p className="text-sm font-medium text-gray-900">{customer.name}</p>
+                        <p className="text-xs text-gray-500">{customer.phone}</p>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <input
+                type="text"
+                placeholder="Customer Name *"
+                value={customerName}
+                onChange={(e) => setCustomerName(e.target.value)}
+                disabled={!!selectedCustomer}
+                className="input-field disabled:bg-gray-100"
+                required
+              />
+              {selectedCustomer ? (
+                <div className="flex justify-between items-center text-sm">
+                  <Link to={`/staff/customers/${selectedCustomer._id}`} className="text-green-700 hover:underline">
+                    Returning customer
+                  </Link>
                   <button
-                    onClick={() => addToCart(product)}
-                    disabled={product.currentStock <= 0}
-                    className="btn-primary text-sm px-3 py-1 disabled:opacity-50"
+                    type="button"
+                    onClick={clearCustomer}
+                    className="text-gray-500 hover:text-gray-700"
                   >
-                    Add to Cart
+                    Change
                   </button>
                 </div>
-              </div>
-            ))}
+              ) : (
+                customerPhone.trim() && (
+                  <p className="text-xs text-gray-500">New phone numbers are saved as customers when the sale completes.</p>
+                )
+              )}
+            </div>
           </div>
-        </div>
-      </div>
 
-      {/* Cart Section */}
-      <div className="space-y-6">
-        <div className="card">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">Cart</h2>
-
-          {cart.length === 0 ? (
-            <p className="text-gray-500 text-center py-8">No items in cart</p>
-          ) : (
-            <div className="space-y-3 max-h-64 overflow-y-auto">
-              {cart.map((item) => (
-                <div key={item.productId} className="flex items-center justify-between border-b pb-2">
-                  <div className="flex-1">
-                    <p className="font-medium text-sm">{item.product.name}</p>
-                    <p className="text-xs text-gray-500">₦{item.unitPrice.toLocaleString()} × {item.quantity}</p>
+          {/* Payment Details */}
+          <div className="card">
+            <h3 className="text-md font-semibold text-gray-900 mb-3">Payment</h3>
+            <div className="space-y-3">
+              {currentQuote?.promotions.map(promotion => (
+                <div key={promotion.promotion} className="flex justify-between text-sm text-green-700">
+                  <span>{promotion.name} <span className="text-xs">({promotion.description})</span></span>
+                  <span>-₦{promotion.amount.toLocaleString()}</span>
+                </div>
+              ))}
+              <div className="flex justify-between">
+                <span>Subtotal:</span>
+                <span>₦{getTotalAmount().toLocaleString()}</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <label className="text-sm">Discount:</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={discount}
+                  onChange={(e) => setDiscount(Number(e.target.value))}
+                  className="input-field flex-1"
+                />
+              </div>
+              {discount > 0 && (
+                <input
+                  type="text"
+                  maxLength={200}
+                  placeholder={needsApproval ? 'Reason for discount (required)' : 'Reason for discount (optional)'}
+                  value={discountReason}
+                  onChange={(e) => setDiscountReason(e.target.value)}
+                  className="input-field"
+                />
+              )}
+              {needsApproval && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded space-y-2">
+                  <p className="text-sm text-yellow-800">
+                    Your limit on this sale is ₦{getMaxDiscount().toLocaleString()}. An admin must approve a bigger discount.
+                  </p>
+                  <div className="flex space-x-4 text-sm">
+                    <label className="flex items-center space-x-1">
+                      <input
+                        type="radio"
+                        checked={approvalMode === 'pin'}
+                        onChange={() => setApprovalMode('pin')}
+                        disabled={discountLimit.approvers.length === 0}
+                      />
+                      <span>Admin PIN</span>
+                    </label>
+                    <label className="flex items-center space-x-1">
+                      <input
+                        type="radio"
+                        checked={approvalMode === 'remote'}
+                        onChange={() => setApprovalMode('remote')}
+                      />
+                      <span>Ask remotely</span>
+                    </label>
                   </div>
+                  {approvalMode === 'pin' ? (
+                    <div className="flex space-x-2">
+                      <select
+                        value={approval.approverId}
+                        onChange={(e) => setApproval({ ...approval, approverId: e.target.value })}
+                        className="input-field flex-1"
+                      >
+                        <option value="">Approving admin</option>
+                        {discountLimit.approvers.map(approver => (
+                          <option key={approver._id} value={approver._id}>{approver.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="password"
+                        inputMode="numeric"
+                        autoComplete="off"
+                        placeholder="PIN"
+                        value={approval.pin}
+                        onChange={(e) => setApproval({ ...approval, pin: e.target.value })}
+                        className="input-field w-24"
+                      />
+                    </div>
+                  ) : requestApproved ? (
+                    <p className="text-sm text-green-700">
+                      Approved by {discountRequest.decidedBy?.name || 'an admin'}. Use it within {discountLimit.requestValidMinutes} minutes.
+                    </p>
+                  ) : discountRequest?.status === 'pending' && discountRequest.discount >= discount ? (
+                    <p className="text-sm text-gray-600">Waiting for an admin to approve ₦{discountRequest.discount.toLocaleString()}...</p>
+                  ) : (
+                    <div className="space-y-1">
+                      {discountRequest?.status === 'rejected' && (
+                        <p className="text-sm text-red-600">The last request was rejected.</p>
+                      )}
+                      <button
+                        type="button"
+                        onClick={requestApproval}
+                        className="text-sm text-green-700 hover:underline"
+                      >
+                        Request approval for ₦{discount.toLocaleString()}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+              {quoteError && (
+                <p className="text-sm text-red-600">{quoteError}</p>
+              )}
+              {currentQuote?.taxes.map(tax => (
+                <div key={`${tax.tax}-${tax.rate}-${tax.inclusive}`} className="flex justify-between text-sm text-gray-600">
+                  <span>{tax.name} {tax.rate}%{tax.inclusive ? ' (incl.)' : ''}</span>
+                  <span>{tax.inclusive ? '' : '+'}₦{tax.taxAmount.toLocaleString()}</span>
+                </div>
+              ))}
+              <div className="flex justify-between font-semibold text-lg">
+                <span>Total:</span>
+                <span>₦{getFinalAmount().toLocaleString()}</span>
+              </div>
+
+              {payments.map((payment, index) => (
+                <div key={index} className="space-y-2">
                   <div className="flex items-center space-x-2">
-                    <button
-                      onClick={() => updateCartItem(item.productId, item.quantity - 1)}
-                      className="p-1 hover:bg-gray-100 rounded"
+                    <select
+                      value={payment.method}
+                      onChange={(e) => updatePayment(index, 'method', e.target.value)}
+                      className="input-field flex-1"
                     >
-                      <Minus className="h-4 w-4" />
-                    </button>
-                    <span className="w-8 text-center">{item.quantity}</span>
-                    <button
-                      onClick={() => updateCartItem(item.productId, item.quantity + 1)}
-                      className="p-1 hover:bg-gray-100 rounded"
-                    >
-                      <Plus className="h-4 w-4" />
-                    </button>
+                      <option value="cash">Cash</option>
+                      <option value="card">Card</option>
+                      <option value="transfer">Transfer</option>
+                      <option value="credit">Credit (pay later)</option>
+                      {selectedCustomer?.storeCreditBalance > 0 && (
+                        <option value="store_credit">
+                          Store credit (₦{selectedCustomer.storeCreditBalance.toLocaleString()})
+                        </option>
+                      )}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      placeholder={payments.length === 1 ? getFinalAmount().toString() : 'Amount'}
+                      value={payment.amount}
+                      onChange={(e) => updatePayment(index, 'amount', e.target.value)}
+                      className="input-field w-28"
+                    />
+                    {payments.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => removePayment(index)}
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        title="Remove payment"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
                   </div>
-                  <span className="font-semibold ml-2">₦{item.totalPrice.toLocaleString()}</span>
+                  {(payment.method === 'card' || payment.method === 'transfer') && (
+                    <input
+                      type="text"
+                      placeholder="Reference (optional)"
+                      value={payment.reference}
+                      onChange={(e) => updatePayment(index, 'reference', e.target.value)}
+                      className="input-field"
+                    />
+                  )}
                 </div>
               ))}
+              <button
+                type="button"
+                onClick={addPayment}
+                className="text-sm text-green-700 hover:underline"
+              >
+                + Split payment
+              </button>
+              <div className="flex justify-between text-sm">
+                <span>Paid:</span>
+                <span>₦{getAmountPaid().toLocaleString()}</span>
+              </div>
+              {getAmountPaid() < getFinalAmount() ? (
+                <div className="flex justify-between text-sm text-red-600">
+                  <span>Remaining:</span>
+                  <span>₦{roundMoney(getFinalAmount() - getAmountPaid()).toLocaleString()}</span>
+                </div>
+              ) : getChangeDue() > 0 && (
+                <div className="flex justify-between font-semibold text-green-700">
+                  <span>Change due:</span>
+                  <span>₦{roundMoney(getChangeDue()).toLocaleString()}</span>
+                </div>
+              )}
             </div>
-          )}
-        </div>
-
-        {/* Customer Details */}
-        <div className="card">
-          <h3 className="text-md font-semibold text-gray-900 mb-3">Customer Details</h3>
-          <div className="space-y-3">
-            <input
-              type="text"
-              placeholder="Customer Name *"
-              value={customerName}
-              onChange={(e) => setCustomerName(e.target.value)}
-              className="input-field"
-              required
-            />
-            <input
-              type="tel"
-              placeholder="Phone Number"
-              value={customerPhone}
-              onChange={(e) => setCustomerPhone(e.target.value)}
-              className="input-field"
-            />
           </div>
-        </div>
 
-        {/* Payment Details */}
-        <div className="card">
-          <h3 className="text-md font-semibold text-gray-900 mb-3">Payment</h3>
-          <div className="space-y-3">
-            <div className="flex justify-between">
-              <span>Subtotal:</span>
-              <span>₦{getTotalAmount().toLocaleString()}</span>
-            </div>
-            <div className="flex items-center space-x-2">
-              <label className="text-sm">Discount:</label>
-              <input
-                type="number"
-                min="0"
-                value={discount}
-                onChange={(e) => setDiscount(Number(e.target.value))}
-                className="input-field flex-1"
-              />
-            </div>
-            <div className="flex justify-between font-semibold text-lg">
-              <span>Total:</span>
-              <span>₦{getFinalAmount().toLocaleString()}</span>
-            </div>
-            <select
-              value={paymentMethod}
-              onChange={(e) => setPaymentMethod(e.target.value)}
-              className="input-field"
+          {/* Complete Sale, quote the cart without selling it, or reserve it against a deposit */}
+          <div className="space-y-2">
+            <button
+              onClick={handleSale}
+              disabled={cart.length === 0 || loading}
+              className="btn-primary w-full flex items-center justify-center disabled:opacity-50"
+            >
+              {loading ? (
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+              ) : (
+                <>
+                  <Printer className="mr-2 h-5 w-5" />
+                  Complete Sale & Print Receipt
+                </>
+              )}
+            </button>
+            <button
+              onClick={handleQuotation}
+              disabled={cart.length === 0 || loading}
+              className="btn-secondary w-full flex items-center justify-center disabled:opacity-50"
+            >
+              <FileText className="mr-2 h-5 w-5" />
+              Save as Quotation
+            </button>
+            <button
+              onClick={handleLayaway}
+              disabled={cart.length === 0 || loading}
+              className="btn-secondary w-full flex items-center justify-center disabled:opacity-50"
+              title="Hold the stock for the customer against the amount paid now"
             >
-              <option value="cash">Cash</option>
-              <option value="card">Card</option>
-              <option value="transfer">Transfer</option>
-            </select>
+              <Clock className="mr-2 h-5 w-5" />
+              Reserve with Deposit
+            </button>
           </div>
         </div>
-
-        {/* Complete Sale Button */}
-        <button
-          onClick={handleSale}
-          disabled={cart.length === 0 || loading}
-          className="btn-primary w-full flex items-center justify-center disabled:opacity-50"
-        >
-          {loading ? (
-            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-          ) : (
-            <>
-              <Printer className="mr-2 h-5 w-5" />
-              Complete Sale & Print Receipt
-            </>
-          )}
-        </button>
       </div>
     </div>
   );
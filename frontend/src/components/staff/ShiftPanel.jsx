@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Clock, Lock, Unlock } from 'lucide-react';
+
+const ShiftPanel = ({ shift, onChange }) => {
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [countedCash, setCountedCash] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const formatCurrency = (amount) => {
+    return `₦${(amount || 0).toLocaleString()}`;
+  };
+
+  const showError = (error, fallback) => {
+    if (error.response?.data?.errors) {
+      alert(error.response.data.errors.map(err => err.msg).join('\n'));
+    } else {
+      alert(error.response?.data?.message || fallback);
+    }
+  };
+
+  const downloadZReport = async (closedShift) => {
+    try {
+      const pdfResponse = await axios.get(`/api/staff/shifts/${closedShift._id}/z-report/pdf`, {
+        responseType: 'blob'
+      });
+
+      // Create blob link to download
+      const url = window.URL.createObjectURL(new Blob([pdfResponse.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `z-report-${closedShift.shiftNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (pdfError) {
+      console.error('Error downloading Z-report:', pdfError);
+      alert('Z-report could not be downloaded.');
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      await axios.post('/api/staff/shifts', { openingFloat: Number(openingFloat) || 0 });
+      setOpeningFloat('');
+      onChange();
+    } catch (error) {
+      showError(error, 'Failed to open shift');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+
+    if (countedCash === '') {
+      alert('Please count the cash in the drawer');
+      return;
+    }
+
+    if (!window.confirm('Close this shift? No more sales can be added to it.')) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/api/staff/shifts/${shift._id}/close`, {
+        countedCash: Number(countedCash),
+        notes: notes.trim()
+      });
+      const closedShift = response.data.shift;
+
+      await downloadZReport(closedShift);
+
+      setCountedCash('');
+      setNotes('');
+      onChange();
+
+      const { overShort } = closedShift;
+      alert(overShort === 0
+        ? 'Shift closed. The drawer balances.'
+        : `Shift closed. Drawer is ${overShort > 0 ? 'over' : 'short'} by ${formatCurrency(Math.abs(overShort))}.`);
+    } catch (error) {
+      showError(error, 'Failed to close shift');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!shift) {
+    return (
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <Unlock className="h-5 w-5 text-gray-500 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">No Open Shift</h2>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">Count the float in the drawer and open a shift before making sales.</p>
+        <form onSubmit={handleOpen} className="flex gap-3">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Opening float"
+            value={openingFloat}
+            onChange={(e) => setOpeningFloat(e.target.value)}
+            className="input-field flex-1"
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="btn-primary disabled:opacity-50"
+          >
+            {submitting ? 'Opening...' : 'Open Shift'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <Clock className="h-5 w-5 text-green-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Shift {shift.shiftNumber}</h2>
+        </div>
+        <span className="text-sm text-gray-500">
+          Opened {new Date(shift.openedAt).toLocaleString()}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <p className="text-sm text-gray-600">Opening float</p>
+          <p className="font-semibold">{formatCurrency(shift.openingFloat)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600">Cash sales</p>
+          <p className="font-semibold">{formatCurrency(shift.totals.paymentTotals.cash)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600">Cash refunds</p>
+          <p className="font-semibold">{formatCurrency(shift.totals.refundTotals.cash)}</p>
+        </div>
+        <div>
+          <p className="text-sm text-gray-600">Expected in drawer</p>
+          <p className="font-semibold text-green-700">{formatCurrency(shift.expectedCash)}</p>
+        </div>
+      </div>
+
+      <form onSubmit={handleClose} className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Counted cash"
+          value={countedCash}
+          onChange={(e) => setCountedCash(e.target.value)}
+          className="input-field"
+        />
+        <input
+          type="text"
+          placeholder="Notes (optional)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          className="input-field"
+        />
+        <button
+          type="submit"
+          disabled={submitting}
+          className="btn-secondary flex items-center justify-center disabled:opacity-50"
+        >
+          <Lock className="mr-2 h-4 w-4" />
+          {submitting ? 'Closing...' : 'Close Shift & Print Z-Report'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ShiftPanel;
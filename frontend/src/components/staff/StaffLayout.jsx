@@ -5,6 +5,11 @@ import {
   LayoutDashboard,
   ShoppingCart,
   Receipt,
+  RotateCcw,
+  Users,
+  ClipboardCheck,
+  FileText,
+  Clock,
   LogOut,
   Menu,
   User,
@@ -26,6 +31,11 @@ const StaffLayout = ({ children }) => {
   const navigation = [
     { name: 'Dashboard', href: '/staff/dashboard', icon: LayoutDashboard },
     { name: 'Sales', href: '/staff/sales', icon: ShoppingCart },
+    { name: 'Quotations', href: '/staff/quotations', icon: FileText },
+    { name: 'Layaways', href: '/staff/layaways', icon: Clock },
+    { name: 'Returns', href: '/staff/returns', icon: RotateCcw },
+    { name: 'Customers', href: '/staff/customers', icon: Users },
+    { name: 'Stocktake', href: '/staff/stocktake', icon: ClipboardCheck },
   ];
 
   return (
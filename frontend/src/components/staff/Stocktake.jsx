@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Search, Check, ClipboardCheck } from 'lucide-react';
+
+const Stocktake = () => {
+  const [stocktake, setStocktake] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [entries, setEntries] = useState({});
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showUncountedOnly, setShowUncountedOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchStocktake();
+  }, []);
+
+  const fetchStocktake = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/staff/stocktakes/current');
+      setStocktake(response.data.stocktake);
+      setProducts(response.data.products);
+      setCounts(Object.fromEntries(
+        (response.data.stocktake?.counts || []).map(count => [count.product, count.countedQuantity])
+      ));
+    } catch (error) {
+      console.error('Error fetching stocktake:', error);
+      setError('Failed to load stocktake');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveCount = async (product) => {
+    const value = entries[product._id];
+    const countedQuantity = parseFloat(value);
+    if (value === undefined || value === '' || isNaN(countedQuantity) || countedQuantity < 0) {
+      setError(`Enter a measured quantity for ${product.name}`);
+      return;
+    }
+
+    try {
+      setSavingId(product._id);
+      setError('');
+      await axios.put(`/api/staff/stocktakes/${stocktake._id}/counts`, {
+        counts: [{ productId: product._id, countedQuantity }]
+      });
+      setCounts(prev => ({ ...prev, [product._id]: countedQuantity }));
+      setEntries(prev => {
+        const { [product._id]: _saved, ...rest } = prev;
+        return rest;
+      });
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setError(error.response.data.errors.map(err => err.msg).join(', '));
+      } else {
+        setError(error.response?.data?.message || 'Failed to save count');
+      }
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600"></div>
+      </div>
+    );
+  }
+
+  if (!stocktake) {
+    return (
+      <div className="card text-center py-12">
+        <ClipboardCheck className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-600">No stocktake is open. An admin opens one when it is time to count.</p>
+      </div>
+    );
+  }
+
+  const term = searchTerm.trim().toLowerCase();
+  const visibleProducts = products.filter(product =>
+    (!term || product.name.toLowerCase().includes(term)) &&
+    (!showUncountedOnly || counts[product._id] === undefined)
+  );
+  const countedTotal = products.filter(product => counts[product._id] !== undefined).length;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Stocktake {stocktake.stocktakeNumber}</h1>
+        <p className="text-sm text-gray-600">
+          Measure each product and enter the quantity on the shelf. {countedTotal} of {products.length} counted.
+        </p>
+        {stocktake.notes && <p className="text-sm text-gray-500 mt-1">{stocktake.notes}</p>}
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="card space-y-3">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="input-field input-has-icon-left"
+            placeholder="Search products..."
+          />
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showUncountedOnly}
+            onChange={(e) => setShowUncountedOnly(e.target.checked)}
+            className="mr-2"
+          />
+          Only show products not counted yet
+        </label>
+      </div>
+
+      <div className="space-y-3">
+        {visibleProducts.map(product => (
+          <div key={product._id} className="card">
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="flex-1">
+                <p className="font-medium text-gray-900">{product.name}</p>
+                <p className="text-sm text-gray-500 capitalize">{product.category.replace('_', ' ')}</p>
+                {counts[product._id] !== undefined && (
+                  <p className="text-sm text-green-700 flex items-center mt-1">
+                    <Check className="h-4 w-4 mr-1" />
+                    Counted {counts[product._id]} {product.unit}
+                  </p>
+                )}
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  step="0.1"
+                  value={entries[product._id] ?? ''}
+                  onChange={(e) => setEntries(prev => ({ ...prev, [product._id]: e.target.value }))}
+                  className="input-field w-32"
+                  placeholder={product.unit}
+                />
+                <button
+                  onClick={() => saveCount(product)}
+                  disabled={savingId === product._id}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {savingId === product._id ? 'Saving...' : (counts[product._id] !== undefined ? 'Recount' : 'Save')}
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+        {visibleProducts.length === 0 && (
+          <p className="text-gray-500 text-center py-8">No products match</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Stocktake;